@@ -0,0 +1,162 @@
+/**
+ * 自适应画质
+ *
+ * 功能：
+ * - 画质分为若干档，每档规定磨皮的处理分辨率、磨皮核半径上限和人脸检测/人像分割频率
+ * - 按每个统计周期的性能数据（见 performanceMonitor.js）判断帧预算：超出预算时降一档，
+ *   连续几个周期都有余量时升一档
+ * - 升档后紧接着又超出预算时加倍下次升档的等待周期数，避免在两档之间来回切换
+ * - 档位列表、可调整的档位范围（minLevel/maxLevel）、帧预算和等待周期数都在创建时配置
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 画质档位，从低到高；最高一档与不做自适应时的效果一致
+//   - name: 显示名称
+//   - resolutionScale: 磨皮处理分辨率相对于默认值（半分辨率）的比例
+//   - maxSmoothRadius: 磨皮核半径的上限（缩小后的像素），参数中的半径更大时按上限处理
+//   - detectionRateScale: 人脸检测和人像分割频率相对于渲染器 detectionRate 的比例
+export const QUALITY_LEVELS = [
+  {
+    name: "最低",
+    resolutionScale: 0.5,
+    maxSmoothRadius: 3,
+    detectionRateScale: 0.34,
+  },
+  {
+    name: "低",
+    resolutionScale: 0.6,
+    maxSmoothRadius: 4,
+    detectionRateScale: 0.5,
+  },
+  {
+    name: "中",
+    resolutionScale: 0.75,
+    maxSmoothRadius: 6,
+    detectionRateScale: 0.67,
+  },
+  {
+    name: "高",
+    resolutionScale: 1,
+    maxSmoothRadius: 8,
+    detectionRateScale: 1,
+  },
+];
+
+// 平均帧间隔超过帧预算的这个倍数时视为超出预算（帧间隔按显示器刷新间隔取整，留出余地）
+const INTERVAL_TOLERANCE = 1.1;
+
+// 一个统计周期每帧的处理时间（毫秒）：CPU 时间和 GPU 时间中的较大值，都没有时为 null
+function getWorkTime(stats) {
+  const values = [stats.cpuTime, stats.gpuTime].filter(
+    (value) => typeof value === "number"
+  );
+  return values.length > 0 ? Math.max(...values) : null;
+}
+
+// 创建自适应画质控制器
+// 处理时间或平均帧间隔超出帧预算时降档（没有 GPU 计时时，GPU 的瓶颈体现为帧间隔变长）；
+// 处理时间低于预算的 headroom 倍且帧间隔没有超出预算时视为有余量
+// 参数：
+//   - levels: 画质档位，从低到高
+//   - minLevel / maxLevel: 可调整的档位范围（档位下标）
+//   - initialLevel: 初始档位，默认最高档
+//   - targetFrameTime: 帧预算（毫秒），默认按 30 fps
+//   - headroom: 帧时间低于预算的这个比例时视为有余量
+//   - downgradeAfter: 连续超出预算多少个周期后降档
+//   - upgradeAfter: 连续有余量多少个周期后升档
+//   - maxUpgradeAfter: 升档等待周期数加倍的上限
+// 返回：
+//   - update(stats): 输入一个周期的统计结果，返回调整后的档位下标
+//   - getLevel(): 当前档位（levels 中的对象）
+//   - getLevelIndex() / getLevelCount()
+//   - reset(): 回到初始档位，清除计数和等待时间的加倍
+export function createAdaptiveQualityController({
+  levels = QUALITY_LEVELS,
+  minLevel = 0,
+  maxLevel = levels.length - 1,
+  initialLevel = maxLevel,
+  targetFrameTime = 1000 / 30,
+  headroom = 0.6,
+  downgradeAfter = 1,
+  upgradeAfter = 3,
+  maxUpgradeAfter = 30,
+} = {}) {
+  if (levels.length === 0) throw new Error("画质档位不能为空");
+  const lowest = Math.max(0, Math.min(minLevel, levels.length - 1));
+  const highest = Math.max(lowest, Math.min(maxLevel, levels.length - 1));
+  const clampLevel = (index) => Math.max(lowest, Math.min(highest, index));
+
+  let level;
+  let overCount;
+  let underCount;
+  let upgradeWait;
+  // 上一次调整是升档，还没有经过完整的一个周期
+  let justUpgraded;
+  // 调整后的第一个周期包含调整前的帧，不参与判断
+  let skipNext;
+
+  function reset() {
+    level = clampLevel(initialLevel);
+    overCount = 0;
+    underCount = 0;
+    upgradeWait = upgradeAfter;
+    justUpgraded = false;
+    skipNext = false;
+  }
+
+  function setLevel(index) {
+    level = index;
+    overCount = 0;
+    underCount = 0;
+    skipNext = true;
+  }
+
+  function update(stats) {
+    const workTime = getWorkTime(stats);
+    if (workTime === null || !(stats.fps > 0)) return level;
+    if (skipNext) {
+      skipNext = false;
+      return level;
+    }
+    const upgraded = justUpgraded;
+    justUpgraded = false;
+    const frameInterval = 1000 / stats.fps;
+    if (
+      workTime > targetFrameTime ||
+      frameInterval > targetFrameTime * INTERVAL_TOLERANCE
+    ) {
+      underCount = 0;
+      overCount++;
+      if (overCount >= downgradeAfter && level > lowest) {
+        // 刚升档就超出预算：这一档撑不住，下次多等一些时间再尝试
+        if (upgraded) {
+          upgradeWait = Math.min(upgradeWait * 2, maxUpgradeAfter);
+        }
+        setLevel(level - 1);
+      }
+    } else if (workTime < targetFrameTime * headroom) {
+      overCount = 0;
+      underCount++;
+      if (underCount >= upgradeWait && level < highest) {
+        setLevel(level + 1);
+        justUpgraded = true;
+      }
+    } else {
+      overCount = 0;
+      underCount = 0;
+    }
+    return level;
+  }
+
+  reset();
+
+  return {
+    update,
+    getLevel: () => levels[level],
+    getLevelIndex: () => level,
+    getLevelCount: () => levels.length,
+    reset,
+  };
+}
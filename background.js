@@ -0,0 +1,291 @@
+/**
+ * 背景虚化与替换通道
+ *
+ * 功能：
+ * - 按人像分割遮罩（见 segmenter.js）把人像与背景分开处理
+ * - 背景虚化：按背景权重预乘后在低分辨率上多次高斯模糊，人像颜色不会扩散成光晕，强度可调
+ * - 背景替换：纯色，或图片/视频（等比裁剪铺满画面，镜像显示时背景不被镜像）
+ * - 遮罩边缘细化：以原始视频帧为引导的联合双边滤波 + 逐帧时间平滑，头发边缘贴合且不闪烁
+ * - 分割结果的频率低于渲染帧率时，沿用最近一次的遮罩
+ * - 支持分块渲染（frame.region）：遮罩和背景图像按整个画面对齐，只取本块的范围
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  vertexShaderSrc,
+  copyShaderSrc,
+  gaussianBlurShaderSrc,
+  segmentationRefineShaderSrc,
+  backgroundPrepareShaderSrc,
+  backgroundShaderSrc,
+} from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createTexture,
+  deleteTexture,
+} from "./webgl.js";
+import { parseHexColor } from "./makeup.js";
+
+// 背景模式 -> 背景合成着色器的 u_mode，"none" 表示不处理背景
+export const BACKGROUND_MODES = { blur: 0, color: 1, image: 2 };
+
+// 虚化的模糊次数和最大采样步长（低分辨率纹理的像素）
+const BLUR_ITERATIONS = 2;
+const MAX_BLUR_STEP = 4;
+// 未指定 frame.region 时渲染整个画面
+const FULL_REGION = { x: 0, y: 0, width: 1, height: 1 };
+
+// 图像源的尺寸（图片、视频、画布、ImageBitmap）
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0,
+  };
+}
+
+// 是否为需要逐帧上传的视频
+function isVideo(source) {
+  return typeof source.videoWidth === "number";
+}
+
+// 创建背景通道
+// 参数：
+//   - name: 通道名称
+//   - maskScale: 细化遮罩相对于画面的分辨率比例
+//   - blurScale: 虚化背景相对于画面的分辨率比例（模糊后的背景不需要高分辨率）
+// 通道从 frame 读取：
+//   - frame.params.backgroundMode: "blur" / "color" / "image"
+//   - frame.params.backgroundBlur: 虚化强度 (0-1)
+//   - frame.params.backgroundColor: 纯色背景（"#rrggbb"）
+//   - frame.params.segmentationSmoothing: 遮罩时间平滑系数 (0-1)
+//   - frame.params.segmentationEdge: 遮罩边缘过渡宽度 (0-1)
+//   - frame.mirrored: 是否镜像显示
+//   - frame.region: 本次渲染覆盖的画面范围 { x, y, width, height }（归一化坐标），
+//     分块导出时为块的范围，省略时为整个画面
+// 没有遮罩、图片模式下没有背景图像、或虚化强度为0时直通
+export function createBackgroundPass(
+  gl,
+  { name = "background", maskScale = 0.5, blurScale = 0.25 } = {}
+) {
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+  const refineProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    segmentationRefineShaderSrc
+  );
+  const prepareProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    backgroundPrepareShaderSrc
+  );
+  const blurProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    gaussianBlurShaderSrc
+  );
+  const backgroundProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    backgroundShaderSrc
+  );
+  const maskTexture = createTexture(gl);
+  const imageTexture = createTexture(gl);
+
+  // 是否已有可用的分割遮罩
+  let hasMask = false;
+  // 背景图像（图片、视频或画布）
+  let backgroundImage = null;
+  // 细化遮罩在两张渲染目标之间交替读写，current 为上一帧的结果
+  let current = 0;
+  // 上一帧的细化遮罩是否有效（遮罩重置或尺寸变化后第一帧不做时间平滑）
+  let historyValid = false;
+  let historyWidth = 0;
+  let historyHeight = 0;
+
+  function uploadImage(source) {
+    gl.bindTexture(gl.TEXTURE_2D, imageTexture.handle);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  function copyInput(ctx, input, output) {
+    ctx.drawQuad(copyProgram, output, (u, bindTexture) => {
+      bindTexture("u_texture", input);
+    });
+  }
+
+  // 细化本帧的遮罩，返回细化结果的渲染目标
+  function refineMask(ctx, params, region) {
+    const width = Math.max(1, Math.round(ctx.width * maskScale));
+    const height = Math.max(1, Math.round(ctx.height * maskScale));
+    if (width !== historyWidth || height !== historyHeight) {
+      historyValid = false;
+      historyWidth = width;
+      historyHeight = height;
+    }
+    const previous = ctx.getTarget(`${name}.mask${current}`, width, height);
+    const next = ctx.getTarget(`${name}.mask${1 - current}`, width, height);
+    ctx.drawQuad(refineProgram, next, (u, bindTexture) => {
+      bindTexture("u_mask", maskTexture);
+      bindTexture("u_guide", ctx.source);
+      bindTexture("u_previous", previous.texture);
+      gl.uniform1f(
+        u.u_temporal,
+        historyValid ? params.segmentationSmoothing : 0.0
+      );
+      gl.uniform2f(u.u_texelStep, 1 / width, 1 / height);
+      gl.uniform4f(
+        u.u_maskRect,
+        region.x,
+        region.y,
+        region.width,
+        region.height
+      );
+    });
+    current = 1 - current;
+    historyValid = true;
+    return next;
+  }
+
+  // 按背景权重模糊画面，返回模糊结果的渲染目标
+  function blurBackground(ctx, input, mask, strength) {
+    const width = Math.max(1, Math.round(ctx.width * blurScale));
+    const height = Math.max(1, Math.round(ctx.height * blurScale));
+    const blurred = ctx.getTarget(`${name}.blurred`, width, height);
+    const horizontal = ctx.getTarget(`${name}.horizontal`, width, height);
+    ctx.drawQuad(prepareProgram, blurred, (u, bindTexture) => {
+      bindTexture("u_texture", input);
+      bindTexture("u_mask", mask.texture);
+    });
+    const step = Math.max(0.5, strength * MAX_BLUR_STEP);
+    for (let i = 0; i < BLUR_ITERATIONS; i++) {
+      ctx.drawQuad(blurProgram, horizontal, (u, bindTexture) => {
+        bindTexture("u_texture", blurred.texture);
+        gl.uniform2f(u.u_texelStep, step / width, 0);
+      });
+      ctx.drawQuad(blurProgram, blurred, (u, bindTexture) => {
+        bindTexture("u_texture", horizontal.texture);
+        gl.uniform2f(u.u_texelStep, 0, step / height);
+      });
+    }
+    return blurred;
+  }
+
+  // 背景图像的纹理坐标变换：等比缩放铺满整个画面，居中裁剪，再换算到本次渲染的范围
+  // 镜像时着色器先翻转范围内的坐标，范围的位置也要按镜像换算
+  function getCoverRect(ctx, region) {
+    const { width, height } = getSourceSize(backgroundImage);
+    const imageAspect = width / height;
+    // 整个画面的尺寸（像素）
+    const frameWidth = ctx.width / region.width;
+    const frameHeight = ctx.height / region.height;
+    const frameAspect = frameWidth / frameHeight;
+    let rect;
+    if (imageAspect > frameAspect) {
+      const scale = frameAspect / imageAspect;
+      rect = [(1 - scale) / 2, 0, scale, 1];
+    } else {
+      const scale = imageAspect / frameAspect;
+      rect = [0, (1 - scale) / 2, 1, scale];
+    }
+    const regionX = ctx.frame.mirrored ? 1 - region.x - region.width : region.x;
+    return [
+      rect[0] + regionX * rect[2],
+      rect[1] + region.y * rect[3],
+      region.width * rect[2],
+      region.height * rect[3],
+    ];
+  }
+
+  return {
+    name,
+    enabled: true,
+    // 设置最新的分割遮罩（segmenter.segment 的结果），null 表示清除
+    setMask(mask) {
+      if (!mask) {
+        hasMask = false;
+        historyValid = false;
+        return;
+      }
+      gl.bindTexture(gl.TEXTURE_2D, maskTexture.handle);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, mask);
+      hasMask = true;
+    },
+    // 设置背景图像：图片、视频或画布，null 表示清除；视频每帧重新上传
+    setBackgroundImage(source) {
+      backgroundImage = source || null;
+      if (backgroundImage && !isVideo(backgroundImage)) {
+        uploadImage(backgroundImage);
+      }
+    },
+    getBackgroundImage() {
+      return backgroundImage;
+    },
+    draw(ctx, input, output) {
+      const { params } = ctx.frame;
+      const region = ctx.frame.region || FULL_REGION;
+      const mode = BACKGROUND_MODES[params.backgroundMode];
+      const imageReady =
+        backgroundImage &&
+        getSourceSize(backgroundImage).width > 0 &&
+        (!isVideo(backgroundImage) || backgroundImage.readyState >= 2);
+      if (
+        !hasMask ||
+        mode === undefined ||
+        (mode === BACKGROUND_MODES.blur && !(params.backgroundBlur > 0)) ||
+        (mode === BACKGROUND_MODES.image && !imageReady)
+      ) {
+        copyInput(ctx, input, output);
+        return;
+      }
+
+      const mask = refineMask(ctx, params, region);
+      let background = null;
+      if (mode === BACKGROUND_MODES.blur) {
+        background = blurBackground(
+          ctx,
+          input,
+          mask,
+          params.backgroundBlur
+        ).texture;
+      } else if (mode === BACKGROUND_MODES.image) {
+        if (isVideo(backgroundImage)) uploadImage(backgroundImage);
+        background = imageTexture;
+      }
+
+      ctx.drawQuad(backgroundProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_mask", mask.texture);
+        if (background) bindTexture("u_background", background);
+        gl.uniform1f(u.u_mode, mode);
+        gl.uniform3fv(u.u_color, parseHexColor(params.backgroundColor));
+        gl.uniform4fv(
+          u.u_backgroundRect,
+          mode === BACKGROUND_MODES.image
+            ? getCoverRect(ctx, region)
+            : [0, 0, 1, 1]
+        );
+        gl.uniform1f(u.u_mirrored, ctx.frame.mirrored ? 1.0 : 0.0);
+        gl.uniform1f(u.u_edge, params.segmentationEdge);
+      });
+    },
+    // 上下文恢复后遮罩纹理内容已丢失，等待下一次分割结果；静态背景图像重新上传
+    restore() {
+      hasMask = false;
+      historyValid = false;
+      if (backgroundImage && !isVideo(backgroundImage)) {
+        uploadImage(backgroundImage);
+      }
+    },
+    destroy() {
+      deleteProgramInfo(gl, copyProgram);
+      deleteProgramInfo(gl, refineProgram);
+      deleteProgramInfo(gl, prepareProgram);
+      deleteProgramInfo(gl, blurProgram);
+      deleteProgramInfo(gl, backgroundProgram);
+      deleteTexture(gl, maskTexture);
+      deleteTexture(gl, imageTexture);
+    },
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * 视频文件离线逐帧处理
+ *
+ * 功能：
+ * - 按固定帧率逐帧跳转（seek）已加载的视频文件，每一帧都等待解码完成
+ * - 每一帧都等待人脸检测完成后再按当前设置渲染，输出与实时播放的丢帧无关
+ * - 优先使用 WebCodecs VideoEncoder 编码并封装为 WebM，时间戳逐帧精确
+ * - 编码尺寸向下取整为偶数（VP8/VP9 编码器不接受奇数宽高），多出的一行/一列像素被裁掉
+ * - 不支持 WebCodecs 时退回 MediaRecorder，按实时节奏逐帧推送画布，并报告退回的原因
+ * - 报告进度和预计剩余时间，可通过 AbortSignal 取消
+ *
+ * 注意：离线输出只包含视频轨道，不含原声
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { createWebMMuxer } from "./webmMuxer.js";
+import { getSupportedRecordingFormats } from "./recorder.js";
+
+// WebCodecs 候选编码，按优先级排列
+const ENCODER_CODECS = [
+  { codec: "vp09.00.10.08", muxerCodec: "V_VP9" },
+  { codec: "vp8", muxerCodec: "V_VP8" },
+];
+
+// 编码队列积压超过该帧数时等待编码器，避免占用过多内存
+const MAX_ENCODE_QUEUE = 4;
+
+// 等待视频帧呈现的最长时间（毫秒），部分浏览器暂停状态下 seek 后不会触发帧回调
+const FRAME_CALLBACK_TIMEOUT = 500;
+
+// 创建取消错误，与 fetch 等浏览器接口被取消时的错误类型一致
+function abortError() {
+  return new DOMException("离线处理已取消", "AbortError");
+}
+
+// 跳转到指定时间，并等待该帧解码完成、可以被上传为纹理
+function seekTo(video, time) {
+  return new Promise((resolve, reject) => {
+    const onSeeked = () => {
+      video.removeEventListener("error", onError);
+      if (!video.requestVideoFrameCallback) {
+        resolve();
+        return;
+      }
+      // seeked 事件只保证跳转完成，新帧的呈现以帧回调为准
+      const timer = setTimeout(resolve, FRAME_CALLBACK_TIMEOUT);
+      video.requestVideoFrameCallback(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    };
+    const onError = () => {
+      video.removeEventListener("seeked", onSeeked);
+      reject(new Error("视频跳转失败"));
+    };
+    video.addEventListener("seeked", onSeeked, { once: true });
+    video.addEventListener("error", onError, { once: true });
+    video.currentTime = time;
+  });
+}
+
+// 编码尺寸：宽高向下取整为偶数
+function getEncodeSize(canvas) {
+  return {
+    width: Math.max(2, canvas.width - (canvas.width % 2)),
+    height: Math.max(2, canvas.height - (canvas.height % 2)),
+  };
+}
+
+// 选择当前浏览器支持的 WebCodecs 编码配置，不支持时返回 null
+async function selectEncoderConfig(width, height, fps, bitrate) {
+  if (typeof VideoEncoder === "undefined") return null;
+  for (const { codec, muxerCodec } of ENCODER_CODECS) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return { config, muxerCodec };
+    } catch (err) {
+      // 某些编码字符串在旧版浏览器中会直接抛出异常，视为不支持
+    }
+  }
+  return null;
+}
+
+// 使用 WebCodecs 编码：每帧的时间戳由帧序号决定，与处理耗时无关
+async function createWebCodecsOutput(canvas, encoderConfig, fps) {
+  const { config, muxerCodec } = encoderConfig;
+  const muxer = createWebMMuxer({
+    codec: muxerCodec,
+    width: config.width,
+    height: config.height,
+    frameRate: fps,
+  });
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addChunk(data, chunk.timestamp, chunk.type === "key");
+    },
+    error: (err) => {
+      encoderError = err;
+    },
+  });
+  encoder.configure(config);
+  // 每2秒一个关键帧，便于拖动
+  const keyFrameInterval = Math.max(1, Math.round(fps * 2));
+
+  return {
+    async beforeFrame() {
+      if (encoderError) throw encoderError;
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    },
+    addFrame(index) {
+      // 画布宽高为奇数时只取编码尺寸以内的区域
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round((index * 1e6) / fps),
+        duration: Math.round(1e6 / fps),
+        visibleRect: { x: 0, y: 0, width: config.width, height: config.height },
+      });
+      encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+    },
+    async finish(duration) {
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      encoder.close();
+      return muxer.finalize(duration);
+    },
+    cancel() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+// MediaRecorder 备用方案：录制时间轴取自实际时间，因此按目标帧率的节奏推送帧
+async function createMediaRecorderOutput(canvas, fps, bitrate) {
+  const format = getSupportedRecordingFormats()[0];
+  if (!format) throw new Error("当前浏览器既不支持 WebCodecs 也不支持录制");
+  // 帧率为0：只有调用 requestFrame 时才产生新帧
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const chunks = [];
+  const recorder = new MediaRecorder(stream, {
+    mimeType: format.mimeType,
+    videoBitsPerSecond: bitrate,
+  });
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.start(1000);
+  const startTime = performance.now();
+
+  function stopRecorder() {
+    return new Promise((resolve) => {
+      recorder.onstop = resolve;
+      recorder.stop();
+    }).then(() => track.stop());
+  }
+
+  return {
+    async beforeFrame(index) {
+      // 处理比实时快时等待，保证输出的播放速度正确；比实时慢时无法补偿
+      const due = startTime + (index * 1000) / fps;
+      const wait = due - performance.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    },
+    addFrame() {
+      track.requestFrame();
+    },
+    async finish() {
+      await stopRecorder();
+      return new Blob(chunks, { type: format.mimeType.split(";")[0] });
+    },
+    cancel() {
+      if (recorder.state !== "inactive") stopRecorder();
+    },
+  };
+}
+
+// 当前浏览器使用的离线编码方式："webcodecs" | "mediarecorder" | null
+export function getOfflineEncoderKind() {
+  if (typeof VideoEncoder !== "undefined") return "webcodecs";
+  if (getSupportedRecordingFormats().length > 0) return "mediarecorder";
+  return null;
+}
+
+// 离线逐帧处理整个视频文件
+// 参数：
+//   - video: 已加载视频文件的 <video> 元素（需要有确定的时长，实时流不支持）
+//   - canvas: 渲染输出的画布
+//   - renderFrame(): 渲染 video 当前帧到画布，返回 Promise，需在人脸检测完成后才完成
+//   - fps: 输出帧率
+//   - bitrate: 视频码率 (bps)
+//   - onProgress({ frame, total, elapsed, remaining }): 每帧完成后调用，时间单位为秒
+//   - onFallback(reason): 无法使用 WebCodecs、退回 MediaRecorder 时调用，reason 为原因说明
+//   - signal: AbortSignal，用于取消
+// 返回：Promise<{ blob, extension, frames }>
+// 处理期间视频会被暂停，结束或取消后恢复原来的播放位置和状态
+export async function processVideoOffline({
+  video,
+  canvas,
+  renderFrame,
+  fps = 30,
+  bitrate = 8000000,
+  onProgress = () => {},
+  onFallback = () => {},
+  signal,
+}) {
+  if (!Number.isFinite(video.duration) || video.duration <= 0) {
+    throw new Error("离线处理只支持时长确定的视频文件");
+  }
+  if (signal && signal.aborted) throw abortError();
+
+  const duration = video.duration;
+  const total = Math.max(1, Math.floor(duration * fps));
+  const wasPaused = video.paused;
+  const originalTime = video.currentTime;
+  let output = null;
+  // 暂停之后的任何失败（包括创建编码器或 MediaRecorder）都要恢复原来的播放位置和状态
+  try {
+    video.pause();
+
+    const { width, height } = getEncodeSize(canvas);
+    const encoderConfig = await selectEncoderConfig(
+      width,
+      height,
+      fps,
+      bitrate
+    );
+    if (!encoderConfig) {
+      const reason =
+        typeof VideoEncoder === "undefined"
+          ? "当前浏览器不支持 WebCodecs"
+          : `WebCodecs 不支持 ${width}x${height} 的 VP9/VP8 编码`;
+      console.warn("离线处理退回 MediaRecorder:", reason);
+      onFallback(reason);
+    }
+    output = encoderConfig
+      ? await createWebCodecsOutput(canvas, encoderConfig, fps)
+      : await createMediaRecorderOutput(canvas, fps, bitrate);
+    const extension = encoderConfig
+      ? "webm"
+      : getSupportedRecordingFormats()[0].extension;
+    console.log(
+      "开始离线处理:",
+      total,
+      "帧 @",
+      fps,
+      "fps，编码方式:",
+      encoderConfig ? encoderConfig.config.codec : "MediaRecorder"
+    );
+
+    const startTime = performance.now();
+    for (let i = 0; i < total; i++) {
+      if (signal && signal.aborted) throw abortError();
+      await output.beforeFrame(i);
+      // 取帧区间的中点，避免落在两帧的边界上因取整误差拿到相邻帧
+      await seekTo(video, Math.min((i + 0.5) / fps, duration));
+      await renderFrame();
+      // 画布内容在浏览器合成后可能被清空，渲染完成后立即采集，中间不能再等待
+      output.addFrame(i);
+
+      const elapsed = (performance.now() - startTime) / 1000;
+      onProgress({
+        frame: i + 1,
+        total,
+        elapsed,
+        remaining: (elapsed / (i + 1)) * (total - i - 1),
+      });
+    }
+    const blob = await output.finish(total / fps);
+    console.log("离线处理完成，文件大小:", blob.size, "字节");
+    return { blob, extension, frames: total };
+  } catch (err) {
+    if (output) output.cancel();
+    throw err;
+  } finally {
+    // 恢复处理前的播放状态
+    await seekTo(video, originalTime).catch(() => {});
+    if (!wasPaused) video.play().catch(() => {});
+  }
+}
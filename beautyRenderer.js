@@ -0,0 +1,1128 @@
+/**
+ * 美颜渲染器（可嵌入的模块接口）
+ *
+ * 功能：
+ * - 把视频源经多通道美颜管线渲染到指定画布，不依赖页面上的任何 DOM 元素ID
+ * - 照片模式：源可以是图片、画布或 ImageBitmap（只做一次人脸检测和人像分割），
+ *   exportImage() 按原图分辨率渲染，超过设备尺寸上限时分块渲染后拼接
+ * - 优先使用 WebGL2，不支持时回退到 WebGL1；两者都不可用时构造函数抛出错误
+ * - WebGL 上下文丢失时暂停渲染，恢复后自动重建全部 GPU 资源并继续渲染
+ * - 人脸检测器可替换（见 faceDetector.js 中的检测器接口）
+ * - 多人脸跟踪、关键点防抖和外推、每张人脸单独的开关/强度
+ * - 头部姿态估计（偏航/俯仰/翻滚角），人脸区域随姿态旋转和缩放，贴纸随翻滚角旋转
+ * - 表情识别：眨眼、张嘴、微笑、挑眉、点头、摇头，每张人脸自动校准基线，以事件形式通知
+ * - 虚拟美妆：口红、腮红、眼影、眼线，按人脸关键点贴合，可选颜色和混合模式
+ * - 动态贴纸：静态图片或序列帧动画，锚定在人脸关键点上，跟随人脸移动、缩放和旋转
+ * - 背景虚化和背景替换（纯色、图片、视频），基于可替换的人像分割器（见 segmenter.js）
+ * - 3D LUT 调色，可作用于整个画面或仅人脸区域
+ * - 美颜前后对比：分屏（可拖动分割线）、左右并排、显示原图，直接渲染在画布上，录制时同样生效
+ * - start()/stop() 控制实时渲染循环，renderFrame() 可按需逐帧渲染（离线处理），setSource() 切换视频源
+ * - 性能统计：帧率、CPU/GPU 帧时间、人脸检测延迟、丢帧数，每秒以事件形式通知
+ * - 自适应画质（可选）：超出帧预算时降低磨皮分辨率、磨皮核半径和检测频率，有余量时恢复
+ * - destroy() 释放纹理、缓冲区、着色器程序和人脸检测器
+ * - 事件：facefound / facelost / facetrackschange / framerendered / contextlost / contextrestored /
+ *   expressionchange / gesture / performance
+ *
+ * 用法：
+ *   const renderer = new BeautyRenderer(canvas, video, {
+ *     faceDetector: createFaceMeshDetector(),
+ *   });
+ *   renderer.addEventListener("facefound", (event) => console.log(event.detail.id));
+ *   renderer.setParams({ smoothStrength: 0.8 });
+ *   renderer.start();
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  sharpenShaderSrc,
+  colorAdjustShaderSrc,
+  compareShaderSrc,
+} from "./shaders.js";
+import { createTexture, deleteTexture, restoreResources } from "./webgl.js";
+import { createPipeline, createShaderPass } from "./pipeline.js";
+import { createSmoothingPass } from "./smoothing.js";
+import {
+  createFaceMaskPass,
+  computeFaceEllipse,
+  MAX_FACES,
+} from "./faceMask.js";
+import { createFaceTracker } from "./faceTracker.js";
+import { estimateHeadPose } from "./headPose.js";
+import { createLandmarkStabilizer } from "./landmarkFilter.js";
+import { createExpressionDetector } from "./expressions.js";
+import { createLUTPass } from "./lut.js";
+import { createStickerPass } from "./stickers.js";
+import { createBackgroundPass, BACKGROUND_MODES } from "./background.js";
+import {
+  createMakeupPass,
+  MAKEUP_LAYERS,
+  getDefaultMakeupParams,
+} from "./makeup.js";
+import {
+  getDefaultParamValues,
+  getNeutralParamValues,
+  setParamUniforms,
+} from "./paramSchema.js";
+import {
+  createPerformanceMonitor,
+  createGpuTimer,
+} from "./performanceMonitor.js";
+import {
+  createAdaptiveQualityController,
+  QUALITY_LEVELS,
+} from "./adaptiveQuality.js";
+
+// 默认参数：开关和模式，加上 paramSchema.js 中全部数值参数的默认值
+export const DEFAULT_PARAMS = {
+  beautyEnabled: true, // 美颜开关
+  faceDetectionEnabled: true, // 人脸识别开关，关闭时美颜应用到整个画面
+  maskMode: "polygon", // 人脸遮罩模式："polygon" 轮廓遮罩，"ellipse" 椭圆遮罩
+  lutRegion: "frame", // LUT 调色范围："frame" 整个画面，"face" 仅人脸区域
+  compareMode: "off", // 前后对比："off" 关闭，"split" 分屏，"sideBySide" 并排，"original" 显示原图
+  compareSplit: 0.5, // 分屏时分割线的位置（屏幕空间，0-1，左侧为原图）
+  backgroundMode: "none", // 背景处理："none" 不处理，"blur" 虚化，"color" 纯色，"image" 图片/视频
+  backgroundColor: "#00b140", // 纯色背景的颜色
+  ...getDefaultMakeupParams(), // 美妆颜色和混合模式：<layer>Color、<layer>Blend
+  ...getDefaultParamValues(),
+};
+
+// 对比模式 -> 对比着色器的 u_mode
+const COMPARE_MODES = { split: 0, sideBySide: 1, original: 2 };
+
+// 关闭美颜时覆盖的滤镜参数：各通道都输出原始画面
+const NEUTRAL_PARAMS = getNeutralParamValues();
+
+// 表情识别器的选项，由参数中的阈值得到
+function getExpressionOptions(params) {
+  return {
+    blinkThreshold: params.blinkThreshold,
+    mouthOpenThreshold: params.mouthOpenThreshold,
+    smileThreshold: params.smileThreshold,
+    browRaiseThreshold: params.browRaiseThreshold,
+    headGestureAngle: params.headGestureAngle,
+    holdTime: params.expressionHoldTime,
+  };
+}
+
+// 分块导出时块之间的重叠宽度（原图像素），覆盖磨皮、遮罩羽化和背景虚化的采样范围，接缝处效果连续
+const TILE_MARGIN = 256;
+// 块的起点和尺寸取这个值的整数倍，各块的低分辨率中间结果与原图的像素网格对齐方式一致
+const TILE_ALIGNMENT = 8;
+
+// 完整画质：不做自适应时的实时渲染、离线处理和照片导出都使用最高一档
+const FULL_QUALITY = QUALITY_LEVELS[QUALITY_LEVELS.length - 1];
+
+// 整个画面（渲染范围，归一化坐标）
+const FULL_REGION = { x: 0, y: 0, width: 1, height: 1 };
+
+// 回放录制的关键点时，跳转后从当前时间之前多少秒的录制帧开始重新滤波（秒），
+// 足够让防抖滤波从初始状态收敛
+const REPLAY_WARMUP = 1;
+
+// 视频源的尺寸（视频、图片、画布、ImageBitmap）
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0,
+  };
+}
+
+// 是否为静态图片（图片、画布、ImageBitmap），静态图片只需要检测和分割一次
+function isStillImage(source) {
+  return typeof source.videoWidth !== "number";
+}
+
+// 视频源当前的时间（秒），静态图片始终为0
+function getSourceTime(source) {
+  return typeof source.currentTime === "number" ? source.currentTime : 0;
+}
+
+// 创建 2D 画布，优先使用 OffscreenCanvas
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// 把整个画面坐标系中的人脸换算到渲染范围 region 的坐标系（分块渲染）
+// 关键点 z 与 x 同尺度，一起换算；姿态与坐标系无关，保持不变
+function mapFaceToRegion(face, region) {
+  return {
+    ...face,
+    center: [
+      (face.center[0] - region.x) / region.width,
+      (face.center[1] - region.y) / region.height,
+    ],
+    radiusMajor: face.radiusMajor / region.width,
+    radiusMinor: face.radiusMinor / region.height,
+    landmarks:
+      face.landmarks &&
+      face.landmarks.map((point) => ({
+        ...point,
+        x: (point.x - region.x) / region.width,
+        y: (point.y - region.y) / region.height,
+        z: (point.z || 0) / region.width,
+      })),
+  };
+}
+
+// 人脸识别关闭时使用的整帧区域：足够大的椭圆覆盖整个画布
+const FULL_FRAME_FACE = {
+  id: 0,
+  center: [0.5, 0.5],
+  radiusMajor: 1.5,
+  radiusMinor: 1.5,
+  angle: 0,
+  pose: null,
+  landmarks: null,
+  strength: 1.0,
+};
+
+// 美颜渲染器
+// 构造参数：
+//   - canvas: 输出画布
+//   - source: 视频源（<video> 元素），也可以是静态图片（<img>、画布、ImageBitmap）
+//   - options.faceDetector: 人脸检测器，可稍后通过 setFaceDetector 设置
+//   - options.segmenter: 人像分割器（背景虚化/替换使用），可稍后通过 setSegmenter 设置
+//   - options.params: 初始参数，覆盖 DEFAULT_PARAMS 中的对应字段
+//   - options.detectionRate: 实时渲染时的人脸检测和人像分割频率（次/秒）
+//   - options.autoResize: 是否自动把画布尺寸设置为视频源尺寸
+//   - options.preferWebGL2: 是否优先使用 WebGL2（着色器按 WebGL1 编写，两种上下文效果一致）
+//   - options.adaptiveQuality: 实时渲染的自适应画质，true 或控制器选项（见 adaptiveQuality.js），
+//     默认不启用；也可以稍后通过 setAdaptiveQuality 设置
+// 事件（CustomEvent，数据在 event.detail 中）：
+//   - facefound { id }: 出现新的人脸
+//   - facelost { id }: 人脸丢失超过保留时长，被移除
+//   - facetrackschange { ids }: 当前跟踪的人脸列表变化
+//   - framerendered { time, faces }: 一帧渲染完成，time 为视频时间（秒）
+//     faces 中每张人脸带有 pose（头部姿态，见 headPose.js，无法估计时为 null）
+//     （faces 中的 landmarks 数组在下一帧会被复用，需要保存时请复制）
+//   - contextlost: WebGL 上下文丢失（如显卡驱动重置），渲染暂停
+//   - contextrestored: 上下文已恢复，GPU 资源已重建，渲染继续
+//   - expressionchange { id, expression, active }: 持续性表情开始/结束
+//     （expression 为 "mouthOpen"、"smile"、"browRaise"，见 expressions.js）
+//   - gesture { id, gesture }: 识别到瞬时动作（"blink"、"nod"、"shake"）
+//   - performance { fps, cpuTime, gpuTime, detectionLatency, droppedFrames, totalDroppedFrames, quality }:
+//     实时渲染时每秒一次的性能统计（见 performanceMonitor.js），quality 为 getQualityLevel() 的结果
+export class BeautyRenderer extends EventTarget {
+  #canvas;
+  #source;
+  #gl;
+  #contextType;
+  #contextLost = false;
+  #pipeline;
+  #smoothingPass;
+  // 磨皮通道创建时的处理分辨率，画质档位按比例调整
+  #smoothingScale;
+  #sourceTexture;
+  #lutPass;
+  #makeupPasses = [];
+  #stickerPass;
+  #backgroundPass;
+  #comparePass;
+  #faceDetector = null;
+  #segmenter = null;
+  #faceTracker;
+  #stabilizer;
+  #expressionDetector;
+  #params;
+  #autoResize;
+  #mirrored = false;
+  // 人脸ID -> { enabled, strength }
+  #faceSettings = new Map();
+  // 当前跟踪中的人脸：[{ id, landmarks, center, lastSeen }]
+  #trackedFaces = [];
+  // 人脸ID -> 最近一帧的头部姿态
+  #facePoses = new Map();
+  // 正在进行的检测（Promise），同一时间只进行一次检测，避免结果与时间错位
+  #pendingDetection = null;
+  #detectionInterval;
+  #lastDetectionTime = -Infinity;
+  // 回放检测器（提供 getFrames）已送入跟踪的最后一个视频时间
+  #lastReplayTime = -Infinity;
+  // 正在进行的人像分割（Promise），与人脸检测相互独立
+  #pendingSegmentation = null;
+  #lastSegmentationTime = -Infinity;
+  #frameId = null;
+  #destroyed = false;
+  #performanceMonitor;
+  #gpuTimer;
+  // 自适应画质控制器，未启用时为 null
+  #qualityController = null;
+
+  constructor(
+    canvas,
+    source,
+    {
+      faceDetector = null,
+      segmenter = null,
+      params = {},
+      detectionRate = 15,
+      autoResize = true,
+      preferWebGL2 = true,
+      adaptiveQuality = null,
+    } = {}
+  ) {
+    super();
+    this.#canvas = canvas;
+    this.#source = source;
+    this.#params = { ...DEFAULT_PARAMS, ...params };
+    this.#autoResize = autoResize;
+    this.#detectionInterval = 1000 / detectionRate;
+
+    // 优先使用 WebGL2，不支持时回退到标准 WebGL1 上下文，最后尝试实验版本
+    const contextTypes = preferWebGL2
+      ? ["webgl2", "webgl", "experimental-webgl"]
+      : ["webgl", "experimental-webgl"];
+    let gl = null;
+    for (const type of contextTypes) {
+      gl = canvas.getContext(type);
+      if (gl) {
+        this.#contextType = type === "webgl2" ? "webgl2" : "webgl";
+        break;
+      }
+    }
+    if (!gl) throw new Error("您的浏览器不支持WebGL");
+    this.#gl = gl;
+    canvas.addEventListener("webglcontextlost", this.#handleContextLost);
+    canvas.addEventListener(
+      "webglcontextrestored",
+      this.#handleContextRestored
+    );
+
+    // 多通道渲染管线：每个美颜效果是一个独立的通道，中间结果在离屏纹理之间传递
+    const pipeline = createPipeline(gl);
+    // 通道1：保边平滑（磨皮）- 在一半分辨率上执行可分离双边滤波
+    this.#smoothingPass = pipeline.addPass(
+      createSmoothingPass(gl, { name: "smooth", scale: 0.5 })
+    );
+    this.#smoothingScale = this.#smoothingPass.scale;
+    // 通道2：锐化
+    pipeline.addPass(
+      createShaderPass(gl, {
+        name: "sharpen",
+        fragmentShaderSrc: sharpenShaderSrc,
+        setUniforms(gl, u, frame) {
+          setParamUniforms(gl, u, frame.params, "sharpen");
+        },
+      })
+    );
+    // 通道3：颜色调整（亮度、对比度、饱和度、色调）
+    pipeline.addPass(
+      createShaderPass(gl, {
+        name: "colorAdjust",
+        fragmentShaderSrc: colorAdjustShaderSrc,
+        setUniforms(gl, u, frame) {
+          setParamUniforms(gl, u, frame.params, "colorAdjust");
+        },
+      })
+    );
+    // 通道4：人脸区域合成 - 按人脸遮罩混合处理结果与原始画面
+    pipeline.addPass(
+      createFaceMaskPass(gl, { name: "faceMask", maskScale: 0.25 })
+    );
+    // 通道5：虚拟美妆 - 每个图层一个通道，在人脸区域合成之后，妆容不会被遮罩挖去的五官区域抵消
+    // 不透明度为0的图层禁用
+    MAKEUP_LAYERS.forEach((layer) => {
+      this.#makeupPasses.push(
+        pipeline.addPass(createMakeupPass(gl, { layer: layer.id }))
+      );
+    });
+    // 通道6：背景虚化/替换 - 在美颜和美妆之后处理背景；贴纸在它之后绘制，超出人像轮廓的部分不会被背景覆盖
+    // 不处理背景时通道禁用
+    this.#backgroundPass = pipeline.addPass(
+      createBackgroundPass(gl, { name: "background" })
+    );
+    // 通道7：动态贴纸 - 叠加在美妆之上；没有贴纸时通道禁用
+    this.#stickerPass = pipeline.addPass(
+      createStickerPass(gl, { name: "stickers" })
+    );
+    this.#stickerPass.enabled = false;
+    // 通道8：3D LUT 调色 - 默认作用于整个画面，仅人脸时移到人脸区域合成之前
+    // 未设置 LUT 时通道禁用，不产生额外开销
+    this.#lutPass = pipeline.addPass(createLUTPass(gl, { name: "lut" }));
+    this.#lutPass.enabled = false;
+    // 通道9：美颜前后对比 - 始终是最后一个通道，关闭对比时禁用
+    this.#comparePass = pipeline.addPass(
+      createShaderPass(gl, {
+        name: "compare",
+        fragmentShaderSrc: compareShaderSrc,
+        enabled: false,
+        setUniforms(gl, u, frame) {
+          gl.uniform1f(u.u_mode, COMPARE_MODES[frame.params.compareMode]);
+          gl.uniform1f(u.u_split, frame.params.compareSplit);
+          gl.uniform1f(u.u_mirrored, frame.mirrored ? 1.0 : 0.0);
+        },
+      })
+    );
+    this.#pipeline = pipeline;
+    this.#applyCompareMode();
+    this.#applyMakeup();
+    this.#applyBackground();
+    this.#applyLUTRegion();
+
+    // 视频纹理：作为管线的源纹理
+    this.#sourceTexture = createTexture(gl);
+
+    // 多人脸跟踪：保留时长取淡出时长的上限，实际的淡出由稳定器按当前设置控制
+    this.#faceTracker = createFaceTracker({ keepAlive: 1.0 });
+    // 关键点稳定器：One Euro 滤波去抖，并在两次检测之间按视频时间外推
+    this.#stabilizer = createLandmarkStabilizer({
+      minCutoff: this.#params.landmarkMinCutoff,
+      beta: this.#params.landmarkBeta,
+      gracePeriod: this.#params.faceGracePeriod,
+    });
+    // 表情识别：基于每次检测的原始关键点（未经防抖平滑，眨眼等快速动作不会被滤掉）
+    this.#expressionDetector = createExpressionDetector(
+      getExpressionOptions(this.#params)
+    );
+
+    // 性能统计：CPU 时间在渲染循环中测量，GPU 时间由计时查询异步取得
+    this.#performanceMonitor = createPerformanceMonitor();
+    this.#gpuTimer = createGpuTimer(gl);
+
+    if (faceDetector) this.setFaceDetector(faceDetector);
+    if (segmenter) this.setSegmenter(segmenter);
+    if (adaptiveQuality) this.setAdaptiveQuality(adaptiveQuality);
+  }
+
+  // 渲染管线，可用于启用/禁用、调整顺序或插入自定义通道
+  get pipeline() {
+    return this.#pipeline;
+  }
+
+  // 实际使用的上下文类型："webgl2" 或 "webgl"
+  get contextType() {
+    return this.#contextType;
+  }
+
+  // WebGL 上下文当前是否处于丢失状态
+  get contextLost() {
+    return this.#contextLost;
+  }
+
+  // 实时渲染循环是否在运行
+  get running() {
+    return this.#frameId !== null;
+  }
+
+  // 设备是否支持 GPU 计时（不支持时性能统计中的 gpuTime 为 null）
+  get gpuTimerSupported() {
+    return this.#gpuTimer.supported;
+  }
+
+  // 当前的视频源
+  get source() {
+    return this.#source;
+  }
+
+  // 切换视频源：<video>、<img>、画布或 ImageBitmap，清空人脸跟踪状态和人像遮罩
+  // 静态图片在实时渲染时只做一次人脸检测和人像分割；
+  // 正在进行的检测和分割在完成后丢弃结果（属于原来的视频源）
+  setSource(source) {
+    if (this.#source === source) return;
+    this.#source = source;
+    this.#lastDetectionTime = -Infinity;
+    this.#lastSegmentationTime = -Infinity;
+    this.#resetTrackingState();
+    this.#backgroundPass.setMask(null);
+  }
+
+  // 最近一个统计周期的性能统计（见 performance 事件），还没有时为 null
+  getPerformanceStats() {
+    const stats = this.#performanceMonitor.getStats();
+    return stats && { ...stats, quality: this.getQualityLevel() };
+  }
+
+  // 启用或关闭实时渲染的自适应画质
+  // 参数：true 使用默认设置，或控制器选项（levels、minLevel、maxLevel、targetFrameTime 等，
+  // 见 adaptiveQuality.js）；null/false 关闭，恢复完整画质
+  // 离线处理（renderFrame）和照片导出（exportImage）始终使用完整画质
+  setAdaptiveQuality(options) {
+    this.#qualityController = options
+      ? createAdaptiveQualityController(options === true ? {} : options)
+      : null;
+  }
+
+  // 实时渲染当前的画质档位：{ index, count, adaptive, ...档位 }
+  getQualityLevel() {
+    const controller = this.#qualityController;
+    if (!controller) {
+      return {
+        index: QUALITY_LEVELS.length - 1,
+        count: QUALITY_LEVELS.length,
+        adaptive: false,
+        ...FULL_QUALITY,
+      };
+    }
+    return {
+      index: controller.getLevelIndex(),
+      count: controller.getLevelCount(),
+      adaptive: true,
+      ...controller.getLevel(),
+    };
+  }
+
+  // 更新参数，未提供的字段保持不变
+  setParams(params) {
+    const previousRegion = this.#params.lutRegion;
+    Object.assign(this.#params, params);
+    if (this.#params.lutRegion !== previousRegion) this.#applyLUTRegion();
+    this.#applyCompareMode();
+    this.#applyMakeup();
+    this.#applyBackground();
+    this.#stabilizer.setOptions({
+      minCutoff: this.#params.landmarkMinCutoff,
+      beta: this.#params.landmarkBeta,
+      gracePeriod: this.#params.faceGracePeriod,
+    });
+    this.#expressionDetector.setOptions(getExpressionOptions(this.#params));
+  }
+
+  // 返回当前参数的副本
+  getParams() {
+    return { ...this.#params };
+  }
+
+  // 设置单张人脸的开关和强度：{ enabled, strength }
+  setFaceSettings(id, settings) {
+    const current = this.getFaceSettings(id);
+    this.#faceSettings.set(id, { ...current, ...settings });
+  }
+
+  getFaceSettings(id) {
+    return this.#faceSettings.get(id) || { enabled: true, strength: 1.0 };
+  }
+
+  // 当前跟踪中的人脸ID
+  getFaceIds() {
+    return this.#trackedFaces.map((face) => face.id);
+  }
+
+  // 最近渲染的一帧中某张人脸的头部姿态：{ yaw, pitch, roll }（度），没有时返回 null
+  getFacePose(id) {
+    const pose = this.#facePoses.get(id);
+    if (!pose) return null;
+    return { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll };
+  }
+
+  // 某张人脸的表情识别状态（指标、基线、进行中的表情等，见 expressions.js），没有时返回 null
+  getExpressionState(id) {
+    return this.#expressionDetector.getState(id);
+  }
+
+  // 重新校准表情基线，省略 id 时重新校准全部人脸
+  recalibrateExpressions(id) {
+    this.#expressionDetector.recalibrate(id);
+  }
+
+  // 设置贴纸列表（见 stickers.js，image 需已加载），空数组或 null 表示不显示贴纸
+  setStickers(stickers) {
+    this.#stickerPass.setStickers(stickers);
+    this.#stickerPass.enabled = this.#stickerPass.getStickers().length > 0;
+  }
+
+  getStickers() {
+    return this.#stickerPass.getStickers();
+  }
+
+  // 设置调色用的 3D LUT（见 lut.js），null 表示不调色
+  // LUT 尺寸超过设备纹理上限时抛出错误，原来的 LUT 被清除
+  setLUT(lut) {
+    this.#lutPass.enabled = false;
+    this.#lutPass.setLUT(lut);
+    this.#lutPass.enabled = Boolean(lut);
+  }
+
+  getLUT() {
+    return this.#lutPass.getLUT();
+  }
+
+  // 输出到画布时是否水平镜像（摄像头自拍视角）
+  setMirrored(mirrored) {
+    this.#mirrored = Boolean(mirrored);
+  }
+
+  // 替换人脸检测器，旧的检测器会被关闭；传入 null 表示不做检测
+  setFaceDetector(detector) {
+    const previous = this.#faceDetector;
+    this.#faceDetector = detector;
+    this.#pendingDetection = null;
+    this.#lastDetectionTime = -Infinity;
+    this.#resetTrackingState();
+    if (previous && previous !== detector && previous.close) {
+      Promise.resolve(previous.close()).catch((err) => {
+        console.warn("关闭人脸检测器失败:", err);
+      });
+    }
+  }
+
+  // 设置人像分割器（见 segmenter.js），null 表示移除；替换时关闭原来的分割器
+  setSegmenter(segmenter) {
+    const previous = this.#segmenter;
+    this.#segmenter = segmenter;
+    this.#pendingSegmentation = null;
+    this.#lastSegmentationTime = -Infinity;
+    this.#backgroundPass.setMask(null);
+    if (previous && previous !== segmenter && previous.close) {
+      Promise.resolve(previous.close()).catch((err) => {
+        console.warn("关闭人像分割器失败:", err);
+      });
+    }
+  }
+
+  // 设置替换背景用的图片、视频或画布（backgroundMode 为 "image" 时使用），null 表示清除
+  // 视频需要由调用方播放，每帧渲染时上传当前画面
+  setBackgroundImage(source) {
+    this.#backgroundPass.setBackgroundImage(source);
+  }
+
+  getBackgroundImage() {
+    return this.#backgroundPass.getBackgroundImage();
+  }
+
+  // 启动实时渲染循环
+  start() {
+    if (this.#destroyed) throw new Error("渲染器已销毁");
+    if (this.#frameId !== null) return;
+    // 停止期间的间隔不计为丢帧
+    this.#performanceMonitor.reset();
+    const loop = (timestamp) => {
+      this.#frameId = requestAnimationFrame(loop);
+      this.#renderLive(timestamp);
+    };
+    this.#frameId = requestAnimationFrame(loop);
+  }
+
+  // 停止实时渲染循环（画布保留最后一帧）
+  stop() {
+    if (this.#frameId === null) return;
+    cancelAnimationFrame(this.#frameId);
+    this.#frameId = null;
+  }
+
+  // 渲染视频源的当前帧
+  // 参数：
+  //   - waitForDetection: 是否先对这一帧做人脸检测并等待结果，用于逐帧精确的离线处理
+  //     （静态图片用它做单次检测）
+  // 上下文丢失期间无法渲染，抛出错误（离线处理会因此中止，而不是输出空白帧）
+  async renderFrame({ waitForDetection = false } = {}) {
+    if (this.#destroyed) throw new Error("渲染器已销毁");
+    if (this.#contextLost) throw new Error("WebGL 上下文已丢失");
+    if (!this.#uploadFrame()) return;
+    if (waitForDetection && this.#params.faceDetectionEnabled) {
+      // 先等待正在进行的检测，再检测当前帧
+      if (this.#pendingDetection) await this.#pendingDetection;
+      if (this.#faceDetector && this.#faceDetector.getFrames) {
+        this.#replayDetections();
+      } else {
+        await this.#detect();
+      }
+    }
+    if (waitForDetection && this.#backgroundPass.enabled) {
+      if (this.#pendingSegmentation) await this.#pendingSegmentation;
+      await this.#segment();
+    }
+    this.#draw();
+  }
+
+  // 清空人脸跟踪状态和人像遮罩（例如离线处理开始前），会先等待正在进行的检测和分割完成
+  async resetTracking() {
+    if (this.#pendingDetection) await this.#pendingDetection;
+    if (this.#pendingSegmentation) await this.#pendingSegmentation;
+    this.#resetTrackingState();
+    this.#backgroundPass.setMask(null);
+  }
+
+  // 按原图分辨率渲染一张图片（照片模式导出），返回包含结果的 2D 画布（OffscreenCanvas 或 <canvas>）
+  // 参数：
+  //   - image: 原图（ImageBitmap、<img> 或画布）
+  //   - maxTileSize: 块的最大边长，默认取设备的纹理、渲染缓冲区和视口尺寸上限
+  //   - tileMargin: 块之间的重叠宽度（原图像素）
+  // 人脸、人像遮罩使用当前视频源的检测和分割结果：当前源应为同一张图片（通常是缩小的预览图），
+  // 坐标和遮罩都是归一化的，与原图对应。超过 maxTileSize 的图片分块渲染后拼接。
+  // 导出结果不镜像，不包含美颜前后对比；遮罩不做时间平滑。
+  // 以像素为单位的参数（磨皮半径、遮罩羽化等）按原图像素生效，原图比预览大时效果相对更细。
+  // 渲染期间暂停实时渲染循环，完成后恢复画布尺寸，重新渲染当前视频源并恢复循环
+  async exportImage(
+    image,
+    { maxTileSize = Infinity, tileMargin = TILE_MARGIN } = {}
+  ) {
+    if (this.#destroyed) throw new Error("渲染器已销毁");
+    if (this.#contextLost) throw new Error("WebGL 上下文已丢失");
+    const { width, height } = getSourceSize(image);
+    if (!width || !height) throw new Error("图片尚未加载");
+
+    const limit = Math.floor(Math.min(maxTileSize, this.#getMaxRenderSize()));
+    const singleTile = width <= limit && height <= limit;
+    const margin = singleTile
+      ? 0
+      : Math.min(
+          tileMargin,
+          Math.floor(limit / 4 / TILE_ALIGNMENT) * TILE_ALIGNMENT
+        );
+    const step =
+      Math.floor((limit - 2 * margin) / TILE_ALIGNMENT) * TILE_ALIGNMENT;
+    if (step <= 0) throw new Error(`块尺寸过小：${limit}`);
+
+    const output = createCanvas(width, height);
+    const context2d = output.getContext("2d");
+    const time = getSourceTime(this.#source);
+    const faces = this.#computeFaces(time, width, height);
+    const canvasWidth = this.#canvas.width;
+    const canvasHeight = this.#canvas.height;
+    const wasRunning = this.running;
+    this.stop();
+    this.#comparePass.enabled = false;
+    try {
+      for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+          const innerWidth = Math.min(step, width - x);
+          const innerHeight = Math.min(step, height - y);
+          const left = Math.max(0, x - margin);
+          const top = Math.max(0, y - margin);
+          const tileWidth = Math.min(width, x + innerWidth + margin) - left;
+          const tileHeight = Math.min(height, y + innerHeight + margin) - top;
+          const tile = singleTile
+            ? image
+            : await createImageBitmap(image, left, top, tileWidth, tileHeight);
+          if (this.#contextLost) throw new Error("WebGL 上下文已丢失");
+          const region = {
+            x: left / width,
+            y: top / height,
+            width: tileWidth / width,
+            height: tileHeight / height,
+          };
+          this.#canvas.width = tileWidth;
+          this.#canvas.height = tileHeight;
+          this.#uploadTexture(tile);
+          if (tile !== image) tile.close();
+          this.#renderPipeline(
+            faces.map((face) => mapFaceToRegion(face, region)),
+            {
+              width: tileWidth,
+              height: tileHeight,
+              time,
+              region,
+              mirrored: false,
+              paramOverrides: { segmentationSmoothing: 0 },
+            }
+          );
+          // 画布内容在本次任务结束前有效，立即复制块的有效部分
+          context2d.drawImage(
+            this.#canvas,
+            x - left,
+            y - top,
+            innerWidth,
+            innerHeight,
+            x,
+            y,
+            innerWidth,
+            innerHeight
+          );
+        }
+      }
+    } finally {
+      this.#applyCompareMode();
+      this.#canvas.width = canvasWidth;
+      this.#canvas.height = canvasHeight;
+      if (!this.#destroyed) {
+        if (this.#uploadFrame()) this.#draw();
+        if (wasRunning) this.start();
+      }
+    }
+    return output;
+  }
+
+  // 释放全部 GPU 资源和人脸检测器，之后不能再使用
+  destroy() {
+    if (this.#destroyed) return;
+    this.stop();
+    this.setFaceDetector(null);
+    this.setSegmenter(null);
+    this.#pipeline.destroy();
+    this.#gpuTimer.destroy();
+    deleteTexture(this.#gl, this.#sourceTexture);
+    this.#canvas.removeEventListener(
+      "webglcontextlost",
+      this.#handleContextLost
+    );
+    this.#canvas.removeEventListener(
+      "webglcontextrestored",
+      this.#handleContextRestored
+    );
+    this.#faceSettings.clear();
+    this.#destroyed = true;
+  }
+
+  // 按调色范围调整 LUT 通道的位置：
+  // 仅人脸时放在人脸区域合成之前，随其他效果一起按遮罩混合；
+  // 整个画面时放在对比通道之前（没有对比通道时放在最后）
+  #applyLUTRegion() {
+    const names = this.#pipeline
+      .getPassNames()
+      .filter((name) => name !== this.#lutPass.name);
+    const faceMaskIndex = names.indexOf("faceMask");
+    const compareIndex = names.indexOf(this.#comparePass.name);
+    let index = compareIndex !== -1 ? compareIndex : names.length;
+    if (this.#params.lutRegion === "face" && faceMaskIndex !== -1) {
+      index = faceMaskIndex;
+    }
+    this.#pipeline.movePass(this.#lutPass.name, index);
+  }
+
+  // 不透明度为0的美妆图层不参与渲染
+  #applyMakeup() {
+    this.#makeupPasses.forEach((pass) => {
+      pass.enabled = this.#params[`${pass.name}Opacity`] > 0;
+    });
+  }
+
+  // 选择了背景模式时启用背景通道，未知的模式视为不处理
+  #applyBackground() {
+    this.#backgroundPass.enabled = Object.keys(BACKGROUND_MODES).includes(
+      this.#params.backgroundMode
+    );
+  }
+
+  // 按对比模式启用/禁用对比通道，未知的模式视为关闭
+  #applyCompareMode() {
+    this.#comparePass.enabled = Object.keys(COMPARE_MODES).includes(
+      this.#params.compareMode
+    );
+  }
+
+  // 上下文丢失：阻止默认行为，浏览器才会在之后尝试恢复上下文
+  // 渲染循环保持运行，丢失期间每帧直接跳过
+  #handleContextLost = (event) => {
+    event.preventDefault();
+    this.#contextLost = true;
+    console.warn("WebGL 上下文丢失，等待恢复");
+    this.#emit("contextlost", {});
+  };
+
+  // 上下文恢复：原地重建全部程序、缓冲区、纹理和渲染目标，再由通道重新上传纹理数据
+  #handleContextRestored = () => {
+    restoreResources(this.#gl);
+    this.#pipeline.restore();
+    this.#gpuTimer.restore();
+    this.#contextLost = false;
+    console.log("WebGL 上下文已恢复");
+    this.#emit("contextrestored", {});
+  };
+
+  #resetTrackingState() {
+    this.#lastReplayTime = -Infinity;
+    this.#faceTracker.reset();
+    this.#stabilizer.reset();
+    this.#expressionDetector.reset();
+    this.#facePoses.clear();
+    this.#updateTracks([]);
+  }
+
+  // 实时渲染一帧并统计性能；每个统计周期结束时按统计结果调整画质并派发 performance 事件
+  #renderLive(timestamp) {
+    const stats = this.#performanceMonitor.update(timestamp);
+    if (stats) {
+      if (this.#qualityController) this.#qualityController.update(stats);
+      this.#emit("performance", { ...stats, quality: this.getQualityLevel() });
+    }
+    if (this.#contextLost) return;
+    const startTime = performance.now();
+    this.#gpuTimer.begin();
+    const rendered = this.#renderLiveFrame(timestamp);
+    this.#gpuTimer.end(!rendered);
+    if (rendered) {
+      this.#performanceMonitor.frame(timestamp, performance.now() - startTime);
+    }
+    this.#gpuTimer
+      .poll()
+      .forEach((time) => this.#performanceMonitor.addGpuTime(time));
+  }
+
+  // 按当前画质档位的频率发起检测（不等待结果），每帧都渲染，返回是否渲染了画面
+  // 人脸识别关闭时也继续检测，重新开启时跟踪结果立即可用
+  // 静态图片只检测和分割一次：把上次的时间记为无穷大，切换源或检测器/分割器时重置
+  #renderLiveFrame(timestamp) {
+    if (!this.#uploadFrame()) return false;
+    const quality = this.getQualityLevel();
+    const interval = this.#detectionInterval / quality.detectionRateScale;
+    const still = isStillImage(this.#source);
+    const detector = this.#faceDetector;
+    if (detector && detector.getFrames && !still) {
+      this.#replayDetections();
+    } else if (
+      !this.#pendingDetection &&
+      timestamp - this.#lastDetectionTime > interval
+    ) {
+      this.#detect();
+      this.#lastDetectionTime = still ? Infinity : timestamp;
+    }
+    // 只在需要处理背景时做人像分割
+    if (
+      this.#backgroundPass.enabled &&
+      !this.#pendingSegmentation &&
+      timestamp - this.#lastSegmentationTime > interval
+    ) {
+      this.#segment();
+      this.#lastSegmentationTime = still ? Infinity : timestamp;
+    }
+    this.#draw(quality);
+    return true;
+  }
+
+  // 上传当前视频帧到纹理，视频数据不足（图片尚未加载）或上下文丢失时返回 false
+  #uploadFrame() {
+    const source = this.#source;
+    if (this.#contextLost) return false;
+    const { width, height } = getSourceSize(source);
+    if (isStillImage(source) ? !width : source.readyState < 2) return false;
+    if (
+      this.#autoResize &&
+      width &&
+      (this.#canvas.width !== width || this.#canvas.height !== height)
+    ) {
+      this.#canvas.width = width;
+      this.#canvas.height = height;
+    }
+    this.#uploadTexture(source);
+    return true;
+  }
+
+  #uploadTexture(source) {
+    const gl = this.#gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.#sourceTexture.handle);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  // 一次可以渲染的最大边长：纹理、渲染缓冲区和视口尺寸上限中的最小值
+  #getMaxRenderSize() {
+    const gl = this.#gl;
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(
+      gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      viewport[0],
+      viewport[1]
+    );
+  }
+
+  // 对当前视频帧做一次人脸检测，结果以发起检测时的视频时间为准
+  #detect() {
+    const detector = this.#faceDetector;
+    if (!detector) return Promise.resolve();
+    if (detector.setOptions) {
+      detector.setOptions({ maxNumFaces: this.#params.maxFaces });
+    }
+    const source = this.#source;
+    const time = getSourceTime(source);
+    const startTime = performance.now();
+    const detection = Promise.resolve(detector.detect(source, time))
+      .then((multiFaceLandmarks) => {
+        this.#performanceMonitor.addDetectionLatency(
+          performance.now() - startTime
+        );
+        // 检测期间检测器或视频源被替换、渲染器被销毁时丢弃结果
+        if (
+          this.#faceDetector !== detector ||
+          this.#source !== source ||
+          this.#destroyed
+        ) {
+          return;
+        }
+        this.#applyDetection(multiFaceLandmarks, time);
+      })
+      .catch((err) => {
+        console.warn("人脸检测失败:", err);
+      })
+      .finally(() => {
+        if (this.#pendingDetection === detection) this.#pendingDetection = null;
+      });
+    this.#pendingDetection = detection;
+    return detection;
+  }
+
+  // 回放检测器：同步取出上次之后播放经过的全部录制帧，按录制时间依次送入跟踪和防抖
+  // 滤波收到的样本序列只取决于视频时间，与渲染时机和检测频率无关，同一段视频每次得到相同的效果。
+  // 视频往回跳转（包括循环播放）或向前跳过较长时间时清空跟踪状态，
+  // 从当前时间之前 REPLAY_WARMUP 秒的录制帧开始重新滤波
+  #replayDetections() {
+    const detector = this.#faceDetector;
+    if (detector.setOptions) {
+      detector.setOptions({ maxNumFaces: this.#params.maxFaces });
+    }
+    const time = getSourceTime(this.#source);
+    let startTime = this.#lastReplayTime;
+    if (time < startTime || time - startTime > REPLAY_WARMUP) {
+      this.#resetTrackingState();
+      startTime = time - REPLAY_WARMUP;
+    }
+    detector
+      .getFrames(startTime, time)
+      .forEach((frame) => this.#applyDetection(frame.faces, frame.time));
+    this.#lastReplayTime = time;
+  }
+
+  // 把视频时间 time 的一次检测结果送入人脸跟踪、防抖和表情识别
+  #applyDetection(multiFaceLandmarks, time) {
+    const tracks = this.#faceTracker.update(multiFaceLandmarks, time);
+    this.#stabilizer.update(tracks, time);
+    const expressionEvents = this.#expressionDetector.update(
+      tracks,
+      time,
+      this.#canvas.width,
+      this.#canvas.height
+    );
+    this.#updateTracks(tracks);
+    expressionEvents.forEach(({ type, detail }) => this.#emit(type, detail));
+  }
+
+  // 对当前视频帧做一次人像分割，结果上传到背景通道
+  #segment() {
+    const segmenter = this.#segmenter;
+    if (!segmenter) return Promise.resolve();
+    const source = this.#source;
+    const segmentation = Promise.resolve(segmenter.segment(source))
+      .then((mask) => {
+        // 分割期间分割器或视频源被替换、渲染器被销毁或上下文丢失时丢弃结果
+        if (
+          this.#segmenter !== segmenter ||
+          this.#source !== source ||
+          this.#destroyed ||
+          this.#contextLost
+        ) {
+          return;
+        }
+        this.#backgroundPass.setMask(mask);
+      })
+      .catch((err) => {
+        console.warn("人像分割失败:", err);
+      })
+      .finally(() => {
+        if (this.#pendingSegmentation === segmentation) {
+          this.#pendingSegmentation = null;
+        }
+      });
+    this.#pendingSegmentation = segmentation;
+    return segmentation;
+  }
+
+  // 更新跟踪中的人脸列表，人脸出现或消失时派发事件
+  #updateTracks(tracks) {
+    const previousIds = this.getFaceIds();
+    this.#trackedFaces = tracks;
+    const ids = this.getFaceIds();
+    if (ids.join(",") === previousIds.join(",")) return;
+    ids
+      .filter((id) => !previousIds.includes(id))
+      .forEach((id) => this.#emit("facefound", { id }));
+    previousIds
+      .filter((id) => !ids.includes(id))
+      .forEach((id) => {
+        this.#faceSettings.delete(id);
+        this.#emit("facelost", { id });
+      });
+    this.#emit("facetrackschange", { ids });
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // 按视频时间 time 的人脸状态计算每张人脸的美颜区域（width/height 为画面像素尺寸）
+  // 轮廓遮罩直接使用关键点；椭圆参数在两种模式下都计算，作为备用
+  #computeFaces(time, width, height) {
+    if (!this.#params.faceDetectionEnabled) {
+      // 人脸识别关闭：将美颜应用到整个画布
+      return [FULL_FRAME_FACE];
+    }
+    // 使用防抖并外推到当前视频时间的关键点控制美颜范围
+    // 没检测到人脸时列表为空，局部处理自然关闭；
+    // 短暂丢失的人脸在宽限期内按可见度逐渐淡出
+    return this.#stabilizer
+      .sample(time)
+      .map((stabilized) => {
+        const settings = this.getFaceSettings(stabilized.id);
+        const strength = settings.enabled ? settings.strength : 0.0;
+        const pose = estimateHeadPose(stabilized.landmarks, width, height);
+        return {
+          id: stabilized.id,
+          landmarks: stabilized.landmarks,
+          visibility: stabilized.visibility,
+          strength: strength * stabilized.visibility,
+          pose,
+          ...computeFaceEllipse(stabilized.landmarks, width, height, pose),
+        };
+      })
+      .slice(0, MAX_FACES);
+  }
+
+  // 执行多通道渲染管线，最后一个通道输出到画布
+  // 参数：region 为本次渲染覆盖的画面范围（分块导出），quality 为画质档位，
+  // paramOverrides 覆盖本次渲染的参数
+  #renderPipeline(
+    faces,
+    {
+      width,
+      height,
+      time,
+      mirrored,
+      region = FULL_REGION,
+      quality = FULL_QUALITY,
+      paramOverrides = null,
+    }
+  ) {
+    const params = this.#params;
+    // 关闭美颜时使用中性参数，各通道输出原始画面
+    const frameParams = {
+      ...params,
+      ...(params.beautyEnabled ? null : NEUTRAL_PARAMS),
+      ...paramOverrides,
+    };
+    // 画质档位：降低磨皮的处理分辨率，限制磨皮核半径
+    this.#smoothingPass.scale = this.#smoothingScale * quality.resolutionScale;
+    frameParams.smoothRadius = Math.min(
+      frameParams.smoothRadius,
+      quality.maxSmoothRadius
+    );
+    // 自拍视角只在输出时镜像，人脸坐标仍与原始视频一致
+    this.#pipeline.setMirrored(mirrored);
+    this.#pipeline.render(this.#sourceTexture, {
+      width,
+      height,
+      params: frameParams,
+      faceMode: params.faceDetectionEnabled ? params.maskMode : "ellipse",
+      faces,
+      time,
+      mirrored,
+      region,
+    });
+  }
+
+  // 按当前视频时间的人脸状态和参数，把已上传的视频帧渲染到画布
+  #draw(quality = FULL_QUALITY) {
+    const time = getSourceTime(this.#source);
+    const { width, height } = this.#canvas;
+    const faces = this.#computeFaces(time, width, height);
+
+    this.#facePoses.clear();
+    faces.forEach((face) => {
+      if (face.pose) this.#facePoses.set(face.id, face.pose);
+    });
+
+    this.#renderPipeline(faces, {
+      width,
+      height,
+      time,
+      mirrored: this.#mirrored,
+      quality,
+    });
+
+    this.#emit("framerendered", { time, faces });
+  }
+}
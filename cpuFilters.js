@@ -0,0 +1,325 @@
+/**
+ * 美颜滤镜的 CPU 参考实现
+ *
+ * 功能：
+ * - 用纯 JavaScript 逐像素实现各通道着色器的计算（保边平滑、锐化、颜色调整、椭圆人脸区域合成），
+ *   不依赖 DOM 和 WebGL，可在浏览器和 Node 中运行
+ * - 按 GPU 的方式采样：纹理坐标以像素中心为准，线性过滤，边缘钳制；
+ *   每次绘制到中间纹理后量化为 8 位，与渲染目标（RGBA/UNSIGNED_BYTE）一致
+ * - 比较两张图像，统计超出容差的像素并生成差异图，用于核对着色器修改是否改变了输出
+ *
+ * 图像格式：与 ImageData 相同的 { width, height, data }，data 为 RGBA 的 Uint8ClampedArray，
+ * 可以直接使用 canvas 的 getImageData() 结果
+ *
+ * 与着色器的对应关系：
+ *   - smoothFilter: smoothing.js（bilateralShaderSrc、smoothBlendShaderSrc）
+ *   - sharpenFilter: sharpenShaderSrc
+ *   - colorAdjustFilter: colorAdjustShaderSrc（rgb2hsv、hsv2rgb）
+ *   - faceEllipseComposite: faceMaskShaderSrc 的椭圆遮罩模式（轮廓遮罩依赖 2D 画布光栅化，不在此实现）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 创建空白图像
+export function createImageBuffer(width, height) {
+  return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+// GLSL 的 mod：结果与除数同号
+function mod(x, y) {
+  return x - y * Math.floor(x / y);
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// GLSL 的 smoothstep
+function smoothstep(edge0, edge1, x) {
+  const t = clamp01((x - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
+
+// RGB 转 HSV，与着色器中的 rgb2hsv 一致：h 为 0-360 度，s、v 为 0-1
+export function rgbToHsv(r, g, b) {
+  const cMax = Math.max(r, g, b);
+  const cMin = Math.min(r, g, b);
+  const delta = cMax - cMin;
+  let h = 0;
+  if (delta === 0) h = 0;
+  else if (cMax === r) h = mod(60 * ((g - b) / delta) + 360, 360);
+  else if (cMax === g) h = mod(60 * ((b - r) / delta) + 120, 360);
+  else h = mod(60 * ((r - g) / delta) + 240, 360);
+  const s = cMax === 0 ? 0 : delta / cMax;
+  return [h, s, cMax];
+}
+
+// HSV 转 RGB，与着色器中的 hsv2rgb 一致
+export function hsvToRgb(h, s, v) {
+  const c = v * s;
+  const x = c * (1 - Math.abs(mod(h / 60, 2) - 1));
+  const m = v - c;
+  let rgb;
+  if (h < 60) rgb = [c, x, 0];
+  else if (h < 120) rgb = [x, c, 0];
+  else if (h < 180) rgb = [0, c, x];
+  else if (h < 240) rgb = [0, x, c];
+  else if (h < 300) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  return [rgb[0] + m, rgb[1] + m, rgb[2] + m];
+}
+
+// 读取像素（0-1 浮点），坐标超出范围时钳制到边缘
+function readTexel(image, x, y, out) {
+  const px = Math.min(image.width - 1, Math.max(0, x));
+  const py = Math.min(image.height - 1, Math.max(0, y));
+  const i = (py * image.width + px) * 4;
+  out[0] = image.data[i] / 255;
+  out[1] = image.data[i + 1] / 255;
+  out[2] = image.data[i + 2] / 255;
+  out[3] = image.data[i + 3] / 255;
+  return out;
+}
+
+// 按纹理坐标线性过滤采样（与 texture2D + LINEAR + CLAMP_TO_EDGE 一致）
+const texelA = [0, 0, 0, 0];
+const texelB = [0, 0, 0, 0];
+const texelC = [0, 0, 0, 0];
+const texelD = [0, 0, 0, 0];
+export function sampleBilinear(image, u, v, out = [0, 0, 0, 0]) {
+  const x = u * image.width - 0.5;
+  const y = v * image.height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  readTexel(image, x0, y0, texelA);
+  readTexel(image, x0 + 1, y0, texelB);
+  readTexel(image, x0, y0 + 1, texelC);
+  readTexel(image, x0 + 1, y0 + 1, texelD);
+  for (let c = 0; c < 4; c++) {
+    const top = texelA[c] + (texelB[c] - texelA[c]) * fx;
+    const bottom = texelC[c] + (texelD[c] - texelC[c]) * fx;
+    out[c] = top + (bottom - top) * fy;
+  }
+  return out;
+}
+
+// 对输出图像的每个像素调用 shade(u, v, x, y, color)，color 为 0-1 的 RGBA，结果量化为 8 位
+function renderImage(width, height, shade) {
+  const output = createImageBuffer(width, height);
+  const color = [0, 0, 0, 0];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      shade((x + 0.5) / width, (y + 0.5) / height, x, y, color);
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        output.data[i + c] = Math.round(clamp01(color[c]) * 255);
+      }
+    }
+  }
+  return output;
+}
+
+// 缩放图像（直通着色器绘制到不同尺寸的渲染目标）
+export function resizeImage(image, width, height) {
+  return renderImage(width, height, (u, v, x, y, color) => {
+    sampleBilinear(image, u, v, color);
+  });
+}
+
+// 一维双边滤波（bilateralShaderSrc），dx/dy 为采样方向的像素步长
+function bilateral(image, dx, dy, radius, rangeSigma) {
+  const maxRadius = 8;
+  const spatialSigma = Math.max(radius * 0.5, 0.5);
+  const spatialDenom = 2 * spatialSigma * spatialSigma;
+  const rangeDenom = 2 * rangeSigma * rangeSigma;
+  const center = [0, 0, 0, 0];
+  const sample = [0, 0, 0, 0];
+  return renderImage(image.width, image.height, (u, v, x, y, color) => {
+    readTexel(image, x, y, center);
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let weightSum = 0;
+    for (let i = -maxRadius; i <= maxRadius; i++) {
+      if (Math.abs(i) > radius) continue;
+      readTexel(image, x + dx * i, y + dy * i, sample);
+      const dr = sample[0] - center[0];
+      const dg = sample[1] - center[1];
+      const db = sample[2] - center[2];
+      const weight = Math.exp(
+        -(i * i) / spatialDenom - (dr * dr + dg * dg + db * db) / rangeDenom
+      );
+      r += sample[0] * weight;
+      g += sample[1] * weight;
+      b += sample[2] * weight;
+      weightSum += weight;
+    }
+    color[0] = r / weightSum;
+    color[1] = g / weightSum;
+    color[2] = b / weightSum;
+    color[3] = center[3];
+  });
+}
+
+// 保边平滑（磨皮），与 smoothing.js 的四次绘制一致
+// 参数：params 中的 smoothStrength、smoothRadius、smoothRangeSigma；scale 为滤波分辨率比例
+export function smoothFilter(image, params, scale = 0.5) {
+  const { smoothStrength, smoothRadius, smoothRangeSigma } = params;
+  if (smoothStrength <= 0) return resizeImage(image, image.width, image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const down = resizeImage(image, width, height);
+  const horizontal = bilateral(down, 1, 0, smoothRadius, smoothRangeSigma);
+  const vertical = bilateral(horizontal, 0, 1, smoothRadius, smoothRangeSigma);
+  const smoothed = [0, 0, 0, 0];
+  return renderImage(image.width, image.height, (u, v, x, y, color) => {
+    readTexel(image, x, y, color);
+    sampleBilinear(vertical, u, v, smoothed);
+    for (let c = 0; c < 3; c++) {
+      color[c] += (smoothed[c] - color[c]) * smoothStrength;
+    }
+  });
+}
+
+// 锐化（sharpenShaderSrc）：间隔 2 像素的十字拉普拉斯算子，与原图按强度混合（含 alpha 通道）
+export function sharpenFilter(image, params) {
+  const { sharpness } = params;
+  const neighbor = [0, 0, 0, 0];
+  return renderImage(image.width, image.height, (u, v, x, y, color) => {
+    readTexel(image, x, y, color);
+    const result = color.map((value) => value * 5);
+    [
+      [0, -2],
+      [-2, 0],
+      [2, 0],
+      [0, 2],
+    ].forEach(([ox, oy]) => {
+      readTexel(image, x + ox, y + oy, neighbor);
+      for (let c = 0; c < 4; c++) result[c] -= neighbor[c];
+    });
+    for (let c = 0; c < 4; c++) {
+      color[c] += (result[c] - color[c]) * sharpness;
+    }
+  });
+}
+
+// 颜色调整（colorAdjustShaderSrc）：亮度、对比度、饱和度、色调
+export function colorAdjustFilter(image, params) {
+  const { brightness, contrast, saturation, hue } = params;
+  return renderImage(image.width, image.height, (u, v, x, y, color) => {
+    readTexel(image, x, y, color);
+    const rgb = [0, 1, 2].map((c) =>
+      clamp01((color[c] + brightness - 0.5) * contrast + 0.5)
+    );
+    const [h, s, value] = rgbToHsv(rgb[0], rgb[1], rgb[2]);
+    const adjusted = hsvToRgb(
+      mod(h + hue, 360),
+      clamp01(s * saturation),
+      value
+    );
+    color[0] = adjusted[0];
+    color[1] = adjusted[1];
+    color[2] = adjusted[2];
+  });
+}
+
+// 椭圆人脸区域合成（faceMaskShaderSrc 的椭圆模式）：遮罩内取处理结果，遮罩外取原图
+// 参数：
+//   - processed: 前面各通道的处理结果
+//   - original: 原始画面（与 processed 尺寸相同）
+//   - faces: [{ center, radiusMajor, radiusMinor, angle, strength }]，见 computeFaceEllipse
+//   - params 中的 effectStrength、maskFeather
+export function faceEllipseComposite(processed, original, faces, params) {
+  const { width, height } = processed;
+  const { effectStrength, maskFeather } = params;
+  const ellipses = faces.map((face) => ({
+    ...face,
+    feather: Math.min(maskFeather / Math.max(face.radiusMinor * height, 1), 1),
+  }));
+  const base = [0, 0, 0, 0];
+  return renderImage(width, height, (u, v, x, y, color) => {
+    let mask = 0;
+    ellipses.forEach((face) => {
+      const offsetX = (u - face.center[0]) * width;
+      const offsetY = (v - face.center[1]) * height;
+      const c = Math.cos(face.angle || 0);
+      const s = Math.sin(face.angle || 0);
+      const localX = (c * offsetX + s * offsetY) / (face.radiusMajor * width);
+      const localY = (-s * offsetX + c * offsetY) / (face.radiusMinor * height);
+      const distance = Math.hypot(localX, localY);
+      const faceMask =
+        1 - smoothstep(1 - Math.max(face.feather, 0.0001), 1, distance);
+      mask = Math.max(mask, faceMask * face.strength);
+    });
+    const amount = clamp01(mask * effectStrength);
+    readTexel(original, x, y, base);
+    readTexel(processed, x, y, color);
+    for (let c = 0; c < 4; c++) {
+      color[c] = base[c] + (color[c] - base[c]) * amount;
+    }
+  });
+}
+
+// 按渲染器的通道顺序依次执行平滑、锐化、颜色调整和椭圆人脸区域合成
+// 参数：
+//   - image: 输入画面
+//   - params: 渲染器参数（见 paramSchema.js）
+//   - faces: 人脸椭圆列表；省略时整个画面都应用效果（与渲染器未检测到人脸时相同）
+export function runReferencePipeline(image, params, faces = null) {
+  const smoothed = smoothFilter(image, params);
+  const sharpened = sharpenFilter(smoothed, params);
+  const adjusted = colorAdjustFilter(sharpened, params);
+  const regions = faces || [
+    {
+      center: [0.5, 0.5],
+      radiusMajor: 1.5,
+      radiusMinor: 1.5,
+      angle: 0,
+      strength: 1,
+    },
+  ];
+  return faceEllipseComposite(adjusted, image, regions, params);
+}
+
+// 比较两张图像
+// 参数：
+//   - tolerance: 每个通道允许的最大差值（0-255），GPU 的 mediump 精度和驱动差异会带来 1-2 的误差
+// 返回：{ maxDifference, mismatchedPixels, diff }
+//   - diff: 差异图，超出容差的像素为红色（越亮差异越大），其余为变暗的期望图像
+export function compareImages(actual, expected, { tolerance = 2 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    throw new Error(
+      `图像尺寸不一致：${actual.width}x${actual.height} 与 ${expected.width}x${expected.height}`
+    );
+  }
+  const diff = createImageBuffer(expected.width, expected.height);
+  let maxDifference = 0;
+  let mismatchedPixels = 0;
+  for (let i = 0; i < expected.data.length; i += 4) {
+    let difference = 0;
+    for (let c = 0; c < 4; c++) {
+      difference = Math.max(
+        difference,
+        Math.abs(actual.data[i + c] - expected.data[i + c])
+      );
+    }
+    maxDifference = Math.max(maxDifference, difference);
+    if (difference > tolerance) {
+      mismatchedPixels++;
+      diff.data[i] = 128 + Math.min(127, difference * 4);
+      diff.data[i + 1] = 0;
+      diff.data[i + 2] = 0;
+    } else {
+      const gray =
+        0.299 * expected.data[i] +
+        0.587 * expected.data[i + 1] +
+        0.114 * expected.data[i + 2];
+      diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = gray * 0.3;
+    }
+    diff.data[i + 3] = 255;
+  }
+  return { maxDifference, mismatchedPixels, diff };
+}
@@ -0,0 +1,400 @@
+/**
+ * 表情与头部动作识别
+ *
+ * 功能：
+ * - 由人脸关键点计算表情指标：眼睛开合度（眼睛纵横比 EAR）、张嘴程度、嘴角宽度（微笑）、眉毛高度
+ * - 每张人脸单独校准：出现后的一段时间内取各指标的中位数作为自然表情基线，之后在没有表情时缓慢跟随，
+ *   阈值相对于基线设置，不同人脸型、距离镜头远近都能使用同一组阈值
+ * - 持续性表情（张嘴、微笑、挑眉）带迟滞和最短保持时长去抖，开始和结束时各产生一次事件
+ * - 瞬时动作：眨眼（短暂闭眼后睁开）、点头、摇头（头部姿态在短时间内来回摆动）
+ * - 视频时间倒退（循环播放、拖动）时清空状态重新校准
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { estimateHeadPose } from "./headPose.js";
+
+// 持续性表情，开始和结束时各派发一次 expressionchange 事件
+export const EXPRESSION_NAMES = ["mouthOpen", "smile", "browRaise"];
+// 瞬时动作，识别到时派发一次 gesture 事件
+export const GESTURE_NAMES = ["blink", "nod", "shake"];
+
+// 眼睛关键点：[外角, 内角, 上眼睑1, 上眼睑2, 下眼睑1, 下眼睑2]（上下眼睑按列对应）
+const EYE_POINTS = [
+  [33, 133, 160, 158, 144, 153], // 画面左侧的眼睛
+  [263, 362, 387, 385, 373, 380], // 画面右侧的眼睛
+];
+// 眉毛中部与对应眼睛的外角、内角：眉毛高度以两个眼角的中点为参考，
+// 眼角不随眨眼移动（上眼睑会随眨眼下移，不能作为参考）
+const BROW_POINTS = [
+  [105, 33, 133],
+  [334, 263, 362],
+];
+// 嘴唇：内唇上下中点、内唇左右角、外唇左右嘴角
+const INNER_LIP_TOP = 13;
+const INNER_LIP_BOTTOM = 14;
+const INNER_LIP_LEFT = 78;
+const INNER_LIP_RIGHT = 308;
+const MOUTH_LEFT = 61;
+const MOUTH_RIGHT = 291;
+// 人脸尺度参考：两眼外角（水平）、额头和下巴（竖直）
+const EYE_OUTER_LEFT = 33;
+const EYE_OUTER_RIGHT = 263;
+const FOREHEAD = 10;
+const CHIN = 152;
+
+// 眨眼：闭眼持续时间不超过该值（秒）才算眨眼，更长的闭眼不产生事件
+const MAX_BLINK_DURATION = 0.5;
+// 点头/摇头：摆动需要在该时间窗口（秒）内完成，识别后间隔一段时间才能再次识别
+const HEAD_GESTURE_WINDOW = 1.2;
+const HEAD_GESTURE_COOLDOWN = 0.6;
+// 持续性表情的迟滞：指标回落到阈值的该比例以下才结束
+const RELEASE_RATIO = 0.6;
+
+// 计算一张人脸的表情指标
+// 参数：landmarks（归一化坐标）、width/height（画面像素尺寸，距离在像素空间中计算）
+// 返回：
+//   - eyeOpen: 两只眼睛纵横比的平均值，闭眼时接近 0
+//   - mouthOpen: 内唇上下距离 / 内唇宽度，闭嘴时接近 0
+//   - smile: 嘴角宽度 / 两眼外角距离（两者都是水平方向，转头时比例基本不变）
+//   - browRaise: 眉毛到两个眼角中点的距离 / 人脸高度（两者都是竖直方向，低头抬头时比例基本不变）
+export function computeExpressionMetrics(landmarks, width, height) {
+  const distance = (a, b) =>
+    Math.hypot(
+      (landmarks[a].x - landmarks[b].x) * width,
+      (landmarks[a].y - landmarks[b].y) * height
+    );
+
+  let eyeOpen = 0;
+  EYE_POINTS.forEach(([outer, inner, top1, top2, bottom1, bottom2]) => {
+    const eyeWidth = Math.max(distance(outer, inner), 1e-6);
+    eyeOpen +=
+      (distance(top1, bottom1) + distance(top2, bottom2)) / (2 * eyeWidth);
+  });
+
+  const faceHeight = Math.max(distance(FOREHEAD, CHIN), 1e-6);
+  let browRaise = 0;
+  BROW_POINTS.forEach(([brow, outer, inner]) => {
+    const eyeX = (landmarks[outer].x + landmarks[inner].x) / 2;
+    const eyeY = (landmarks[outer].y + landmarks[inner].y) / 2;
+    browRaise +=
+      Math.hypot(
+        (landmarks[brow].x - eyeX) * width,
+        (landmarks[brow].y - eyeY) * height
+      ) / faceHeight;
+  });
+
+  return {
+    eyeOpen: eyeOpen / EYE_POINTS.length,
+    mouthOpen:
+      distance(INNER_LIP_TOP, INNER_LIP_BOTTOM) /
+      Math.max(distance(INNER_LIP_LEFT, INNER_LIP_RIGHT), 1e-6),
+    smile:
+      distance(MOUTH_LEFT, MOUTH_RIGHT) /
+      Math.max(distance(EYE_OUTER_LEFT, EYE_OUTER_RIGHT), 1e-6),
+    browRaise: browRaise / BROW_POINTS.length,
+  };
+}
+
+// 数组的中位数
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// 每个持续性表情相对基线的强度（超过阈值即为有表情）
+// mouthOpen 基线接近 0，使用差值；其余使用相对变化比例
+function expressionLevels(metrics, baseline) {
+  return {
+    mouthOpen: metrics.mouthOpen - baseline.mouthOpen,
+    smile: metrics.smile / baseline.smile - 1,
+    browRaise: metrics.browRaise / baseline.browRaise - 1,
+  };
+}
+
+// 头部来回摆动检测：角度朝一个方向变化超过幅度记为一次摆动，
+// 时间窗口内出现两次方向相反的摆动（如低头再抬头）即为一次点头/摇头
+function createSwingDetector() {
+  let low = null; // 方向确定前的取值范围
+  let high = null;
+  let direction = 0; // 当前摆动方向：1 增大，-1 减小，0 尚未确定
+  let extreme = 0; // 当前摆动方向上的极值
+  let swings = []; // 每次摆动的时间
+  let cooldownUntil = -Infinity;
+
+  function update(value, time, amplitude) {
+    if (direction === 0) {
+      low = low === null ? value : Math.min(low, value);
+      high = high === null ? value : Math.max(high, value);
+      if (high - low >= amplitude) {
+        direction = value - low >= high - value ? 1 : -1;
+        extreme = value;
+        swings.push(time);
+      }
+    } else if ((value - extreme) * direction > 0) {
+      extreme = value;
+    } else if (Math.abs(value - extreme) >= amplitude) {
+      // 朝反方向变化超过幅度：新的一次摆动
+      direction = -direction;
+      extreme = value;
+      swings.push(time);
+    }
+
+    swings = swings.filter(
+      (swingTime) => time - swingTime <= HEAD_GESTURE_WINDOW
+    );
+    if (swings.length < 2 || time < cooldownUntil) return false;
+    // 识别后清空摆动记录，正在进行的摆动继续跟踪，避免同一个动作的后半段被再次识别
+    swings = [];
+    cooldownUntil = time + HEAD_GESTURE_COOLDOWN;
+    return true;
+  }
+
+  return { update };
+}
+
+// 创建表情识别器
+// 参数：
+//   - blinkThreshold: 眼睛开合度低于基线的该比例视为闭眼
+//   - mouthOpenThreshold: 张嘴程度比基线大出该值视为张嘴
+//   - smileThreshold: 嘴角宽度比基线增大该比例视为微笑
+//   - browRaiseThreshold: 眉毛高度比基线增大该比例视为挑眉
+//   - headGestureAngle: 点头/摇头每次摆动的最小幅度（度）
+//   - holdTime: 持续性表情开始/结束前需要保持的时长（秒），用于去抖
+//   - calibrationTime: 人脸出现后用于校准基线的时长（秒），校准完成前不识别表情
+//   - baselineAdaptTime: 校准完成后基线跟随的时间常数（秒），只在没有表情时跟随
+// 返回：
+//   - update(tracks, time, width, height): 每次检测完成后调用，tracks 为 faceTracker 的输出，
+//     返回本次产生的事件 [{ type, detail }]：
+//       - { type: "expressionchange", detail: { id, expression, active } }
+//       - { type: "gesture", detail: { id, gesture } }
+//   - getState(id): 某张人脸的当前状态 { calibrated, metrics, baseline, levels, pose, active }，没有时返回 null
+//   - recalibrate(id): 重新校准某张人脸，省略 id 时重新校准全部人脸
+//   - setOptions(options) / getOptions()
+//   - reset()
+export function createExpressionDetector({
+  blinkThreshold = 0.6,
+  mouthOpenThreshold = 0.25,
+  smileThreshold = 0.12,
+  browRaiseThreshold = 0.15,
+  headGestureAngle = 8,
+  holdTime = 0.1,
+  calibrationTime = 1.0,
+  baselineAdaptTime = 5.0,
+} = {}) {
+  const options = {
+    blinkThreshold,
+    mouthOpenThreshold,
+    smileThreshold,
+    browRaiseThreshold,
+    headGestureAngle,
+    holdTime,
+    calibrationTime,
+    baselineAdaptTime,
+  };
+  // 人脸ID -> 识别状态
+  const states = new Map();
+
+  function createState(time) {
+    const active = {};
+    const pendingSince = {};
+    EXPRESSION_NAMES.forEach((name) => {
+      active[name] = false;
+      pendingSince[name] = null;
+    });
+    return {
+      startTime: time,
+      lastTime: time,
+      samples: [],
+      baseline: null,
+      metrics: null,
+      levels: null,
+      pose: null,
+      active,
+      pendingSince,
+      eyesClosedSince: null,
+      nod: createSwingDetector(),
+      shake: createSwingDetector(),
+    };
+  }
+
+  function thresholdOf(name) {
+    return options[`${name}Threshold`];
+  }
+
+  // 人脸消失时结束其所有进行中的表情
+  function endExpressions(id, state, events) {
+    EXPRESSION_NAMES.forEach((expression) => {
+      if (!state.active[expression]) return;
+      state.active[expression] = false;
+      events.push({
+        type: "expressionchange",
+        detail: { id, expression, active: false },
+      });
+    });
+  }
+
+  function updateFace(id, state, landmarks, time, width, height, events) {
+    const elapsed = Math.max(0, time - state.lastTime);
+    state.lastTime = time;
+    const metrics = computeExpressionMetrics(landmarks, width, height);
+    state.metrics = metrics;
+    state.pose = estimateHeadPose(landmarks, width, height);
+
+    // 校准阶段：收集样本，结束时取中位数作为基线
+    if (!state.baseline) {
+      state.samples.push(metrics);
+      if (time - state.startTime < options.calibrationTime) return;
+      state.baseline = {};
+      Object.keys(metrics).forEach((key) => {
+        state.baseline[key] = median(
+          state.samples.map((sample) => sample[key])
+        );
+      });
+      state.samples = [];
+    }
+
+    const { baseline } = state;
+    const levels = expressionLevels(metrics, baseline);
+    state.levels = levels;
+
+    // 眨眼：开合度低于阈值记为闭眼，回升（带迟滞）时闭眼时间足够短即为一次眨眼
+    const eyeRatio = metrics.eyeOpen / baseline.eyeOpen;
+    if (state.eyesClosedSince === null) {
+      if (eyeRatio < options.blinkThreshold) state.eyesClosedSince = time;
+    } else if (
+      eyeRatio >
+      options.blinkThreshold + (1 - options.blinkThreshold) / 2
+    ) {
+      if (time - state.eyesClosedSince <= MAX_BLINK_DURATION) {
+        events.push({ type: "gesture", detail: { id, gesture: "blink" } });
+      }
+      state.eyesClosedSince = null;
+    }
+
+    // 持续性表情：超过阈值开始、回落到阈值的一定比例以下结束，状态变化需保持 holdTime
+    // 闭眼期间眼周关键点整体变形，挑眉保持原状态不变
+    EXPRESSION_NAMES.forEach((expression) => {
+      if (expression === "browRaise" && state.eyesClosedSince !== null) {
+        state.pendingSince[expression] = null;
+        return;
+      }
+      const threshold = thresholdOf(expression);
+      const wanted = state.active[expression]
+        ? levels[expression] > threshold * RELEASE_RATIO
+        : levels[expression] > threshold;
+      if (wanted === state.active[expression]) {
+        state.pendingSince[expression] = null;
+        return;
+      }
+      if (state.pendingSince[expression] === null) {
+        state.pendingSince[expression] = time;
+      }
+      if (time - state.pendingSince[expression] < options.holdTime) return;
+      state.active[expression] = wanted;
+      state.pendingSince[expression] = null;
+      events.push({
+        type: "expressionchange",
+        detail: { id, expression, active: wanted },
+      });
+    });
+
+    // 点头（俯仰角来回摆动）和摇头（偏航角来回摆动）
+    if (state.pose) {
+      const amplitude = options.headGestureAngle;
+      if (state.nod.update(state.pose.pitch, time, amplitude)) {
+        events.push({ type: "gesture", detail: { id, gesture: "nod" } });
+      }
+      if (state.shake.update(state.pose.yaw, time, amplitude)) {
+        events.push({ type: "gesture", detail: { id, gesture: "shake" } });
+      }
+    }
+
+    // 没有任何表情且睁眼时，基线缓慢跟随（适应光照、距离等缓慢变化）
+    const neutral =
+      state.eyesClosedSince === null &&
+      EXPRESSION_NAMES.every(
+        (expression) =>
+          !state.active[expression] &&
+          levels[expression] < thresholdOf(expression) * RELEASE_RATIO
+      );
+    if (neutral && options.baselineAdaptTime > 0) {
+      const alpha = 1 - Math.exp(-elapsed / options.baselineAdaptTime);
+      Object.keys(metrics).forEach((key) => {
+        baseline[key] += (metrics[key] - baseline[key]) * alpha;
+      });
+    }
+  }
+
+  function update(tracks, time, width, height) {
+    const events = [];
+    const liveIds = new Set();
+    tracks.forEach((track) => {
+      liveIds.add(track.id);
+      // 只处理本次真正检测到的人脸
+      if (track.lastSeen !== time) return;
+      let state = states.get(track.id);
+      // 视频时间倒退时重新开始
+      if (state && time < state.lastTime) {
+        endExpressions(track.id, state, events);
+        state = null;
+      }
+      if (!state) {
+        state = createState(time);
+        states.set(track.id, state);
+      }
+      updateFace(track.id, state, track.landmarks, time, width, height, events);
+    });
+    // 跟踪器已丢弃的人脸同步移除
+    states.forEach((state, id) => {
+      if (liveIds.has(id)) return;
+      endExpressions(id, state, events);
+      states.delete(id);
+    });
+    return events;
+  }
+
+  function getState(id) {
+    const state = states.get(id);
+    if (!state) return null;
+    return {
+      calibrated: state.baseline !== null,
+      metrics: state.metrics && { ...state.metrics },
+      baseline: state.baseline && { ...state.baseline },
+      levels: state.levels && { ...state.levels },
+      pose: state.pose && {
+        yaw: state.pose.yaw,
+        pitch: state.pose.pitch,
+        roll: state.pose.roll,
+      },
+      active: { ...state.active },
+    };
+  }
+
+  // 重新校准：清除基线，表情在新的校准完成前保持不变
+  function recalibrate(id) {
+    states.forEach((state, stateId) => {
+      if (id !== undefined && stateId !== id) return;
+      state.baseline = null;
+      state.samples = [];
+      state.startTime = state.lastTime;
+    });
+  }
+
+  function setOptions(newOptions) {
+    Object.assign(options, newOptions);
+  }
+
+  function getOptions() {
+    return { ...options };
+  }
+
+  function reset() {
+    states.clear();
+  }
+
+  return { update, getState, recalibrate, setOptions, getOptions, reset };
+}
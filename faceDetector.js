@@ -0,0 +1,143 @@
+/**
+ * 人脸检测器适配
+ *
+ * 功能：
+ * - 定义渲染器使用的人脸检测器接口，渲染器不直接依赖具体的检测库
+ * - 提供 MediaPipe Face Mesh 适配器，把回调式的 onResults 包装为按帧返回的 Promise
+ * - 提供 MediaPipe Tasks FaceLandmarker 适配器（@mediapipe/tasks-vision，VIDEO 模式）
+ * - 模型和 wasm 文件的地址可配置，可以把 npm 包中的文件放到自己的服务器上离线运行
+ * - 不需要网络和模型文件的模拟检测器见 mockFaceDetector.js
+ *
+ * 检测器接口：
+ *   {
+ *     detect(image, time) // 检测一帧，返回 Promise<关键点数组的数组>，每张人脸为 [{ x, y, z }]（归一化坐标）
+ *                         // time 为该帧的视频时间（秒），检测器可以不使用
+ *     setOptions(options) // 可选，目前渲染器只会传入 { maxNumFaces }
+ *     close()             // 可选，释放检测器占用的资源
+ *     getFrames(start, end) // 可选，回放录制结果的检测器提供（见 landmarkRecording.js），同步返回
+ *                           // 视频时间在 (start, end] 内的 [{ time, faces }]；提供时渲染器不再调用 detect，
+ *                           // 而是按录制时间依次使用播放经过的每一帧
+ *   }
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// MediaPipe Face Mesh 文件的默认地址（CDN）
+export const FACE_MESH_CDN =
+  "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/";
+// MediaPipe Tasks Vision 文件的默认地址（CDN），wasm 文件在其中的 wasm 目录下
+export const TASKS_VISION_CDN =
+  "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/";
+// FaceLandmarker 模型的默认地址（模型不在 npm 包中，需要单独下载部署）
+export const FACE_LANDMARKER_MODEL_URL =
+  "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task";
+
+// 创建 MediaPipe Face Mesh 检测器
+// 依赖页面通过 <script> 引入的全局 FaceMesh（face_mesh.js 应与 baseUrl 中的模型文件版本一致）
+// 参数：
+//   - baseUrl: 模型文件（.tflite、.wasm、.binarypb 等）所在目录的地址，以 / 结尾
+//   - maxNumFaces: 最多检测的人脸数
+//   - refineLandmarks: 是否细化眼睛和嘴唇周围的关键点
+//   - minDetectionConfidence / minTrackingConfidence: 置信度阈值
+export function createFaceMeshDetector({
+  baseUrl = FACE_MESH_CDN,
+  maxNumFaces = 2,
+  refineLandmarks = true,
+  minDetectionConfidence = 0.5,
+  minTrackingConfidence = 0.5,
+} = {}) {
+  if (typeof FaceMesh === "undefined") {
+    throw new Error("MediaPipe Face Mesh 未加载");
+  }
+  const faceMesh = new FaceMesh({
+    locateFile: (file) => `${baseUrl}${file}`,
+  });
+  const options = {
+    maxNumFaces,
+    refineLandmarks,
+    minDetectionConfidence,
+    minTrackingConfidence,
+  };
+  faceMesh.setOptions(options);
+
+  // Face Mesh 通过 onResults 回调返回结果，send() 在回调执行完成后才完成
+  let latestLandmarks = [];
+  faceMesh.onResults((results) => {
+    latestLandmarks = results.multiFaceLandmarks || [];
+  });
+
+  return {
+    async detect(image) {
+      latestLandmarks = [];
+      await faceMesh.send({ image });
+      return latestLandmarks;
+    },
+    setOptions(newOptions) {
+      // 配置未变化时不调用 setOptions，避免 Face Mesh 重新初始化
+      const changed = Object.keys(newOptions).some(
+        (key) => options[key] !== newOptions[key]
+      );
+      if (!changed) return;
+      Object.assign(options, newOptions);
+      faceMesh.setOptions(options);
+    },
+    close() {
+      return faceMesh.close();
+    },
+  };
+}
+
+// 创建 MediaPipe Tasks FaceLandmarker 检测器（异步加载 wasm 和模型）
+// 参数：
+//   - baseUrl: @mediapipe/tasks-vision 包所在目录的地址，以 / 结尾（加载其中的 vision_bundle.mjs 和 wasm 目录）
+//   - modelAssetPath: face_landmarker.task 模型文件的地址
+//   - vision: 已加载的 @mediapipe/tasks-vision 模块，省略时从 baseUrl 动态加载
+//   - delegate: "GPU" 或 "CPU"
+//   - maxNumFaces: 最多检测的人脸数
+//   - minDetectionConfidence / minTrackingConfidence: 置信度阈值
+// 返回：Promise<检测器>
+export async function createFaceLandmarkerDetector({
+  baseUrl = TASKS_VISION_CDN,
+  modelAssetPath = FACE_LANDMARKER_MODEL_URL,
+  vision = null,
+  delegate = "GPU",
+  maxNumFaces = 2,
+  minDetectionConfidence = 0.5,
+  minTrackingConfidence = 0.5,
+} = {}) {
+  const tasks = vision || (await import(`${baseUrl}vision_bundle.mjs`));
+  const fileset = await tasks.FilesetResolver.forVisionTasks(`${baseUrl}wasm`);
+  const landmarker = await tasks.FaceLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath, delegate },
+    runningMode: "VIDEO",
+    numFaces: maxNumFaces,
+    minFaceDetectionConfidence: minDetectionConfidence,
+    minTrackingConfidence,
+  });
+  let numFaces = maxNumFaces;
+  // VIDEO 模式要求时间戳严格递增，视频循环或跳转时视频时间会回退，因此使用页面时间
+  let lastTimestamp = -1;
+
+  return {
+    async detect(image) {
+      const timestamp = Math.max(lastTimestamp + 1, performance.now());
+      lastTimestamp = timestamp;
+      const result = landmarker.detectForVideo(image, timestamp);
+      return result.faceLandmarks || [];
+    },
+    setOptions(newOptions) {
+      if (
+        typeof newOptions.maxNumFaces !== "number" ||
+        newOptions.maxNumFaces === numFaces
+      ) {
+        return;
+      }
+      numFaces = newOptions.maxNumFaces;
+      return landmarker.setOptions({ numFaces });
+    },
+    close() {
+      return landmarker.close();
+    },
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * 人脸遮罩通道
+ *
+ * 功能：
+ * - 每帧根据 Face Mesh 人脸轮廓关键点多边形光栅化出遮罩纹理
+ * - 从遮罩中挖去眼睛、眉毛和嘴唇，避免五官被磨皮/调色
+ * - 使用可分离高斯模糊对遮罩边缘羽化，消除硬边接缝
+ * - 按整体效果强度把处理结果与原始画面混合
+ * - 保留椭圆遮罩作为低开销的备用模式，椭圆随头部姿态旋转并按人脸的投影尺寸缩放
+ * - 同时处理多张人脸，每张人脸有独立的效果强度
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  vertexShaderSrc,
+  gaussianBlurShaderSrc,
+  faceMaskShaderSrc,
+} from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createTexture,
+  deleteTexture,
+} from "./webgl.js";
+
+// Face Mesh 关键点索引（按多边形顺序排列）
+// 人脸外轮廓：从额头顶部(10)开始顺时针一圈
+export const FACE_OVAL = [
+  10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378,
+  400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21,
+  54, 103, 67, 109,
+];
+// 左眼轮廓（画面右侧）
+export const LEFT_EYE = [
+  263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388,
+  466,
+];
+// 右眼轮廓（画面左侧）
+export const RIGHT_EYE = [
+  33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246,
+];
+// 左眉：下沿从外到内，再沿上沿从内到外
+export const LEFT_EYEBROW = [276, 283, 282, 295, 285, 336, 296, 334, 293, 300];
+// 右眉：下沿从外到内，再沿上沿从内到外
+export const RIGHT_EYEBROW = [46, 53, 52, 65, 55, 107, 66, 105, 63, 70];
+// 嘴唇外轮廓
+export const LIPS_OUTER = [
+  61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37,
+  39, 40, 185,
+];
+// 嘴唇内轮廓（上下唇之间的开口）
+export const LIPS_INNER = [
+  78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82,
+  81, 80, 191,
+];
+
+// 需要从遮罩中挖去的区域
+const EXCLUDED_REGIONS = [
+  LEFT_EYE,
+  RIGHT_EYE,
+  LEFT_EYEBROW,
+  RIGHT_EYEBROW,
+  LIPS_OUTER,
+];
+
+// 同时处理的最大人脸数，需与 faceMaskShaderSrc 中的 MAX_FACES 一致
+export const MAX_FACES = 4;
+
+// 高斯模糊着色器单侧的采样点数，需与 gaussianBlurShaderSrc 中的 MAX_RADIUS 一致
+const BLUR_TAPS = 8;
+
+// 创建用于光栅化的2D画布（优先使用 OffscreenCanvas，不占用 DOM）
+export function createRasterCanvas() {
+  return typeof OffscreenCanvas !== "undefined"
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement("canvas");
+}
+
+// 在2D画布上沿关键点索引描出一个闭合多边形路径
+// 参数：
+//   - ctx2d: 2D绘图上下文
+//   - landmarks: 归一化关键点数组
+//   - indices: 多边形顶点的关键点索引
+//   - width/height: 画布尺寸，用于把归一化坐标转换为像素
+export function tracePolygon(ctx2d, landmarks, indices, width, height) {
+  ctx2d.beginPath();
+  indices.forEach((index, i) => {
+    const point = landmarks[index];
+    if (i === 0) ctx2d.moveTo(point.x * width, point.y * height);
+    else ctx2d.lineTo(point.x * width, point.y * height);
+  });
+  ctx2d.closePath();
+}
+
+// 根据人脸关键点动态计算美颜椭圆，使用椭圆来匹配人脸形状
+// 椭圆随头部翻滚角旋转；尺寸按像素距离计算，转头、低头时跟随人脸在画面上的投影变窄或变短
+// 参数：
+//   - landmarks: Face Mesh 关键点（归一化坐标）
+//   - width/height: 画面尺寸（像素）
+//   - pose: estimateHeadPose 的结果，可选；省略时用两眼外角连线估计旋转角度
+// 返回：{ center, radiusMajor, radiusMinor, angle }
+//   - center: 归一化纹理坐标
+//   - radiusMajor: 沿人脸左右方向的半径（相对画面宽度）
+//   - radiusMinor: 沿人脸上下方向的半径（相对画面高度）
+//   - angle: 旋转角度（弧度，画面上顺时针为正）
+export function computeFaceEllipse(landmarks, width, height, pose) {
+  // 取人脸轮廓关键点的平均位置作为脸部中心，转头时比鼻尖更接近脸的可见部分的中心
+  let centerX = 0;
+  let centerY = 0;
+  FACE_OVAL.forEach((index) => {
+    centerX += landmarks[index].x;
+    centerY += landmarks[index].y;
+  });
+  centerX /= FACE_OVAL.length;
+  centerY /= FACE_OVAL.length;
+
+  // 两个关键点之间的像素距离
+  const distance = (a, b) =>
+    Math.hypot((a.x - b.x) * width, (a.y - b.y) * height);
+
+  // 使用多个关键点来动态计算人脸大小
+  // 利用额头顶部(10)、下巴(152)、左右脸颊边缘(234/454)计算人脸尺寸
+  // 使用欧氏距离而不是坐标差，歪头时尺寸不会被低估
+  const faceHeight = distance(landmarks[10], landmarks[152]);
+  const faceWidth = distance(landmarks[234], landmarks[454]);
+
+  // 旋转角度：优先使用头部姿态的翻滚角，否则使用两眼外角(33/263)连线的倾斜角
+  const angle = pose
+    ? (pose.roll * Math.PI) / 180
+    : Math.atan2(
+        (landmarks[263].y - landmarks[33].y) * height,
+        (landmarks[263].x - landmarks[33].x) * width
+      );
+
+  // 椭圆比人脸略大，确保完整覆盖
+  return {
+    center: [centerX, centerY],
+    radiusMajor: (faceWidth * 0.6) / width,
+    radiusMinor: (faceHeight * 0.6) / height,
+    angle,
+  };
+}
+
+// 创建人脸遮罩通道
+// 参数：
+//   - name: 通道名称
+//   - maskScale: 遮罩相对于画面的分辨率比例（遮罩边缘会被羽化，低分辨率即可）
+// 通道从 frame 读取：
+//   - frame.faceMode: "polygon" 使用轮廓遮罩，"ellipse" 使用椭圆遮罩
+//   - frame.faces: [{ center, radiusMajor, radiusMinor, angle, landmarks, strength }]，
+//     超过 MAX_FACES 的人脸会被忽略；椭圆模式下 landmarks 可以为空
+//   - frame.params.maskFeather: 羽化宽度（全分辨率像素）
+//   - frame.params.effectStrength: 整体效果强度 (0-1)
+export function createFaceMaskPass(
+  gl,
+  { name = "faceMask", maskScale = 0.25 } = {}
+) {
+  const blurProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    gaussianBlurShaderSrc
+  );
+  const maskProgram = createProgramInfo(gl, vertexShaderSrc, faceMaskShaderSrc);
+  // 光栅化结果上传到的纹理（未羽化）
+  const rasterTexture = createTexture(gl);
+  // 先填充一个1x1的黑色像素，保证椭圆模式下绑定的遮罩纹理也是完整的
+  // （上下文恢复后纹理内容为空，需要重新填充）
+  function clearRasterTexture() {
+    gl.bindTexture(gl.TEXTURE_2D, rasterTexture.handle);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      1,
+      1,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      new Uint8Array([0, 0, 0, 255])
+    );
+  }
+  clearRasterTexture();
+  const rasterCanvas = createRasterCanvas();
+  const ctx2d = rasterCanvas.getContext("2d");
+
+  // 椭圆模式的 uniform 数组（预先分配，避免每帧创建）
+  const centers = new Float32Array(MAX_FACES * 2);
+  const radii = new Float32Array(MAX_FACES * 2);
+  const angles = new Float32Array(MAX_FACES);
+  const feathers = new Float32Array(MAX_FACES);
+  const strengths = new Float32Array(MAX_FACES);
+
+  // 把所有人脸的轮廓多边形光栅化到2D画布：
+  // 轮廓内的灰度等于该人脸的效果强度，五官区域和轮廓外为黑色
+  function rasterize(faces, width, height) {
+    if (rasterCanvas.width !== width || rasterCanvas.height !== height) {
+      rasterCanvas.width = width;
+      rasterCanvas.height = height;
+    }
+    ctx2d.fillStyle = "#000";
+    ctx2d.fillRect(0, 0, width, height);
+
+    faces.forEach(({ landmarks, strength }) => {
+      if (!landmarks) return;
+      const level = Math.round(Math.max(0, Math.min(1, strength)) * 255);
+      ctx2d.fillStyle = `rgb(${level}, ${level}, ${level})`;
+      tracePolygon(ctx2d, landmarks, FACE_OVAL, width, height);
+      ctx2d.fill();
+
+      // 挖去五官时同时描边，相当于把挖去的区域向外扩张一点，
+      // 避免羽化后五官边缘仍残留部分效果
+      const faceWidth = Math.abs(landmarks[454].x - landmarks[234].x) * width;
+      ctx2d.fillStyle = "#000";
+      ctx2d.strokeStyle = "#000";
+      ctx2d.lineJoin = "round";
+      ctx2d.lineWidth = Math.max(1, faceWidth * 0.03);
+      EXCLUDED_REGIONS.forEach((indices) => {
+        tracePolygon(ctx2d, landmarks, indices, width, height);
+        ctx2d.fill();
+        ctx2d.stroke();
+      });
+    });
+  }
+
+  // 生成羽化后的遮罩纹理
+  function buildMask(ctx, faces, feather) {
+    const width = Math.max(1, Math.round(ctx.width * maskScale));
+    const height = Math.max(1, Math.round(ctx.height * maskScale));
+    rasterize(faces, width, height);
+    gl.bindTexture(gl.TEXTURE_2D, rasterTexture.handle);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      rasterCanvas
+    );
+
+    if (feather <= 0) return rasterTexture;
+
+    // 羽化宽度换算为遮罩分辨率下的像素，再分摊到模糊核两侧的采样点上
+    const step = (feather * maskScale) / (2 * BLUR_TAPS);
+    const horizontal = ctx.getTarget(`${name}.horizontal`, width, height);
+    const mask = ctx.getTarget(`${name}.mask`, width, height);
+    ctx.drawQuad(blurProgram, horizontal, (u, bindTexture) => {
+      bindTexture("u_texture", rasterTexture);
+      gl.uniform2f(u.u_texelStep, step / width, 0);
+    });
+    ctx.drawQuad(blurProgram, mask, (u, bindTexture) => {
+      bindTexture("u_texture", horizontal.texture);
+      gl.uniform2f(u.u_texelStep, 0, step / height);
+    });
+    return mask.texture;
+  }
+
+  return {
+    name,
+    enabled: true,
+    draw(ctx, input, output) {
+      const { faceMode, params } = ctx.frame;
+      const faces = ctx.frame.faces.slice(0, MAX_FACES);
+      const usePolygon = faceMode === "polygon";
+      const maskTexture = usePolygon
+        ? buildMask(ctx, faces, params.maskFeather)
+        : rasterTexture;
+
+      faces.forEach((face, i) => {
+        centers[i * 2] = face.center[0];
+        centers[i * 2 + 1] = face.center[1];
+        radii[i * 2] = face.radiusMajor;
+        radii[i * 2 + 1] = face.radiusMinor;
+        angles[i] = face.angle || 0;
+        // 椭圆模式的羽化宽度：换算为相对于椭圆短轴半径的比例
+        const radiusPixels = Math.max(face.radiusMinor * ctx.height, 1);
+        feathers[i] = Math.min(params.maskFeather / radiusPixels, 1);
+        strengths[i] = face.strength;
+      });
+
+      ctx.drawQuad(maskProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_original", ctx.source);
+        bindTexture("u_mask", maskTexture);
+        gl.uniform1f(u.u_maskMode, usePolygon ? 1.0 : 0.0);
+        gl.uniform1i(u.u_faceCount, faces.length);
+        gl.uniform2fv(u.u_faceCenters, centers);
+        gl.uniform2fv(u.u_faceRadii, radii);
+        gl.uniform1fv(u.u_faceAngles, angles);
+        gl.uniform1fv(u.u_faceFeathers, feathers);
+        gl.uniform1fv(u.u_faceStrengths, strengths);
+        gl.uniform1f(u.u_strength, params.effectStrength);
+        gl.uniform2f(u.u_resolution, ctx.width, ctx.height);
+      });
+    },
+    restore: clearRasterTexture,
+    destroy() {
+      deleteProgramInfo(gl, blurProgram);
+      deleteProgramInfo(gl, maskProgram);
+      deleteTexture(gl, rasterTexture);
+    },
+  };
+}
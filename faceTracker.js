@@ -0,0 +1,103 @@
+/**
+ * 多人脸跟踪
+ *
+ * 功能：
+ * - 把每次检测得到的多张人脸与上一次的结果按位置匹配
+ * - 为每张人脸分配跨帧稳定的 ID，使按人设置的参数不会在人与人之间互换
+ * - 人脸短暂未被检测到时保留一段时间，重新出现时沿用原来的 ID
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 用于定位人脸的关键点：鼻尖(1)作为中心，额头(10)和下巴(152)估算人脸尺寸
+const CENTER_INDEX = 1;
+const FOREHEAD_INDEX = 10;
+const CHIN_INDEX = 152;
+
+// 人脸中心点（归一化坐标）
+function faceCenter(landmarks) {
+  const point = landmarks[CENTER_INDEX];
+  return [point.x, point.y];
+}
+
+// 人脸高度（归一化坐标）
+function faceHeight(landmarks) {
+  return Math.abs(landmarks[FOREHEAD_INDEX].y - landmarks[CHIN_INDEX].y);
+}
+
+// 创建人脸跟踪器
+// 参数：
+//   - maxDistance: 匹配阈值，两次检测之间人脸中心移动超过 "人脸高度 × maxDistance" 即视为不同的人
+//   - keepAlive: 人脸未被检测到后继续保留的时长（秒）
+// 返回：跟踪器对象
+//   - update(multiFaceLandmarks, time): 输入一次检测结果及其视频时间，返回带稳定 ID 的人脸列表
+//     （包括仍在保留期内、本次未检测到的人脸，其 lastSeen 早于 time）
+//   - getTracks(): 返回当前人脸列表
+//   - reset(): 清空全部跟踪状态
+export function createFaceTracker({ maxDistance = 0.6, keepAlive = 0.5 } = {}) {
+  let nextId = 1;
+  // 当前跟踪中的人脸：{ id, landmarks, center, size, lastSeen }
+  let tracks = [];
+
+  function update(multiFaceLandmarks, time = 0) {
+    // 视频循环播放或被拖动到更早的位置时，旧的跟踪结果不再有效
+    if (tracks.some((track) => track.lastSeen > time)) tracks = [];
+
+    const detections = (multiFaceLandmarks || []).map((landmarks) => ({
+      landmarks,
+      center: faceCenter(landmarks),
+      size: faceHeight(landmarks),
+    }));
+
+    // 计算所有 (已有人脸, 新检测) 组合的距离，按距离从小到大贪心匹配
+    const pairs = [];
+    tracks.forEach((track, trackIndex) => {
+      detections.forEach((detection, detectionIndex) => {
+        const dx = track.center[0] - detection.center[0];
+        const dy = track.center[1] - detection.center[1];
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < detection.size * maxDistance) {
+          pairs.push({ trackIndex, detectionIndex, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matchedTracks = new Set();
+    const assignedIds = new Array(detections.length).fill(null);
+    pairs.forEach(({ trackIndex, detectionIndex }) => {
+      if (matchedTracks.has(trackIndex)) return;
+      if (assignedIds[detectionIndex] !== null) return;
+      matchedTracks.add(trackIndex);
+      assignedIds[detectionIndex] = tracks[trackIndex].id;
+    });
+
+    // 未匹配的检测是新出现的人脸，分配新 ID
+    const detected = detections.map((detection, i) => ({
+      id: assignedIds[i] !== null ? assignedIds[i] : nextId++,
+      landmarks: detection.landmarks,
+      center: detection.center,
+      size: detection.size,
+      lastSeen: time,
+    }));
+    // 未匹配的旧人脸在保留期内继续保留，超过保留期才丢弃
+    const retained = tracks.filter(
+      (track, i) => !matchedTracks.has(i) && time - track.lastSeen <= keepAlive
+    );
+    tracks = detected.concat(retained);
+    // 按 ID 排序，保证输出顺序稳定
+    tracks.sort((a, b) => a.id - b.id);
+    return tracks;
+  }
+
+  function getTracks() {
+    return tracks;
+  }
+
+  function reset() {
+    tracks = [];
+  }
+
+  return { update, getTracks, reset };
+}
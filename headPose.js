@@ -0,0 +1,144 @@
+/**
+ * 头部姿态估计
+ *
+ * 功能：
+ * - 根据 Face Mesh 的三维关键点估计头部姿态：偏航角（左右转头）、俯仰角（抬头低头）、翻滚角（歪头）
+ * - 把通用三维人脸模型上的几个特征点与检测到的关键点做最小二乘对齐（相似变换，Kabsch/Horn 方法），
+ *   旋转部分即为头部姿态；Face Mesh 的 z 坐标与 x 同尺度，可以直接参与对齐，不需要相机内参
+ * - 姿态用于旋转和调整人脸区域的椭圆，以及贴纸等叠加层的锚定
+ *
+ * 角度约定（单位：度，坐标以原始视频画面为准，不受镜像显示影响）：
+ *   - yaw: 人脸转向画面右侧为正
+ *   - pitch: 抬头为正
+ *   - roll: 在画面上顺时针歪头为正（与画布旋转角度方向一致）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 通用三维人脸模型上的特征点及对应的 Face Mesh 关键点索引
+// 模型坐标：鼻尖为原点，x 指向画面右侧，y 向上，z 指向镜头
+const MODEL_POINTS = [
+  { index: 1, point: [0, 0, 0] }, // 鼻尖
+  { index: 152, point: [0, -330, -65] }, // 下巴
+  { index: 33, point: [-225, 170, -135] }, // 画面左侧的眼睛外角
+  { index: 263, point: [225, 170, -135] }, // 画面右侧的眼睛外角
+  { index: 61, point: [-150, -150, -125] }, // 画面左侧的嘴角
+  { index: 291, point: [150, -150, -125] }, // 画面右侧的嘴角
+];
+
+// 模型点相对于模型中心的坐标（预先计算）
+const MODEL_CENTER = [0, 1, 2].map(
+  (axis) =>
+    MODEL_POINTS.reduce((sum, { point }) => sum + point[axis], 0) /
+    MODEL_POINTS.length
+);
+const MODEL_CENTERED = MODEL_POINTS.map(({ point }) =>
+  point.map((value, axis) => value - MODEL_CENTER[axis])
+);
+
+// 3x3 矩阵（按行存储的长度为 9 的数组）的行列式
+function determinant(m) {
+  return (
+    m[0] * (m[4] * m[8] - m[5] * m[7]) -
+    m[1] * (m[3] * m[8] - m[5] * m[6]) +
+    m[2] * (m[3] * m[7] - m[4] * m[6])
+  );
+}
+
+// 3x3 矩阵的逆矩阵的转置（即伴随矩阵除以行列式）
+function inverseTranspose(m, det) {
+  return [
+    (m[4] * m[8] - m[5] * m[7]) / det,
+    (m[5] * m[6] - m[3] * m[8]) / det,
+    (m[3] * m[7] - m[4] * m[6]) / det,
+    (m[2] * m[7] - m[1] * m[8]) / det,
+    (m[0] * m[8] - m[2] * m[6]) / det,
+    (m[1] * m[6] - m[0] * m[7]) / det,
+    (m[1] * m[5] - m[2] * m[4]) / det,
+    (m[2] * m[3] - m[0] * m[5]) / det,
+    (m[0] * m[4] - m[1] * m[3]) / det,
+  ];
+}
+
+// 极分解的正交部分（Newton 迭代 X = (X + X^-T) / 2，二次收敛）
+// 对互协方差矩阵求正交部分即得到最优旋转；行列式非正（退化或镜像）时返回 null
+function orthogonalPart(matrix) {
+  let x = matrix.slice();
+  for (let i = 0; i < 20; i++) {
+    const det = determinant(x);
+    if (!(det > 1e-12)) return null;
+    const inv = inverseTranspose(x, det);
+    let change = 0;
+    x = x.map((value, k) => {
+      const next = 0.5 * (value + inv[k]);
+      change = Math.max(change, Math.abs(next - value));
+      return next;
+    });
+    if (change < 1e-9) break;
+  }
+  return x;
+}
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// 估计一张人脸的头部姿态
+// 参数：
+//   - landmarks: Face Mesh 关键点（归一化坐标，带 z）
+//   - width/height: 画面尺寸（像素），用于把归一化坐标换算为等比例的像素坐标
+// 返回：{ yaw, pitch, roll, scale, rotation }，关键点不足或退化时返回 null
+//   - scale: 模型单位到像素的缩放比例
+//   - rotation: 模型坐标到相机坐标（x 右、y 上、z 指向镜头）的旋转矩阵，按行存储的 9 个数
+export function estimateHeadPose(landmarks, width, height) {
+  if (!landmarks || landmarks.length < 468) return null;
+
+  // 关键点转换到与模型相同的右手坐标系：y 向上，z 指向镜头（Face Mesh 的 z 越小越靠近镜头）
+  const observed = MODEL_POINTS.map(({ index }) => {
+    const { x, y, z = 0 } = landmarks[index];
+    return [x * width, -y * height, -z * width];
+  });
+  const center = [0, 1, 2].map(
+    (axis) =>
+      observed.reduce((sum, point) => sum + point[axis], 0) / observed.length
+  );
+
+  // 互协方差矩阵 H = Σ p·mᵀ（p 为观测点，m 为模型点，均已去中心）
+  const covariance = new Array(9).fill(0);
+  observed.forEach((point, i) => {
+    const p = point.map((value, axis) => value - center[axis]);
+    const m = MODEL_CENTERED[i];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        covariance[row * 3 + col] += p[row] * m[col];
+      }
+    }
+  });
+
+  const r = orthogonalPart(covariance);
+  if (!r) return null;
+
+  // 缩放比例：Σ p·(R m) / Σ |m|²
+  let numerator = 0;
+  let denominator = 0;
+  observed.forEach((point, i) => {
+    const m = MODEL_CENTERED[i];
+    for (let row = 0; row < 3; row++) {
+      const rotated =
+        r[row * 3] * m[0] + r[row * 3 + 1] * m[1] + r[row * 3 + 2] * m[2];
+      numerator += (point[row] - center[row]) * rotated;
+    }
+    denominator += m[0] * m[0] + m[1] * m[1] + m[2] * m[2];
+  });
+
+  // 按 R = Rz(roll) · Ry(yaw) · Rx(pitch) 分解为欧拉角，再换算为文件头约定的方向
+  const yaw = Math.asin(Math.max(-1, Math.min(1, -r[6])));
+  const pitch = Math.atan2(r[7], r[8]);
+  const roll = Math.atan2(r[3], r[0]);
+  return {
+    yaw: toDegrees(yaw),
+    pitch: -toDegrees(pitch),
+    roll: -toDegrees(roll),
+    scale: numerator / denominator,
+    rotation: r,
+  };
+}
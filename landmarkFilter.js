@@ -0,0 +1,191 @@
+/**
+ * 人脸关键点防抖与帧间预测
+ *
+ * 功能：
+ * - One Euro 滤波器：静止时强平滑去抖，快速运动时自动降低延迟
+ * - 检测间隔内按速度外推关键点，以视频时间为准（检测约15Hz，渲染为屏幕刷新率）
+ * - 人脸短暂丢失时进入宽限期，效果逐渐淡出，而不是立即消失
+ *
+ * 参考：Casiez et al., "1€ Filter: A Simple Speed-based Low-pass Filter for
+ * Noisy Input in Interactive Systems", CHI 2012
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 一阶低通滤波的平滑系数
+// 参数：cutoff 截止频率(Hz)，dt 时间间隔(秒)
+function smoothingFactor(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+// 创建向量化的 One Euro 滤波器，一次处理一组标量（例如全部关键点的 x/y/z）
+// 参数：
+//   - options: { minCutoff, beta, dCutoff }，会被直接引用，修改后立即生效
+// 返回：filter(values, time)，values 为 Float32Array，返回滤波后的新数组
+export function createOneEuroFilter(options) {
+  let previousValues = null;
+  let previousDerivatives = null;
+  let previousTime = 0;
+
+  function filter(values, time) {
+    if (!previousValues || previousValues.length !== values.length) {
+      previousValues = Float32Array.from(values);
+      previousDerivatives = new Float32Array(values.length);
+      previousTime = time;
+      return Float32Array.from(previousValues);
+    }
+
+    const dt = time - previousTime;
+    // 同一时间点的重复检测（例如视频暂停时）不更新滤波状态
+    if (dt <= 0) return Float32Array.from(previousValues);
+
+    const { minCutoff, beta, dCutoff } = options;
+    const derivativeAlpha = smoothingFactor(dCutoff, dt);
+    const result = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      // 先对导数（速度）做低通滤波
+      const rawDerivative = (values[i] - previousValues[i]) / dt;
+      const derivative =
+        previousDerivatives[i] +
+        derivativeAlpha * (rawDerivative - previousDerivatives[i]);
+      // 速度越大截止频率越高，平滑越弱、延迟越小
+      const cutoff = minCutoff + beta * Math.abs(derivative);
+      const alpha = smoothingFactor(cutoff, dt);
+      result[i] = previousValues[i] + alpha * (values[i] - previousValues[i]);
+      previousDerivatives[i] = derivative;
+    }
+    previousValues = result;
+    previousTime = time;
+    return Float32Array.from(result);
+  }
+
+  return filter;
+}
+
+// 关键点数组与扁平 Float32Array 之间的转换
+function flattenLandmarks(landmarks) {
+  const values = new Float32Array(landmarks.length * 3);
+  landmarks.forEach((point, i) => {
+    values[i * 3] = point.x;
+    values[i * 3 + 1] = point.y;
+    values[i * 3 + 2] = point.z || 0;
+  });
+  return values;
+}
+
+// 创建关键点稳定器
+// 参数（均可通过 setOptions 在运行时调整）：
+//   - minCutoff: 最小截止频率(Hz)，越小静止时越稳定，但延迟越大
+//   - beta: 速度系数，越大快速运动时跟随越紧
+//   - dCutoff: 速度估计的截止频率(Hz)
+//   - maxPrediction: 最长外推时长（秒），超过后停在外推终点，避免越飞越远
+//   - gracePeriod: 人脸丢失后的淡出时长（秒），期间可见度从1线性降到0
+// 返回：
+//   - update(tracks, time): 每次检测完成后调用，tracks 为 faceTracker 的输出，time 为检测帧的视频时间
+//   - sample(time): 每次渲染时调用，返回 [{ id, landmarks, visibility }]
+//     （返回的 landmarks 数组在下次 sample 时会被复用，需要保存时请复制）
+//   - setOptions(options) / getOptions()
+//   - reset()
+export function createLandmarkStabilizer({
+  minCutoff = 1.0,
+  beta = 10.0,
+  dCutoff = 1.0,
+  maxPrediction = 0.1,
+  gracePeriod = 0.3,
+} = {}) {
+  const options = { minCutoff, beta, dCutoff, maxPrediction, gracePeriod };
+  // 人脸ID -> 稳定状态
+  const states = new Map();
+  // 最近一次检测的视频时间，lastSeen 早于它的人脸即为本次未检测到
+  let latestDetectionTime = -Infinity;
+
+  function update(tracks, time) {
+    latestDetectionTime = time;
+    const liveIds = new Set();
+    tracks.forEach((track) => {
+      liveIds.add(track.id);
+      let state = states.get(track.id);
+      if (!state) {
+        state = {
+          id: track.id,
+          filter: createOneEuroFilter(options),
+          previous: null,
+          last: null,
+          lastSeen: track.lastSeen,
+          landmarks: track.landmarks.map(() => ({ x: 0, y: 0, z: 0 })),
+        };
+        states.set(track.id, state);
+      }
+      state.lastSeen = track.lastSeen;
+      // 只有本次真正检测到的人脸才更新滤波器，宽限期内的人脸保持最后的状态
+      if (track.lastSeen !== time) return;
+      const values = state.filter(flattenLandmarks(track.landmarks), time);
+      if (state.last && time > state.last.time) state.previous = state.last;
+      state.last = { time, values };
+    });
+    // 跟踪器已丢弃的人脸同步移除
+    states.forEach((state, id) => {
+      if (!liveIds.has(id)) states.delete(id);
+    });
+  }
+
+  function sample(time) {
+    const faces = [];
+    states.forEach((state) => {
+      if (!state.last) return;
+      // 可见度：检测到时为1，丢失后从最后一次检测到开始，在宽限期内线性淡出
+      const missing = state.lastSeen < latestDetectionTime;
+      let visibility = 1;
+      if (missing) {
+        const missingFor = Math.max(0, time - state.lastSeen);
+        visibility =
+          options.gracePeriod > 0
+            ? Math.max(0, 1 - missingFor / options.gracePeriod)
+            : 0;
+      }
+      if (visibility <= 0) return;
+
+      // 按最近两次检测之间的速度外推到当前视频时间
+      const { last, previous } = state;
+      const elapsed = Math.min(
+        Math.max(0, time - last.time),
+        options.maxPrediction
+      );
+      const interval = previous ? last.time - previous.time : 0;
+      // 丢失期间不再外推，停留在最后一次检测的位置
+      const predict = interval > 0 && elapsed > 0 && !missing;
+      state.landmarks.forEach((point, i) => {
+        for (let axis = 0; axis < 3; axis++) {
+          const k = i * 3 + axis;
+          let value = last.values[k];
+          if (predict) {
+            const velocity = (last.values[k] - previous.values[k]) / interval;
+            value += velocity * elapsed;
+          }
+          if (axis === 0) point.x = value;
+          else if (axis === 1) point.y = value;
+          else point.z = value;
+        }
+      });
+      faces.push({ id: state.id, landmarks: state.landmarks, visibility });
+    });
+    return faces;
+  }
+
+  function setOptions(newOptions) {
+    Object.assign(options, newOptions);
+  }
+
+  function getOptions() {
+    return { ...options };
+  }
+
+  function reset() {
+    states.clear();
+    latestDetectionTime = -Infinity;
+  }
+
+  return { update, sample, setOptions, getOptions, reset };
+}
@@ -0,0 +1,227 @@
+/**
+ * 人脸关键点录制与回放
+ *
+ * 功能：
+ * - 包装任意人脸检测器（见 faceDetector.js），把每次检测的结果按视频时间（currentTime）记录下来
+ * - 录制结果保存为紧凑的 JSON 文件：坐标量化为整数，每张人脸为一个扁平数组
+ * - 回放检测器按视频位置返回录制的关键点，不运行真实的检测：效果调试、问题复现和自动化测试的结果可重复
+ *   （渲染器通过 getFrames 按录制时间依次取出播放经过的每一帧，防抖滤波的输入与渲染时机无关）
+ * - 视频循环播放时重复录到的同一时间点以最后一次为准
+ *
+ * 文件格式：
+ *   {
+ *     "version": 1,
+ *     "width": 1280, "height": 720,     // 录制时的视频尺寸（仅供参考，关键点为归一化坐标）
+ *     "precision": 10000,               // 坐标的量化倍数
+ *     "frames": [
+ *       { "time": 0.033, "faces": [[x0, y0, z0, x1, y1, z1, ...], ...] },
+ *       ...
+ *     ]
+ *   }
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+export const LANDMARK_RECORDING_VERSION = 1;
+
+// 坐标量化倍数：1/10000 的归一化精度在 4K 画面上也小于半个像素
+const PRECISION = 10000;
+// 视为同一时间点的最大差值（秒）
+const TIME_EPSILON = 1e-6;
+
+// 二分查找时间不晚于 time 的最后一帧的下标，没有时返回 -1
+function findFrameIndex(frames, time) {
+  let low = 0;
+  let high = frames.length - 1;
+  let result = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (frames[mid].time <= time + TIME_EPSILON) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return result;
+}
+
+function copyFaces(faces) {
+  return faces.map((landmarks) =>
+    landmarks.map(({ x, y, z = 0 }) => ({ x, y, z }))
+  );
+}
+
+// 按时间顺序插入一帧，已有同一时间点时替换
+function addFrame(recording, time, faces) {
+  const { frames } = recording;
+  const index = findFrameIndex(frames, time);
+  const frame = { time, faces: copyFaces(faces) };
+  if (index >= 0 && Math.abs(frames[index].time - time) <= TIME_EPSILON) {
+    frames[index] = frame;
+  } else {
+    frames.splice(index + 1, 0, frame);
+  }
+}
+
+// 包装人脸检测器，使其可以录制检测结果
+// 参数：detector 为被包装的检测器，关闭时一并关闭
+// 返回：实现检测器接口的对象，另外提供：
+//   - startRecording(): 开始录制（清除之前的录制结果）
+//   - stopRecording(): 结束录制，返回录制结果（可传给 encodeLandmarkRecording 或 createReplayDetector）
+//   - isRecording()
+//   - getFrameCount(): 当前录制的帧数
+export function createRecordingDetector(detector) {
+  let recording = null;
+
+  return {
+    async detect(image, time) {
+      const faces = await detector.detect(image, time);
+      const frameTime = typeof time === "number" ? time : image.currentTime;
+      if (recording && typeof frameTime === "number") {
+        if (!recording.width && image.videoWidth) {
+          recording.width = image.videoWidth;
+          recording.height = image.videoHeight;
+        }
+        addFrame(recording, frameTime, faces || []);
+      }
+      return faces;
+    },
+    setOptions(options) {
+      if (detector.setOptions) return detector.setOptions(options);
+    },
+    close() {
+      if (detector.close) return detector.close();
+    },
+    startRecording() {
+      recording = {
+        version: LANDMARK_RECORDING_VERSION,
+        width: 0,
+        height: 0,
+        frames: [],
+      };
+    },
+    stopRecording() {
+      const result = recording;
+      recording = null;
+      return result;
+    },
+    isRecording() {
+      return recording !== null;
+    },
+    getFrameCount() {
+      return recording ? recording.frames.length : 0;
+    },
+  };
+}
+
+// 把录制结果编码为 JSON 文本（文件格式见文件头）
+export function encodeLandmarkRecording(recording) {
+  const quantize = (value) => Math.round(value * PRECISION);
+  return JSON.stringify({
+    version: LANDMARK_RECORDING_VERSION,
+    width: recording.width,
+    height: recording.height,
+    precision: PRECISION,
+    frames: recording.frames.map(({ time, faces }) => ({
+      time: Math.round(time * 1e6) / 1e6,
+      faces: faces.map((landmarks) =>
+        landmarks.flatMap(({ x, y, z }) => [
+          quantize(x),
+          quantize(y),
+          quantize(z),
+        ])
+      ),
+    })),
+  });
+}
+
+// 解析录制文件，格式错误时抛出错误
+export function decodeLandmarkRecording(text) {
+  const fail = (message) => {
+    throw new Error(`关键点录制文件格式错误：${message}`);
+  };
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail("不是有效的 JSON");
+  }
+  if (!data || data.version !== LANDMARK_RECORDING_VERSION) {
+    fail(`不支持的版本 ${data ? data.version : ""}`);
+  }
+  if (!Array.isArray(data.frames)) fail("缺少 frames");
+  const precision = data.precision > 0 ? data.precision : PRECISION;
+  const frames = data.frames.map((frame, i) => {
+    if (!Number.isFinite(frame.time) || !Array.isArray(frame.faces)) {
+      fail(`第 ${i + 1} 帧缺少 time 或 faces`);
+    }
+    const faces = frame.faces.map((values) => {
+      if (!Array.isArray(values) || values.length % 3 !== 0) {
+        fail(`第 ${i + 1} 帧的关键点数量不正确`);
+      }
+      const landmarks = [];
+      for (let k = 0; k < values.length; k += 3) {
+        landmarks.push({
+          x: values[k] / precision,
+          y: values[k + 1] / precision,
+          z: values[k + 2] / precision,
+        });
+      }
+      return landmarks;
+    });
+    return { time: frame.time, faces };
+  });
+  frames.sort((a, b) => a.time - b.time);
+  return {
+    version: data.version,
+    width: data.width || 0,
+    height: data.height || 0,
+    frames,
+  };
+}
+
+// 创建回放检测器：按视频时间返回录制的关键点
+// 参数：
+//   - recording: 录制结果（stopRecording 或 decodeLandmarkRecording 的返回值）
+//   - maxGap: 视频时间与最近一帧录制结果相差超过该值（秒）时视为没有人脸，
+//     避免在录制时未覆盖的片段上沿用很久以前的结果
+// 返回：实现检测器接口的对象，另外提供：
+//   - getFrames(startTime, endTime): 同步返回录制时间在 (startTime, endTime] 内的帧
+//     [{ time, faces }]，按时间排序。渲染器发现检测器提供该方法时不再按检测频率调用 detect，
+//     而是每次渲染时取出上次之后播放经过的全部录制帧，按录制时间送入跟踪和防抖
+// 检测时的视频时间取渲染器传入的 time，没有时取 image.currentTime
+export function createReplayDetector(recording, { maxGap = 0.5 } = {}) {
+  const { frames } = recording;
+  let maxNumFaces = Infinity;
+
+  // 返回副本，检测结果的使用者可以放心地修改或保存
+  const getFaces = (frame) => copyFaces(frame.faces.slice(0, maxNumFaces));
+
+  return {
+    async detect(image, time) {
+      const frameTime = typeof time === "number" ? time : image.currentTime;
+      const index = findFrameIndex(frames, frameTime);
+      if (index < 0 || frameTime - frames[index].time > maxGap) return [];
+      return getFaces(frames[index]);
+    },
+    getFrames(startTime, endTime) {
+      const result = [];
+      for (
+        let i = findFrameIndex(frames, startTime) + 1;
+        i < frames.length && frames[i].time <= endTime + TIME_EPSILON;
+        i++
+      ) {
+        result.push({ time: frames[i].time, faces: getFaces(frames[i]) });
+      }
+      return result;
+    },
+    setOptions(options) {
+      if (typeof options.maxNumFaces === "number") {
+        maxNumFaces = options.maxNumFaces;
+      }
+    },
+    close() {},
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * 3D LUT 调色
+ *
+ * 功能：
+ * - 解析调色师交付的 .cube 3D LUT 文件（Adobe/Resolve 格式）
+ * - 把 LUT 打包为二维纹理上传，在着色器中三线性插值查表
+ * - 调色强度可调，LUT 可在运行时切换
+ * - 内置几个由公式生成的 LUT（暖色、冷色、胶片、黑白），无需额外文件
+ *
+ * LUT 对象：{ title, size, domainMin, domainMax, data }
+ *   data 为 Float32Array，长度 size³×3，按 .cube 的顺序存储（红色变化最快，其次绿色，最后蓝色）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { vertexShaderSrc, copyShaderSrc, lutShaderSrc } from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createTexture,
+  deleteTexture,
+} from "./webgl.js";
+
+// 解析 .cube 文件内容
+// 参数：
+//   - text: 文件文本
+//   - title: 文件中没有 TITLE 时使用的名称
+// 返回：LUT 对象；格式错误时抛出带行号的错误
+export function parseCubeLUT(text, title = "") {
+  const lut = {
+    title,
+    size: 0,
+    domainMin: [0, 0, 0],
+    domainMax: [1, 1, 1],
+    data: null,
+  };
+  let count = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+    const lineNumber = i + 1;
+    const parts = line.split(/\s+/);
+    const keyword = parts[0].toUpperCase();
+
+    if (keyword === "TITLE") {
+      lut.title = line.slice(5).trim().replace(/^"|"$/g, "");
+    } else if (keyword === "LUT_3D_SIZE") {
+      const size = parseInt(parts[1], 10);
+      if (!(size >= 2 && size <= 256)) {
+        throw new Error(`第 ${lineNumber} 行：无效的 LUT_3D_SIZE`);
+      }
+      lut.size = size;
+      lut.data = new Float32Array(size * size * size * 3);
+    } else if (keyword === "LUT_1D_SIZE") {
+      throw new Error("暂不支持 1D LUT，请使用 3D LUT（LUT_3D_SIZE）");
+    } else if (keyword === "DOMAIN_MIN" || keyword === "DOMAIN_MAX") {
+      const values = parts.slice(1, 4).map(Number);
+      if (values.length !== 3 || values.some((v) => !Number.isFinite(v))) {
+        throw new Error(`第 ${lineNumber} 行：无效的 ${keyword}`);
+      }
+      if (keyword === "DOMAIN_MIN") lut.domainMin = values;
+      else lut.domainMax = values;
+    } else if (/^[-+.\d]/.test(keyword)) {
+      // 数据行：r g b
+      if (!lut.data) {
+        throw new Error(`第 ${lineNumber} 行：数据出现在 LUT_3D_SIZE 之前`);
+      }
+      const values = parts.map(Number);
+      if (values.length !== 3 || values.some((v) => !Number.isFinite(v))) {
+        throw new Error(`第 ${lineNumber} 行：无效的数据行`);
+      }
+      if (count >= lut.size * lut.size * lut.size) {
+        throw new Error(`第 ${lineNumber} 行：数据行数超过 LUT_3D_SIZE³`);
+      }
+      lut.data.set(values, count * 3);
+      count++;
+    }
+    // 其它关键字（如 LUT_3D_INPUT_RANGE 之外的厂商扩展）忽略
+  });
+
+  if (!lut.data) throw new Error("缺少 LUT_3D_SIZE");
+  const expected = lut.size * lut.size * lut.size;
+  if (count !== expected) {
+    throw new Error(`数据行数为 ${count}，应为 ${expected}`);
+  }
+  return lut;
+}
+
+// 由颜色变换函数生成 LUT
+// 参数：
+//   - title: 名称
+//   - size: 每个维度的格点数
+//   - transform(r, g, b): 返回 [r, g, b]，输入输出范围均为 0-1
+export function createLUTFromFunction(title, size, transform) {
+  const data = new Float32Array(size * size * size * 3);
+  let offset = 0;
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const out = transform(r / (size - 1), g / (size - 1), b / (size - 1));
+        data[offset++] = out[0];
+        data[offset++] = out[1];
+        data[offset++] = out[2];
+      }
+    }
+  }
+  return { title, size, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data };
+}
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// 内置 LUT 的生成函数（名称 -> 变换）
+const BUILTIN_TRANSFORMS = {
+  // 暖色：提升红色、压低蓝色
+  暖色: (r, g, b) => [clamp01(r * 1.06 + 0.02), g, clamp01(b * 0.9)],
+  // 冷色：压低红色、提升蓝色
+  冷色: (r, g, b) => [clamp01(r * 0.92), clamp01(g * 0.99), clamp01(b * 1.08)],
+  // 胶片：S 形对比曲线，黑位略微抬起，整体轻微偏暖
+  胶片: (r, g, b) => {
+    const curve = (v) => 0.04 + 0.92 * (v * v * (3 - 2 * v));
+    return [clamp01(curve(r) * 1.02), curve(g), clamp01(curve(b) * 0.96)];
+  },
+  // 黑白：按 Rec.709 亮度转换为灰度
+  黑白: (r, g, b) => {
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return [y, y, y];
+  },
+};
+
+// 内置 LUT 名称列表
+export const BUILTIN_LUT_NAMES = Object.keys(BUILTIN_TRANSFORMS);
+
+// 生成内置 LUT
+export function createBuiltinLUT(name, size = 17) {
+  const transform = BUILTIN_TRANSFORMS[name];
+  if (!transform) throw new Error(`未知的内置 LUT：${name}`);
+  return createLUTFromFunction(name, size, transform);
+}
+
+// 把 LUT 打包为二维纹理数据：宽 size²、高 size，第 b 个切片位于 x ∈ [b·size, (b+1)·size)
+// 返回 RGBA Uint8Array（WebGL1 不保证支持浮点纹理，8 位精度配合插值已足够）
+export function packLUT(lut) {
+  const { size, data } = lut;
+  const width = size * size;
+  const pixels = new Uint8Array(width * size * 4);
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const src = ((b * size + g) * size + r) * 3;
+        const dst = (g * width + b * size + r) * 4;
+        pixels[dst] = Math.round(clamp01(data[src]) * 255);
+        pixels[dst + 1] = Math.round(clamp01(data[src + 1]) * 255);
+        pixels[dst + 2] = Math.round(clamp01(data[src + 2]) * 255);
+        pixels[dst + 3] = 255;
+      }
+    }
+  }
+  return { pixels, width, height: size };
+}
+
+// 创建 LUT 调色通道
+// 参数：
+//   - name: 通道名称
+// 通道方法：
+//   - setLUT(lut): 设置当前 LUT，null 表示不调色（通道直通）
+//   - getLUT(): 当前 LUT
+// 通道从 frame.params.lutIntensity 读取调色强度 (0-1)
+export function createLUTPass(gl, { name = "lut" } = {}) {
+  const lutProgram = createProgramInfo(gl, vertexShaderSrc, lutShaderSrc);
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+  const lutTexture = createTexture(gl);
+  const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+  let currentLUT = null;
+
+  function uploadLUT(lut) {
+    const { pixels, width, height } = packLUT(lut);
+    gl.bindTexture(gl.TEXTURE_2D, lutTexture.handle);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      pixels
+    );
+  }
+
+  return {
+    name,
+    enabled: true,
+    setLUT(lut) {
+      currentLUT = lut;
+      if (!lut) return;
+      if (lut.size * lut.size > maxTextureSize) {
+        currentLUT = null;
+        throw new Error(
+          `LUT 尺寸 ${lut.size} 超过当前设备支持的纹理大小（最大 ${maxTextureSize}）`
+        );
+      }
+      uploadLUT(lut);
+    },
+    getLUT() {
+      return currentLUT;
+    },
+    draw(ctx, input, output) {
+      const intensity = ctx.frame.params.lutIntensity;
+      // 没有 LUT 或强度为0时直通
+      if (!currentLUT || !(intensity > 0)) {
+        ctx.drawQuad(copyProgram, output, (u, bindTexture) => {
+          bindTexture("u_texture", input);
+        });
+        return;
+      }
+      ctx.drawQuad(lutProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_lut", lutTexture);
+        gl.uniform1f(u.u_lutSize, currentLUT.size);
+        gl.uniform3fv(u.u_domainMin, currentLUT.domainMin);
+        gl.uniform3fv(u.u_domainMax, currentLUT.domainMax);
+        gl.uniform1f(u.u_intensity, intensity);
+      });
+    },
+    // 上下文恢复后重新上传当前 LUT
+    restore() {
+      if (currentLUT) uploadLUT(currentLUT);
+    },
+    destroy() {
+      deleteProgramInfo(gl, lutProgram);
+      deleteProgramInfo(gl, copyProgram);
+      deleteTexture(gl, lutTexture);
+    },
+  };
+}
@@ -1,346 +1,1105 @@
 /**
  * WebGL 美颜滤镜主程序
  *
+ * 演示页面：所有渲染逻辑由 beautyRenderer.js 中的 BeautyRenderer 提供，
+ * 本文件只负责视频源、界面控件和录制等，是渲染器接口的一个使用者
+ *
  * 功能：
- * - 使用 MediaPipe Face Mesh 进行人脸检测
- * - 利用 WebGL 实现视频美颜滤镜效果（支持视频文件）
- * - 包括磨皮、亮度调整和饱和度增强
- * - 支持人脸局部美颜处理
+ * - 使用 MediaPipe Face Mesh 进行人脸检测，可通过地址参数切换为 FaceLandmarker 或模拟检测器，
+ *   MediaPipe 文件地址可配置（离线部署）
+ * - 利用 WebGL 实现视频美颜滤镜效果（支持视频文件和摄像头）
+ * - 多通道渲染管线：每个效果一个独立通道，可运行时启用、调整顺序
+ * - 优先使用 WebGL2（回退到 WebGL1），上下文丢失后自动恢复；WebGL 不可用时在页面上提示
+ * - 包括保边磨皮（可分离双边滤波）、锐化、亮度调整和饱和度增强
+ * - 支持人脸局部美颜处理（人脸轮廓遮罩挖去五官并羽化边缘，椭圆遮罩作为备用）
+ * - 支持多人脸，每张人脸有稳定的ID和单独的开关/强度设置
+ * - 头部姿态估计：人脸列表中显示每张人脸的偏航/俯仰/翻滚角，椭圆区域和贴纸随姿态旋转
+ * - 表情识别：眨眼、张嘴、微笑、挑眉、点头、摇头事件，调试面板实时显示指标和基线，可选微笑时自动截图
+ * - 关键点 One Euro 防抖、检测间隔内按视频时间外推、人脸丢失后淡出
  * - 支持美颜效果开关控制
+ * - 美颜前后对比：可拖动分割线的分屏、左右并排、按住画面查看原图（在 WebGL 中绘制，可被录制）
+ * - 虚拟美妆：口红（含光泽）、腮红、眼影、眼线，可选颜色、不透明度和混合模式
+ * - 动态贴纸：内置示例贴纸，可导入 PNG 或 JSON 清单（含序列帧动画），贴纸跟随人脸
+ * - 背景虚化与替换：人像分割后虚化背景（强度可调），或替换为纯色、图片、视频，边缘细化防闪烁
+ * - 3D LUT 调色：内置 LUT 或导入 .cube 文件（支持拖放），可作用于整个画面或仅人脸
+ * - 美颜预设：内置预设、用户预设本地保存、JSON 导入导出，切换时平滑过渡
+ * - 支持录制处理后的画面（含原声）并下载
+ * - WHIP 推流：把处理后的画面（含原声）推送到 WHIP 服务器，可调码率和分辨率，实时显示码率、丢包率和帧率；
+ *   可选页面内回环测试
+ * - 关键点录制与回放：按视频时间录制检测结果并下载，回放时代替实时检测，结果可重复
+ * - 支持对视频文件离线逐帧处理（每帧都完成人脸检测），输出逐帧精确的视频
+ * - 性能信息：画面上方显示帧率、CPU/GPU 帧时间、检测延迟和丢帧数；自适应画质在帧预算不足时降低磨皮分辨率、
+ *   磨皮核半径和检测频率，有余量时恢复（可在界面上关闭）
+ * - 照片模式：导入 JPEG/PNG/WebP 图片（按 EXIF 方向摆正），预览中调整效果，按原图分辨率导出 PNG 或 JPEG
  *
  * 作者：WebGL 技术团队
  * 日期：2023
  */
-import { vertexShaderSrc, fragmentShaderSrc } from "./shaders.js";
+import { BeautyRenderer, DEFAULT_PARAMS } from "./beautyRenderer.js";
+import {
+  createFaceMeshDetector,
+  createFaceLandmarkerDetector,
+} from "./faceDetector.js";
+import { createScriptedFaceDetector } from "./mockFaceDetector.js";
+import {
+  createRecordingDetector,
+  createReplayDetector,
+  encodeLandmarkRecording,
+  decodeLandmarkRecording,
+} from "./landmarkRecording.js";
+import { createSelfieSegmenter } from "./segmenter.js";
+import { getParamDef } from "./paramSchema.js";
+import { parseCubeLUT, createBuiltinLUT, BUILTIN_LUT_NAMES } from "./lut.js";
+import { createParamPanel, createParamControl } from "./paramPanel.js";
+import { MAKEUP_LAYERS, MAKEUP_BLEND_MODES } from "./makeup.js";
+import { EXPRESSION_NAMES } from "./expressions.js";
+import {
+  STICKER_ANCHORS,
+  normalizeStickerConfig,
+  loadStickerImage,
+  loadStickersFromManifest,
+} from "./stickers.js";
+import { createVideoSource } from "./videoSource.js";
+import {
+  createCanvasRecorder,
+  getSupportedRecordingFormats,
+  getVideoAudioTracks,
+  downloadBlob,
+  makeRecordingFilename,
+} from "./recorder.js";
+import { createPresetManager, animatePresetValues } from "./presets.js";
+import {
+  processVideoOffline,
+  getOfflineEncoderKind,
+} from "./batchProcessor.js";
+import { createWhipPublisher, createLoopbackWhipFetch } from "./whip.js";
+import {
+  loadPhoto,
+  createPhotoPreview,
+  encodePhoto,
+  PHOTO_EXPORT_FORMATS,
+} from "./photo.js";
 
 // 获取DOM元素
 const video = document.getElementById("video");
 const canvas = document.getElementById("canvas");
-// 获取WebGL上下文 - 核心步骤1：初始化WebGL渲染环境
-// 尝试使用标准WebGL上下文，如果不支持则回退到实验版本
-const gl =
-  canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
-if (!gl) {
-  console.error("您的浏览器不支持WebGL");
+
+// 演示页面的美颜设置，字段与 BeautyRenderer 的参数一致
+// 渲染器创建之前（或创建失败时）界面仍可调整，创建时作为初始参数传入
+const settings = { ...DEFAULT_PARAMS };
+// 美颜渲染器，在 main() 中创建；WebGL 不可用时保持为 null
+let renderer = null;
+
+// 页面地址参数：
+//   - detector: 人脸检测器，"facemesh"（默认）、"landmarker"（MediaPipe Tasks FaceLandmarker）
+//     或 "mock"（脚本化的模拟检测器，不需要网络和模型文件）
+//   - assets: MediaPipe 文件的根目录，默认为 CDN；目录结构与 node_modules/@mediapipe 相同，
+//     把 npm 包复制到自己的服务器上即可离线运行
+//   - model: FaceLandmarker 模型文件（face_landmarker.task）的地址
+//   - replay: 关键点录制文件的地址，指定时回放其中的关键点而不运行人脸检测
+const pageOptions = new URLSearchParams(location.search);
+const MEDIAPIPE_ASSETS = (
+  pageOptions.get("assets") || "https://cdn.jsdelivr.net/npm/@mediapipe/"
+).replace(/\/?$/, "/");
+
+// 模拟检测器的演示脚本：一张人脸移动、转头、歪头并做出各种表情，8 秒一个循环
+const MOCK_FACE_SCRIPT = [
+  { time: 0, faces: [{ centerX: 0.4 }] },
+  { time: 2, faces: [{ centerX: 0.6, yaw: 25, smile: 1 }] },
+  { time: 4, faces: [{ centerX: 0.5, roll: 15, mouthOpen: 1 }] },
+  { time: 6, faces: [{ centerX: 0.45, pitch: -10, browRaise: 1 }] },
+  { time: 8, faces: [{ centerX: 0.4 }] },
+];
+
+// 自适应画质：按 30 fps 的帧预算调整，档位列表和可调整的范围等其他选项见 adaptiveQuality.js
+const ADAPTIVE_QUALITY_OPTIONS = { targetFrameTime: 1000 / 30 };
+
+// 实时人脸检测器（包装为可录制关键点的检测器），回放关键点时为 null
+let liveDetector = null;
+// 正在回放的关键点录制文件名称，未回放时为 null
+let replayName = null;
+
+// 读取当前的美颜设置
+function getBeautySettings() {
+  return { ...settings };
+}
+
+// 应用美颜设置，未提供的字段保持不变
+function setBeautySettings(values) {
+  Object.assign(settings, values);
+  if (renderer) renderer.setParams(values);
 }
 
-// 美颜开关控制变量（全局）
-let beautyEnabled = true;
-// 人脸识别开关控制变量（全局）
-let faceDetectionEnabled = true;
+// 视频源管理：本地文件 / 摄像头 / 任意 MediaStream
+const videoSource = createVideoSource(video);
 
-// 美颜参数控制变量（全局，初始值为当前默认值）
-let sharpnessVal = 0.5; // 锐化强度 (0-1，0表示模糊，1表示最大锐化)
-let brightnessVal = 0.05; // 亮度提升
-let saturationVal = 1.2; // 饱和度调整
-let contrastVal = 1.0; // 对比度调整（1.0为原始对比度）
-let hueVal = 0.0; // 色调调整（以角度为单位，0为原始色调）
+// 视频源切换后同步镜像设置（摄像头自拍视角），照片模式下不镜像
+function syncMirrored() {
+  if (renderer) {
+    renderer.setMirrored(renderer.source === video && videoSource.mirrored);
+  }
+}
+video.addEventListener("loadedmetadata", () => {
+  console.log("视频加载成功，尺寸:", video.videoWidth, "x", video.videoHeight);
+  syncMirrored();
+});
+video.addEventListener("emptied", syncMirrored);
 
 // 初始化视频文件
 async function initVideo() {
-  try {
-    // 直接加载文件夹中的test.mp4视频文件作为默认视频
-    video.src = "test.mp4";
-
-    // 设置视频加载完成事件
-    video.onloadedmetadata = function () {
-      // 根据视频尺寸设置画布大小
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      console.log(
-        "视频加载成功，尺寸:",
-        video.videoWidth,
-        "x",
-        video.videoHeight
-      );
-
-      video.play().catch((err) => {
-        console.error("自动播放失败，需要用户交互:", err);
-      });
-    };
-  } catch (e) {
+  // 直接加载文件夹中的test.mp4视频文件作为默认视频
+  videoSource.useFile("test.mp4").catch((e) => {
     console.error("视频初始化失败:", e);
-  }
+  });
 }
 
-// 核心函数1：创建着色器 - WebGL渲染管线构建步骤之一
-function createShader(gl, type, source) {
-  // 创建着色器对象 - 可以是顶点着色器(gl.VERTEX_SHADER)或片元着色器(gl.FRAGMENT_SHADER)
-  const shader = gl.createShader(type);
-  // 设置着色器源码
-  gl.shaderSource(shader, source);
-  // 编译着色器
-  gl.compileShader(shader);
-  // 检查编译是否成功
-  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-    console.error("Shader编译失败:", gl.getShaderInfoLog(shader));
-    gl.deleteShader(shader);
-    return null;
-  }
-  return shader;
+// 画面上方的状态提示层：WebGL 不可用或上下文丢失时显示，避免页面只剩空白画布
+let statusOverlay = null;
+
+function showStatusOverlay(title, message) {
+  if (!statusOverlay) {
+    statusOverlay = document.createElement("div");
+    statusOverlay.style.position = "fixed";
+    statusOverlay.style.top = "50%";
+    statusOverlay.style.left = "50%";
+    statusOverlay.style.transform = "translate(-50%, -50%)";
+    statusOverlay.style.zIndex = "2000";
+    statusOverlay.style.maxWidth = "360px";
+    statusOverlay.style.padding = "20px 24px";
+    statusOverlay.style.backgroundColor = "rgba(0,0,0,0.85)";
+    statusOverlay.style.color = "white";
+    statusOverlay.style.borderRadius = "8px";
+    statusOverlay.style.fontFamily = "Arial, sans-serif";
+    statusOverlay.style.textAlign = "center";
+    statusOverlay.style.boxShadow = "0 2px 10px rgba(0,0,0,0.4)";
+    document.body.appendChild(statusOverlay);
+  }
+  statusOverlay.innerHTML = "";
+  const titleElement = document.createElement("h3");
+  titleElement.textContent = title;
+  titleElement.style.margin = "0 0 10px";
+  const messageElement = document.createElement("p");
+  messageElement.textContent = message;
+  messageElement.style.margin = "0";
+  messageElement.style.fontSize = "14px";
+  messageElement.style.lineHeight = "1.5";
+  statusOverlay.appendChild(titleElement);
+  statusOverlay.appendChild(messageElement);
+  statusOverlay.style.display = "block";
 }
 
-// 核心函数2：创建着色器程序 - WebGL渲染管线构建步骤之二
-function createProgram(gl, vShader, fShader) {
-  // 创建着色器程序对象 - 着色器程序是连接顶点着色器和片元着色器的容器
-  const program = gl.createProgram();
-  // 附加顶点着色器到程序
-  gl.attachShader(program, vShader);
-  // 附加片元着色器到程序
-  gl.attachShader(program, fShader);
-  // 链接着色器程序，使其成为可执行的渲染管线
-  gl.linkProgram(program);
-  // 检查链接是否成功
-  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    console.error("Program链接失败:", gl.getProgramInfoLog(program));
-    gl.deleteProgram(program);
-    return null;
-  }
-  return program;
+function hideStatusOverlay() {
+  if (statusOverlay) statusOverlay.style.display = "none";
 }
 
 async function main() {
   await initVideo();
 
-  // 核心步骤2：编译着色器并创建着色器程序
-  // 创建顶点着色器 - 负责处理顶点坐标和纹理映射
-  const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexShaderSrc);
-  // 创建片元着色器 - 负责实现美颜算法和像素级处理
-  const fragmentShader = createShader(
-    gl,
-    gl.FRAGMENT_SHADER,
-    fragmentShaderSrc
-  );
-  // 创建并链接着色器程序
-  const program = createProgram(gl, vertexShader, fragmentShader);
-  // 核心步骤3：激活着色器程序，使其成为当前渲染状态的一部分
-  gl.useProgram(program);
-
-  // 核心步骤4：设置顶点数据 - 创建覆盖整个Canvas的矩形
-  // 创建顶点缓冲区对象(VBO) - WebGL中数据存储的基本单元
-  const positionBuffer = gl.createBuffer();
-  // 绑定缓冲区到目标
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  // 填充顶点数据 - 使用Float32Array创建顶点数组
-  // 这里定义了一个覆盖整个标准化设备坐标系的矩形（左上角、左下角、右上角、右下角）
-  gl.bufferData(
-    gl.ARRAY_BUFFER,
-    new Float32Array([-1, 1, -1, -1, 1, 1, 1, -1]),
-    gl.STATIC_DRAW // 数据不会频繁变化，提示GPU优化
-  );
-  // 获取着色器中顶点位置属性的索引
-  const a_position = gl.getAttribLocation(program, "a_position");
-  // 启用顶点属性数组
-  gl.enableVertexAttribArray(a_position);
-  // 定义顶点属性的格式和数据源
-  // 参数：属性索引，每个顶点的分量数，数据类型，是否归一化，步长，偏移量
-  gl.vertexAttribPointer(a_position, 2, gl.FLOAT, false, 0, 0);
-
-  // 核心步骤5：设置纹理坐标数据 - 用于将视频帧映射到矩形上
-  // 创建纹理坐标缓冲区
-  const texCoordBuffer = gl.createBuffer();
-  // 绑定到目标
-  gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-  // 填充纹理坐标数据 - 纹理坐标范围是[0,1]，对应视频的四个角落
-  gl.bufferData(
-    gl.ARRAY_BUFFER,
-    new Float32Array([0, 0, 0, 1, 1, 0, 1, 1]),
-    gl.STATIC_DRAW
-  );
-  // 获取着色器中纹理坐标属性的索引
-  const a_texCoord = gl.getAttribLocation(program, "a_texCoord");
-  // 启用纹理坐标属性数组
-  gl.enableVertexAttribArray(a_texCoord);
-  // 定义纹理坐标属性的格式和数据源
-  gl.vertexAttribPointer(a_texCoord, 2, gl.FLOAT, false, 0, 0);
-
-  // 核心步骤6：创建和配置视频纹理 - WebGL中处理图像数据的关键
-  // 创建纹理对象 - 纹理是存储图像数据的容器
-  const videoTexture = gl.createTexture();
-  // 绑定纹理对象到目标
-  gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-  // 设置纹理环绕模式 - 当纹理坐标超出[0,1]范围时的行为
-  // CLAMP_TO_EDGE：超出部分使用纹理边缘的像素颜色
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-  // 设置纹理过滤模式 - 当纹理被放大或缩小时的采样方式
-  // LINEAR：使用线性插值，生成更平滑的结果
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR); // 缩小过滤
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR); // 放大过滤
-
-  // 核心步骤7：获取uniform变量位置 - 这些变量用于从JavaScript向着色器传递数据
-  // 纹理采样器uniform
-  const u_texture = gl.getUniformLocation(program, "u_texture");
-  // 人脸中心点坐标
-  const u_faceCenter = gl.getUniformLocation(program, "u_faceCenter");
-  // 人脸处理椭圆半径（长轴和短轴）
-  const u_faceRadiusMajor = gl.getUniformLocation(program, "u_faceRadiusMajor");
-  const u_faceRadiusMinor = gl.getUniformLocation(program, "u_faceRadiusMinor");
-  // 锐化强度参数
-  const u_sharpness = gl.getUniformLocation(program, "u_sharpness");
-  // 亮度提升参数
-  const u_brightness = gl.getUniformLocation(program, "u_brightness");
-  // 饱和度调整参数
-  const u_saturation = gl.getUniformLocation(program, "u_saturation");
-  // 对比度调整参数
-  const u_contrast = gl.getUniformLocation(program, "u_contrast");
-  // 色调调整参数
-  const u_hue = gl.getUniformLocation(program, "u_hue");
-  // 画布分辨率（用于纹理采样偏移计算）
-  const u_resolution = gl.getUniformLocation(program, "u_resolution");
-
-  // 初始化MediaPipe Face Mesh
-  const faceMesh = new FaceMesh({
-    locateFile: (file) =>
-      `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`,
-  });
-  faceMesh.setOptions({
-    maxNumFaces: 1,
-    refineLandmarks: true,
-    minDetectionConfidence: 0.5,
-    minTrackingConfidence: 0.5,
-  });
-
-  let faceLandmarks = null;
-  faceMesh.onResults((results) => {
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      faceLandmarks = results.multiFaceLandmarks[0];
-      console.log("检测到人脸关键点");
+  // 创建美颜渲染器，使用 MediaPipe Face Mesh 作为人脸检测器
+  // 渲染管线、视频纹理、人脸跟踪和防抖都封装在渲染器内部
+  try {
+    renderer = new BeautyRenderer(canvas, video, {
+      params: settings,
+      adaptiveQuality: ADAPTIVE_QUALITY_OPTIONS,
+    });
+  } catch (err) {
+    renderer = null;
+    showStatusOverlay(
+      "无法启动美颜渲染",
+      `${err.message}。请使用支持 WebGL 的浏览器，或在浏览器设置中开启硬件加速后刷新页面。`
+    );
+    throw err;
+  }
+  console.log("渲染上下文:", renderer.contextType);
+
+  // 人脸检测器（及其模型文件）异步加载，加载完成前不做人脸局部处理
+  const replayUrl = pageOptions.get("replay");
+  const detectorReady = replayUrl
+    ? fetch(replayUrl)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then((text) => useReplay(decodeLandmarkRecording(text), replayUrl))
+    : useLiveDetector();
+  detectorReady.catch((err) => {
+    console.error("人脸检测器加载失败:", err);
+  });
+  syncMirrored();
+
+  // 显卡驱动重置等原因导致上下文丢失时提示用户，恢复后渲染器自动重建资源
+  renderer.addEventListener("contextlost", () => {
+    showStatusOverlay("图形上下文已丢失", "正在等待浏览器恢复 WebGL…");
+  });
+  renderer.addEventListener("contextrestored", hideStatusOverlay);
+  renderer.addEventListener("facetrackschange", (event) => {
+    console.log("检测到的人脸ID:", event.detail.ids);
+  });
+
+  // 调试入口：可在控制台通过 beautyPipeline.setPassEnabled / movePass 调整通道
+  window.beautyPipeline = renderer.pipeline;
+  window.beautyRenderer = renderer;
+
+  // 启动实时渲染循环
+  renderer.start();
+}
+
+// 动态加载脚本（MediaPipe 的旧版解决方案以全局变量的形式提供）
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`脚本加载失败：${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// 按页面地址参数创建人脸检测器
+async function createFaceDetector() {
+  const kind = pageOptions.get("detector") || "facemesh";
+  const maxNumFaces = settings.maxFaces;
+  console.log("人脸检测器:", kind);
+  if (kind === "mock") {
+    return createScriptedFaceDetector(MOCK_FACE_SCRIPT, { loop: true });
+  }
+  if (kind === "landmarker") {
+    return createFaceLandmarkerDetector({
+      baseUrl: `${MEDIAPIPE_ASSETS}tasks-vision/`,
+      modelAssetPath: pageOptions.get("model") || undefined,
+      maxNumFaces,
+    });
+  }
+  const baseUrl = `${MEDIAPIPE_ASSETS}face_mesh/`;
+  if (typeof FaceMesh === "undefined") {
+    await loadScript(`${baseUrl}face_mesh.js`);
+  }
+  return createFaceMeshDetector({ baseUrl, maxNumFaces });
+}
+
+// 加载实时人脸检测器并交给渲染器（原来的检测器由渲染器关闭）
+async function useLiveDetector() {
+  const detector = createRecordingDetector(await createFaceDetector());
+  liveDetector = detector;
+  replayName = null;
+  if (renderer) renderer.setFaceDetector(detector);
+}
+
+// 回放录制的关键点代替实时检测（实时检测器由渲染器关闭）
+function useReplay(recording, name) {
+  liveDetector = null;
+  replayName = name;
+  if (renderer) renderer.setFaceDetector(createReplayDetector(recording));
+  console.log(`回放关键点：${name}（${recording.frames.length} 帧）`);
+}
+
+// 摄像头视频源面板：选择设备、分辨率、帧率，打开摄像头和镜像显示
+function setupCameraPanel() {
+  const panel = document.createElement("div");
+  panel.style.position = "fixed";
+  panel.style.top = "16px";
+  panel.style.left = "20px";
+  panel.style.zIndex = "1000";
+  panel.style.width = "220px";
+  panel.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
+  panel.style.padding = "12px";
+  panel.style.borderRadius = "8px";
+  panel.style.boxShadow = "0 2px 10px rgba(0,0,0,0.2)";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "13px";
+  panel.style.color = "#333";
+
+  // 创建带标签的下拉框
+  function createSelect(label, options) {
+    const labelElement = document.createElement("label");
+    labelElement.textContent = label;
+    labelElement.style.display = "block";
+    labelElement.style.marginBottom = "6px";
+    const select = document.createElement("select");
+    select.style.width = "100%";
+    options.forEach(({ value, text }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    labelElement.appendChild(select);
+    panel.appendChild(labelElement);
+    return select;
+  }
+
+  const deviceSelect = createSelect("摄像头设备", [
+    { value: "", text: "默认摄像头" },
+  ]);
+  const resolutionSelect = createSelect("分辨率", [
+    { value: "640x480", text: "640 × 480" },
+    { value: "1280x720", text: "1280 × 720" },
+    { value: "1920x1080", text: "1920 × 1080" },
+  ]);
+  resolutionSelect.value = "1280x720";
+  const frameRateSelect = createSelect("帧率", [
+    { value: "15", text: "15 fps" },
+    { value: "30", text: "30 fps" },
+    { value: "60", text: "60 fps" },
+  ]);
+  frameRateSelect.value = "30";
+
+  const mirrorLabel = document.createElement("label");
+  mirrorLabel.style.display = "block";
+  mirrorLabel.style.marginBottom = "8px";
+  const mirrorCheckbox = document.createElement("input");
+  mirrorCheckbox.type = "checkbox";
+  mirrorCheckbox.checked = true;
+  mirrorCheckbox.addEventListener("change", () => {
+    if (videoSource.kind === "camera") {
+      videoSource.mirrored = mirrorCheckbox.checked;
+    }
+  });
+  mirrorLabel.appendChild(mirrorCheckbox);
+  mirrorLabel.appendChild(document.createTextNode(" 镜像显示（自拍视角）"));
+  panel.appendChild(mirrorLabel);
+
+  // 同时采集麦克风，录制时会混入声音
+  const audioLabel = document.createElement("label");
+  audioLabel.style.display = "block";
+  audioLabel.style.marginBottom = "8px";
+  const audioCheckbox = document.createElement("input");
+  audioCheckbox.type = "checkbox";
+  audioCheckbox.checked = false;
+  audioLabel.appendChild(audioCheckbox);
+  audioLabel.appendChild(document.createTextNode(" 同时采集麦克风"));
+  panel.appendChild(audioLabel);
+
+  const cameraBtn = document.createElement("button");
+  cameraBtn.textContent = "打开摄像头";
+  cameraBtn.style.width = "100%";
+  cameraBtn.style.padding = "8px 12px";
+  cameraBtn.style.backgroundColor = "#3F51B5";
+  cameraBtn.style.color = "white";
+  cameraBtn.style.border = "none";
+  cameraBtn.style.borderRadius = "5px";
+  cameraBtn.style.cursor = "pointer";
+  cameraBtn.style.fontSize = "14px";
+  panel.appendChild(cameraBtn);
+
+  // 刷新摄像头设备列表（授权之后才能拿到设备名称）
+  async function refreshDevices() {
+    const cameras = await videoSource.listCameras();
+    const selected = deviceSelect.value;
+    deviceSelect.innerHTML = "";
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "";
+    defaultOption.textContent = "默认摄像头";
+    deviceSelect.appendChild(defaultOption);
+    cameras.forEach(({ deviceId, label }) => {
+      const option = document.createElement("option");
+      option.value = deviceId;
+      option.textContent = label;
+      deviceSelect.appendChild(option);
+    });
+    deviceSelect.value = selected;
+  }
+
+  // 按当前选择打开摄像头
+  async function openCamera() {
+    const [width, height] = resolutionSelect.value.split("x").map(Number);
+    try {
+      await videoSource.useCamera({
+        deviceId: deviceSelect.value || undefined,
+        width,
+        height,
+        frameRate: Number(frameRateSelect.value),
+        audio: audioCheckbox.checked,
+        mirrored: mirrorCheckbox.checked,
+      });
+      cameraBtn.textContent = "关闭摄像头";
+      cameraBtn.style.backgroundColor = "#795548";
+      await refreshDevices();
+    } catch (err) {
+      console.error("摄像头打开失败:", err);
+    }
+  }
+
+  cameraBtn.onclick = () => {
+    if (videoSource.kind === "camera") {
+      videoSource.stop();
     } else {
-      faceLandmarks = null;
-    }
-  });
-
-  // 定期进行人脸检测（每秒约15次，可根据需要调整）
-  let lastDetectionTime = 0;
-  const detectionInterval = 1000 / 15; // 检测间隔（毫秒）
-
-  // 使用全局美颜参数变量（已在外部定义）
-
-  // 核心步骤8：实现渲染循环 - WebGL动画和实时处理的核心
-  function render(timestamp) {
-    // 确保视频已加载足够数据
-    if (video.readyState >= 2) {
-      // 设置视口 - 定义WebGL如何映射到Canvas
-      gl.viewport(0, 0, canvas.width, canvas.height);
-
-      // 渲染步骤1：上传当前视频帧到纹理
-      gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-      // 将视频帧数据复制到纹理
-      // 参数：目标纹理，mipmap级别，内部格式，格式，类型，数据源
-      gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        video
-      );
+      openCamera();
+    }
+  };
+
+  // 摄像头打开时修改设备/分辨率/帧率/麦克风，立即重新打开
+  [deviceSelect, resolutionSelect, frameRateSelect, audioCheckbox].forEach(
+    (control) => {
+      control.addEventListener("change", () => {
+        if (videoSource.kind === "camera") openCamera();
+      });
+    }
+  );
+
+  // 视频源切换到其他类型（例如选择了本地文件）时恢复按钮状态
+  video.addEventListener("emptied", () => {
+    if (videoSource.kind !== "camera") {
+      cameraBtn.textContent = "打开摄像头";
+      cameraBtn.style.backgroundColor = "#3F51B5";
+    }
+  });
+
+  // 插拔摄像头时刷新设备列表
+  if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener("devicechange", refreshDevices);
+  }
+  refreshDevices();
+
+  document.body.appendChild(panel);
+}
+
+// 录制面板：选择格式和码率，录制处理后的画布并下载
+function setupRecordPanel() {
+  const panel = document.createElement("div");
+  panel.style.position = "fixed";
+  panel.style.bottom = "20px";
+  panel.style.right = "20px";
+  panel.style.zIndex = "1000";
+  panel.style.width = "220px";
+  panel.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
+  panel.style.padding = "12px";
+  panel.style.borderRadius = "8px";
+  panel.style.boxShadow = "0 2px 10px rgba(0,0,0,0.2)";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "13px";
+  panel.style.color = "#333";
+
+  const formats = getSupportedRecordingFormats();
+  if (formats.length === 0) {
+    panel.textContent = "当前浏览器不支持录制（MediaRecorder 不可用）";
+    document.body.appendChild(panel);
+    return;
+  }
 
-      // 渲染步骤2：传入画布分辨率，用于纹理采样偏移计算
-      gl.uniform2f(u_resolution, canvas.width, canvas.height);
+  const recorder = createCanvasRecorder(canvas, {
+    getAudioTracks: () => getVideoAudioTracks(video),
+    // 录制中途出错时录制器已经停止，恢复控件并显示原因
+    onError: (err) => {
+      resetControls();
+      status.textContent = err.message;
+    },
+  });
 
-      // 移除宽高比校正，因为现在使用椭圆来适应人脸形状
+  const formatLabel = document.createElement("label");
+  formatLabel.textContent = "录制格式";
+  formatLabel.style.display = "block";
+  formatLabel.style.marginBottom = "6px";
+  const formatSelect = document.createElement("select");
+  formatSelect.style.width = "100%";
+  formats.forEach((format, i) => {
+    const option = document.createElement("option");
+    option.value = String(i);
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  });
+  formatLabel.appendChild(formatSelect);
+  panel.appendChild(formatLabel);
+
+  const bitrateLabel = document.createElement("label");
+  bitrateLabel.textContent = "视频码率";
+  bitrateLabel.style.display = "block";
+  bitrateLabel.style.marginBottom = "8px";
+  const bitrateSelect = document.createElement("select");
+  bitrateSelect.style.width = "100%";
+  [2.5, 5, 8, 12, 20].forEach((mbps) => {
+    const option = document.createElement("option");
+    option.value = String(mbps * 1000000);
+    option.textContent = `${mbps} Mbps`;
+    bitrateSelect.appendChild(option);
+  });
+  bitrateSelect.value = "5000000";
+  bitrateLabel.appendChild(bitrateSelect);
+  panel.appendChild(bitrateLabel);
+
+  const recordBtn = document.createElement("button");
+  recordBtn.textContent = "开始录制";
+  recordBtn.style.width = "100%";
+  recordBtn.style.padding = "8px 12px";
+  recordBtn.style.backgroundColor = "#F44336";
+  recordBtn.style.color = "white";
+  recordBtn.style.border = "none";
+  recordBtn.style.borderRadius = "5px";
+  recordBtn.style.cursor = "pointer";
+  recordBtn.style.fontSize = "14px";
+  panel.appendChild(recordBtn);
+
+  // 录制结果下载链接
+  const downloadLink = document.createElement("a");
+  downloadLink.style.display = "none";
+  downloadLink.style.marginTop = "8px";
+  downloadLink.style.color = "#2196F3";
+  panel.appendChild(downloadLink);
+
+  // 录制出错时显示原因
+  const status = document.createElement("div");
+  status.style.marginTop = "6px";
+  status.style.color = "#F44336";
+  panel.appendChild(status);
+
+  let timerId = null;
+  let startTime = 0;
+
+  // 恢复到未录制时的控件状态
+  function resetControls() {
+    clearInterval(timerId);
+    timerId = null;
+    recordBtn.disabled = false;
+    recordBtn.textContent = "开始录制";
+    recordBtn.style.backgroundColor = "#F44336";
+    formatSelect.disabled = false;
+    bitrateSelect.disabled = false;
+  }
 
-      // 3. 定期进行人脸检测
-      if (timestamp - lastDetectionTime > detectionInterval) {
-        faceMesh.send({ image: video }).catch((err) => {
-          console.warn("人脸检测失败:", err);
+  recordBtn.onclick = async () => {
+    if (!recorder.isRecording()) {
+      try {
+        recorder.start({
+          format: formats[Number(formatSelect.value)],
+          videoBitsPerSecond: Number(bitrateSelect.value),
         });
-        lastDetectionTime = timestamp;
+      } catch (err) {
+        console.error("录制启动失败:", err);
+        status.textContent = `录制启动失败：${err.message}`;
+        return;
       }
-
-      // 渲染步骤3-7：处理人脸检测数据并传递给着色器
-      if (faceDetectionEnabled) {
-        // 人脸识别开启状态：使用人脸关键点控制美颜范围
-        if (faceLandmarks) {
-          // 根据人脸关键点动态计算美颜范围，使用椭圆来匹配人脸形状
-          // 取鼻尖关键点作为脸部中心（索引1对应鼻尖）
-          const noseTip = faceLandmarks[1];
-
-          // 使用多个关键点来动态计算人脸大小
-          // 利用额头顶部(10)、下巴(152)、左眼外角(234)和右眼外角(454)计算人脸尺寸
-          const forehead = faceLandmarks[10]; // 额头顶部
-          const chin = faceLandmarks[152]; // 下巴位置
-          const leftEyeCorner = faceLandmarks[234]; // 左眼外角
-          const rightEyeCorner = faceLandmarks[454]; // 右眼外角
-
-          // 计算人脸垂直方向长度（额头到下巴）
-          const faceHeight = Math.abs(forehead.y - chin.y);
-          // 计算人脸水平方向长度（左眼外角到右眼外角）
-          const faceWidth = Math.abs(rightEyeCorner.x - leftEyeCorner.x);
-
-          // 计算人脸自然长宽比，不受视频比例影响
-          // 先计算人脸的比例系数
-          const faceRatio = faceWidth / faceHeight;
-
-          // 以人脸高度作为基准（通常更稳定），根据实际比例计算椭圆参数
-          // 这样椭圆形状只由人脸本身决定，不受视频比例影响
-          const baseSize = faceHeight * 1.2; // 以高度为基准，确保完整覆盖
-          const majorAxis = baseSize * Math.max(faceRatio);
-          const minorAxis = baseSize;
-
-          // 设置人脸中心点
-          gl.uniform2f(u_faceCenter, noseTip.x, noseTip.y - 0.05);
-
-          // 设置椭圆的长轴和短轴半径
-          gl.uniform1f(u_faceRadiusMajor, majorAxis / 2);
-          gl.uniform1f(u_faceRadiusMinor, minorAxis / 2);
-
-          console.log(
-            `动态计算的椭圆参数 - 长轴半径: ${(majorAxis / 2).toFixed(
-              3
-            )}, 短轴半径: ${(minorAxis / 2).toFixed(3)}`
-          );
-        } else {
-          // 如果没检测到人脸，关闭局部处理（半径设为极小值）
-          gl.uniform1f(u_faceRadiusMajor, 0.0001);
-          gl.uniform1f(u_faceRadiusMinor, 0.0001);
-        }
-      } else {
-        // 人脸识别关闭状态：将美颜应用到整个画布
-        // 设置足够大的椭圆参数以覆盖整个画布
-        gl.uniform1f(u_faceRadiusMajor, 1.5);
-        gl.uniform1f(u_faceRadiusMinor, 1.5);
-        // 即使不需要中心点，也设置一个默认值避免着色器错误
-        gl.uniform2f(u_faceCenter, 0.5, 0.5);
+      formatSelect.disabled = true;
+      bitrateSelect.disabled = true;
+      downloadLink.style.display = "none";
+      status.textContent = "";
+      recordBtn.style.backgroundColor = "#795548";
+      // 录制中显示已录制时长
+      startTime = performance.now();
+      const updateLabel = () => {
+        const seconds = Math.floor((performance.now() - startTime) / 1000);
+        const minutes = String(Math.floor(seconds / 60)).padStart(2, "0");
+        recordBtn.textContent = `停止录制 ${minutes}:${String(
+          seconds % 60
+        ).padStart(2, "0")}`;
+      };
+      updateLabel();
+      timerId = setInterval(updateLabel, 500);
+    } else {
+      clearInterval(timerId);
+      recordBtn.disabled = true;
+      recordBtn.textContent = "正在生成文件...";
+      let result;
+      try {
+        result = await recorder.stop();
+      } catch (err) {
+        status.textContent = err.message;
+        return;
+      } finally {
+        resetControls();
       }
+      const { blob, filename } = result;
+
+      // 自动下载，同时保留一个链接以便再次下载
+      downloadBlob(blob, filename);
+      if (downloadLink.href) URL.revokeObjectURL(downloadLink.href);
+      downloadLink.href = URL.createObjectURL(blob);
+      downloadLink.download = filename;
+      downloadLink.textContent = `下载 ${filename}（${(
+        blob.size /
+        1024 /
+        1024
+      ).toFixed(1)} MB）`;
+      downloadLink.style.display = "block";
+    }
+  };
 
-      // 渲染步骤8：根据美颜开关状态设置美颜滤镜参数
-      if (beautyEnabled) {
-        // 开启美颜模式：设置磨皮强度、亮度提升和饱和度增强
-        gl.uniform1f(u_sharpness, sharpnessVal);
-        gl.uniform1f(u_brightness, brightnessVal);
-        gl.uniform1f(u_saturation, saturationVal);
-        gl.uniform1f(u_contrast, contrastVal);
-        gl.uniform1f(u_hue, hueVal);
-      } else {
-        // 关闭美颜模式：使用默认参数
-        gl.uniform1f(u_sharpness, 0.5); // 中性值，既不锐化也不模糊
-        gl.uniform1f(u_brightness, 0.0); // 不调整亮度
-        gl.uniform1f(u_saturation, 1.0); // 原始饱和度
-        gl.uniform1f(u_contrast, 1.0); // 原始对比度
-        gl.uniform1f(u_hue, 0.0); // 原始色调
+  document.body.appendChild(panel);
+}
+
+// 保存 WHIP 服务器地址的本地存储键名
+const WHIP_ENDPOINT_KEY = "webgl-beauty-whip-endpoint";
+
+// 推流状态的显示文字
+const PUBLISH_STATE_LABELS = {
+  idle: "未推流",
+  connecting: "连接中…",
+  connected: "推流中",
+  disconnected: "连接中断，正在恢复…",
+  failed: "连接失败",
+};
+
+// WHIP 推流面板：把处理后的画面（含原声）推送到 WHIP 服务器，或推送到页面内的回环接收端测试
+function setupPublishPanel() {
+  const panel = document.createElement("div");
+  panel.style.position = "fixed";
+  panel.style.bottom = "20px";
+  panel.style.right = "280px";
+  panel.style.zIndex = "1000";
+  panel.style.width = "220px";
+  panel.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
+  panel.style.padding = "12px";
+  panel.style.borderRadius = "8px";
+  panel.style.boxShadow = "0 2px 10px rgba(0,0,0,0.2)";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "13px";
+  panel.style.color = "#333";
+
+  if (typeof RTCPeerConnection === "undefined" || !canvas.captureStream) {
+    panel.textContent = "当前浏览器不支持推流（WebRTC 不可用）";
+    document.body.appendChild(panel);
+    return;
+  }
+
+  function addSelect(text, options, value) {
+    const label = document.createElement("label");
+    label.textContent = text;
+    label.style.display = "block";
+    label.style.marginBottom = "6px";
+    const select = document.createElement("select");
+    select.style.width = "100%";
+    options.forEach(([optionValue, optionText]) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = optionText;
+      select.appendChild(option);
+    });
+    select.value = value;
+    label.appendChild(select);
+    panel.appendChild(label);
+    return select;
+  }
+
+  function addInput(text, type, placeholder) {
+    const label = document.createElement("label");
+    label.textContent = text;
+    label.style.display = "block";
+    label.style.marginBottom = "6px";
+    const input = document.createElement("input");
+    input.type = type;
+    input.placeholder = placeholder;
+    input.style.width = "100%";
+    input.style.boxSizing = "border-box";
+    label.appendChild(input);
+    panel.appendChild(label);
+    return { label, input };
+  }
+
+  const targetSelect = addSelect(
+    "推流目标",
+    [
+      ["whip", "WHIP 服务器"],
+      ["loopback", "页面内回环（测试）"],
+    ],
+    "whip"
+  );
+  const endpoint = addInput("WHIP 地址", "url", "https://example.com/whip");
+  const token = addInput("令牌（可选）", "password", "Bearer 令牌");
+  // 服务器地址保存在本地，令牌不保存
+  try {
+    endpoint.input.value = localStorage.getItem(WHIP_ENDPOINT_KEY) || "";
+  } catch (err) {
+    // 本地存储不可用时每次重新填写
+  }
+  const bitrateSelect = addSelect(
+    "视频码率",
+    [1, 2.5, 4, 6].map((mbps) => [String(mbps * 1000000), `${mbps} Mbps`]),
+    "2500000"
+  );
+  const resolutionSelect = addSelect(
+    "最大分辨率",
+    [
+      ["0", "原始"],
+      ["1080", "1080p"],
+      ["720", "720p"],
+      ["540", "540p"],
+      ["360", "360p"],
+    ],
+    "720"
+  );
+
+  const publishBtn = document.createElement("button");
+  publishBtn.textContent = "开始推流";
+  publishBtn.style.width = "100%";
+  publishBtn.style.marginTop = "4px";
+  publishBtn.style.padding = "8px 12px";
+  publishBtn.style.backgroundColor = "#009688";
+  publishBtn.style.color = "white";
+  publishBtn.style.border = "none";
+  publishBtn.style.borderRadius = "5px";
+  publishBtn.style.cursor = "pointer";
+  publishBtn.style.fontSize = "14px";
+  panel.appendChild(publishBtn);
+
+  const stateText = document.createElement("div");
+  stateText.style.marginTop = "8px";
+  stateText.textContent = `状态：${PUBLISH_STATE_LABELS.idle}`;
+  panel.appendChild(stateText);
+
+  const statsText = document.createElement("div");
+  statsText.style.marginTop = "4px";
+  statsText.style.color = "#666";
+  statsText.style.fontSize = "12px";
+  panel.appendChild(statsText);
+
+  // 回环测试时显示接收端收到的画面
+  const preview = document.createElement("video");
+  preview.muted = true;
+  preview.autoplay = true;
+  preview.playsInline = true;
+  preview.style.display = "none";
+  preview.style.width = "100%";
+  preview.style.marginTop = "8px";
+  preview.style.backgroundColor = "#000";
+  panel.appendChild(preview);
+
+  function updateTargetFields() {
+    const isWhip = targetSelect.value === "whip";
+    endpoint.label.style.display = isWhip ? "block" : "none";
+    token.label.style.display = isWhip ? "block" : "none";
+  }
+  targetSelect.onchange = updateTargetFields;
+  updateTargetFields();
+
+  let publisher = null;
+  let publishStream = null;
+
+  function getVideoEncoding() {
+    return {
+      maxBitrate: Number(bitrateSelect.value),
+      maxHeight: Number(resolutionSelect.value),
+    };
+  }
+
+  function setControlsDisabled(disabled) {
+    targetSelect.disabled = disabled;
+    endpoint.input.disabled = disabled;
+    token.input.disabled = disabled;
+  }
+
+  function formatStats({ bitrate, packetLoss, fps, width, height, rtt }) {
+    const parts = [
+      `码率 ${bitrate === null ? "-" : Math.round(bitrate / 1000)} kbps`,
+      `丢包 ${packetLoss === null ? "-" : (packetLoss * 100).toFixed(1)}%`,
+      `帧率 ${fps === null ? "-" : Math.round(fps)} fps`,
+    ];
+    if (width && height) parts.push(`分辨率 ${width}x${height}`);
+    if (rtt !== null) parts.push(`往返 ${Math.round(rtt * 1000)} ms`);
+    return parts.join("，");
+  }
+
+  async function stopPublishing() {
+    const current = publisher;
+    publisher = null;
+    if (current) await current.stop();
+    if (publishStream) {
+      publishStream.getTracks().forEach((track) => track.stop());
+      publishStream = null;
+    }
+    preview.srcObject = null;
+    preview.style.display = "none";
+    statsText.textContent = "";
+    publishBtn.textContent = "开始推流";
+    publishBtn.style.backgroundColor = "#009688";
+    setControlsDisabled(false);
+  }
+
+  async function startPublishing() {
+    const loopback = targetSelect.value === "loopback";
+    const url = loopback
+      ? "https://loopback.invalid/whip"
+      : endpoint.input.value.trim();
+    if (!loopback) {
+      try {
+        localStorage.setItem(WHIP_ENDPOINT_KEY, url);
+      } catch (err) {
+        // 忽略本地存储错误
       }
+    }
+
+    publishStream = canvas.captureStream(30);
+    getVideoAudioTracks(video).forEach((track) =>
+      publishStream.addTrack(track.clone())
+    );
+    publisher = createWhipPublisher({
+      endpoint: url,
+      token: token.input.value.trim(),
+      fetch: loopback
+        ? createLoopbackWhipFetch({
+            onStream: (stream) => {
+              preview.srcObject = stream;
+              preview.style.display = "block";
+            },
+          })
+        : undefined,
+      onStateChange: (state) => {
+        stateText.textContent = `状态：${PUBLISH_STATE_LABELS[state]}`;
+      },
+      onStats: (stats) => {
+        statsText.textContent = formatStats(stats);
+      },
+    });
+    setControlsDisabled(true);
+    publishBtn.textContent = "停止推流";
+    publishBtn.style.backgroundColor = "#795548";
+    try {
+      await publisher.start(publishStream, getVideoEncoding());
+    } catch (err) {
+      console.error("推流启动失败:", err);
+      await stopPublishing();
+      stateText.textContent = `状态：${PUBLISH_STATE_LABELS.failed}（${err.message}）`;
+    }
+  }
+
+  publishBtn.onclick = async () => {
+    publishBtn.disabled = true;
+    if (publisher) await stopPublishing();
+    else await startPublishing();
+    publishBtn.disabled = false;
+  };
+
+  // 码率和分辨率可以在推流中调整
+  bitrateSelect.onchange = resolutionSelect.onchange = () => {
+    if (!publisher) return;
+    publisher.setVideoEncoding(getVideoEncoding()).catch((err) => {
+      console.warn("推流编码参数设置失败:", err);
+    });
+  };
 
-      // 渲染步骤9：绑定纹理单元并传递给着色器
-      gl.uniform1i(u_texture, 0); // 将纹理单元0绑定到采样器
+  document.body.appendChild(panel);
+}
 
-      // 渲染步骤10：执行绘制命令，触发整个渲染管线
-      // 使用TRIANGLE_STRIP模式，从索引0开始绘制4个顶点（形成一个矩形）
-      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-      // 这里的gl.TRIANGLE_STRIP是一种高效的图元绘制模式，4个顶点只需要一次绘制调用
+// 性能信息：画面上方居中显示，每秒随渲染器的 performance 事件刷新
+// 可开关自适应画质，关闭时恢复完整画质
+function setupPerformanceHud(renderer) {
+  const hud = document.createElement("div");
+  hud.style.position = "fixed";
+  hud.style.top = "16px";
+  hud.style.left = "50%";
+  hud.style.transform = "translateX(-50%)";
+  hud.style.zIndex = "1000";
+  hud.style.padding = "6px 10px";
+  hud.style.backgroundColor = "rgba(0,0,0,0.6)";
+  hud.style.color = "white";
+  hud.style.borderRadius = "5px";
+  hud.style.fontFamily = "monospace";
+  hud.style.fontSize = "12px";
+  hud.style.lineHeight = "1.5";
+  hud.style.whiteSpace = "pre";
+
+  const statsLine = document.createElement("div");
+  const latencyLine = document.createElement("div");
+  hud.appendChild(statsLine);
+  hud.appendChild(latencyLine);
+
+  const qualityLabel = document.createElement("label");
+  qualityLabel.style.display = "block";
+  qualityLabel.style.cursor = "pointer";
+  const adaptiveCheckbox = document.createElement("input");
+  adaptiveCheckbox.type = "checkbox";
+  adaptiveCheckbox.checked = renderer.getQualityLevel().adaptive;
+  adaptiveCheckbox.style.verticalAlign = "middle";
+  const qualityText = document.createElement("span");
+  qualityLabel.appendChild(qualityText);
+  qualityLabel.appendChild(adaptiveCheckbox);
+  qualityLabel.appendChild(document.createTextNode("自适应"));
+  hud.appendChild(qualityLabel);
+
+  const formatTime = (value) =>
+    value === null ? "--" : `${value.toFixed(1)} ms`;
+
+  function update(stats) {
+    if (stats) {
+      const gpuTime = renderer.gpuTimerSupported
+        ? formatTime(stats.gpuTime)
+        : "不支持";
+      statsLine.textContent = `FPS ${stats.fps.toFixed(1)}  CPU ${formatTime(
+        stats.cpuTime
+      )}  GPU ${gpuTime}`;
+      latencyLine.textContent = `检测延迟 ${formatTime(
+        stats.detectionLatency
+      )}  丢帧 ${stats.droppedFrames}（累计 ${stats.totalDroppedFrames}）`;
+    } else {
+      statsLine.textContent = "FPS --  CPU --  GPU --";
+      latencyLine.textContent = "检测延迟 --  丢帧 --";
     }
+    const quality = renderer.getQualityLevel();
+    qualityText.textContent = `画质 ${quality.name}（${quality.index + 1}/${
+      quality.count
+    }） `;
+  }
+
+  adaptiveCheckbox.addEventListener("change", () => {
+    renderer.setAdaptiveQuality(
+      adaptiveCheckbox.checked ? ADAPTIVE_QUALITY_OPTIONS : null
+    );
+    console.log(`自适应画质${adaptiveCheckbox.checked ? "开启" : "关闭"}`);
+    update(renderer.getPerformanceStats());
+  });
+  renderer.addEventListener("performance", (event) => update(event.detail));
+  update(null);
 
-    // 12. 循环调用，保持实时渲染
-    requestAnimationFrame(render);
+  document.body.appendChild(hud);
+}
+
+// 离线逐帧处理面板：选择输出帧率，处理整个视频文件并下载结果
+// 参数：renderer 为美颜渲染器，处理期间暂停它的实时渲染循环，改为逐帧驱动
+function setupOfflinePanel(renderer) {
+  const panel = document.createElement("div");
+  panel.style.position = "fixed";
+  panel.style.bottom = "20px";
+  panel.style.left = "20px";
+  panel.style.zIndex = "1000";
+  panel.style.width = "220px";
+  panel.style.backgroundColor = "rgba(255, 255, 255, 0.9)";
+  panel.style.padding = "12px";
+  panel.style.borderRadius = "8px";
+  panel.style.boxShadow = "0 2px 10px rgba(0,0,0,0.2)";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "13px";
+  panel.style.color = "#333";
+
+  const encoderKind = getOfflineEncoderKind();
+  if (!encoderKind) {
+    panel.textContent =
+      "当前浏览器不支持离线处理（WebCodecs 和 MediaRecorder 均不可用）";
+    document.body.appendChild(panel);
+    return;
   }
 
-  // 启动渲染循环，传入初始时间戳
-  requestAnimationFrame(render);
+  const title = document.createElement("div");
+  title.textContent =
+    encoderKind === "webcodecs"
+      ? "离线逐帧处理（WebCodecs）"
+      : "离线逐帧处理（MediaRecorder，按实时速度）";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "6px";
+  panel.appendChild(title);
+
+  const fpsLabel = document.createElement("label");
+  fpsLabel.textContent = "输出帧率";
+  fpsLabel.style.display = "block";
+  fpsLabel.style.marginBottom = "8px";
+  const fpsSelect = document.createElement("select");
+  fpsSelect.style.width = "100%";
+  [24, 25, 30, 60].forEach((fps) => {
+    const option = document.createElement("option");
+    option.value = String(fps);
+    option.textContent = `${fps} fps`;
+    fpsSelect.appendChild(option);
+  });
+  fpsSelect.value = "30";
+  fpsLabel.appendChild(fpsSelect);
+  panel.appendChild(fpsLabel);
+
+  const startBtn = document.createElement("button");
+  startBtn.textContent = "处理整个视频";
+  startBtn.style.width = "100%";
+  startBtn.style.padding = "8px 12px";
+  startBtn.style.backgroundColor = "#3F51B5";
+  startBtn.style.color = "white";
+  startBtn.style.border = "none";
+  startBtn.style.borderRadius = "5px";
+  startBtn.style.cursor = "pointer";
+  startBtn.style.fontSize = "14px";
+  panel.appendChild(startBtn);
+
+  const progress = document.createElement("progress");
+  progress.max = 1;
+  progress.value = 0;
+  progress.style.width = "100%";
+  progress.style.marginTop = "8px";
+  progress.style.display = "none";
+  panel.appendChild(progress);
+
+  const status = document.createElement("div");
+  status.style.marginTop = "4px";
+  panel.appendChild(status);
+
+  // 无法使用 WebCodecs、退回按实时速度的 MediaRecorder 时显示原因
+  const fallbackNote = document.createElement("div");
+  fallbackNote.style.marginTop = "4px";
+  fallbackNote.style.fontSize = "12px";
+  fallbackNote.style.color = "#795548";
+  panel.appendChild(fallbackNote);
+
+  // 秒数格式化为 mm:ss
+  const formatTime = (seconds) => {
+    const total = Math.ceil(seconds);
+    return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(
+      total % 60
+    ).padStart(2, "0")}`;
+  };
+
+  let abortController = null;
+
+  startBtn.onclick = async () => {
+    // 处理中再次点击即取消
+    if (abortController) {
+      abortController.abort();
+      return;
+    }
+    if (videoSource.kind !== "file") {
+      status.textContent =
+        "请先选择本地视频文件（摄像头等实时流不支持离线处理）";
+      return;
+    }
+
+    abortController = new AbortController();
+    fpsSelect.disabled = true;
+    startBtn.textContent = "取消";
+    startBtn.style.backgroundColor = "#795548";
+    progress.value = 0;
+    progress.style.display = "block";
+    status.textContent = "准备中...";
+    fallbackNote.textContent = "";
+
+    // 离线处理按视频时间重新开始跟踪，避免实时播放时的状态干扰
+    renderer.stop();
+    await renderer.resetTracking();
+    try {
+      const { blob, extension } = await processVideoOffline({
+        video,
+        canvas,
+        // 每一帧都等待人脸检测完成后再渲染，保证逐帧精确
+        renderFrame: () => renderer.renderFrame({ waitForDetection: true }),
+        fps: Number(fpsSelect.value),
+        signal: abortController.signal,
+        onFallback: (reason) => {
+          fallbackNote.textContent = `${reason}，改用 MediaRecorder 按实时速度处理`;
+        },
+        onProgress: ({ frame, total, remaining }) => {
+          progress.value = frame / total;
+          status.textContent = `${frame} / ${total} 帧，剩余约 ${formatTime(
+            remaining
+          )}`;
+        },
+      });
+      const filename = makeRecordingFilename(extension, "beauty-offline");
+      downloadBlob(blob, filename);
+      status.textContent = `已完成：${filename}（${(
+        blob.size /
+        1024 /
+        1024
+      ).toFixed(1)} MB）`;
+    } catch (err) {
+      if (err.name === "AbortError") {
+        status.textContent = "已取消";
+      } else {
+        console.error("离线处理失败:", err);
+        status.textContent = `处理失败：${err.message}`;
+      }
+    } finally {
+      await renderer.resetTracking();
+      renderer.start();
+      abortController = null;
+      fpsSelect.disabled = false;
+      startBtn.textContent = "处理整个视频";
+      startBtn.style.backgroundColor = "#3F51B5";
+      progress.style.display = "none";
+    }
+  };
 
-  // 后续可用 canvas.captureStream() 获取处理后流推流
-  // const processedStream = canvas.captureStream(30);
+  document.body.appendChild(panel);
 }
 
 // 设置视频控制功能（支持本地视频选择）
@@ -371,46 +1130,11 @@ function setupVideoSelection() {
   fileInput.style.display = "none";
   document.body.appendChild(fileInput);
 
-  // 加载本地视频文件
+  // 加载本地视频文件（会先停止摄像头等实时流）
   function loadLocalVideo(file) {
-    // 创建视频URL
-    const videoURL = URL.createObjectURL(file);
-
-    // 停止当前视频播放
-    video.pause();
-    video.src = videoURL;
-
-    // 确保设置为自动重播
-    video.loop = true;
-    // 视频加载完成后自动播放
-    video.onloadeddata = function () {
-      // 根据视频尺寸设置画布大小
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      console.log(
-        "视频加载成功，尺寸:",
-        video.videoWidth,
-        "x",
-        video.videoHeight
-      );
-
-      // 尝试播放视频
-      video.play().catch((err) => {
-        console.error("自动播放失败，需要用户交互:", err);
-      });
-    };
-
-    // 处理视频加载错误
-    video.onerror = function () {
-      console.error("视频加载失败");
-      // 释放URL对象
-      URL.revokeObjectURL(videoURL);
-    };
-
-    // 视频结束时释放URL对象
-    video.onended = function () {
-      URL.revokeObjectURL(videoURL);
-    };
+    videoSource.useFile(file).catch((err) => {
+      console.error(err.message);
+    });
   }
 
   // 绑定按钮点击事件，触发文件选择
@@ -429,6 +1153,17 @@ function setupVideoSelection() {
   // 添加到页面
   document.body.appendChild(selectVideoBtn);
 
+  // 添加摄像头视频源面板
+  setupCameraPanel();
+  // 添加录制面板
+  setupRecordPanel();
+  // 添加推流面板
+  setupPublishPanel();
+  // 添加离线处理面板（依赖渲染接口，初始化失败时不显示）
+  if (renderer) setupOfflinePanel(renderer);
+  // 添加性能信息
+  if (renderer) setupPerformanceHud(renderer);
+
   // 添加视频控制（播放/暂停）
   const playPauseBtn = document.createElement("button");
   // 初始状态设为"播放"，因为视频初始是暂停的
@@ -493,13 +1228,20 @@ function setupVideoSelection() {
   beautyToggleBtn.style.fontSize = "14px";
   beautyToggleBtn.style.boxShadow = "0 2px 5px rgba(0,0,0,0.2)";
 
-  beautyToggleBtn.onclick = () => {
-    beautyEnabled = !beautyEnabled;
-    beautyToggleBtn.textContent = beautyEnabled ? "关闭美颜" : "开启美颜";
-    beautyToggleBtn.style.backgroundColor = beautyEnabled
+  // 按当前状态刷新按钮文字和颜色（应用预设时也会调用）
+  function updateBeautyToggleBtn() {
+    beautyToggleBtn.textContent = settings.beautyEnabled
+      ? "关闭美颜"
+      : "开启美颜";
+    beautyToggleBtn.style.backgroundColor = settings.beautyEnabled
       ? "#FF9800"
       : "#795548";
-    console.log(beautyEnabled ? "美颜已开启" : "美颜已关闭");
+  }
+
+  beautyToggleBtn.onclick = () => {
+    setBeautySettings({ beautyEnabled: !settings.beautyEnabled });
+    updateBeautyToggleBtn();
+    console.log(settings.beautyEnabled ? "美颜已开启" : "美颜已关闭");
   };
 
   document.body.appendChild(beautyToggleBtn);
@@ -520,23 +1262,59 @@ function setupVideoSelection() {
   faceDetectionToggleBtn.style.fontSize = "14px";
   faceDetectionToggleBtn.style.boxShadow = "0 2px 5px rgba(0,0,0,0.2)";
 
-  faceDetectionToggleBtn.onclick = () => {
-    faceDetectionEnabled = !faceDetectionEnabled;
-    faceDetectionToggleBtn.textContent = faceDetectionEnabled
+  // 按当前状态刷新按钮文字和颜色（应用预设时也会调用）
+  function updateFaceDetectionToggleBtn() {
+    faceDetectionToggleBtn.textContent = settings.faceDetectionEnabled
       ? "关闭人脸识别"
       : "开启人脸识别";
-    faceDetectionToggleBtn.style.backgroundColor = faceDetectionEnabled
+    faceDetectionToggleBtn.style.backgroundColor = settings.faceDetectionEnabled
       ? "#4CAF50"
       : "#795548";
-    console.log(faceDetectionEnabled ? "人脸识别已开启" : "人脸识别已关闭");
+  }
+
+  faceDetectionToggleBtn.onclick = () => {
+    setBeautySettings({
+      faceDetectionEnabled: !settings.faceDetectionEnabled,
+    });
+    updateFaceDetectionToggleBtn();
+    console.log(
+      settings.faceDetectionEnabled ? "人脸识别已开启" : "人脸识别已关闭"
+    );
   };
 
   document.body.appendChild(faceDetectionToggleBtn);
 
+  // 添加遮罩模式切换按钮（轮廓遮罩 / 椭圆遮罩）
+  const maskModeToggleBtn = document.createElement("button");
+  maskModeToggleBtn.textContent = "遮罩：人脸轮廓";
+  maskModeToggleBtn.style.position = "fixed";
+  maskModeToggleBtn.style.top = "180px";
+  maskModeToggleBtn.style.right = "20px";
+  maskModeToggleBtn.style.zIndex = "1000";
+  maskModeToggleBtn.style.padding = "8px 12px";
+  maskModeToggleBtn.style.backgroundColor = "#009688";
+  maskModeToggleBtn.style.color = "white";
+  maskModeToggleBtn.style.border = "none";
+  maskModeToggleBtn.style.borderRadius = "5px";
+  maskModeToggleBtn.style.cursor = "pointer";
+  maskModeToggleBtn.style.fontSize = "14px";
+  maskModeToggleBtn.style.boxShadow = "0 2px 5px rgba(0,0,0,0.2)";
+
+  maskModeToggleBtn.onclick = () => {
+    setBeautySettings({
+      maskMode: settings.maskMode === "polygon" ? "ellipse" : "polygon",
+    });
+    maskModeToggleBtn.textContent =
+      settings.maskMode === "polygon" ? "遮罩：人脸轮廓" : "遮罩：椭圆";
+    console.log("遮罩模式切换为:", settings.maskMode);
+  };
+
+  document.body.appendChild(maskModeToggleBtn);
+
   // 添加美颜参数调整控件容器
   const controlsContainer = document.createElement("div");
   controlsContainer.style.position = "fixed";
-  controlsContainer.style.top = "180px";
+  controlsContainer.style.top = "220px";
   controlsContainer.style.right = "20px";
   controlsContainer.style.zIndex = "1000";
   controlsContainer.style.width = "200px";
@@ -546,130 +1324,1433 @@ function setupVideoSelection() {
   controlsContainer.style.boxShadow = "0 2px 10px rgba(0,0,0,0.2)";
   controlsContainer.style.fontFamily = "Arial, sans-serif";
   controlsContainer.style.color = "#333";
+  // 控件较多时允许滚动，避免超出窗口
+  controlsContainer.style.maxHeight = "calc(100vh - 240px)";
+  controlsContainer.style.overflowY = "auto";
+
+  // 添加标题
+  const controlsTitle = document.createElement("h3");
+  controlsTitle.textContent = "美颜参数调整";
+  controlsTitle.style.marginTop = "0";
+  controlsTitle.style.marginBottom = "15px";
+  controlsTitle.style.fontSize = "16px";
+  controlsTitle.style.textAlign = "center";
+  controlsTitle.style.color = "#2196F3";
 
-  // 创建进度条控件的函数
-  function createSliderControl(label, min, max, step, initialValue, onChange) {
-    const controlDiv = document.createElement("div");
-    controlDiv.style.marginBottom = "15px";
+  // 按参数定义生成的参数面板：分组可折叠，每项带数值输入和重置按钮
+  const paramPanel = createParamPanel({
+    values: getBeautySettings(),
+    collapsed: ["tracking", "expression"],
+    onChange: (id, value) => {
+      setBeautySettings({ [id]: value });
+      console.log(`${getParamDef(id).label}调整为:`, value);
+    },
+  });
 
-    const labelElement = document.createElement("label");
-    labelElement.textContent = `${label}: ${initialValue}`;
-    labelElement.style.display = "block";
-    labelElement.style.marginBottom = "5px";
-    labelElement.style.fontSize = "14px";
-    labelElement.style.fontWeight = "bold";
-
-    const sliderElement = document.createElement("input");
-    sliderElement.type = "range";
-    sliderElement.min = min;
-    sliderElement.max = max;
-    sliderElement.step = step;
-    sliderElement.value = initialValue;
-    sliderElement.style.width = "100%";
-    sliderElement.style.cursor = "pointer";
-
-    // 添加滑块交互样式
-    sliderElement.style.height = "6px";
-    sliderElement.style.borderRadius = "3px";
-    sliderElement.style.background = "#ddd";
-    sliderElement.style.outline = "none";
-
-    // 事件处理
-    sliderElement.addEventListener("input", function () {
-      const value = parseFloat(this.value);
-      labelElement.textContent = `${label}: ${value.toFixed(2)}`;
-      onChange(value);
+  // 人脸列表：每张人脸单独的开关和强度，由渲染器按稳定的人脸ID保存
+  const facePanel = document.createElement("div");
+  facePanel.style.borderTop = "1px solid #ccc";
+  facePanel.style.paddingTop = "10px";
+  // 人脸ID -> 头部姿态显示元素
+  const poseLabels = new Map();
+
+  function renderFacePanel(ids) {
+    facePanel.innerHTML = "";
+    poseLabels.clear();
+    const title = document.createElement("div");
+    title.textContent =
+      ids.length > 0 ? "人脸列表" : "人脸列表（未检测到人脸）";
+    title.style.fontSize = "14px";
+    title.style.fontWeight = "bold";
+    title.style.marginBottom = "8px";
+    facePanel.appendChild(title);
+
+    ids.forEach((id) => {
+      const faceSettings = renderer.getFaceSettings(id);
+
+      const enabledLabel = document.createElement("label");
+      enabledLabel.style.display = "block";
+      enabledLabel.style.fontSize = "13px";
+      const enabledCheckbox = document.createElement("input");
+      enabledCheckbox.type = "checkbox";
+      enabledCheckbox.checked = faceSettings.enabled;
+      enabledCheckbox.addEventListener("change", () => {
+        const enabled = enabledCheckbox.checked;
+        renderer.setFaceSettings(id, { enabled });
+        console.log(`人脸 #${id} 美颜${enabled ? "开启" : "关闭"}`);
+      });
+      enabledLabel.appendChild(enabledCheckbox);
+      enabledLabel.appendChild(document.createTextNode(` 人脸 #${id}`));
+
+      const strengthControl = createParamControl(
+        {
+          label: `人脸 #${id} 强度`,
+          min: 0.0,
+          max: 1.0,
+          step: 0.05,
+          default: 1.0,
+        },
+        faceSettings.strength,
+        (value) => {
+          renderer.setFaceSettings(id, { strength: value });
+          console.log(`人脸 #${id} 强度调整为:`, value);
+        }
+      );
+
+      const poseLabel = document.createElement("div");
+      poseLabel.style.fontSize = "12px";
+      poseLabel.style.color = "#666";
+      poseLabels.set(id, poseLabel);
+
+      facePanel.appendChild(enabledLabel);
+      facePanel.appendChild(poseLabel);
+      facePanel.appendChild(strengthControl);
+    });
+  }
+  renderFacePanel([]);
+  if (renderer) {
+    renderer.addEventListener("facetrackschange", (event) => {
+      renderFacePanel(event.detail.ids);
     });
 
-    controlDiv.appendChild(labelElement);
-    controlDiv.appendChild(sliderElement);
-    return controlDiv;
+    // 头部姿态每 200ms 刷新一次显示，避免每帧修改 DOM
+    let lastPoseUpdate = 0;
+    renderer.addEventListener("framerendered", () => {
+      const now = performance.now();
+      if (now - lastPoseUpdate < 200) return;
+      lastPoseUpdate = now;
+      poseLabels.forEach((label, id) => {
+        const pose = renderer.getFacePose(id);
+        label.textContent = pose
+          ? `姿态：偏航 ${pose.yaw.toFixed(0)}° 俯仰 ${pose.pitch.toFixed(
+              0
+            )}° 翻滚 ${pose.roll.toFixed(0)}°`
+          : "姿态：--";
+      });
+    });
   }
 
-  // 创建锐化强度进度条
-  const sharpnessControl = createSliderControl(
-    "锐化强度",
-    0.0,
-    1.0,
-    0.05,
-    sharpnessVal,
-    (value) => {
-      sharpnessVal = value;
-      console.log("锐化强度调整为:", value);
+  // 让参数面板和开关按钮显示当前的设置
+  // 美妆颜色和混合模式（不透明度在参数面板的“美妆”分组中调整）
+  const makeupPanel = createMakeupPanel();
+
+  function syncControlsWithSettings() {
+    paramPanel.setValues(getBeautySettings());
+    makeupPanel.setValues(getBeautySettings());
+    updateBeautyToggleBtn();
+    updateFaceDetectionToggleBtn();
+  }
+
+  const presetPanel = createPresetPanel(syncControlsWithSettings);
+
+  // 将所有控件添加到容器
+  controlsContainer.appendChild(controlsTitle);
+  controlsContainer.appendChild(createComparePanel());
+  controlsContainer.appendChild(presetPanel);
+  controlsContainer.appendChild(paramPanel.element);
+  controlsContainer.appendChild(makeupPanel.element);
+  if (renderer) controlsContainer.appendChild(createStickerPanel(renderer));
+  if (renderer) controlsContainer.appendChild(createBackgroundPanel(renderer));
+  if (renderer) controlsContainer.appendChild(createLUTPanel(renderer));
+  if (renderer) controlsContainer.appendChild(createPhotoPanel(renderer));
+  controlsContainer.appendChild(facePanel);
+  if (renderer) {
+    controlsContainer.appendChild(createExpressionDebugPanel(renderer));
+    controlsContainer.appendChild(createLandmarkRecordingPanel());
+  }
+
+  // 添加到页面
+  document.body.appendChild(controlsContainer);
+}
+
+// 美颜前后对比面板：分屏（在画面上拖动分割线）、左右并排、按住画面查看原图
+// 对比画面由渲染器直接绘制在画布上，录制和离线处理的输出中同样可见
+function createComparePanel() {
+  const panel = document.createElement("div");
+  panel.style.marginBottom = "15px";
+  panel.style.fontSize = "13px";
+
+  const label = document.createElement("label");
+  label.textContent = "前后对比";
+  label.style.display = "block";
+  const select = document.createElement("select");
+  select.style.width = "100%";
+  // "hold" 只是界面上的模式：按住画面时渲染器切换到 "original"，松开后恢复 "off"
+  [
+    ["off", "关闭"],
+    ["split", "分屏（拖动分割线）"],
+    ["sideBySide", "左右并排"],
+    ["hold", "按住画面看原图"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value =
+    settings.compareMode === "original" ? "hold" : settings.compareMode;
+  label.appendChild(select);
+  panel.appendChild(label);
+
+  // 对比模式下画布接收拖动/按住操作，禁止触屏的默认滚动手势
+  function updateCanvasCursor() {
+    canvas.style.cursor =
+      { split: "col-resize", hold: "pointer" }[select.value] || "";
+    canvas.style.touchAction =
+      select.value === "split" || select.value === "hold" ? "none" : "";
+  }
+
+  select.addEventListener("change", () => {
+    setBeautySettings({
+      compareMode: select.value === "hold" ? "off" : select.value,
+    });
+    updateCanvasCursor();
+    console.log("前后对比模式:", select.value);
+  });
+
+  // 分割线位置按画布在页面上的显示区域换算（画布按比例缩放显示，不会拉伸）
+  function updateSplit(event) {
+    const rect = canvas.getBoundingClientRect();
+    const split = (event.clientX - rect.left) / rect.width;
+    setBeautySettings({ compareSplit: Math.min(1, Math.max(0, split)) });
+  }
+
+  let pointerId = null;
+  canvas.addEventListener("pointerdown", (event) => {
+    if (select.value !== "split" && select.value !== "hold") return;
+    pointerId = event.pointerId;
+    canvas.setPointerCapture(pointerId);
+    if (select.value === "split") updateSplit(event);
+    else setBeautySettings({ compareMode: "original" });
+  });
+  canvas.addEventListener("pointermove", (event) => {
+    if (event.pointerId === pointerId && select.value === "split") {
+      updateSplit(event);
     }
+  });
+  const release = (event) => {
+    if (event.pointerId !== pointerId) return;
+    pointerId = null;
+    if (select.value === "hold") setBeautySettings({ compareMode: "off" });
+  };
+  canvas.addEventListener("pointerup", release);
+  canvas.addEventListener("pointercancel", release);
+
+  updateCanvasCursor();
+  return panel;
+}
+
+// 美妆面板：每个图层的颜色和混合模式
+// 返回：{ element, setValues(values) }，应用预设后用 setValues 同步界面
+function createMakeupPanel() {
+  const element = document.createElement("div");
+  element.style.marginBottom = "15px";
+  element.style.fontSize = "13px";
+
+  const title = document.createElement("div");
+  title.textContent = "美妆颜色与混合模式";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "6px";
+  element.appendChild(title);
+
+  // 参数名 -> 输入控件
+  const inputs = new Map();
+
+  MAKEUP_LAYERS.forEach((layer) => {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "6px";
+    row.style.marginBottom = "6px";
+
+    const label = document.createElement("span");
+    label.textContent = layer.label;
+    label.style.flex = "1";
+
+    const colorKey = `${layer.id}Color`;
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.value = settings[colorKey];
+    colorInput.style.width = "32px";
+    colorInput.style.height = "22px";
+    colorInput.style.padding = "0";
+    colorInput.addEventListener("input", () => {
+      setBeautySettings({ [colorKey]: colorInput.value });
+    });
+    inputs.set(colorKey, colorInput);
+
+    const blendKey = `${layer.id}Blend`;
+    const blendSelect = document.createElement("select");
+    MAKEUP_BLEND_MODES.forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode.id;
+      option.textContent = mode.label;
+      blendSelect.appendChild(option);
+    });
+    blendSelect.value = settings[blendKey];
+    blendSelect.addEventListener("change", () => {
+      setBeautySettings({ [blendKey]: blendSelect.value });
+      console.log(`${layer.label}混合模式:`, blendSelect.value);
+    });
+    inputs.set(blendKey, blendSelect);
+
+    row.appendChild(label);
+    row.appendChild(colorInput);
+    row.appendChild(blendSelect);
+    element.appendChild(row);
+  });
+
+  function setValues(values) {
+    inputs.forEach((input, key) => {
+      if (key in values) input.value = values[key];
+    });
+  }
+
+  return { element, setValues };
+}
+
+// 在画布上绘制一个心形
+function drawHeart(ctx2d, x, y, size) {
+  ctx2d.beginPath();
+  ctx2d.moveTo(x, y + size * 0.35);
+  ctx2d.bezierCurveTo(x, y, x - size * 0.5, y, x - size * 0.5, y + size * 0.35);
+  ctx2d.bezierCurveTo(
+    x - size * 0.5,
+    y + size * 0.65,
+    x,
+    y + size * 0.8,
+    x,
+    y + size
   );
+  ctx2d.bezierCurveTo(
+    x,
+    y + size * 0.8,
+    x + size * 0.5,
+    y + size * 0.65,
+    x + size * 0.5,
+    y + size * 0.35
+  );
+  ctx2d.bezierCurveTo(x + size * 0.5, y, x, y, x, y + size * 0.35);
+  ctx2d.fill();
+}
 
-  // 创建亮度调整进度条
-  const brightnessControl = createSliderControl(
-    "亮度调整",
-    0.0,
-    0.5,
-    0.01,
-    brightnessVal,
-    (value) => {
-      brightnessVal = value;
-      console.log("亮度调整为:", value);
-    }
+// 内置示例贴纸：用 2D 画布绘制，不需要额外的图片文件
+function createDemoStickers() {
+  const makeCanvas = (width, height, draw) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    draw(canvas.getContext("2d"));
+    return canvas;
+  };
+
+  // 皇冠：戴在额头上方
+  const crown = makeCanvas(256, 160, (ctx2d) => {
+    ctx2d.fillStyle = "#f5c518";
+    ctx2d.strokeStyle = "#b8860b";
+    ctx2d.lineWidth = 6;
+    ctx2d.beginPath();
+    ctx2d.moveTo(16, 150);
+    ctx2d.lineTo(8, 40);
+    ctx2d.lineTo(70, 95);
+    ctx2d.lineTo(128, 12);
+    ctx2d.lineTo(186, 95);
+    ctx2d.lineTo(248, 40);
+    ctx2d.lineTo(240, 150);
+    ctx2d.closePath();
+    ctx2d.fill();
+    ctx2d.stroke();
+    ctx2d.fillStyle = "#e53935";
+    [70, 128, 186].forEach((x) => {
+      ctx2d.beginPath();
+      ctx2d.arc(x, 125, 12, 0, Math.PI * 2);
+      ctx2d.fill();
+    });
+  });
+
+  // 墨镜：覆盖双眼
+  const glasses = makeCanvas(256, 96, (ctx2d) => {
+    ctx2d.fillStyle = "rgba(20, 20, 20, 0.85)";
+    ctx2d.strokeStyle = "#111";
+    ctx2d.lineWidth = 8;
+    [64, 192].forEach((x) => {
+      ctx2d.beginPath();
+      ctx2d.ellipse(x, 48, 54, 38, 0, 0, Math.PI * 2);
+      ctx2d.fill();
+      ctx2d.stroke();
+    });
+    ctx2d.beginPath();
+    ctx2d.moveTo(118, 40);
+    ctx2d.quadraticCurveTo(128, 30, 138, 40);
+    ctx2d.stroke();
+  });
+
+  // 跳动的爱心：4 帧序列帧动画，横向排列
+  const hearts = makeCanvas(512, 128, (ctx2d) => {
+    ctx2d.fillStyle = "#ff4d6d";
+    [0.7, 0.85, 1.0, 0.85].forEach((scale, i) => {
+      const size = 110 * scale;
+      drawHeart(ctx2d, i * 128 + 64, 64 - size / 2, size);
+    });
+  });
+
+  return new Map([
+    [
+      "皇冠",
+      [
+        normalizeStickerConfig({
+          name: "皇冠",
+          image: crown,
+          anchor: "forehead",
+          offset: [0, -0.3],
+          scale: 0.8,
+        }),
+      ],
+    ],
+    [
+      "墨镜",
+      [
+        normalizeStickerConfig({
+          name: "墨镜",
+          image: glasses,
+          anchor: "eyes",
+          scale: 1.05,
+        }),
+      ],
+    ],
+    [
+      "爱心",
+      [
+        normalizeStickerConfig({
+          name: "左爱心",
+          image: hearts,
+          anchor: "forehead",
+          offset: [-0.45, -0.15],
+          scale: 0.3,
+          rotation: -15,
+          frames: { columns: 4, rows: 1, fps: 8 },
+        }),
+        normalizeStickerConfig({
+          name: "右爱心",
+          image: hearts,
+          anchor: "forehead",
+          offset: [0.45, -0.15],
+          scale: 0.3,
+          rotation: 15,
+          zIndex: 1,
+          frames: { columns: 4, rows: 1, fps: 8 },
+        }),
+      ],
+    ],
+  ]);
+}
+
+// 贴纸面板：选择内置示例贴纸，或导入 PNG 图片 / JSON 清单
+// 导入清单时需要同时选中清单引用的图片文件（按文件名匹配）
+function createStickerPanel(renderer) {
+  // 贴纸组：名称 -> 贴纸列表
+  const stickerSets = createDemoStickers();
+
+  const panel = document.createElement("div");
+  panel.style.marginBottom = "15px";
+  panel.style.fontSize = "13px";
+
+  const stickerLabel = document.createElement("label");
+  stickerLabel.textContent = "贴纸";
+  stickerLabel.style.display = "block";
+  stickerLabel.style.marginBottom = "6px";
+  const stickerSelect = document.createElement("select");
+  stickerSelect.style.width = "100%";
+  stickerLabel.appendChild(stickerSelect);
+  panel.appendChild(stickerLabel);
+
+  const anchorLabel = document.createElement("label");
+  anchorLabel.textContent = "导入图片的锚点";
+  anchorLabel.style.display = "block";
+  anchorLabel.style.marginBottom = "6px";
+  const anchorSelect = document.createElement("select");
+  anchorSelect.style.width = "100%";
+  Object.entries(STICKER_ANCHORS).forEach(([id, anchor]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = anchor.label;
+    anchorSelect.appendChild(option);
+  });
+  anchorLabel.appendChild(anchorSelect);
+  panel.appendChild(anchorLabel);
+
+  const status = document.createElement("div");
+  status.style.fontSize = "12px";
+  status.style.color = "#666";
+  status.style.marginBottom = "6px";
+  panel.appendChild(status);
+
+  function refreshStickerList(selectedName) {
+    stickerSelect.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "（无贴纸）";
+    stickerSelect.appendChild(none);
+    stickerSets.forEach((stickers, name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      stickerSelect.appendChild(option);
+    });
+    stickerSelect.value = selectedName || "";
+  }
+
+  function selectStickers(name) {
+    renderer.setStickers(name ? stickerSets.get(name) : []);
+    stickerSelect.value = name;
+    console.log("当前贴纸:", name || "无");
+  }
+
+  stickerSelect.addEventListener("change", () =>
+    selectStickers(stickerSelect.value)
   );
 
-  // 创建饱和度调整进度条
-  const saturationControl = createSliderControl(
-    "饱和度",
-    0.5,
-    2.0,
-    0.1,
-    saturationVal,
-    (value) => {
-      saturationVal = value;
-      console.log("饱和度调整为:", value);
+  // 导入：一个 JSON 清单（及其图片），或若干 PNG 图片（各自作为一个贴纸，锚定到所选锚点）
+  async function importStickerFiles(files) {
+    const manifestFile = files.find((file) => /\.json$/i.test(file.name));
+    const imageFiles = files.filter((file) => file.type.startsWith("image/"));
+    const objectUrls = new Map(
+      imageFiles.map((file) => [file.name, URL.createObjectURL(file)])
+    );
+    try {
+      let name;
+      let stickers;
+      if (manifestFile) {
+        const manifest = JSON.parse(await manifestFile.text());
+        stickers = await loadStickersFromManifest(manifest, (path) => {
+          const fileName = path.split("/").pop();
+          if (!objectUrls.has(fileName)) {
+            throw new Error(`请同时选择清单中的图片文件：${fileName}`);
+          }
+          return objectUrls.get(fileName);
+        });
+        name = manifestFile.name.replace(/\.json$/i, "");
+      } else if (imageFiles.length > 0) {
+        stickers = await Promise.all(
+          imageFiles.map(async (file) =>
+            normalizeStickerConfig({
+              name: file.name,
+              image: await loadStickerImage(objectUrls.get(file.name)),
+              anchor: anchorSelect.value,
+            })
+          )
+        );
+        name = imageFiles.map((file) => file.name).join("、");
+      } else {
+        throw new Error("请选择 PNG 图片或 JSON 清单");
+      }
+      stickerSets.set(name, stickers);
+      refreshStickerList(name);
+      selectStickers(name);
+      status.textContent = `已导入 ${stickers.length} 个贴纸`;
+    } catch (err) {
+      console.error("贴纸导入失败:", err);
+      status.textContent = `导入失败：${err.message}`;
+    } finally {
+      // 图片已经解码上传到纹理，可以释放临时地址
+      objectUrls.forEach((url) => URL.revokeObjectURL(url));
     }
-  );
+  }
 
-  // 添加标题
-  const controlsTitle = document.createElement("h3");
-  controlsTitle.textContent = "美颜参数调整";
-  controlsTitle.style.marginTop = "0";
-  controlsTitle.style.marginBottom = "15px";
-  controlsTitle.style.fontSize = "16px";
-  controlsTitle.style.textAlign = "center";
-  controlsTitle.style.color = "#2196F3";
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "image/png,image/*,.json";
+  importInput.multiple = true;
+  importInput.style.display = "none";
+  importInput.addEventListener("change", () => {
+    const files = Array.from(importInput.files);
+    importInput.value = "";
+    if (files.length > 0) importStickerFiles(files);
+  });
+  const importBtn = document.createElement("button");
+  importBtn.textContent = "导入贴纸（PNG 或清单）";
+  importBtn.style.width = "100%";
+  importBtn.style.cursor = "pointer";
+  importBtn.onclick = () => importInput.click();
+  panel.appendChild(importBtn);
+  panel.appendChild(importInput);
+
+  refreshStickerList("");
+  return panel;
+}
 
-  // 创建对比度调整进度条
-  const contrastControl = createSliderControl(
-    "对比度",
-    0.5,
-    2.0,
-    0.1,
-    contrastVal,
-    (value) => {
-      contrastVal = value;
-      console.log("对比度调整为:", value);
+// 背景面板：选择背景模式、纯色背景的颜色，导入背景图片或视频
+// 虚化强度和边缘参数在参数面板的“背景”分组中调整
+// 人像分割模型在第一次选择背景模式时才加载
+function createBackgroundPanel(renderer) {
+  const panel = document.createElement("div");
+  panel.style.marginBottom = "15px";
+  panel.style.fontSize = "13px";
+
+  const modeLabel = document.createElement("label");
+  modeLabel.textContent = "背景";
+  modeLabel.style.display = "block";
+  modeLabel.style.marginBottom = "6px";
+  const modeSelect = document.createElement("select");
+  modeSelect.style.width = "100%";
+  [
+    ["none", "不处理"],
+    ["blur", "虚化"],
+    ["color", "纯色"],
+    ["image", "图片/视频"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    modeSelect.appendChild(option);
+  });
+  modeLabel.appendChild(modeSelect);
+  panel.appendChild(modeLabel);
+
+  const colorLabel = document.createElement("label");
+  colorLabel.textContent = "背景颜色 ";
+  colorLabel.style.display = "block";
+  colorLabel.style.marginBottom = "6px";
+  const colorInput = document.createElement("input");
+  colorInput.type = "color";
+  colorInput.value = settings.backgroundColor;
+  colorInput.addEventListener("input", () => {
+    setBeautySettings({ backgroundColor: colorInput.value });
+  });
+  colorLabel.appendChild(colorInput);
+  panel.appendChild(colorLabel);
+
+  const status = document.createElement("div");
+  status.style.fontSize = "12px";
+  status.style.color = "#666";
+  status.style.marginBottom = "6px";
+  panel.appendChild(status);
+
+  // 导入的背景：图片或循环播放的静音视频，替换时释放上一个
+  let backgroundUrl = null;
+  let backgroundVideo = null;
+  async function importBackground(file) {
+    try {
+      const url = URL.createObjectURL(file);
+      let source;
+      if (file.type.startsWith("video/")) {
+        source = document.createElement("video");
+        source.muted = true;
+        source.loop = true;
+        source.playsInline = true;
+        source.src = url;
+        await source.play();
+      } else if (file.type.startsWith("image/")) {
+        source = new Image();
+        source.src = url;
+        await source.decode();
+      } else {
+        URL.revokeObjectURL(url);
+        throw new Error("请选择图片或视频文件");
+      }
+      if (backgroundVideo) backgroundVideo.pause();
+      if (backgroundUrl) URL.revokeObjectURL(backgroundUrl);
+      backgroundUrl = url;
+      backgroundVideo = source instanceof HTMLVideoElement ? source : null;
+      renderer.setBackgroundImage(source);
+      selectMode("image");
+      status.textContent = `背景：${file.name}`;
+    } catch (err) {
+      console.error("背景导入失败:", err);
+      status.textContent = `导入失败：${err.message}`;
     }
-  );
+  }
+
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "image/*,video/*";
+  importInput.style.display = "none";
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    importInput.value = "";
+    if (file) importBackground(file);
+  });
+  const importBtn = document.createElement("button");
+  importBtn.textContent = "导入背景图片/视频";
+  importBtn.style.width = "100%";
+  importBtn.style.cursor = "pointer";
+  importBtn.onclick = () => importInput.click();
+  panel.appendChild(importBtn);
+  panel.appendChild(importInput);
+
+  let segmenterCreated = false;
+  async function createSegmenter() {
+    const baseUrl = `${MEDIAPIPE_ASSETS}selfie_segmentation/`;
+    if (typeof SelfieSegmentation === "undefined") {
+      await loadScript(`${baseUrl}selfie_segmentation.js`);
+    }
+    renderer.setSegmenter(createSelfieSegmenter({ baseUrl }));
+  }
+  function selectMode(mode) {
+    // 第一次需要处理背景时加载并创建人像分割器，失败时恢复为不处理背景
+    if (mode !== "none" && !segmenterCreated) {
+      segmenterCreated = true;
+      createSegmenter().catch((err) => {
+        console.error("人像分割器创建失败:", err);
+        segmenterCreated = false;
+        selectMode("none");
+        status.textContent = `无法处理背景：${err.message}`;
+      });
+    }
+    modeSelect.value = mode;
+    colorLabel.style.display = mode === "color" ? "block" : "none";
+    setBeautySettings({ backgroundMode: mode });
+    if (mode === "image" && !renderer.getBackgroundImage()) {
+      status.textContent = "请导入背景图片或视频";
+    }
+    console.log("背景模式:", mode);
+  }
+  modeSelect.addEventListener("change", () => selectMode(modeSelect.value));
+  selectMode(settings.backgroundMode);
 
-  // 创建色调调整进度条
-  const hueControl = createSliderControl(
-    "色调调整",
-    -90,
-    90,
-    5,
-    hueVal,
+  return panel;
+}
+
+// LUT 调色面板：选择内置或导入的 .cube LUT，设置调色范围
+// 除了导入按钮，也可以把 .cube 文件直接拖放到页面上
+function createLUTPanel(renderer) {
+  // 已加载的 LUT：名称 -> LUT 对象（内置 LUT 在首次选择时生成）
+  const luts = new Map();
+  BUILTIN_LUT_NAMES.forEach((name) => luts.set(name, null));
+
+  const panel = document.createElement("div");
+  panel.style.marginBottom = "15px";
+  panel.style.fontSize = "13px";
+
+  const lutLabel = document.createElement("label");
+  lutLabel.textContent = "LUT";
+  lutLabel.style.display = "block";
+  lutLabel.style.marginBottom = "6px";
+  const lutSelect = document.createElement("select");
+  lutSelect.style.width = "100%";
+  lutLabel.appendChild(lutSelect);
+  panel.appendChild(lutLabel);
+
+  const regionLabel = document.createElement("label");
+  regionLabel.textContent = "调色范围";
+  regionLabel.style.display = "block";
+  regionLabel.style.marginBottom = "6px";
+  const regionSelect = document.createElement("select");
+  regionSelect.style.width = "100%";
+  [
+    ["frame", "整个画面"],
+    ["face", "仅人脸区域"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    regionSelect.appendChild(option);
+  });
+  regionSelect.value = settings.lutRegion;
+  regionSelect.addEventListener("change", () => {
+    setBeautySettings({ lutRegion: regionSelect.value });
+    console.log("LUT 调色范围:", regionSelect.value);
+  });
+  regionLabel.appendChild(regionSelect);
+  panel.appendChild(regionLabel);
+
+  const status = document.createElement("div");
+  status.style.fontSize = "12px";
+  status.style.color = "#666";
+  status.style.marginBottom = "6px";
+  status.textContent = "可将 .cube 文件拖放到页面上导入";
+  panel.appendChild(status);
+
+  function refreshLUTList(selectedName) {
+    lutSelect.innerHTML = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "（不调色）";
+    lutSelect.appendChild(none);
+    luts.forEach((lut, name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = BUILTIN_LUT_NAMES.includes(name)
+        ? `${name}（内置）`
+        : name;
+      lutSelect.appendChild(option);
+    });
+    lutSelect.value = selectedName || "";
+  }
+
+  function selectLUT(name) {
+    try {
+      if (name && !luts.get(name)) luts.set(name, createBuiltinLUT(name));
+      renderer.setLUT(name ? luts.get(name) : null);
+      console.log("当前 LUT:", name || "无");
+    } catch (err) {
+      console.error("LUT 加载失败:", err);
+      status.textContent = `LUT 加载失败：${err.message}`;
+      name = "";
+    }
+    lutSelect.value = name;
+  }
+
+  lutSelect.addEventListener("change", () => selectLUT(lutSelect.value));
+
+  // 导入 .cube 文件并切换到它
+  async function importCubeFile(file) {
+    try {
+      const baseName = file.name.replace(/\.cube$/i, "");
+      const lut = parseCubeLUT(await file.text(), baseName);
+      const name = luts.has(lut.title) ? baseName : lut.title || baseName;
+      luts.set(name, lut);
+      refreshLUTList(name);
+      selectLUT(name);
+      status.textContent = `已导入 ${file.name}（${lut.size}³）`;
+    } catch (err) {
+      console.error("LUT 导入失败:", err);
+      status.textContent = `导入失败：${err.message}`;
+    }
+  }
+
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = ".cube";
+  importInput.multiple = true;
+  importInput.style.display = "none";
+  importInput.addEventListener("change", async () => {
+    const files = Array.from(importInput.files);
+    importInput.value = "";
+    for (const file of files) await importCubeFile(file);
+  });
+  const importBtn = document.createElement("button");
+  importBtn.textContent = "导入 .cube 文件";
+  importBtn.style.width = "100%";
+  importBtn.style.cursor = "pointer";
+  importBtn.onclick = () => importInput.click();
+  panel.appendChild(importBtn);
+  panel.appendChild(importInput);
+
+  // 拖放导入：只处理 .cube 文件，其他文件交给页面默认行为
+  // dragover 时还拿不到文件名，只能先判断是否拖入了文件
+  const hasDraggedFiles = (event) =>
+    Array.from(event.dataTransfer.items || []).some(
+      (item) => item.kind === "file"
+    );
+  document.addEventListener("dragover", (event) => {
+    if (hasDraggedFiles(event)) event.preventDefault();
+  });
+  document.addEventListener("drop", async (event) => {
+    const files = Array.from(event.dataTransfer.files).filter((file) =>
+      /\.cube$/i.test(file.name)
+    );
+    if (files.length === 0) return;
+    event.preventDefault();
+    for (const file of files) await importCubeFile(file);
+  });
+
+  refreshLUTList("");
+  return panel;
+}
+
+// 关键点录制与回放面板：录制实时检测的关键点并下载，或载入录制文件代替实时检测
+// 回放时关键点按视频位置取出，同一段视频每次得到相同的结果，便于复现效果问题
+function createLandmarkRecordingPanel() {
+  const panel = document.createElement("div");
+  panel.style.borderTop = "1px solid #ccc";
+  panel.style.paddingTop = "10px";
+  panel.style.marginTop = "10px";
+  panel.style.fontSize = "12px";
+
+  const title = document.createElement("div");
+  title.textContent = "关键点录制与回放";
+  title.style.fontSize = "14px";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "8px";
+  panel.appendChild(title);
+
+  const status = document.createElement("div");
+  status.style.color = "#666";
+  status.style.marginBottom = "6px";
+  panel.appendChild(status);
+
+  const recordButton = document.createElement("button");
+  recordButton.style.marginRight = "6px";
+  panel.appendChild(recordButton);
+
+  const replayInput = document.createElement("input");
+  replayInput.type = "file";
+  replayInput.accept = ".json,application/json";
+  replayInput.style.display = "none";
+  panel.appendChild(replayInput);
+
+  const replayButton = document.createElement("button");
+  panel.appendChild(replayButton);
+
+  // 载入失败的提示，下一次操作时清除
+  let errorMessage = "";
+
+  function update() {
+    const recording = liveDetector && liveDetector.isRecording();
+    if (errorMessage) {
+      status.textContent = errorMessage;
+    } else if (replayName) {
+      status.textContent = `回放中：${replayName}`;
+    } else if (recording) {
+      status.textContent = `录制中：${liveDetector.getFrameCount()} 帧`;
+    } else {
+      status.textContent = liveDetector ? "实时检测" : "人脸检测器加载中…";
+    }
+    recordButton.textContent = recording ? "停止并下载" : "录制关键点";
+    recordButton.disabled = !liveDetector;
+    replayButton.textContent = replayName ? "退出回放" : "载入回放文件";
+  }
+
+  recordButton.addEventListener("click", () => {
+    errorMessage = "";
+    if (!liveDetector) return;
+    if (!liveDetector.isRecording()) {
+      liveDetector.startRecording();
+      console.log("开始录制关键点");
+    } else {
+      const recording = liveDetector.stopRecording();
+      const blob = new Blob([encodeLandmarkRecording(recording)], {
+        type: "application/json",
+      });
+      downloadBlob(blob, makeRecordingFilename("json", "landmarks"));
+      console.log(`关键点录制完成：${recording.frames.length} 帧`);
+    }
+    update();
+  });
+
+  replayButton.addEventListener("click", () => {
+    errorMessage = "";
+    if (!replayName) {
+      replayInput.click();
+      return;
+    }
+    // 退出回放：重新加载实时检测器
+    replayName = null;
+    update();
+    useLiveDetector()
+      .catch((err) => {
+        console.error("人脸检测器加载失败:", err);
+      })
+      .then(update);
+  });
+
+  replayInput.addEventListener("change", async () => {
+    const file = replayInput.files[0];
+    replayInput.value = "";
+    if (!file) return;
+    try {
+      useReplay(decodeLandmarkRecording(await file.text()), file.name);
+    } catch (err) {
+      console.error("关键点录制文件载入失败:", err);
+      errorMessage = err.message;
+    }
+    update();
+  });
+
+  update();
+  // 录制帧数和检测器加载状态定时刷新
+  setInterval(update, 500);
+
+  return panel;
+}
+
+// 照片模式面板：导入图片（或使用示例照片）代替视频，调整参数时渲染缩小的预览，
+// 导出时按原图分辨率渲染（超过显卡尺寸上限时由渲染器分块），编码为 PNG 或 JPEG 下载
+// 选择新的视频或打开摄像头时自动退出照片模式
+function createPhotoPanel(renderer) {
+  const panel = document.createElement("div");
+  panel.style.borderTop = "1px solid #ccc";
+  panel.style.paddingTop = "10px";
+  panel.style.marginBottom = "15px";
+  panel.style.fontSize = "13px";
+
+  const title = document.createElement("div");
+  title.textContent = "照片模式";
+  title.style.fontSize = "14px";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "8px";
+  panel.appendChild(title);
+
+  const status = document.createElement("div");
+  status.style.fontSize = "12px";
+  status.style.color = "#666";
+  status.style.marginBottom = "6px";
+  panel.appendChild(status);
+
+  const photoInput = document.createElement("input");
+  photoInput.type = "file";
+  photoInput.accept = "image/jpeg,image/png,image/webp";
+  photoInput.style.display = "none";
+  panel.appendChild(photoInput);
+
+  const openButton = document.createElement("button");
+  openButton.textContent = "打开照片";
+  openButton.style.marginRight = "6px";
+  panel.appendChild(openButton);
+
+  const sampleButton = document.createElement("button");
+  sampleButton.textContent = "示例照片";
+  panel.appendChild(sampleButton);
+
+  const formatLabel = document.createElement("label");
+  formatLabel.textContent = "导出格式";
+  formatLabel.style.display = "block";
+  formatLabel.style.margin = "8px 0 6px";
+  const formatSelect = document.createElement("select");
+  formatSelect.style.width = "100%";
+  [
+    ["png", "PNG（无损）"],
+    ["jpeg", "JPEG"],
+  ].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    formatSelect.appendChild(option);
+  });
+  formatLabel.appendChild(formatSelect);
+  panel.appendChild(formatLabel);
+
+  let quality = 0.92;
+  const qualityControl = createParamControl(
+    { label: "JPEG 质量", min: 0.5, max: 1.0, step: 0.01, default: 0.92 },
+    quality,
     (value) => {
-      hueVal = value;
-      console.log("色调调整为:", value);
+      quality = value;
     }
   );
+  panel.appendChild(qualityControl);
+
+  const exportButton = document.createElement("button");
+  exportButton.textContent = "导出原图";
+  exportButton.style.marginRight = "6px";
+  panel.appendChild(exportButton);
+
+  const exitButton = document.createElement("button");
+  exitButton.textContent = "返回视频";
+  panel.appendChild(exitButton);
+
+  // 当前照片：{ image: 原图, preview: 预览图, name }，未进入照片模式时为 null
+  let photo = null;
+  // 进入照片模式前视频是否在播放，返回视频时恢复
+  let videoWasPlaying = false;
+  let exporting = false;
+  // 操作失败的提示，下一次操作时清除
+  let errorMessage = "";
+
+  function closePhoto(current) {
+    if (current.preview !== current.image) current.preview.close();
+    current.image.close();
+  }
 
-  // 将所有控件添加到容器
-  controlsContainer.appendChild(controlsTitle);
-  controlsContainer.appendChild(sharpnessControl);
-  controlsContainer.appendChild(brightnessControl);
-  controlsContainer.appendChild(saturationControl);
-  controlsContainer.appendChild(contrastControl);
-  controlsContainer.appendChild(hueControl);
+  function update() {
+    if (errorMessage) {
+      status.textContent = errorMessage;
+    } else if (!photo) {
+      status.textContent = "导入照片后在预览中调整效果，再按原图分辨率导出";
+    } else if (exporting) {
+      status.textContent = `正在导出 ${photo.image.width} × ${photo.image.height}…`;
+    } else {
+      status.textContent = `${photo.name}：${photo.image.width} × ${
+        photo.image.height
+      }，人脸 ${renderer.getFaceIds().length} 张`;
+    }
+    qualityControl.style.display =
+      formatSelect.value === "jpeg" ? "block" : "none";
+    openButton.disabled = exporting;
+    sampleButton.disabled = exporting;
+    exportButton.disabled = !photo || exporting;
+    exitButton.disabled = !photo || exporting;
+  }
 
-  // 添加到页面
-  document.body.appendChild(controlsContainer);
+  async function openPhoto(file, name) {
+    errorMessage = "";
+    try {
+      const image = await loadPhoto(file);
+      const preview = await createPhotoPreview(image);
+      if (!photo) {
+        videoWasPlaying = !video.paused;
+        video.pause();
+      } else {
+        closePhoto(photo);
+      }
+      photo = { image, preview, name };
+      // 切换源后渲染器对预览图做一次人脸检测和人像分割
+      renderer.setSource(preview);
+      syncMirrored();
+      console.log(`照片模式：${name}，${image.width} × ${image.height}`);
+    } catch (err) {
+      console.error("照片加载失败:", err);
+      errorMessage = `照片加载失败：${err.message}`;
+    }
+    update();
+  }
+
+  function exitPhotoMode({ resumeVideo = true } = {}) {
+    if (!photo) return;
+    renderer.setSource(video);
+    syncMirrored();
+    closePhoto(photo);
+    photo = null;
+    errorMessage = "";
+    if (resumeVideo && videoWasPlaying) {
+      video.play().catch((err) => console.error("视频播放失败:", err));
+    }
+    update();
+  }
+
+  async function exportPhoto() {
+    if (!photo || exporting) return;
+    errorMessage = "";
+    exporting = true;
+    update();
+    const format = formatSelect.value;
+    try {
+      const result = await renderer.exportImage(photo.image);
+      const blob = await encodePhoto(result, { format, quality });
+      const { extension } = PHOTO_EXPORT_FORMATS[format];
+      downloadBlob(blob, makeRecordingFilename(extension, "photo"));
+      console.log(`照片导出完成：${(blob.size / 1024).toFixed(0)} KB`);
+    } catch (err) {
+      console.error("照片导出失败:", err);
+      errorMessage = `导出失败：${err.message}`;
+    }
+    exporting = false;
+    update();
+  }
+
+  openButton.addEventListener("click", () => photoInput.click());
+  photoInput.addEventListener("change", () => {
+    const file = photoInput.files[0];
+    photoInput.value = "";
+    if (file) openPhoto(file, file.name);
+  });
+  sampleButton.addEventListener("click", async () => {
+    try {
+      const response = await fetch("me.jpeg");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      openPhoto(await response.blob(), "me.jpeg");
+    } catch (err) {
+      console.error("示例照片加载失败:", err);
+      errorMessage = `示例照片加载失败：${err.message}`;
+      update();
+    }
+  });
+  formatSelect.addEventListener("change", update);
+  exportButton.addEventListener("click", exportPhoto);
+  exitButton.addEventListener("click", () => exitPhotoMode());
+  // 选择了新的视频或打开了摄像头：退出照片模式，不恢复原来的视频
+  video.addEventListener("loadeddata", () => {
+    exitPhotoMode({ resumeVideo: false });
+  });
+  renderer.addEventListener("facetrackschange", update);
+
+  update();
+  return panel;
+}
+
+// 美颜预设面板：切换内置/用户预设，保存、删除、导入和导出
+// 参数：onSettingsChange 在设置变化（包括过渡动画的每一帧）后调用，用于刷新界面
+// 表情和动作的显示名称
+const EXPRESSION_LABELS = {
+  mouthOpen: "张嘴",
+  smile: "微笑",
+  browRaise: "挑眉",
+};
+const GESTURE_LABELS = { blink: "眨眼", nod: "点头", shake: "摇头" };
+
+// 表情识别调试面板：实时显示每张人脸的指标、基线和相对基线的变化，以及最近的事件
+// 阈值在参数面板的“表情识别”分组中调整
+function createExpressionDebugPanel(renderer) {
+  const panel = document.createElement("div");
+  panel.style.borderTop = "1px solid #ccc";
+  panel.style.paddingTop = "10px";
+  panel.style.marginTop = "10px";
+  panel.style.fontSize = "12px";
+
+  const title = document.createElement("div");
+  title.textContent = "表情识别调试";
+  title.style.fontSize = "14px";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "8px";
+  panel.appendChild(title);
+
+  const recalibrateButton = document.createElement("button");
+  recalibrateButton.textContent = "重新校准";
+  recalibrateButton.title = "保持自然表情约 1 秒，重新测量基线";
+  recalibrateButton.style.marginBottom = "6px";
+  recalibrateButton.addEventListener("click", () => {
+    renderer.recalibrateExpressions();
+    console.log("表情基线重新校准");
+  });
+  panel.appendChild(recalibrateButton);
+
+  // 微笑时截图：在下一帧渲染完成的回调中读取画布，保证读到的是完整的一帧
+  const captureLabel = document.createElement("label");
+  captureLabel.style.display = "block";
+  captureLabel.style.marginBottom = "6px";
+  const captureCheckbox = document.createElement("input");
+  captureCheckbox.type = "checkbox";
+  captureLabel.appendChild(captureCheckbox);
+  captureLabel.appendChild(document.createTextNode(" 微笑时截图"));
+  panel.appendChild(captureLabel);
+
+  const metricsView = document.createElement("pre");
+  metricsView.style.margin = "0 0 6px";
+  metricsView.style.fontSize = "11px";
+  metricsView.style.whiteSpace = "pre-wrap";
+  panel.appendChild(metricsView);
+
+  const eventLog = document.createElement("div");
+  eventLog.style.color = "#666";
+  eventLog.style.whiteSpace = "pre-wrap";
+  panel.appendChild(eventLog);
+
+  // 最近的事件，新的在前
+  const recentEvents = [];
+  function logEvent(text) {
+    recentEvents.unshift(`${new Date().toLocaleTimeString()} ${text}`);
+    recentEvents.length = Math.min(recentEvents.length, 5);
+    eventLog.textContent = recentEvents.join("\n");
+  }
+
+  let captureNextFrame = false;
+  renderer.addEventListener("expressionchange", (event) => {
+    const { id, expression, active } = event.detail;
+    const text = `人脸 #${id} ${EXPRESSION_LABELS[expression]}${
+      active ? "开始" : "结束"
+    }`;
+    logEvent(text);
+    console.log("表情:", text);
+    if (expression === "smile" && active && captureCheckbox.checked) {
+      captureNextFrame = true;
+    }
+  });
+  renderer.addEventListener("gesture", (event) => {
+    const { id, gesture } = event.detail;
+    const text = `人脸 #${id} ${GESTURE_LABELS[gesture]}`;
+    logEvent(text);
+    console.log("动作:", text);
+  });
+
+  const format = (value) => (value === undefined ? "--" : value.toFixed(3));
+  let lastUpdate = 0;
+  renderer.addEventListener("framerendered", () => {
+    if (captureNextFrame) {
+      captureNextFrame = false;
+      canvas.toBlob((blob) => {
+        if (blob) downloadBlob(blob, `smile-${Date.now()}.png`);
+      }, "image/png");
+    }
+
+    // 每 100ms 刷新一次指标显示
+    const now = performance.now();
+    if (now - lastUpdate < 100) return;
+    lastUpdate = now;
+    const lines = [];
+    renderer.getFaceIds().forEach((id) => {
+      const state = renderer.getExpressionState(id);
+      if (!state || !state.metrics) return;
+      lines.push(`人脸 #${id}${state.calibrated ? "" : "（校准中）"}`);
+      const baseline = state.baseline || {};
+      lines.push(
+        `  睁眼 ${format(state.metrics.eyeOpen)} / 基线 ${format(
+          baseline.eyeOpen
+        )}`
+      );
+      EXPRESSION_NAMES.forEach((expression) => {
+        const level = state.levels ? state.levels[expression] : undefined;
+        lines.push(
+          `  ${EXPRESSION_LABELS[expression]} ${format(
+            state.metrics[expression]
+          )} Δ${format(level)}${state.active[expression] ? " ●" : ""}`
+        );
+      });
+      if (state.pose) {
+        lines.push(
+          `  俯仰 ${state.pose.pitch.toFixed(1)}° 偏航 ${state.pose.yaw.toFixed(
+            1
+          )}°`
+        );
+      }
+    });
+    metricsView.textContent = lines.join("\n") || "未检测到人脸";
+  });
+
+  return panel;
+}
+
+function createPresetPanel(onSettingsChange) {
+  const presetManager = createPresetManager();
+  // 正在进行的过渡动画
+  let cancelTransition = null;
+
+  const panel = document.createElement("div");
+  panel.style.marginBottom = "15px";
+  panel.style.paddingBottom = "10px";
+  panel.style.borderBottom = "1px solid #ccc";
+  panel.style.fontSize = "13px";
+
+  const presetLabel = document.createElement("label");
+  presetLabel.textContent = "预设";
+  presetLabel.style.display = "block";
+  presetLabel.style.marginBottom = "5px";
+  presetLabel.style.fontSize = "14px";
+  presetLabel.style.fontWeight = "bold";
+  const presetSelect = document.createElement("select");
+  presetSelect.style.width = "100%";
+  presetSelect.style.marginTop = "5px";
+  presetLabel.appendChild(presetSelect);
+  panel.appendChild(presetLabel);
+
+  // 重建下拉列表，内置预设和用户预设分组显示
+  function refreshPresetList(selectedName) {
+    presetSelect.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "（自定义）";
+    presetSelect.appendChild(placeholder);
+    [
+      ["内置预设", true],
+      ["我的预设", false],
+    ].forEach(([groupLabel, builtin]) => {
+      const presets = presetManager
+        .list()
+        .filter((preset) => preset.builtin === builtin);
+      if (presets.length === 0) return;
+      const group = document.createElement("optgroup");
+      group.label = groupLabel;
+      presets.forEach((preset) => {
+        const option = document.createElement("option");
+        option.value = preset.name;
+        option.textContent = preset.name;
+        group.appendChild(option);
+      });
+      presetSelect.appendChild(group);
+    });
+    presetSelect.value = selectedName || "";
+  }
+
+  // 应用预设：在当前值和预设值之间做短暂的过渡
+  function applyPreset(name, duration = 300) {
+    const preset = presetManager.get(name);
+    if (!preset) return;
+    if (cancelTransition) cancelTransition();
+    cancelTransition = animatePresetValues(getBeautySettings(), preset.values, {
+      duration,
+      onUpdate: (values) => {
+        setBeautySettings(values);
+        onSettingsChange();
+      },
+    });
+    presetManager.setLastUsed(name);
+    console.log("已应用预设:", name);
+  }
+
+  presetSelect.addEventListener("change", () => {
+    if (presetSelect.value) applyPreset(presetSelect.value);
+  });
+
+  // 创建预设操作按钮
+  function createPresetButton(text, onClick) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.flex = "1";
+    button.style.padding = "4px 0";
+    button.style.fontSize = "12px";
+    button.style.cursor = "pointer";
+    button.onclick = onClick;
+    return button;
+  }
+
+  const buttonRow = document.createElement("div");
+  buttonRow.style.display = "flex";
+  buttonRow.style.gap = "4px";
+
+  // 保存当前参数为用户预设
+  const saveBtn = createPresetButton("保存", () => {
+    const current = presetManager.get(presetSelect.value);
+    const name = window.prompt(
+      "预设名称",
+      current && !current.builtin ? current.name : ""
+    );
+    if (name === null) return;
+    try {
+      const savedName = presetManager.save(name, getBeautySettings());
+      presetManager.setLastUsed(savedName);
+      refreshPresetList(savedName);
+      console.log("已保存预设:", savedName);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
+
+  // 删除选中的用户预设
+  const deleteBtn = createPresetButton("删除", () => {
+    const current = presetManager.get(presetSelect.value);
+    if (!current) return;
+    if (current.builtin) {
+      window.alert("内置预设不能删除");
+      return;
+    }
+    if (!window.confirm(`删除预设「${current.name}」？`)) return;
+    presetManager.remove(current.name);
+    refreshPresetList("");
+  });
+
+  // 导出全部用户预设；没有用户预设时导出当前选中的预设
+  const exportBtn = createPresetButton("导出", () => {
+    const userNames = presetManager
+      .list()
+      .filter((preset) => !preset.builtin)
+      .map((preset) => preset.name);
+    const names =
+      userNames.length > 0 ? userNames : [presetSelect.value].filter(Boolean);
+    if (names.length === 0) {
+      window.alert("没有可导出的预设，请先保存或选择一个预设");
+      return;
+    }
+    const json = presetManager.exportJSON(names);
+    downloadBlob(
+      new Blob([json], { type: "application/json" }),
+      makeRecordingFilename("json", "beauty-presets")
+    );
+  });
+
+  // 从 JSON 文件导入预设
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "application/json,.json";
+  importInput.style.display = "none";
+  importInput.addEventListener("change", async () => {
+    const file = importInput.files[0];
+    importInput.value = "";
+    if (!file) return;
+    try {
+      const names = presetManager.importJSON(await file.text());
+      refreshPresetList(names[0]);
+      if (names.length > 0) applyPreset(names[0]);
+      console.log("已导入预设:", names);
+    } catch (err) {
+      console.error("导入预设失败:", err);
+      window.alert(`导入预设失败：${err.message}`);
+    }
+  });
+  const importBtn = createPresetButton("导入", () => importInput.click());
+
+  buttonRow.appendChild(saveBtn);
+  buttonRow.appendChild(deleteBtn);
+  buttonRow.appendChild(exportBtn);
+  buttonRow.appendChild(importBtn);
+  panel.appendChild(buttonRow);
+  panel.appendChild(importInput);
+
+  // 恢复上次使用的预设（不做过渡）
+  const lastUsed = presetManager.getLastUsed();
+  refreshPresetList(lastUsed);
+  if (lastUsed) applyPreset(lastUsed, 0);
+
+  return panel;
 }
 
 // 在main函数中调用视频选择设置
@@ -0,0 +1,354 @@
+/**
+ * 虚拟美妆通道
+ *
+ * 功能：
+ * - 根据 Face Mesh 关键点实时生成口红、腮红、眼影、眼线的区域遮罩，随头部运动贴合人脸
+ * - 口红挖去上下唇之间的开口，不会染到牙齿；眼影、眼线和腮红挖去眼睛
+ * - 腮红以颧骨为中心径向渐变，边缘自然过渡
+ * - 每一层有独立的颜色、不透明度和混合模式（正片叠底、柔光、叠加），口红可加光泽
+ * - 每一层是管线中的一个独立通道，可单独启用/禁用或调整顺序
+ *
+ * 参数（从 frame.params 读取，<layer> 为图层ID）：
+ *   - <layer>Opacity: 不透明度 (0-1)，定义在 paramSchema.js 中
+ *   - <layer>Color: 颜色，"#rrggbb"
+ *   - <layer>Blend: 混合模式，见 MAKEUP_BLEND_MODES
+ *   - lipstickGloss: 口红光泽 (0-1)
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  vertexShaderSrc,
+  copyShaderSrc,
+  gaussianBlurShaderSrc,
+  makeupShaderSrc,
+} from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createTexture,
+  deleteTexture,
+} from "./webgl.js";
+import {
+  LEFT_EYE,
+  RIGHT_EYE,
+  LIPS_OUTER,
+  LIPS_INNER,
+  FACE_OVAL,
+  MAX_FACES,
+  createRasterCanvas,
+  tracePolygon,
+} from "./faceMask.js";
+
+// 混合模式，value 对应 makeupShaderSrc 中的 u_blendMode
+export const MAKEUP_BLEND_MODES = [
+  { id: "multiply", label: "正片叠底", value: 0 },
+  { id: "softLight", label: "柔光", value: 1 },
+  { id: "overlay", label: "叠加", value: 2 },
+];
+
+// 美妆图层，按渲染顺序排列（后面的图层叠在前面的图层之上）
+// color / blend 为默认颜色和混合模式
+export const MAKEUP_LAYERS = [
+  { id: "blush", label: "腮红", color: "#e8707a", blend: "softLight" },
+  { id: "eyeshadow", label: "眼影", color: "#8a5a44", blend: "multiply" },
+  { id: "eyeliner", label: "眼线", color: "#1a1a1a", blend: "multiply" },
+  { id: "lipstick", label: "口红", color: "#b0303f", blend: "softLight" },
+];
+
+// 全部美妆图层的默认颜色和混合模式：{ <layer>Color, <layer>Blend }
+export function getDefaultMakeupParams() {
+  const params = {};
+  MAKEUP_LAYERS.forEach((layer) => {
+    params[`${layer.id}Color`] = layer.color;
+    params[`${layer.id}Blend`] = layer.blend;
+  });
+  return params;
+}
+
+// 上眼睑：从外眼角到内眼角
+const RIGHT_UPPER_LID = [33, 246, 161, 160, 159, 158, 157, 173, 133];
+const LEFT_UPPER_LID = [263, 466, 388, 387, 386, 385, 384, 398, 362];
+// 眉毛下沿：从外到内
+const RIGHT_BROW_LOWER = [46, 53, 52, 65, 55];
+const LEFT_BROW_LOWER = [276, 283, 282, 295, 285];
+// 腮红中心（颧骨下方的脸颊）
+const RIGHT_CHEEK = 205;
+const LEFT_CHEEK = 425;
+// 计算人脸宽度用的两侧脸颊边缘
+const FACE_LEFT_EDGE = 234;
+const FACE_RIGHT_EDGE = 454;
+
+// 两只眼睛的眼睑、眉毛和眼睛轮廓
+const EYES = [
+  { lid: RIGHT_UPPER_LID, brow: RIGHT_BROW_LOWER, eye: RIGHT_EYE },
+  { lid: LEFT_UPPER_LID, brow: LEFT_BROW_LOWER, eye: LEFT_EYE },
+];
+
+// 关键点转换为像素坐标
+function toPixel(point, width, height) {
+  return { x: point.x * width, y: point.y * height };
+}
+
+function lerpPoint(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// 沿关键点折线按比例 t (0-1) 取点
+function pointAlong(landmarks, indices, t, width, height) {
+  const position = t * (indices.length - 1);
+  const i = Math.min(Math.floor(position), indices.length - 2);
+  return lerpPoint(
+    toPixel(landmarks[indices[i]], width, height),
+    toPixel(landmarks[indices[i + 1]], width, height),
+    position - i
+  );
+}
+
+// 上眼睑各点，以及从眼睑向眉毛方向移动 ratio 后的对应点
+function lidAndBrowPoints(landmarks, { lid, brow }, ratio, width, height) {
+  return lid.map((index, i) => {
+    const lidPoint = toPixel(landmarks[index], width, height);
+    const browPoint = pointAlong(
+      landmarks,
+      brow,
+      i / (lid.length - 1),
+      width,
+      height
+    );
+    return { lid: lidPoint, upper: lerpPoint(lidPoint, browPoint, ratio) };
+  });
+}
+
+// 用黑色完全挖去一块区域（不受人脸强度对应的 globalAlpha 影响）
+function cutOut(ctx2d, trace) {
+  ctx2d.save();
+  ctx2d.globalAlpha = 1;
+  ctx2d.fillStyle = "#000";
+  trace();
+  ctx2d.fill();
+  ctx2d.restore();
+}
+
+function cutOutEyes(ctx2d, landmarks, width, height) {
+  EYES.forEach(({ eye }) => {
+    cutOut(ctx2d, () => tracePolygon(ctx2d, landmarks, eye, width, height));
+  });
+}
+
+// 各图层的遮罩绘制函数：在黑色背景上用白色绘制一张人脸的妆容区域
+// 调用时 fillStyle 已设为白色，globalAlpha 为该人脸的强度
+// 参数：ctx2d、landmarks、width/height（遮罩尺寸）、faceWidth（人脸宽度，像素）
+const MASK_PAINTERS = {
+  // 口红：嘴唇外轮廓减去内轮廓（张嘴时露出的牙齿和口腔）
+  lipstick(ctx2d, landmarks, width, height) {
+    tracePolygon(ctx2d, landmarks, LIPS_OUTER, width, height);
+    ctx2d.fill();
+    cutOut(ctx2d, () =>
+      tracePolygon(ctx2d, landmarks, LIPS_INNER, width, height)
+    );
+  },
+
+  // 腮红：以脸颊为中心的径向渐变，限制在人脸轮廓内，并挖去眼睛
+  blush(ctx2d, landmarks, width, height, faceWidth) {
+    ctx2d.save();
+    tracePolygon(ctx2d, landmarks, FACE_OVAL, width, height);
+    ctx2d.clip();
+    [RIGHT_CHEEK, LEFT_CHEEK].forEach((index) => {
+      const center = toPixel(landmarks[index], width, height);
+      const radius = faceWidth * 0.16;
+      const gradient = ctx2d.createRadialGradient(
+        center.x,
+        center.y,
+        0,
+        center.x,
+        center.y,
+        radius
+      );
+      gradient.addColorStop(0, "#fff");
+      gradient.addColorStop(0.4, "rgba(255, 255, 255, 0.7)");
+      gradient.addColorStop(1, "rgba(255, 255, 255, 0)");
+      ctx2d.fillStyle = gradient;
+      ctx2d.fillRect(
+        center.x - radius,
+        center.y - radius,
+        radius * 2,
+        radius * 2
+      );
+    });
+    ctx2d.restore();
+    cutOutEyes(ctx2d, landmarks, width, height);
+  },
+
+  // 眼影：上眼睑到眉毛之间靠近眼睑的一半区域，挖去眼睛
+  eyeshadow(ctx2d, landmarks, width, height) {
+    EYES.forEach((eye) => {
+      const points = lidAndBrowPoints(landmarks, eye, 0.55, width, height);
+      ctx2d.beginPath();
+      points.forEach(({ lid }, i) => {
+        if (i === 0) ctx2d.moveTo(lid.x, lid.y);
+        else ctx2d.lineTo(lid.x, lid.y);
+      });
+      points
+        .slice()
+        .reverse()
+        .forEach(({ upper }) => ctx2d.lineTo(upper.x, upper.y));
+      ctx2d.closePath();
+      ctx2d.fill();
+    });
+    cutOutEyes(ctx2d, landmarks, width, height);
+  },
+
+  // 眼线：沿上眼睑描线，外眼角向外上方延伸出眼尾，挖去眼睛后只留下睫毛根部以上的部分
+  eyeliner(ctx2d, landmarks, width, height, faceWidth) {
+    ctx2d.strokeStyle = "#fff";
+    ctx2d.lineJoin = "round";
+    ctx2d.lineCap = "round";
+    ctx2d.lineWidth = Math.max(1, faceWidth * 0.02);
+    EYES.forEach((eye) => {
+      const points = lidAndBrowPoints(landmarks, eye, 0.15, width, height);
+      const outer = points[0];
+      const inner = points[points.length - 1];
+      // 眼尾：沿眼睛方向向外延伸，并向眉毛方向略微上扬
+      const wing = {
+        x: outer.lid.x + (outer.lid.x - inner.lid.x) * 0.15,
+        y: outer.lid.y + (outer.lid.y - inner.lid.y) * 0.15,
+      };
+      const wingTip = lerpPoint(wing, outer.upper, 0.8);
+      ctx2d.beginPath();
+      ctx2d.moveTo(wingTip.x, wingTip.y);
+      points.forEach(({ lid }) => ctx2d.lineTo(lid.x, lid.y));
+      ctx2d.stroke();
+    });
+    cutOutEyes(ctx2d, landmarks, width, height);
+  },
+};
+
+// 解析 "#rrggbb" 颜色为 0-1 的 RGB 数组，格式错误时返回黑色
+export function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!match) return [0, 0, 0];
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+    (channel) => channel / 255
+  );
+}
+
+// 创建一个美妆图层通道
+// 参数：
+//   - layer: 图层ID（见 MAKEUP_LAYERS），同时作为通道名称
+//   - maskScale: 遮罩分辨率相对于画面的比例
+//   - feather: 遮罩边缘羽化宽度（相对于人脸宽度的比例）
+// 通道从 frame.faces 读取人脸关键点和强度，没有关键点的人脸（人脸识别关闭时）不上妆
+export function createMakeupPass(
+  gl,
+  { layer, maskScale = 0.5, feather = 0.015 } = {}
+) {
+  const paintMask = MASK_PAINTERS[layer];
+  if (!paintMask) throw new Error(`未知的美妆图层: ${layer}`);
+
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+  const blurProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    gaussianBlurShaderSrc
+  );
+  const makeupProgram = createProgramInfo(gl, vertexShaderSrc, makeupShaderSrc);
+  const rasterTexture = createTexture(gl);
+  const rasterCanvas = createRasterCanvas();
+  const ctx2d = rasterCanvas.getContext("2d");
+
+  // 光栅化全部人脸的妆容区域，返回最大的人脸宽度（像素），没有可用人脸时返回 0
+  function rasterize(faces, width, height) {
+    if (rasterCanvas.width !== width || rasterCanvas.height !== height) {
+      rasterCanvas.width = width;
+      rasterCanvas.height = height;
+    }
+    ctx2d.fillStyle = "#000";
+    ctx2d.fillRect(0, 0, width, height);
+
+    let maxFaceWidth = 0;
+    faces.forEach(({ landmarks, strength }) => {
+      if (!landmarks || !(strength > 0)) return;
+      const faceWidth =
+        Math.abs(landmarks[FACE_RIGHT_EDGE].x - landmarks[FACE_LEFT_EDGE].x) *
+        width;
+      maxFaceWidth = Math.max(maxFaceWidth, faceWidth);
+      // 人脸强度通过 globalAlpha 体现为遮罩的灰度
+      ctx2d.save();
+      ctx2d.globalAlpha = Math.min(1, strength);
+      ctx2d.fillStyle = "#fff";
+      paintMask(ctx2d, landmarks, width, height, faceWidth);
+      ctx2d.restore();
+    });
+    return maxFaceWidth;
+  }
+
+  return {
+    name: layer,
+    enabled: true,
+    draw(ctx, input, output) {
+      const { params } = ctx.frame;
+      const opacity = params[`${layer}Opacity`];
+      const width = Math.max(1, Math.round(ctx.width * maskScale));
+      const height = Math.max(1, Math.round(ctx.height * maskScale));
+      const faceWidth =
+        opacity > 0
+          ? rasterize(ctx.frame.faces.slice(0, MAX_FACES), width, height)
+          : 0;
+
+      // 不透明度为0或没有可用人脸时直通
+      if (faceWidth === 0) {
+        ctx.drawQuad(copyProgram, output, (u, bindTexture) => {
+          bindTexture("u_texture", input);
+        });
+        return;
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D, rasterTexture.handle);
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        rasterCanvas
+      );
+
+      // 羽化：可分离高斯模糊，宽度随人脸大小变化
+      const step = Math.max(0.5, (faceWidth * feather) / 4);
+      const horizontal = ctx.getTarget(`${layer}.horizontal`, width, height);
+      const mask = ctx.getTarget(`${layer}.mask`, width, height);
+      ctx.drawQuad(blurProgram, horizontal, (u, bindTexture) => {
+        bindTexture("u_texture", rasterTexture);
+        gl.uniform2f(u.u_texelStep, step / width, 0);
+      });
+      ctx.drawQuad(blurProgram, mask, (u, bindTexture) => {
+        bindTexture("u_texture", horizontal.texture);
+        gl.uniform2f(u.u_texelStep, 0, step / height);
+      });
+
+      const blendMode =
+        MAKEUP_BLEND_MODES.find(
+          (mode) => mode.id === params[`${layer}Blend`]
+        ) || MAKEUP_BLEND_MODES[1];
+      ctx.drawQuad(makeupProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_mask", mask.texture);
+        gl.uniform3fv(u.u_color, parseHexColor(params[`${layer}Color`]));
+        gl.uniform1f(u.u_opacity, opacity);
+        gl.uniform1f(u.u_blendMode, blendMode.value);
+        gl.uniform1f(
+          u.u_gloss,
+          layer === "lipstick" ? params.lipstickGloss || 0 : 0
+        );
+      });
+    },
+    destroy() {
+      deleteProgramInfo(gl, copyProgram);
+      deleteProgramInfo(gl, blurProgram);
+      deleteProgramInfo(gl, makeupProgram);
+      deleteTexture(gl, rasterTexture);
+    },
+  };
+}
@@ -0,0 +1,339 @@
+/**
+ * 脚本化的模拟人脸检测器
+ *
+ * 功能：
+ * - 实现 faceDetector.js 中的检测器接口，不需要网络和模型文件，结果只取决于视频时间，
+ *   可以在离线环境和自动化测试中走通完整的渲染流程
+ * - 根据少量参数（位置、大小、头部姿态、张嘴、微笑、闭眼、挑眉）生成 478 个关键点的合成人脸，
+ *   人脸轮廓、眼睛、眉毛、嘴唇等区域按 Face Mesh 的索引排列，可用于人脸遮罩、美妆、贴纸、姿态和表情
+ * - 按关键帧脚本在时间上线性插值人脸参数，也可以传入函数自行生成每一帧的结果
+ *
+ * 脚本格式（按 time 升序）：
+ *   [
+ *     { time: 0, faces: [{ centerX: 0.5, centerY: 0.45, size: 0.3 }] },
+ *     { time: 2, faces: [{ centerX: 0.6, yaw: 20, smile: 1 }] },
+ *   ]
+ *   faces 中的每一项为 createSyntheticFaceLandmarks 的参数，或直接给出关键点数组（不插值）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  FACE_OVAL,
+  LEFT_EYE,
+  RIGHT_EYE,
+  LEFT_EYEBROW,
+  RIGHT_EYEBROW,
+  LIPS_OUTER,
+  LIPS_INNER,
+} from "./faceMask.js";
+
+// Face Mesh 关键点总数（含细化后的虹膜关键点）
+const LANDMARK_COUNT = 478;
+// 虹膜关键点：中心 + 上下左右，分别对应画面左侧和右侧的眼睛
+const RIGHT_IRIS = [468, 469, 470, 471, 472];
+const LEFT_IRIS = [473, 474, 475, 476, 477];
+const NOSE_TIP = 1;
+const CHIN = 152;
+
+// 合成人脸的默认参数
+const DEFAULT_FACE = {
+  centerX: 0.5,
+  centerY: 0.45,
+  size: 0.3,
+  aspect: 16 / 9,
+  yaw: 0,
+  pitch: 0,
+  roll: 0,
+  mouthOpen: 0,
+  smile: 0,
+  eyeOpen: 1,
+  browRaise: 0,
+};
+
+// 模板人脸的几何尺寸（与 headPose.js 中通用人脸模型的单位一致：鼻尖为原点，x 向右，y 向上，z 指向镜头）
+const FACE_HALF_WIDTH = 350;
+const FACE_CENTER_Y = 45;
+const FACE_HALF_HEIGHT = 375;
+const EYE_CENTER_X = 160;
+const EYE_CENTER_Y = 170;
+const EYE_RADIUS_X = 65;
+const EYE_RADIUS_Y = 28;
+const MOUTH_CENTER_Y = -150;
+const MOUTH_RADIUS_X = 150;
+
+// 按椭圆排列一组轮廓关键点
+// 参数：start 为第一个点的角度，direction 为 1（画面上顺时针）或 -1（逆时针），y 向上
+function placeOnEllipse(points, indices, cx, cy, rx, ry, z, start, direction) {
+  indices.forEach((index, i) => {
+    const angle = start - (direction * i * 2 * Math.PI) / indices.length;
+    points[index] = [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle), z];
+  });
+}
+
+// 眉毛：下沿从外到内，再沿上沿从内到外
+function placeBrow(points, indices, outerX, innerX, y) {
+  const half = indices.length / 2;
+  indices.forEach((index, i) => {
+    const t = i < half ? i / (half - 1) : (indices.length - 1 - i) / (half - 1);
+    const x = outerX + (innerX - outerX) * t;
+    // 眉毛中部略高
+    const arch = 18 * Math.sin(Math.PI * t);
+    points[index] = [x, y + arch + (i < half ? 0 : 30), -120];
+  });
+}
+
+// 生成模板人脸（模型坐标），表情参数会改变眼睛、眉毛和嘴唇的形状
+function createTemplate({ mouthOpen, smile, eyeOpen, browRaise }) {
+  const points = new Array(LANDMARK_COUNT).fill(null);
+
+  // 人脸外轮廓：从额头顶部开始，在画面上顺时针一圈
+  placeOnEllipse(
+    points,
+    FACE_OVAL,
+    0,
+    FACE_CENTER_Y,
+    FACE_HALF_WIDTH,
+    FACE_HALF_HEIGHT,
+    -250,
+    Math.PI / 2,
+    1
+  );
+
+  // 眼睛：从外角开始，先沿下眼睑到内角，再沿上眼睑回到外角
+  const eyeRadiusY = EYE_RADIUS_Y * Math.max(0.05, eyeOpen);
+  placeOnEllipse(
+    points,
+    RIGHT_EYE,
+    -EYE_CENTER_X,
+    EYE_CENTER_Y,
+    EYE_RADIUS_X,
+    eyeRadiusY,
+    -135,
+    Math.PI,
+    -1
+  );
+  placeOnEllipse(
+    points,
+    LEFT_EYE,
+    EYE_CENTER_X,
+    EYE_CENTER_Y,
+    EYE_RADIUS_X,
+    eyeRadiusY,
+    -135,
+    0,
+    1
+  );
+  [
+    [RIGHT_IRIS, -EYE_CENTER_X],
+    [LEFT_IRIS, EYE_CENTER_X],
+  ].forEach(([indices, x]) => {
+    const r = Math.min(22, eyeRadiusY);
+    const offsets = [
+      [0, 0],
+      [r, 0],
+      [0, r],
+      [-r, 0],
+      [0, -r],
+    ];
+    indices.forEach((index, i) => {
+      points[index] = [x + offsets[i][0], EYE_CENTER_Y + offsets[i][1], -130];
+    });
+  });
+
+  // 眉毛：挑眉时整体上移
+  const browY = 230 + 60 * browRaise;
+  placeBrow(points, RIGHT_EYEBROW, -245, -80, browY);
+  placeBrow(points, LEFT_EYEBROW, 245, 80, browY);
+
+  // 嘴唇：从画面左侧的嘴角开始，先沿下唇再沿上唇；微笑时嘴角变宽并上扬
+  const mouthRadiusX = MOUTH_RADIUS_X * (1 + 0.25 * smile);
+  const openY = 100 * mouthOpen;
+  placeOnEllipse(
+    points,
+    LIPS_OUTER,
+    0,
+    MOUTH_CENTER_Y - openY / 2,
+    mouthRadiusX,
+    45 + openY / 2,
+    -125,
+    Math.PI,
+    -1
+  );
+  placeOnEllipse(
+    points,
+    LIPS_INNER,
+    0,
+    MOUTH_CENTER_Y - openY / 2,
+    mouthRadiusX * 0.8,
+    3 + openY / 2,
+    -120,
+    Math.PI,
+    -1
+  );
+  const cornerLift = 30 * smile;
+  [
+    LIPS_OUTER[0],
+    LIPS_OUTER[LIPS_OUTER.length / 2],
+    LIPS_INNER[0],
+    LIPS_INNER[LIPS_INNER.length / 2],
+  ].forEach((index) => {
+    points[index][1] += cornerLift;
+  });
+
+  // 鼻尖和下巴与 headPose.js 的通用人脸模型一致，姿态估计可以还原输入的角度
+  points[NOSE_TIP] = [0, 0, 0];
+  points[CHIN] = [0, FACE_CENTER_Y - FACE_HALF_HEIGHT, -65];
+
+  // 其余关键点按黄金角螺旋均匀分布在脸内，深度呈球面
+  let k = 0;
+  points.forEach((point, index) => {
+    if (point) return;
+    const radius = Math.sqrt((k + 0.5) / LANDMARK_COUNT) * 0.85;
+    const angle = k * 2.399963;
+    k++;
+    const x = radius * Math.cos(angle);
+    const y = radius * Math.sin(angle);
+    points[index] = [
+      x * FACE_HALF_WIDTH,
+      FACE_CENTER_Y + y * FACE_HALF_HEIGHT,
+      -250 * (x * x + y * y),
+    ];
+  });
+  return points;
+}
+
+// 头部姿态对应的旋转矩阵（按行存储），角度约定与 headPose.js 一致
+function getRotation(yaw, pitch, roll) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const y = toRadians(yaw);
+  const p = toRadians(-pitch);
+  const r = toRadians(-roll);
+  const [cy, sy] = [Math.cos(y), Math.sin(y)];
+  const [cp, sp] = [Math.cos(p), Math.sin(p)];
+  const [cr, sr] = [Math.cos(r), Math.sin(r)];
+  // R = Rz(r) · Ry(y) · Rx(p)
+  return [
+    cr * cy,
+    cr * sy * sp - sr * cp,
+    cr * sy * cp + sr * sp,
+    sr * cy,
+    sr * sy * sp + cr * cp,
+    sr * sy * cp - cr * sp,
+    -sy,
+    cy * sp,
+    cy * cp,
+  ];
+}
+
+// 生成一张合成人脸的关键点
+// 参数（均可省略）：
+//   - centerX/centerY: 人脸中心（鼻尖）在画面中的归一化位置
+//   - size: 人脸宽度占画面宽度的比例
+//   - aspect: 画面宽高比（归一化坐标的 x、y 尺度不同，需要据此保持人脸比例）
+//   - yaw/pitch/roll: 头部姿态（度），方向约定见 headPose.js
+//   - mouthOpen/smile/browRaise: 张嘴、微笑、挑眉程度 (0-1)
+//   - eyeOpen: 睁眼程度 (0-1)，0 为闭眼
+// 返回：478 个 { x, y, z }（归一化坐标，与 Face Mesh 相同）
+export function createSyntheticFaceLandmarks(options = {}) {
+  const face = { ...DEFAULT_FACE, ...options };
+  const template = createTemplate(face);
+  const rotation = getRotation(face.yaw, face.pitch, face.roll);
+  const scale = face.size / (2 * FACE_HALF_WIDTH);
+  return template.map(([mx, my, mz]) => {
+    const x = rotation[0] * mx + rotation[1] * my + rotation[2] * mz;
+    const y = rotation[3] * mx + rotation[4] * my + rotation[5] * mz;
+    const z = rotation[6] * mx + rotation[7] * my + rotation[8] * mz;
+    return {
+      x: face.centerX + x * scale,
+      y: face.centerY - y * scale * face.aspect,
+      z: -z * scale,
+    };
+  });
+}
+
+// 两组人脸参数之间的线性插值，只插值两边都有的数值参数
+function interpolateFace(from, to, t) {
+  const result = { ...from, ...to };
+  Object.keys(result).forEach((key) => {
+    if (typeof from[key] === "number" && typeof to[key] === "number") {
+      result[key] = from[key] + (to[key] - from[key]) * t;
+    }
+  });
+  return result;
+}
+
+// 取脚本在指定时间的人脸列表（人脸参数或关键点数组）
+function sampleScript(script, time) {
+  if (script.length === 0) return [];
+  const next = script.findIndex((keyframe) => keyframe.time > time);
+  if (next === 0) return script[0].faces;
+  if (next === -1) return script[script.length - 1].faces;
+  const from = script[next - 1];
+  const to = script[next];
+  const t = (time - from.time) / (to.time - from.time);
+  return from.faces.map((face, i) => {
+    const target = to.faces[i];
+    if (Array.isArray(face) || !target || Array.isArray(target)) return face;
+    return interpolateFace(face, target, t);
+  });
+}
+
+// 创建脚本化的模拟人脸检测器
+// 参数：
+//   - script: 关键帧数组（格式见文件头），或函数 (time, image) => 人脸列表
+//   - delay: 模拟检测耗时（毫秒），结果仍只取决于视频时间
+//   - loop: 视频时间超过最后一个关键帧时是否从头循环
+//   - aspect: 画面宽高比，省略时取视频尺寸
+// 检测时的视频时间取渲染器传入的 time，没有时取 image.currentTime
+export function createScriptedFaceDetector(
+  script = [{ time: 0, faces: [{}] }],
+  { delay = 0, loop = false, aspect = null } = {}
+) {
+  let maxNumFaces = Infinity;
+  let closed = false;
+
+  function getAspect(image) {
+    if (aspect) return aspect;
+    const width = image ? image.videoWidth || image.width : 0;
+    const height = image ? image.videoHeight || image.height : 0;
+    return width > 0 && height > 0 ? width / height : DEFAULT_FACE.aspect;
+  }
+
+  return {
+    async detect(image, time) {
+      if (closed) return [];
+      const frameTime =
+        typeof time === "number" ? time : (image && image.currentTime) || 0;
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      let faces;
+      if (typeof script === "function") {
+        faces = script(frameTime, image);
+      } else {
+        const duration = script.length > 0 ? script[script.length - 1].time : 0;
+        faces = sampleScript(
+          script,
+          loop && duration > 0 ? frameTime % duration : frameTime
+        );
+      }
+      const frameAspect = getAspect(image);
+      return faces
+        .slice(0, maxNumFaces)
+        .map((face) =>
+          Array.isArray(face)
+            ? face
+            : createSyntheticFaceLandmarks({ aspect: frameAspect, ...face })
+        );
+    },
+    setOptions(options) {
+      if (typeof options.maxNumFaces === "number") {
+        maxNumFaces = options.maxNumFaces;
+      }
+    },
+    close() {
+      closed = true;
+    },
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * 参数控制面板
+ *
+ * 功能：
+ * - 按 paramSchema.js 中的参数定义生成滑块，每个参数附带数值输入框和重置按钮
+ * - 按分组显示，分组可折叠，并可一键把整组参数恢复默认值
+ * - 提供 setValues()，外部修改参数（例如应用预设）后同步界面
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { PARAM_GROUPS, getGroupParams, clampParam } from "./paramSchema.js";
+
+// 按步长确定显示的小数位数
+function formatValue(def, value) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(def.step) + 1e-9));
+  return Number(value).toFixed(Math.min(decimals, 3));
+}
+
+// 创建小按钮
+function createSmallButton(text, title, onClick) {
+  const button = document.createElement("button");
+  button.textContent = text;
+  button.title = title;
+  button.style.padding = "0 6px";
+  button.style.fontSize = "12px";
+  button.style.cursor = "pointer";
+  button.addEventListener("click", (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+// 创建单个参数控件：名称 + 数值输入框 + 重置按钮，下方为滑块
+// 参数：
+//   - def: 参数定义（见 paramSchema.js）
+//   - value: 初始值
+//   - onChange(value): 用户修改数值后调用（滑块、输入框或重置）
+// 返回：控件元素，附带 setValue(value) 方法（只更新界面，不触发 onChange）
+export function createParamControl(def, value, onChange) {
+  const controlDiv = document.createElement("div");
+  controlDiv.style.marginBottom = "15px";
+
+  const header = document.createElement("div");
+  header.style.display = "flex";
+  header.style.alignItems = "center";
+  header.style.gap = "4px";
+  header.style.marginBottom = "5px";
+
+  const labelElement = document.createElement("label");
+  labelElement.textContent = def.label;
+  labelElement.style.flex = "1";
+  labelElement.style.fontSize = "14px";
+  labelElement.style.fontWeight = "bold";
+
+  const numberElement = document.createElement("input");
+  numberElement.type = "number";
+  numberElement.min = def.min;
+  numberElement.max = def.max;
+  numberElement.step = def.step;
+  numberElement.style.width = "56px";
+  numberElement.style.fontSize = "12px";
+
+  const sliderElement = document.createElement("input");
+  sliderElement.type = "range";
+  sliderElement.min = def.min;
+  sliderElement.max = def.max;
+  sliderElement.step = def.step;
+  sliderElement.style.width = "100%";
+  sliderElement.style.cursor = "pointer";
+  sliderElement.style.height = "6px";
+  sliderElement.style.borderRadius = "3px";
+  sliderElement.style.background = "#ddd";
+  sliderElement.style.outline = "none";
+
+  function setValue(newValue) {
+    sliderElement.value = newValue;
+    numberElement.value = formatValue(def, newValue);
+  }
+
+  function commit(newValue) {
+    const clamped = clampParam(def, newValue);
+    setValue(clamped);
+    onChange(clamped);
+  }
+
+  sliderElement.addEventListener("input", () => {
+    commit(parseFloat(sliderElement.value));
+  });
+  // 输入框在确认（回车或失去焦点）后生效，非数字时恢复为滑块当前值
+  numberElement.addEventListener("change", () => {
+    const parsed = parseFloat(numberElement.value);
+    if (Number.isFinite(parsed)) commit(parsed);
+    else setValue(parseFloat(sliderElement.value));
+  });
+
+  const resetButton = createSmallButton("↺", "恢复默认值", () => {
+    commit(def.default);
+  });
+
+  header.appendChild(labelElement);
+  header.appendChild(numberElement);
+  header.appendChild(resetButton);
+  controlDiv.appendChild(header);
+  controlDiv.appendChild(sliderElement);
+
+  setValue(value);
+  controlDiv.setValue = setValue;
+  return controlDiv;
+}
+
+// 创建按分组排列的参数面板
+// 参数：
+//   - values: 初始参数值（{ id: value }）
+//   - onChange(id, value): 用户修改某个参数后调用
+//   - collapsed: 初始折叠的分组ID列表
+// 返回：{ element, setValues(values) }
+export function createParamPanel({ values, onChange, collapsed = [] }) {
+  const element = document.createElement("div");
+  // 参数ID -> 控件
+  const controls = new Map();
+
+  PARAM_GROUPS.forEach((group) => {
+    const defs = getGroupParams(group.id);
+    if (defs.length === 0) return;
+
+    const groupDiv = document.createElement("div");
+    groupDiv.style.marginBottom = "10px";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.alignItems = "center";
+    header.style.cursor = "pointer";
+    header.style.userSelect = "none";
+    header.style.padding = "4px 0";
+    header.style.marginBottom = "8px";
+    header.style.borderBottom = "1px solid #ccc";
+
+    const title = document.createElement("span");
+    title.style.flex = "1";
+    title.style.fontSize = "14px";
+    title.style.fontWeight = "bold";
+    title.style.color = "#2196F3";
+
+    const body = document.createElement("div");
+
+    let isCollapsed = collapsed.includes(group.id);
+    const updateCollapsed = () => {
+      title.textContent = `${isCollapsed ? "▸" : "▾"} ${group.label}`;
+      body.style.display = isCollapsed ? "none" : "block";
+    };
+    header.addEventListener("click", () => {
+      isCollapsed = !isCollapsed;
+      updateCollapsed();
+    });
+
+    // 整组恢复默认值
+    const resetGroupButton = createSmallButton("重置", "本组恢复默认值", () => {
+      defs.forEach((def) => {
+        controls.get(def.id).setValue(def.default);
+        onChange(def.id, def.default);
+      });
+    });
+
+    defs.forEach((def) => {
+      const control = createParamControl(def, values[def.id], (value) => {
+        onChange(def.id, value);
+      });
+      controls.set(def.id, control);
+      body.appendChild(control);
+    });
+
+    header.appendChild(title);
+    header.appendChild(resetGroupButton);
+    groupDiv.appendChild(header);
+    groupDiv.appendChild(body);
+    element.appendChild(groupDiv);
+    updateCollapsed();
+  });
+
+  function setValues(newValues) {
+    Object.keys(newValues).forEach((id) => {
+      const control = controls.get(id);
+      if (control) control.setValue(newValues[id]);
+    });
+  }
+
+  return { element, setValues };
+}
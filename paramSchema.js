@@ -0,0 +1,413 @@
+/**
+ * 美颜参数定义
+ *
+ * 功能：
+ * - 集中定义每个可调参数的范围、步长、默认值、中性值、对应的 uniform 和所属分组
+ * - 渲染器的默认参数、关闭美颜时的中性参数、预设字段和控制面板都由这里生成
+ * - 新增一个滤镜参数只需要在这里加一项（以及在着色器中使用它）
+ *
+ * 字段说明：
+ *   - id: 参数名，即 BeautyRenderer 参数对象中的字段名
+ *   - label: 界面显示名称
+ *   - min / max / step: 取值范围和步长
+ *   - default: 默认值
+ *   - neutral: 中性值，关闭美颜时使用，该值下对应的效果不改变画面；省略表示关闭美颜时保持当前值
+ *   - pass / uniform: 对应的渲染通道和 uniform 名称；单着色器通道用 setParamUniforms 自动设置，
+ *     磨皮、人脸遮罩等多步通道在通道内部按需使用
+ *   - group: 所属分组（见 PARAM_GROUPS）
+ *   - preset: 是否保存在美颜预设中，默认 true
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { MAX_FACES } from "./faceMask.js";
+
+// 参数分组，按界面显示顺序排列
+export const PARAM_GROUPS = [
+  { id: "smooth", label: "磨皮" },
+  { id: "color", label: "锐化与颜色" },
+  { id: "makeup", label: "美妆" },
+  { id: "stickers", label: "贴纸" },
+  { id: "lut", label: "调色 (LUT)" },
+  { id: "background", label: "背景" },
+  { id: "region", label: "人脸区域" },
+  { id: "tracking", label: "人脸跟踪" },
+  { id: "expression", label: "表情识别" },
+];
+
+// 数值参数定义
+export const PARAM_SCHEMA = [
+  {
+    id: "smoothStrength",
+    label: "磨皮强度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.6,
+    neutral: 0.0,
+    pass: "smooth",
+    uniform: "u_strength",
+    group: "smooth",
+  },
+  {
+    id: "smoothRadius",
+    label: "磨皮半径",
+    min: 1,
+    max: 8,
+    step: 1,
+    default: 4,
+    pass: "smooth",
+    uniform: "u_radius",
+    group: "smooth",
+  },
+  {
+    id: "smoothRangeSigma",
+    label: "边缘保留阈值",
+    min: 0.02,
+    max: 0.3,
+    step: 0.01,
+    default: 0.08,
+    pass: "smooth",
+    uniform: "u_rangeSigma",
+    group: "smooth",
+  },
+  {
+    id: "sharpness",
+    label: "锐化强度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "sharpen",
+    uniform: "u_sharpness",
+    group: "color",
+  },
+  {
+    id: "brightness",
+    label: "亮度调整",
+    min: 0.0,
+    max: 0.5,
+    step: 0.01,
+    default: 0.05,
+    neutral: 0.0,
+    pass: "colorAdjust",
+    uniform: "u_brightness",
+    group: "color",
+  },
+  {
+    id: "saturation",
+    label: "饱和度",
+    min: 0.5,
+    max: 2.0,
+    step: 0.1,
+    default: 1.2,
+    neutral: 1.0,
+    pass: "colorAdjust",
+    uniform: "u_saturation",
+    group: "color",
+  },
+  {
+    id: "contrast",
+    label: "对比度",
+    min: 0.5,
+    max: 2.0,
+    step: 0.1,
+    default: 1.0,
+    neutral: 1.0,
+    pass: "colorAdjust",
+    uniform: "u_contrast",
+    group: "color",
+  },
+  {
+    id: "hue",
+    label: "色调调整",
+    min: -90,
+    max: 90,
+    step: 5,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "colorAdjust",
+    uniform: "u_hue",
+    group: "color",
+  },
+  {
+    id: "lipstickOpacity",
+    label: "口红",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "lipstick",
+    uniform: "u_opacity",
+    group: "makeup",
+  },
+  {
+    id: "lipstickGloss",
+    label: "口红光泽",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.3,
+    pass: "lipstick",
+    uniform: "u_gloss",
+    group: "makeup",
+  },
+  {
+    id: "blushOpacity",
+    label: "腮红",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "blush",
+    uniform: "u_opacity",
+    group: "makeup",
+  },
+  {
+    id: "eyeshadowOpacity",
+    label: "眼影",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "eyeshadow",
+    uniform: "u_opacity",
+    group: "makeup",
+  },
+  {
+    id: "eyelinerOpacity",
+    label: "眼线",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.0,
+    neutral: 0.0,
+    pass: "eyeliner",
+    uniform: "u_opacity",
+    group: "makeup",
+  },
+  {
+    id: "stickerOpacity",
+    label: "贴纸不透明度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 1.0,
+    neutral: 0.0,
+    pass: "stickers",
+    group: "stickers",
+  },
+  {
+    id: "lutIntensity",
+    label: "LUT 强度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 1.0,
+    neutral: 0.0,
+    pass: "lut",
+    uniform: "u_intensity",
+    group: "lut",
+  },
+  {
+    id: "backgroundBlur",
+    label: "背景虚化强度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.6,
+    pass: "background",
+    group: "background",
+  },
+  {
+    id: "segmentationSmoothing",
+    label: "边缘防闪烁",
+    min: 0.0,
+    max: 0.95,
+    step: 0.05,
+    default: 0.5,
+    pass: "background",
+    group: "background",
+    preset: false,
+  },
+  {
+    id: "segmentationEdge",
+    label: "边缘柔和度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.3,
+    pass: "background",
+    group: "background",
+    preset: false,
+  },
+  {
+    id: "maskFeather",
+    label: "边缘羽化",
+    min: 0,
+    max: 64,
+    step: 1,
+    default: 24,
+    pass: "faceMask",
+    group: "region",
+  },
+  {
+    id: "effectStrength",
+    label: "整体强度",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 1.0,
+    neutral: 0.0,
+    pass: "faceMask",
+    uniform: "u_strength",
+    group: "region",
+  },
+  {
+    id: "maxFaces",
+    label: "最多人脸数",
+    min: 1,
+    max: MAX_FACES,
+    step: 1,
+    default: 2,
+    group: "tracking",
+    preset: false,
+  },
+  {
+    id: "landmarkMinCutoff",
+    label: "防抖截止频率",
+    min: 0.1,
+    max: 5.0,
+    step: 0.1,
+    default: 1.0,
+    group: "tracking",
+    preset: false,
+  },
+  {
+    id: "landmarkBeta",
+    label: "运动跟随系数",
+    min: 0,
+    max: 50,
+    step: 1,
+    default: 10.0,
+    group: "tracking",
+    preset: false,
+  },
+  {
+    id: "faceGracePeriod",
+    label: "丢失淡出时长",
+    min: 0.0,
+    max: 1.0,
+    step: 0.05,
+    default: 0.3,
+    group: "tracking",
+    preset: false,
+  },
+  {
+    id: "blinkThreshold",
+    label: "眨眼阈值",
+    min: 0.3,
+    max: 0.9,
+    step: 0.05,
+    default: 0.6,
+    group: "expression",
+    preset: false,
+  },
+  {
+    id: "mouthOpenThreshold",
+    label: "张嘴阈值",
+    min: 0.05,
+    max: 0.8,
+    step: 0.05,
+    default: 0.25,
+    group: "expression",
+    preset: false,
+  },
+  {
+    id: "smileThreshold",
+    label: "微笑阈值",
+    min: 0.02,
+    max: 0.4,
+    step: 0.01,
+    default: 0.12,
+    group: "expression",
+    preset: false,
+  },
+  {
+    id: "browRaiseThreshold",
+    label: "挑眉阈值",
+    min: 0.05,
+    max: 0.5,
+    step: 0.01,
+    default: 0.15,
+    group: "expression",
+    preset: false,
+  },
+  {
+    id: "headGestureAngle",
+    label: "点头/摇头幅度",
+    min: 3,
+    max: 25,
+    step: 1,
+    default: 8,
+    group: "expression",
+    preset: false,
+  },
+  {
+    id: "expressionHoldTime",
+    label: "表情确认时长",
+    min: 0.0,
+    max: 0.5,
+    step: 0.05,
+    default: 0.1,
+    group: "expression",
+    preset: false,
+  },
+];
+
+// 按参数名查找定义
+export function getParamDef(id) {
+  return PARAM_SCHEMA.find((def) => def.id === id) || null;
+}
+
+// 某个分组的参数定义
+export function getGroupParams(groupId) {
+  return PARAM_SCHEMA.filter((def) => def.group === groupId);
+}
+
+// 全部数值参数的默认值：{ id: default }
+export function getDefaultParamValues() {
+  const values = {};
+  PARAM_SCHEMA.forEach((def) => {
+    values[def.id] = def.default;
+  });
+  return values;
+}
+
+// 关闭美颜时覆盖的中性值：{ id: neutral }，只包含定义了 neutral 的参数
+export function getNeutralParamValues() {
+  const values = {};
+  PARAM_SCHEMA.forEach((def) => {
+    if (def.neutral !== undefined) values[def.id] = def.neutral;
+  });
+  return values;
+}
+
+// 把数值限制在参数范围内
+export function clampParam(def, value) {
+  return Math.min(def.max, Math.max(def.min, value));
+}
+
+// 为某个通道设置所有直接对应 uniform 的参数
+// 参数：gl、uniforms（createProgramInfo 的 uniforms）、params（本帧参数）、passName
+export function setParamUniforms(gl, uniforms, params, passName) {
+  PARAM_SCHEMA.forEach((def) => {
+    if (def.pass !== passName || !def.uniform) return;
+    const location = uniforms[def.uniform];
+    if (location) gl.uniform1f(location, params[def.id]);
+  });
+}
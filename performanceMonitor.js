@@ -0,0 +1,216 @@
+/**
+ * 性能统计
+ *
+ * 功能：
+ * - 按固定周期（默认1秒）统计渲染帧率、每帧 CPU 时间、GPU 时间、人脸检测延迟和丢帧数
+ * - 丢帧：两次渲染的间隔超过显示器刷新间隔的 1.5 倍时，按间隔内错过的刷新次数计数；
+ *   刷新间隔取最近两个周期内的最小帧间隔，页面隐藏等导致的长时间停顿不计入
+ * - GPU 计时器：使用 EXT_disjoint_timer_query(_webgl2) 异步查询管线在 GPU 上的执行时间，
+ *   结果在几帧之后才能取到；扩展不可用（多数浏览器出于安全考虑默认关闭）时 GPU 时间为 null
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 超过该间隔（毫秒）的停顿视为暂停（页面隐藏、视频源切换等），不计为丢帧
+const MAX_FRAME_GAP = 1000;
+// 同时等待结果的 GPU 查询数量上限，超过时跳过计时，避免查询堆积
+const MAX_PENDING_QUERIES = 8;
+
+function average(sum, count) {
+  return count > 0 ? sum / count : null;
+}
+
+// 创建性能统计器
+// 参数：
+//   - interval: 统计周期（毫秒）
+// 返回：
+//   - frame(timestamp, cpuTime): 记录渲染完成的一帧，timestamp 为 requestAnimationFrame 的时间戳
+//   - addGpuTime(ms) / addDetectionLatency(ms): 记录一次 GPU 时间 / 人脸检测延迟
+//   - update(timestamp): 一个统计周期结束时返回该周期的统计结果，否则返回 null
+//   - getStats(): 最近一个完整周期的统计结果，还没有时为 null
+//   - reset(): 清空统计（例如渲染循环重新开始时）
+// 统计结果：{ fps, cpuTime, gpuTime, detectionLatency, droppedFrames, totalDroppedFrames }
+//   时间单位为毫秒，周期内没有数据的字段为 null；droppedFrames 为本周期的丢帧数
+export function createPerformanceMonitor({ interval = 1000 } = {}) {
+  let windowStart = null;
+  let frames = 0;
+  let cpuSum = 0;
+  let gpuSum = 0;
+  let gpuCount = 0;
+  let detectionSum = 0;
+  let detectionCount = 0;
+  let droppedFrames = 0;
+  let totalDroppedFrames = 0;
+  let lastFrameTime = null;
+  // 本周期和上一周期的最小帧间隔，用来估计显示器的刷新间隔
+  let windowMinInterval = Infinity;
+  let previousMinInterval = Infinity;
+  let stats = null;
+
+  function startWindow(timestamp) {
+    windowStart = timestamp;
+    frames = 0;
+    cpuSum = 0;
+    gpuSum = 0;
+    gpuCount = 0;
+    detectionSum = 0;
+    detectionCount = 0;
+    droppedFrames = 0;
+    previousMinInterval = windowMinInterval;
+    windowMinInterval = Infinity;
+  }
+
+  function frame(timestamp, cpuTime) {
+    if (windowStart === null) startWindow(timestamp);
+    if (lastFrameTime !== null) {
+      const delta = timestamp - lastFrameTime;
+      if (delta > 0 && delta < MAX_FRAME_GAP) {
+        windowMinInterval = Math.min(windowMinInterval, delta);
+        const refreshInterval = Math.min(
+          windowMinInterval,
+          previousMinInterval
+        );
+        if (delta > refreshInterval * 1.5) {
+          const missed = Math.round(delta / refreshInterval) - 1;
+          droppedFrames += missed;
+          totalDroppedFrames += missed;
+        }
+      }
+    }
+    lastFrameTime = timestamp;
+    frames++;
+    cpuSum += cpuTime;
+  }
+
+  function update(timestamp) {
+    if (windowStart === null || timestamp - windowStart < interval) {
+      return null;
+    }
+    const elapsed = timestamp - windowStart;
+    stats = {
+      fps: (frames * 1000) / elapsed,
+      cpuTime: average(cpuSum, frames),
+      gpuTime: average(gpuSum, gpuCount),
+      detectionLatency: average(detectionSum, detectionCount),
+      droppedFrames,
+      totalDroppedFrames,
+    };
+    startWindow(timestamp);
+    return stats;
+  }
+
+  function reset() {
+    windowStart = null;
+    lastFrameTime = null;
+    windowMinInterval = Infinity;
+    previousMinInterval = Infinity;
+    totalDroppedFrames = 0;
+    stats = null;
+  }
+
+  return {
+    frame,
+    addGpuTime(ms) {
+      gpuSum += ms;
+      gpuCount++;
+    },
+    addDetectionLatency(ms) {
+      detectionSum += ms;
+      detectionCount++;
+    },
+    update,
+    getStats: () => stats,
+    reset,
+  };
+}
+
+// 获取 GPU 计时查询的接口：WebGL2 与 WebGL1 扩展的函数不同，统一成同一组操作
+function getTimerQueryApi(gl) {
+  const ext2 = gl.getExtension("EXT_disjoint_timer_query_webgl2");
+  if (ext2) {
+    return {
+      create: () => gl.createQuery(),
+      begin: (query) => gl.beginQuery(ext2.TIME_ELAPSED_EXT, query),
+      end: () => gl.endQuery(ext2.TIME_ELAPSED_EXT),
+      available: (query) =>
+        gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE),
+      result: (query) => gl.getQueryParameter(query, gl.QUERY_RESULT),
+      remove: (query) => gl.deleteQuery(query),
+      disjoint: () => gl.getParameter(ext2.GPU_DISJOINT_EXT),
+    };
+  }
+  const ext1 = gl.getExtension("EXT_disjoint_timer_query");
+  if (ext1) {
+    return {
+      create: () => ext1.createQueryEXT(),
+      begin: (query) => ext1.beginQueryEXT(ext1.TIME_ELAPSED_EXT, query),
+      end: () => ext1.endQueryEXT(ext1.TIME_ELAPSED_EXT),
+      available: (query) =>
+        ext1.getQueryObjectEXT(query, ext1.QUERY_RESULT_AVAILABLE_EXT),
+      result: (query) => ext1.getQueryObjectEXT(query, ext1.QUERY_RESULT_EXT),
+      remove: (query) => ext1.deleteQueryEXT(query),
+      disjoint: () => gl.getParameter(ext1.GPU_DISJOINT_EXT),
+    };
+  }
+  return null;
+}
+
+// 创建 GPU 计时器
+// 返回：
+//   - supported: 是否支持 GPU 计时
+//   - begin() / end(discard): 包围需要计时的绘制命令，discard 为 true 时丢弃本次计时
+//   - poll(): 取出已完成的计时结果（毫秒数组），GPU 计时被打断（disjoint）时丢弃全部结果
+//   - restore(): 上下文恢复后重新获取扩展（原来的查询对象已失效）
+//   - destroy()
+export function createGpuTimer(gl) {
+  let api = getTimerQueryApi(gl);
+  let active = null;
+  let pending = [];
+
+  function removeAll() {
+    pending.forEach((query) => api.remove(query));
+    pending = [];
+  }
+
+  return {
+    get supported() {
+      return api !== null;
+    },
+    begin() {
+      if (!api || active || pending.length >= MAX_PENDING_QUERIES) return;
+      active = api.create();
+      api.begin(active);
+    },
+    end(discard = false) {
+      if (!active) return;
+      api.end();
+      if (discard) api.remove(active);
+      else pending.push(active);
+      active = null;
+    },
+    poll() {
+      const results = [];
+      if (!api) return results;
+      const disjoint = api.disjoint();
+      while (pending.length > 0 && api.available(pending[0])) {
+        const query = pending.shift();
+        if (!disjoint) results.push(api.result(query) / 1e6);
+        api.remove(query);
+      }
+      if (disjoint) removeAll();
+      return results;
+    },
+    restore() {
+      active = null;
+      pending = [];
+      api = getTimerQueryApi(gl);
+    },
+    destroy() {
+      if (!api) return;
+      if (active) api.end();
+      removeAll();
+      active = null;
+    },
+  };
+}
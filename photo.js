@@ -0,0 +1,89 @@
+/**
+ * 照片处理
+ *
+ * 功能：
+ * - 加载 JPEG / PNG / WebP 图片为 ImageBitmap，按 EXIF 方向信息摆正（imageOrientation: "from-image"），
+ *   之后的检测、渲染和导出都使用摆正后的像素，导出文件不再依赖 EXIF 方向
+ * - 生成限制长边的预览图：调整参数时实时渲染预览，导出时再按原图分辨率渲染（见 BeautyRenderer.exportImage）
+ * - 把结果画布编码为 PNG 或 JPEG（JPEG 可设置质量）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 支持的图片类型（MIME 类型 -> 文件扩展名），文件没有类型时按扩展名判断
+const PHOTO_TYPES = {
+  "image/jpeg": ["jpg", "jpeg"],
+  "image/png": ["png"],
+  "image/webp": ["webp"],
+};
+
+// 导出格式
+//   - type: 编码的 MIME 类型
+//   - extension: 文件扩展名
+//   - lossy: 是否为有损格式（可设置质量）
+export const PHOTO_EXPORT_FORMATS = {
+  png: { type: "image/png", extension: "png", lossy: false },
+  jpeg: { type: "image/jpeg", extension: "jpg", lossy: true },
+};
+
+// 文件是否为支持的图片类型
+export function isSupportedPhoto(file) {
+  if (file.type) return Object.keys(PHOTO_TYPES).includes(file.type);
+  const extension = (file.name || "").split(".").pop().toLowerCase();
+  return Object.values(PHOTO_TYPES).some((extensions) =>
+    extensions.includes(extension)
+  );
+}
+
+// 加载图片文件（File/Blob）为按 EXIF 方向摆正的 ImageBitmap
+// 不支持的类型或无法解码时抛出错误
+export async function loadPhoto(file) {
+  if (!isSupportedPhoto(file)) {
+    throw new Error("请选择 JPEG、PNG 或 WebP 图片");
+  }
+  try {
+    return await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch (err) {
+    throw new Error(`图片解码失败：${err.message}`);
+  }
+}
+
+// 生成长边不超过 maxSize 的预览图，原图不超过时直接返回原图
+export async function createPhotoPreview(image, maxSize = 1920) {
+  const { width, height } = image;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  if (scale === 1) return image;
+  return createImageBitmap(image, {
+    resizeWidth: Math.max(1, Math.round(width * scale)),
+    resizeHeight: Math.max(1, Math.round(height * scale)),
+    resizeQuality: "high",
+  });
+}
+
+// 把画布（HTMLCanvasElement 或 OffscreenCanvas）编码为图片
+// 参数：
+//   - format: PHOTO_EXPORT_FORMATS 的键
+//   - quality: 有损格式的质量 (0-1)
+// 返回：Promise<Blob>
+export function encodePhoto(canvas, { format = "png", quality = 0.92 } = {}) {
+  const exportFormat = PHOTO_EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return Promise.reject(new Error(`不支持的导出格式：${format}`));
+  }
+  const { type } = exportFormat;
+  const encoderQuality = exportFormat.lossy ? quality : undefined;
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality: encoderQuality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error("图片编码失败"));
+      },
+      type,
+      encoderQuality
+    );
+  });
+}
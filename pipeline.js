@@ -0,0 +1,267 @@
+/**
+ * 多通道（multi-pass）渲染管线
+ *
+ * 功能：
+ * - 每个美颜效果是一个独立的处理通道（pass），拥有自己的着色器程序和 uniform
+ * - 中间结果保存在两张离屏纹理中交替读写（ping-pong），最后一个通道直接输出到画布
+ * - 通道可以在运行时启用/禁用、调整顺序、插入和移除
+ * - 支持输出到画布时水平镜像（自拍视角），中间纹理和人脸坐标不受影响
+ * - 复杂效果（如可分离滤波）可以在一个通道内部使用额外的临时渲染目标完成多次绘制
+ *
+ * 通道接口：
+ *   {
+ *     name: string,            // 通道名称（唯一）
+ *     enabled: boolean,        // 是否参与渲染
+ *     draw(ctx, input, output) // input: 输入纹理；output: 渲染目标，最后一个通道为 null（画布）
+ *     destroy()                // 释放通道自己的 GPU 资源
+ *     restore()                // 可选：WebGL 上下文恢复后重新上传通道保存的纹理数据
+ *   }
+ *
+ * 纹理和渲染目标都是 webgl.js 中的资源对象（纹理为 { handle }），
+ * 通过 webgl.js 创建的资源在上下文恢复后会自动重新创建
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { vertexShaderSrc, copyShaderSrc } from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createBuffer,
+  deleteBuffer,
+  createRenderTarget,
+  resizeRenderTarget,
+  deleteRenderTarget,
+} from "./webgl.js";
+
+// 创建渲染管线
+// 参数：
+//   - gl: WebGL 上下文
+// 返回：管线对象，提供通道管理和 render() 方法
+export function createPipeline(gl) {
+  // 按执行顺序排列的通道列表
+  const passes = [];
+  // 输出到画布时是否水平镜像
+  let mirrored = false;
+
+  // 全屏矩形的顶点缓冲区，所有通道共用
+  // 顶点顺序：左上角、左下角、右上角、右下角
+  const positionBuffer = createBuffer(
+    gl,
+    new Float32Array([-1, 1, -1, -1, 1, 1, 1, -1])
+  );
+  // 纹理坐标缓冲区 - 纹理坐标(0,0)对应图像左上角
+  const texCoordBuffer = createBuffer(
+    gl,
+    new Float32Array([0, 0, 0, 1, 1, 0, 1, 1])
+  );
+
+  // ping-pong 渲染目标：相邻通道交替使用，避免同一纹理同时读写
+  const pingPong = [createRenderTarget(gl, 1, 1), createRenderTarget(gl, 1, 1)];
+  // 通道内部使用的临时渲染目标（按名称缓存，尺寸变化时自动重建存储）
+  const scratchTargets = new Map();
+  // 没有任何启用的通道时，用直通程序把源纹理原样画到画布上
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+
+  // 绘制一个全屏矩形
+  // 参数：
+  //   - program: createProgramInfo 返回的程序信息
+  //   - output: 渲染目标，null 表示画布
+  //   - setup(uniforms, bindTexture): 设置 uniform 和纹理的回调
+  function drawQuad(program, output, setup) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+    if (output) {
+      gl.viewport(0, 0, output.width, output.height);
+    } else {
+      gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+    gl.useProgram(program.handle);
+
+    // 绑定顶点属性（各程序的属性位置可能不同，每次绘制都重新指定）
+    const { a_position, a_texCoord } = program.attributes;
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer.handle);
+    gl.enableVertexAttribArray(a_position);
+    gl.vertexAttribPointer(a_position, 2, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer.handle);
+    gl.enableVertexAttribArray(a_texCoord);
+    gl.vertexAttribPointer(a_texCoord, 2, gl.FLOAT, false, 0, 0);
+
+    // 渲染到纹理时翻转Y轴，使所有中间纹理与视频纹理一样以左上角为(0,0)
+    gl.uniform1f(program.uniforms.u_flipY, output ? -1.0 : 1.0);
+    // 只在最终输出到画布时镜像
+    gl.uniform1f(program.uniforms.u_flipX, !output && mirrored ? -1.0 : 1.0);
+
+    // 依次把纹理绑定到纹理单元0、1、2...
+    let unit = 0;
+    const bindTexture = (name, texture) => {
+      const location = program.uniforms[name];
+      // 着色器中未使用的 uniform 会被编译器优化掉，此时无需绑定
+      if (!location) return;
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture.handle);
+      gl.uniform1i(location, unit);
+      unit++;
+    };
+
+    setup(program.uniforms, bindTexture);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  // 获取通道内部使用的临时渲染目标
+  function getTarget(key, width, height) {
+    let target = scratchTargets.get(key);
+    if (!target) {
+      target = createRenderTarget(gl, width, height);
+      scratchTargets.set(key, target);
+    } else {
+      resizeRenderTarget(gl, target, width, height);
+    }
+    return target;
+  }
+
+  function indexOf(name) {
+    return passes.findIndex((pass) => pass.name === name);
+  }
+
+  // 添加通道，index 省略时追加到末尾
+  function addPass(pass, index = passes.length) {
+    if (indexOf(pass.name) !== -1) {
+      throw new Error(`通道名称重复: ${pass.name}`);
+    }
+    if (pass.enabled === undefined) pass.enabled = true;
+    passes.splice(index, 0, pass);
+    return pass;
+  }
+
+  // 移除通道并释放其资源
+  function removePass(name) {
+    const index = indexOf(name);
+    if (index === -1) return;
+    const [pass] = passes.splice(index, 1);
+    if (pass.destroy) pass.destroy();
+  }
+
+  function getPass(name) {
+    return passes[indexOf(name)] || null;
+  }
+
+  function setPassEnabled(name, enabled) {
+    const pass = getPass(name);
+    if (pass) pass.enabled = enabled;
+  }
+
+  // 把通道移动到新的位置（调整执行顺序）
+  function movePass(name, index) {
+    const from = indexOf(name);
+    if (from === -1) return;
+    const [pass] = passes.splice(from, 1);
+    passes.splice(Math.max(0, Math.min(index, passes.length)), 0, pass);
+  }
+
+  // 按执行顺序返回全部通道名称
+  function getPassNames() {
+    return passes.map((pass) => pass.name);
+  }
+
+  // 设置输出到画布时是否水平镜像
+  function setMirrored(value) {
+    mirrored = Boolean(value);
+  }
+
+  // 执行一帧渲染
+  // 参数：
+  //   - source: 源纹理（通常是视频帧纹理）
+  //   - frame: 本帧的渲染状态（width/height 以及各通道需要的参数）
+  function render(source, frame) {
+    const { width, height } = frame;
+    pingPong.forEach((target) => resizeRenderTarget(gl, target, width, height));
+
+    // 每个通道收到的上下文
+    const ctx = {
+      gl,
+      frame,
+      source,
+      width,
+      height,
+      drawQuad,
+      getTarget,
+    };
+
+    const active = passes.filter((pass) => pass.enabled);
+    if (active.length === 0) {
+      drawQuad(copyProgram, null, (u, bindTexture) => {
+        bindTexture("u_texture", source);
+      });
+      return;
+    }
+
+    // 链式执行：上一个通道的输出就是下一个通道的输入
+    let input = source;
+    active.forEach((pass, i) => {
+      const output = i === active.length - 1 ? null : pingPong[i % 2];
+      pass.draw(ctx, input, output);
+      if (output) input = output.texture;
+    });
+  }
+
+  // WebGL 上下文恢复后调用（需先调用 webgl.js 的 restoreResources）：
+  // 让通道重新上传自己保存的纹理数据
+  function restore() {
+    passes.forEach((pass) => pass.restore && pass.restore());
+  }
+
+  // 释放管线及全部通道的 GPU 资源
+  function destroy() {
+    passes.splice(0).forEach((pass) => pass.destroy && pass.destroy());
+    pingPong.forEach((target) => deleteRenderTarget(gl, target));
+    scratchTargets.forEach((target) => deleteRenderTarget(gl, target));
+    scratchTargets.clear();
+    deleteProgramInfo(gl, copyProgram);
+    deleteBuffer(gl, positionBuffer);
+    deleteBuffer(gl, texCoordBuffer);
+  }
+
+  return {
+    addPass,
+    removePass,
+    getPass,
+    setPassEnabled,
+    movePass,
+    getPassNames,
+    setMirrored,
+    render,
+    restore,
+    destroy,
+  };
+}
+
+// 创建一个由单个片元着色器构成的通道
+// 参数：
+//   - name: 通道名称
+//   - fragmentShaderSrc: 片元着色器源码，输入纹理固定命名为 u_texture，
+//     可选使用 u_original（管线源纹理）和 u_resolution（处理分辨率）
+//   - setUniforms(gl, uniforms, frame, bindTexture): 每帧设置通道自身 uniform 的回调
+//   - enabled: 初始是否启用
+export function createShaderPass(
+  gl,
+  { name, fragmentShaderSrc, setUniforms = () => {}, enabled = true }
+) {
+  const program = createProgramInfo(gl, vertexShaderSrc, fragmentShaderSrc);
+  return {
+    name,
+    enabled,
+    program,
+    draw(ctx, input, output) {
+      ctx.drawQuad(program, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_original", ctx.source);
+        if (u.u_resolution) gl.uniform2f(u.u_resolution, ctx.width, ctx.height);
+        setUniforms(gl, u, ctx.frame, bindTexture);
+      });
+    },
+    destroy() {
+      deleteProgramInfo(gl, program);
+    },
+  };
+}
@@ -0,0 +1,327 @@
+/**
+ * 美颜预设管理
+ *
+ * 功能：
+ * - 内置预设（自然、柔焦、鲜艳等），只读
+ * - 用户按名称保存自己的预设，持久化到 localStorage
+ * - 预设以 JSON 导入/导出，便于在不同机器之间共享同一套效果
+ * - 切换预设时在旧值和新值之间做短暂的动画过渡
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { PARAM_SCHEMA, getParamDef, clampParam } from "./paramSchema.js";
+import { getDefaultMakeupParams } from "./makeup.js";
+
+// 预设中保存的参数及其类型；导入时只接受这些字段
+// 数值参数来自 paramSchema.js 中 preset 不为 false 的参数，另外保存美妆颜色和混合模式
+export const PRESET_FIELDS = {
+  beautyEnabled: "boolean",
+  faceDetectionEnabled: "boolean",
+};
+PARAM_SCHEMA.forEach((def) => {
+  if (def.preset !== false) PRESET_FIELDS[def.id] = "number";
+});
+// 美妆图层的颜色和混合模式
+Object.keys(getDefaultMakeupParams()).forEach((key) => {
+  PRESET_FIELDS[key] = "string";
+});
+
+// 内置预设
+export const BUILTIN_PRESETS = [
+  {
+    name: "自然",
+    builtin: true,
+    values: {
+      beautyEnabled: true,
+      faceDetectionEnabled: true,
+      smoothStrength: 0.6,
+      smoothRadius: 4,
+      smoothRangeSigma: 0.08,
+      sharpness: 0.0,
+      brightness: 0.05,
+      saturation: 1.2,
+      contrast: 1.0,
+      hue: 0,
+      maskFeather: 24,
+      effectStrength: 1.0,
+    },
+  },
+  {
+    name: "柔焦",
+    builtin: true,
+    values: {
+      beautyEnabled: true,
+      faceDetectionEnabled: true,
+      smoothStrength: 0.9,
+      smoothRadius: 7,
+      smoothRangeSigma: 0.14,
+      sharpness: 0.0,
+      brightness: 0.1,
+      saturation: 1.0,
+      contrast: 0.9,
+      hue: 0,
+      maskFeather: 40,
+      effectStrength: 1.0,
+    },
+  },
+  {
+    name: "鲜艳",
+    builtin: true,
+    values: {
+      beautyEnabled: true,
+      faceDetectionEnabled: true,
+      smoothStrength: 0.4,
+      smoothRadius: 3,
+      smoothRangeSigma: 0.06,
+      sharpness: 0.3,
+      brightness: 0.05,
+      saturation: 1.6,
+      contrast: 1.2,
+      hue: 0,
+      maskFeather: 24,
+      effectStrength: 1.0,
+    },
+  },
+  {
+    name: "清晰",
+    builtin: true,
+    values: {
+      beautyEnabled: true,
+      faceDetectionEnabled: true,
+      smoothStrength: 0.3,
+      smoothRadius: 2,
+      smoothRangeSigma: 0.05,
+      sharpness: 0.6,
+      brightness: 0.02,
+      saturation: 1.1,
+      contrast: 1.1,
+      hue: 0,
+      maskFeather: 16,
+      effectStrength: 1.0,
+    },
+  },
+  {
+    name: "原图",
+    builtin: true,
+    values: {
+      beautyEnabled: false,
+      faceDetectionEnabled: true,
+      smoothStrength: 0.0,
+      smoothRadius: 4,
+      smoothRangeSigma: 0.08,
+      sharpness: 0.0,
+      brightness: 0.0,
+      saturation: 1.0,
+      contrast: 1.0,
+      hue: 0,
+      maskFeather: 24,
+      effectStrength: 1.0,
+    },
+  },
+];
+
+// 导出文件的格式版本
+const EXPORT_VERSION = 1;
+
+// 过滤并校验预设参数：丢弃未知字段，类型不符时抛出错误，数值限制在参数范围内
+// （导入的文件或损坏的本地存储中可能有超出范围的值，会直接成为 uniform 和循环半径）
+export function normalizePresetValues(values) {
+  if (!values || typeof values !== "object") {
+    throw new Error("预设参数必须是对象");
+  }
+  const result = {};
+  Object.keys(PRESET_FIELDS).forEach((key) => {
+    if (!(key in values)) return;
+    const value = values[key];
+    const type = PRESET_FIELDS[key];
+    if (
+      typeof value !== type ||
+      (type === "number" && !Number.isFinite(value))
+    ) {
+      throw new Error(`预设参数 ${key} 的类型应为 ${type}`);
+    }
+    result[key] =
+      type === "number" ? clampParam(getParamDef(key), value) : value;
+  });
+  return result;
+}
+
+// 创建预设管理器
+// 参数：
+//   - storage: 持久化存储，默认 localStorage（不可用时只保存在内存中）
+//   - storageKey: 存储键名
+// 返回：
+//   - list(): 全部预设（内置在前），[{ name, builtin, values }]
+//   - get(name): 按名称查找预设
+//   - save(name, values): 保存用户预设，同名则覆盖；不能覆盖内置预设
+//   - remove(name): 删除用户预设
+//   - exportJSON(names): 导出指定名称（默认全部用户预设）为 JSON 字符串
+//   - importJSON(text): 导入 JSON，返回导入的预设名称列表
+//   - getLastUsed() / setLastUsed(name): 最近一次应用的预设名称，刷新页面后恢复
+export function createPresetManager({
+  storage = typeof localStorage !== "undefined" ? localStorage : null,
+  storageKey = "webgl-beauty-presets",
+} = {}) {
+  // 用户预设：名称 -> 参数
+  const userPresets = new Map();
+
+  function load() {
+    if (!storage) return;
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey) || "[]");
+      saved.forEach(({ name, values }) => {
+        userPresets.set(name, normalizePresetValues(values));
+      });
+    } catch (err) {
+      console.warn("读取已保存的预设失败:", err);
+    }
+  }
+
+  function persist() {
+    if (!storage) return;
+    const saved = Array.from(userPresets, ([name, values]) => ({
+      name,
+      values,
+    }));
+    try {
+      storage.setItem(storageKey, JSON.stringify(saved));
+    } catch (err) {
+      console.warn("保存预设失败:", err);
+    }
+  }
+
+  function isBuiltin(name) {
+    return BUILTIN_PRESETS.some((preset) => preset.name === name);
+  }
+
+  function list() {
+    return BUILTIN_PRESETS.concat(
+      Array.from(userPresets, ([name, values]) => ({
+        name,
+        builtin: false,
+        values,
+      }))
+    );
+  }
+
+  function get(name) {
+    return list().find((preset) => preset.name === name) || null;
+  }
+
+  function save(name, values) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new Error("预设名称不能为空");
+    if (isBuiltin(trimmed)) throw new Error(`不能覆盖内置预设「${trimmed}」`);
+    userPresets.set(trimmed, normalizePresetValues(values));
+    persist();
+    return trimmed;
+  }
+
+  function remove(name) {
+    if (isBuiltin(name)) throw new Error(`不能删除内置预设「${name}」`);
+    const removed = userPresets.delete(name);
+    if (removed) persist();
+    return removed;
+  }
+
+  function exportJSON(names = Array.from(userPresets.keys())) {
+    const presets = names
+      .map((name) => get(name))
+      .filter(Boolean)
+      .map(({ name, values }) => ({ name, values }));
+    return JSON.stringify({ version: EXPORT_VERSION, presets }, null, 2);
+  }
+
+  // 接受导出文件格式 { version, presets: [...] }，也接受单个 { name, values }
+  // 与内置预设重名的会加上「(导入)」后缀
+  function importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error("预设文件不是有效的 JSON");
+    }
+    const presets = Array.isArray(data && data.presets) ? data.presets : [data];
+    const imported = presets.map((preset) => {
+      if (!preset || typeof preset.name !== "string") {
+        throw new Error("预设缺少名称");
+      }
+      const values = normalizePresetValues(preset.values);
+      const name = isBuiltin(preset.name)
+        ? `${preset.name}(导入)`
+        : preset.name;
+      return { name, values };
+    });
+    // 全部校验通过后再写入，避免导入一半
+    imported.forEach(({ name, values }) => userPresets.set(name, values));
+    persist();
+    return imported.map(({ name }) => name);
+  }
+
+  function getLastUsed() {
+    if (!storage) return null;
+    const name = storage.getItem(`${storageKey}.last`);
+    return name && get(name) ? name : null;
+  }
+
+  function setLastUsed(name) {
+    if (!storage) return;
+    try {
+      storage.setItem(`${storageKey}.last`, name);
+    } catch (err) {
+      console.warn("保存当前预设失败:", err);
+    }
+  }
+
+  load();
+  return {
+    list,
+    get,
+    save,
+    remove,
+    exportJSON,
+    importJSON,
+    getLastUsed,
+    setLastUsed,
+  };
+}
+
+// 缓动函数：先加速后减速
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// 在两组参数之间做动画过渡
+// 数值参数按缓动曲线插值；开关等非数值参数在过渡开始时直接切换
+// 参数：
+//   - from / to: 起始和目标参数
+//   - duration: 过渡时长（毫秒），0 表示立即切换
+//   - onUpdate(values): 每一帧调用，传入当前插值结果
+// 返回：cancel()，停止过渡（停在当前值）
+export function animatePresetValues(from, to, { duration = 300, onUpdate }) {
+  const startTime = performance.now();
+  let frameId = null;
+
+  function step(now) {
+    const t = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+    const eased = easeInOut(t);
+    const values = {};
+    Object.keys(to).forEach((key) => {
+      const start = from[key];
+      const end = to[key];
+      values[key] =
+        typeof end === "number" && typeof start === "number"
+          ? start + (end - start) * eased
+          : end;
+    });
+    onUpdate(values);
+    frameId = t < 1 ? requestAnimationFrame(step) : null;
+  }
+
+  step(startTime);
+  return function cancel() {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+}
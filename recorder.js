@@ -0,0 +1,222 @@
+/**
+ * 处理结果录制
+ *
+ * 功能：
+ * - 使用 MediaRecorder 录制 WebGL 画布（canvas.captureStream）
+ * - 混入视频源的音频轨道
+ * - 列出浏览器支持的容器/编码组合，可设置码率
+ * - 录制结果以带时间戳的文件名提供下载
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 候选录制格式，按优先级排列；实际可用的由浏览器决定
+const RECORDING_FORMATS = [
+  {
+    mimeType: "video/webm;codecs=vp9,opus",
+    label: "WebM (VP9 + Opus)",
+    extension: "webm",
+  },
+  {
+    mimeType: "video/webm;codecs=vp8,opus",
+    label: "WebM (VP8 + Opus)",
+    extension: "webm",
+  },
+  {
+    mimeType: "video/webm;codecs=h264,opus",
+    label: "WebM (H.264 + Opus)",
+    extension: "webm",
+  },
+  {
+    mimeType: "video/mp4;codecs=avc1,mp4a",
+    label: "MP4 (H.264 + AAC)",
+    extension: "mp4",
+  },
+  { mimeType: "video/webm", label: "WebM (浏览器默认)", extension: "webm" },
+  { mimeType: "video/mp4", label: "MP4 (浏览器默认)", extension: "mp4" },
+];
+
+// 返回当前浏览器支持的录制格式列表
+export function getSupportedRecordingFormats() {
+  if (typeof MediaRecorder === "undefined") return [];
+  return RECORDING_FORMATS.filter((format) =>
+    MediaRecorder.isTypeSupported(format.mimeType)
+  );
+}
+
+// 获取 <video> 元素正在播放的音频轨道（用于录制/推流时混入原声）
+// 实时流直接使用流中的音频轨道；文件源通过 captureStream 获取
+export function getVideoAudioTracks(video) {
+  if (video.srcObject) return video.srcObject.getAudioTracks();
+  const capture = video.captureStream || video.mozCaptureStream;
+  if (!capture) return [];
+  try {
+    return capture.call(video).getAudioTracks();
+  } catch (err) {
+    console.warn("无法获取视频音频轨道:", err);
+    return [];
+  }
+}
+
+// 生成录制文件名，例如 beauty-20231019-153045.webm
+export function makeRecordingFilename(extension, prefix = "beauty") {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(
+    now.getDate()
+  )}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(
+    now.getSeconds()
+  )}`;
+  return `${prefix}-${date}-${time}.${extension}`;
+}
+
+// 触发浏览器下载一个 Blob
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // 留出时间让浏览器开始下载后再释放
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// MediaRecorder 的 error 事件转换为 Error
+function toRecorderError(event) {
+  const cause = event.error;
+  return new Error(
+    `录制出错：${cause ? cause.message || cause.name : "未知错误"}`
+  );
+}
+
+// 创建画布录制器
+// 参数：
+//   - canvas: 要录制的画布
+//   - getAudioTracks: 返回要混入的音频轨道数组的函数（开始录制时调用）
+//   - onError(error): 录制过程中 MediaRecorder 出错、录制被迫中止时调用
+// 返回：
+//   - start({ format, videoBitsPerSecond, audioBitsPerSecond, frameRate })
+//   - stop(): 结束录制，返回 Promise<{ blob, filename }>，结束时出错则 reject
+//   - isRecording()
+export function createCanvasRecorder(
+  canvas,
+  { getAudioTracks = () => [], onError = () => {} } = {}
+) {
+  let recorder = null;
+  let chunks = [];
+  let currentFormat = null;
+  let captureStream = null;
+
+  function start({
+    format = getSupportedRecordingFormats()[0],
+    videoBitsPerSecond = 5000000,
+    audioBitsPerSecond = 128000,
+    frameRate = 30,
+  } = {}) {
+    if (recorder) throw new Error("已经在录制中");
+    if (!format) throw new Error("当前浏览器不支持 MediaRecorder 录制");
+
+    // 画布视频轨道 + 视频源音频轨道（克隆后录制，停止录制时不影响原轨道）
+    const stream = canvas.captureStream(frameRate);
+    getAudioTracks().forEach((track) => stream.addTrack(track.clone()));
+
+    // 录制中止：释放轨道并清空状态
+    function abort() {
+      stream.getTracks().forEach((track) => track.stop());
+      chunks = [];
+      recorder = null;
+      captureStream = null;
+      currentFormat = null;
+    }
+
+    let activeRecorder;
+    try {
+      activeRecorder = new MediaRecorder(stream, {
+        mimeType: format.mimeType,
+        videoBitsPerSecond,
+        audioBitsPerSecond,
+      });
+    } catch (err) {
+      abort();
+      throw err;
+    }
+    chunks = [];
+    currentFormat = format;
+    captureStream = stream;
+    recorder = activeRecorder;
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    // 录制中出错：MediaRecorder 会自行停止，释放轨道并通知调用方
+    // （调用 stop() 之后出错由 stop() 返回的 Promise 报告）
+    recorder.onerror = (event) => {
+      if (recorder !== activeRecorder) return;
+      const error = toRecorderError(event);
+      console.error(error.message);
+      activeRecorder.ondataavailable = null;
+      abort();
+      onError(error);
+    };
+    // 每秒产出一段数据，避免长时间录制时全部积压在编码器内部
+    try {
+      recorder.start(1000);
+    } catch (err) {
+      abort();
+      throw err;
+    }
+    console.log("开始录制:", format.mimeType, videoBitsPerSecond, "bps");
+  }
+
+  function stop() {
+    if (!recorder) return Promise.reject(new Error("当前没有在录制"));
+    const activeRecorder = recorder;
+    const stream = captureStream;
+    const format = currentFormat;
+    recorder = null;
+    captureStream = null;
+    currentFormat = null;
+    return new Promise((resolve, reject) => {
+      function release() {
+        activeRecorder.onstop = null;
+        activeRecorder.onerror = null;
+        activeRecorder.ondataavailable = null;
+        stream.getTracks().forEach((track) => track.stop());
+      }
+      function finish() {
+        release();
+        const blob = new Blob(chunks, { type: format.mimeType.split(";")[0] });
+        chunks = [];
+        console.log("录制结束，文件大小:", blob.size, "字节");
+        resolve({ blob, filename: makeRecordingFilename(format.extension) });
+      }
+      function fail(error) {
+        release();
+        chunks = [];
+        console.error(error.message);
+        reject(error);
+      }
+      activeRecorder.onstop = finish;
+      activeRecorder.onerror = (event) => fail(toRecorderError(event));
+      // 录制器已经自行停止（例如画布轨道结束）时不会再触发 stop 事件
+      if (activeRecorder.state === "inactive") {
+        finish();
+        return;
+      }
+      try {
+        activeRecorder.stop();
+      } catch (err) {
+        fail(err);
+      }
+    });
+  }
+
+  function isRecording() {
+    return recorder !== null;
+  }
+
+  return { start, stop, isRecording };
+}
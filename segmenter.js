@@ -0,0 +1,68 @@
+/**
+ * 人像分割器适配
+ *
+ * 功能：
+ * - 定义渲染器使用的人像分割器接口，背景虚化/替换不直接依赖具体的分割库
+ * - 提供 MediaPipe Selfie Segmentation 适配器，把回调式的 onResults 包装为按帧返回的 Promise
+ * - 模型文件的地址可配置，可以把 @mediapipe/selfie_segmentation 包中的文件放到自己的服务器上
+ *
+ * 分割器接口：
+ *   {
+ *     segment(image)      // 分割一帧，返回 Promise<遮罩图像 | null>
+ *                         // 遮罩为可上传到纹理的图像（ImageBitmap、画布等），与输入画面对齐，
+ *                         // alpha 通道为人像置信度（0 背景，1 人像）
+ *     setOptions(options) // 可选
+ *     close()             // 可选，释放分割器占用的资源
+ *   }
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// MediaPipe Selfie Segmentation 模型文件的默认地址（CDN）
+export const SELFIE_SEGMENTATION_CDN =
+  "https://cdn.jsdelivr.net/npm/@mediapipe/selfie_segmentation/";
+
+// 创建 MediaPipe Selfie Segmentation 分割器
+// 依赖页面通过 <script> 引入的全局 SelfieSegmentation
+// 参数：
+//   - baseUrl: 模型文件（.tflite、.wasm、.binarypb 等）所在目录的地址，以 / 结尾
+//   - modelSelection: 0 为通用模型（256x256），1 为横屏模型（144x256，更快）
+export function createSelfieSegmenter({
+  baseUrl = SELFIE_SEGMENTATION_CDN,
+  modelSelection = 1,
+} = {}) {
+  if (typeof SelfieSegmentation === "undefined") {
+    throw new Error("MediaPipe Selfie Segmentation 未加载");
+  }
+  const segmentation = new SelfieSegmentation({
+    locateFile: (file) => `${baseUrl}${file}`,
+  });
+  const options = { modelSelection };
+  segmentation.setOptions(options);
+
+  // 与 Face Mesh 相同，结果通过 onResults 回调返回，send() 在回调执行完成后才完成
+  let latestMask = null;
+  segmentation.onResults((results) => {
+    latestMask = results.segmentationMask || null;
+  });
+
+  return {
+    async segment(image) {
+      latestMask = null;
+      await segmentation.send({ image });
+      return latestMask;
+    },
+    setOptions(newOptions) {
+      const changed = Object.keys(newOptions).some(
+        (key) => options[key] !== newOptions[key]
+      );
+      if (!changed) return;
+      Object.assign(options, newOptions);
+      segmentation.setOptions(options);
+    },
+    close() {
+      return segmentation.close();
+    },
+  };
+}
@@ -3,11 +3,18 @@
  * 
  * 功能：
  * - 提供顶点着色器用于处理顶点坐标和纹理映射
- * - 提供片元着色器实现美颜算法，包括：
- *   - 双边滤波实现磨皮效果
- *   - RGB与HSV颜色空间转换
- *   - 亮度调整和饱和度增强
- *   - 基于人脸位置的局部美颜处理
+ * - 提供各渲染通道的片元着色器（每个效果一个独立通道，见 pipeline.js）：
+ *   - 保边平滑通道：可分离双边滤波实现磨皮效果
+ *   - 锐化通道
+ *   - 颜色调整通道：亮度、对比度、HSV饱和度与色调
+ *   - 3D LUT 调色通道：三线性插值查表
+ *   - 虚拟美妆通道：口红、腮红、眼影、眼线，支持正片叠底/柔光/叠加混合
+ *   - 人脸区域合成通道：基于人脸遮罩（轮廓多边形或随头部姿态旋转的椭圆）的局部美颜处理
+ *   - 高斯模糊：遮罩边缘羽化
+ *   - 动态贴纸：按人脸位置、大小和角度变换的贴纸矩形
+ *   - 背景通道：人像遮罩的边缘细化与时间平滑、背景虚化、纯色或图片/视频背景替换
+ *   - 美颜前后对比通道：分屏、并排、原图
+ *   - 直通通道：原样输出输入纹理
  * 
  * 作者：WebGL 技术团队
  * 日期：2023
@@ -16,11 +23,16 @@
 // 顶点着色器源码 - WebGL渲染管线的第一阶段，负责处理顶点数据
 // 顶点着色器的主要职责：
 // 1. 接收顶点位置和纹理坐标数据
-// 2. 处理坐标变换（本例中使用标准化设备坐标系，无需额外变换）
+// 2. 处理坐标变换（本例中使用标准化设备坐标系，渲染到纹理时需要翻转Y轴）
 // 3. 将数据传递给片元着色器
 export const vertexShaderSrc = `
   // 顶点位置属性 - 从JavaScript传入的顶点坐标
   attribute vec4 a_position;  // vec4类型：(x,y,z,w)，w通常为1.0
+  // Y轴翻转系数 - 输出到画布时为1.0，输出到离屏纹理时为-1.0
+  // 这样所有中间纹理都与视频纹理保持一致：纹理坐标(0,0)对应图像左上角
+  uniform float u_flipY;
+  // X轴翻转系数 - 镜像显示（自拍视角）时输出到画布为-1.0，其余为1.0
+  uniform float u_flipX;
   // 纹理坐标属性 - 从JavaScript传入的纹理坐标
   attribute vec2 a_texCoord;  // vec2类型：(s,t)或(u,v)，范围通常是[0,1]
   // 变化量 - 用于将纹理坐标从顶点着色器传递到片元着色器
@@ -29,7 +41,7 @@ export const vertexShaderSrc = `
   void main() {
     // 设置顶点的最终位置（在标准化设备坐标系中）
     // 这里直接使用传入的位置值，因为我们已经提供了标准化坐标
-    gl_Position = a_position;
+    gl_Position = vec4(a_position.x * u_flipX, a_position.y * u_flipY, a_position.zw);
     
     // 将纹理坐标传递给片元着色器
     // 片元着色器在处理像素时，会根据像素在三角形中的位置对纹理坐标进行插值
@@ -37,40 +49,8 @@ export const vertexShaderSrc = `
   }
 `;
 
-// 片元着色器源码 - WebGL渲染管线的第二阶段，负责像素级处理
-// 片元着色器的主要职责：
-// 1. 处理每个像素的颜色
-// 2. 实现美颜算法（磨皮、亮度调整、饱和度增强、对比度调整、色调调整）
-// 3. 基于人脸位置进行局部美颜
-// 4. 输出最终像素颜色
-export const fragmentShaderSrc = `
-  // 精度声明 - 指定浮点数的精度为中等（平衡性能和精度）
-  precision mediump float;
-
-  // 纹理采样器 - 用于从视频纹理中采样颜色
-  uniform sampler2D u_texture;
-  // 画布分辨率 - 用于计算像素坐标偏移
-  uniform vec2 u_resolution;
-  // 人脸中心点 - 从人脸检测结果获得
-  uniform vec2 u_faceCenter;
-  // 人脸处理长轴半径 - 控制美颜效果的应用范围
-  uniform float u_faceRadiusMajor;
-  // 人脸处理短轴半径 - 控制美颜效果的应用范围
-  uniform float u_faceRadiusMinor;
-  // 磨皮强度参数 - 控制磨皮效果的强度
-  uniform float u_sharpness;
-  // 亮度提升参数 - 控制亮度增加的程度
-  uniform float u_brightness;
-  // 饱和度调整参数 - 控制颜色饱和度的调整比例
-  uniform float u_saturation;
-  // 对比度调整参数 - 控制颜色对比度的调整
-  uniform float u_contrast;
-  // 色调调整参数 - 控制颜色色调的调整
-  uniform float u_hue;
-
-  // 变化量 - 从顶点着色器接收并插值后的纹理坐标
-  varying vec2 v_texCoord;
-
+// 片元着色器公共片段 - 颜色空间转换等辅助函数，被多个通道共用
+const colorFunctionsSrc = `
   // 辅助函数1：RGB颜色空间转换到HSV颜色空间
   // 这是美颜算法中调整饱和度的关键步骤
   // 参数：
@@ -138,137 +118,627 @@ export const fragmentShaderSrc = `
   float luminance(vec3 color) {
     return 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
   }
+`;
+
+// 片元着色器源码 - WebGL渲染管线的第二阶段，负责像素级处理
+// 每个美颜效果都是一个独立的通道，按管线顺序依次处理：
+// 1. 保边平滑通道（磨皮）
+// 2. 锐化通道
+// 3. 颜色调整通道（亮度、对比度、饱和度、色调）
+// 4. 人脸区域合成通道（只把处理结果应用到人脸区域）
+
+// 直通着色器 - 原样输出输入纹理
+export const copyShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  varying vec2 v_texCoord;
+
+  void main() {
+    gl_FragColor = texture2D(u_texture, v_texCoord);
+  }
+`;
+
+// 可分离双边滤波 - 保边平滑（磨皮）的核心
+// 双边滤波的权重 = 空间权重 × 颜色差异（值域）权重：
+// 颜色相近的邻域像素（皮肤）参与平均，颜色差异大的像素（眼睛、眉毛、发丝边缘）几乎不参与，
+// 因此能在平滑皮肤的同时保留五官边缘。
+// 为了保证1080p下的实时帧率，先水平方向、再竖直方向各执行一次（可分离近似），
+// 并且在降低分辨率的纹理上进行（见 smoothing.js）。
+export const bilateralShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 采样方向上一个像素对应的纹理坐标步长，(1/w, 0) 为水平方向，(0, 1/h) 为竖直方向
+  uniform vec2 u_texelStep;
+  // 空间半径（像素），决定平滑范围
+  uniform float u_radius;
+  // 值域标准差，决定多大的颜色差异被视为"边缘"
+  uniform float u_rangeSigma;
+
+  varying vec2 v_texCoord;
+
+  // GLSL ES 1.0 要求循环次数为常量，实际半径由 u_radius 控制
+  const int MAX_RADIUS = 8;
+
+  void main() {
+    vec4 centerColor = texture2D(u_texture, v_texCoord);
+    // 空间高斯的标准差取半径的一半，使核的边缘权重接近0
+    float spatialSigma = max(u_radius * 0.5, 0.5);
+    float spatialDenom = 2.0 * spatialSigma * spatialSigma;
+    float rangeDenom = 2.0 * u_rangeSigma * u_rangeSigma;
+
+    vec3 result = vec3(0.0);
+    float weightSum = 0.0;
+    for (int i = -MAX_RADIUS; i <= MAX_RADIUS; i++) {
+      float offset = float(i);
+      if (abs(offset) > u_radius) continue;
+
+      vec3 sampleColor = texture2D(u_texture, v_texCoord + u_texelStep * offset).rgb;
+      vec3 diff = sampleColor - centerColor.rgb;
+      // 空间权重 × 值域权重
+      float weight = exp(-(offset * offset) / spatialDenom - dot(diff, diff) / rangeDenom);
+      result += sampleColor * weight;
+      weightSum += weight;
+    }
+
+    gl_FragColor = vec4(result / weightSum, centerColor.a);
+  }
+`;
+
+// 平滑结果合成 - 按强度把低分辨率平滑结果混合回全分辨率画面
+export const smoothBlendShaderSrc = `
+  precision mediump float;
+
+  // 全分辨率的输入画面
+  uniform sampler2D u_texture;
+  // 低分辨率的平滑结果（线性插值放大）
+  uniform sampler2D u_smoothed;
+  // 磨皮强度 (0-1)
+  uniform float u_strength;
+
+  varying vec2 v_texCoord;
+
+  void main() {
+    vec4 color = texture2D(u_texture, v_texCoord);
+    vec4 smoothed = texture2D(u_smoothed, v_texCoord);
+    gl_FragColor = vec4(mix(color.rgb, smoothed.rgb, u_strength), color.a);
+  }
+`;
+
+// 锐化通道
+export const sharpenShaderSrc = `
+  // 精度声明 - 指定浮点数的精度为中等（平衡性能和精度）
+  precision mediump float;
+
+  // 纹理采样器 - 上一个通道的输出
+  uniform sampler2D u_texture;
+  // 处理分辨率 - 用于计算像素坐标偏移
+  uniform vec2 u_resolution;
+  // 锐化强度参数 - 0表示不锐化
+  uniform float u_sharpness;
+
+  // 变化量 - 从顶点着色器接收并插值后的纹理坐标
+  varying vec2 v_texCoord;
+
   
-  // 核心锐化算法 - 实现锐化高清晰、锐化低模糊的效果
+  // 核心锐化算法 - 使用拉普拉斯算子增强细节
   // 参数：
   //   - uv: 纹理坐标
-  //   - sharpness: 锐化强度 (0-1范围，0表示模糊，1表示最大锐化)
+  //   - sharpness: 锐化强度 (0-1范围，0表示不锐化，1表示最大锐化)
   // 返回：
-  //   - vec4: 经过锐化或模糊处理的颜色值
+  //   - vec4: 经过锐化处理的颜色值
+  // 注意：模糊/磨皮已经由独立的保边平滑通道完成（见 bilateralShaderSrc），这里只负责锐化
   vec4 sharpenFilter(vec2 uv, float sharpness) {
     // 获取当前像素颜色
     vec4 centerColor = texture2D(u_texture, uv);
     
-    // 根据锐化强度决定是锐化还是模糊
-    // sharpness > 0.5: 锐化效果，sharpness < 0.5: 模糊效果
-    if (sharpness > 0.5) {
-      // 锐化模式：使用拉普拉斯锐化算子
-      // 锐化系数：将0.5-1.0范围映射到0.0-1.0
-      float sharpenFactor = (sharpness - 0.5) * 2.0;
-      
-      // 直接计算锐化效果 - 避免使用数组和变量索引
-      // 手动实现3x3拉普拉斯锐化算子
-      vec4 result = vec4(0.0);
-      
-      // 上一行
-      vec2 offset0 = vec2(-1.0, -1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset0) * 0.0;
-      
-      vec2 offset1 = vec2(0.0, -1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset1) * -1.0;
-      
-      vec2 offset2 = vec2(1.0, -1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset2) * 0.0;
-      
-      // 中间行
-      vec2 offset3 = vec2(-1.0, 0.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset3) * -1.0;
-      
-      vec2 offset4 = vec2(0.0, 0.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset4) * 5.0; // 中心像素
-      
-      vec2 offset5 = vec2(1.0, 0.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset5) * -1.0;
-      
-      // 下一行
-      vec2 offset6 = vec2(-1.0, 1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset6) * 0.0;
-      
-      vec2 offset7 = vec2(0.0, 1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset7) * -1.0;
-      
-      vec2 offset8 = vec2(1.0, 1.0) / u_resolution * 2.0;
-      result += texture2D(u_texture, uv + offset8) * 0.0;
-      
-      // 混合原始图像和锐化结果
-      return mix(centerColor, result, sharpenFactor);
+    // 直接计算锐化效果 - 避免使用数组和变量索引
+    // 手动实现3x3拉普拉斯锐化算子（四个对角位置权重为0，省略采样）
+    vec4 result = vec4(0.0);
+    
+    // 上一行
+    vec2 offset1 = vec2(0.0, -1.0) / u_resolution * 2.0;
+    result += texture2D(u_texture, uv + offset1) * -1.0;
+    
+    // 中间行
+    vec2 offset3 = vec2(-1.0, 0.0) / u_resolution * 2.0;
+    result += texture2D(u_texture, uv + offset3) * -1.0;
+    
+    result += centerColor * 5.0; // 中心像素
+    
+    vec2 offset5 = vec2(1.0, 0.0) / u_resolution * 2.0;
+    result += texture2D(u_texture, uv + offset5) * -1.0;
+    
+    // 下一行
+    vec2 offset7 = vec2(0.0, 1.0) / u_resolution * 2.0;
+    result += texture2D(u_texture, uv + offset7) * -1.0;
+    
+    // 混合原始图像和锐化结果
+    return mix(centerColor, result, sharpness);
+  }
+
+  void main() {
+    gl_FragColor = sharpenFilter(v_texCoord, u_sharpness);
+  }
+`;
+
+// 颜色调整通道
+export const colorAdjustShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 亮度提升参数 - 控制亮度增加的程度
+  uniform float u_brightness;
+  // 饱和度调整参数 - 控制颜色饱和度的调整比例
+  uniform float u_saturation;
+  // 对比度调整参数 - 控制颜色对比度的调整
+  uniform float u_contrast;
+  // 色调调整参数 - 控制颜色色调的调整
+  uniform float u_hue;
+
+  varying vec2 v_texCoord;
+
+  ${colorFunctionsSrc}
+
+  void main() {
+    vec4 processedColor = texture2D(u_texture, v_texCoord);
+
+    // 步骤1：亮度提升
+    // 直接在RGB空间增加每个通道的值
+    processedColor.rgb += vec3(u_brightness);
+
+    // 步骤2：对比度调整
+    // 对比度公式：output = (input - 0.5) * contrast + 0.5
+    processedColor.rgb = (processedColor.rgb - 0.5) * u_contrast + 0.5;
+    processedColor.rgb = clamp(processedColor.rgb, 0.0, 1.0); // 确保结果在有效范围内
+
+    // 步骤3：饱和度和色调调整
+    // 1. 先转换到HSV颜色空间
+    vec3 hsv = rgb2hsv(processedColor.rgb);
+    // 2. 调整饱和度分量（乘以系数）
+    hsv.y = clamp(hsv.y * u_saturation, 0.0, 1.0); // 确保结果在有效范围内
+    // 3. 调整色调分量（增加角度）
+    hsv.x = mod(hsv.x + u_hue, 360.0); // 确保色相值在0-360度范围内
+    // 4. 转回RGB颜色空间
+    processedColor.rgb = hsv2rgb(hsv);
+
+    gl_FragColor = processedColor;
+  }
+`;
+
+// 3D LUT 调色通道
+// 3D LUT 以二维纹理存储：N 个 N×N 的切片沿水平方向排列（宽 N*N，高 N），
+// 切片序号为蓝色分量，切片内 x 为红色、y 为绿色
+// 切片内的红/绿方向由纹理线性过滤插值，蓝色方向在相邻两个切片之间手动插值，合起来即三线性插值
+// 纹理宽度为 N*N（64³ 的 LUT 为 4096），mediump 为 16 位浮点时精度不足以区分相邻像素，
+// 支持时使用 highp
+export const lutShaderSrc = `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+  precision highp float;
+  #else
+  precision mediump float;
+  #endif
+
+  uniform sampler2D u_texture;
+  // 打包后的 LUT 纹理
+  uniform sampler2D u_lut;
+  // LUT 每个维度的格点数 N
+  uniform float u_lutSize;
+  // .cube 文件的输入范围（DOMAIN_MIN / DOMAIN_MAX）
+  uniform vec3 u_domainMin;
+  uniform vec3 u_domainMax;
+  // 调色强度：0 为原图，1 为完全应用 LUT
+  uniform float u_intensity;
+
+  varying vec2 v_texCoord;
+
+  // 在指定蓝色切片中按红/绿分量查表
+  vec3 sampleSlice(vec2 rg, float slice) {
+    // 加半个像素偏移，使格点落在像素中心；切片起点与切片内偏移分开计算，不出现 N*N 量级的中间值
+    float x = slice / u_lutSize + (rg.x * (u_lutSize - 1.0) + 0.5) / (u_lutSize * u_lutSize);
+    float y = (rg.y * (u_lutSize - 1.0) + 0.5) / u_lutSize;
+    return texture2D(u_lut, vec2(x, y)).rgb;
+  }
+
+  void main() {
+    vec4 color = texture2D(u_texture, v_texCoord);
+    vec3 coord = clamp((color.rgb - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0);
+
+    float blue = coord.b * (u_lutSize - 1.0);
+    float slice0 = floor(blue);
+    float slice1 = min(slice0 + 1.0, u_lutSize - 1.0);
+    vec3 graded = mix(
+      sampleSlice(coord.rg, slice0),
+      sampleSlice(coord.rg, slice1),
+      blue - slice0
+    );
+
+    gl_FragColor = vec4(mix(color.rgb, graded, u_intensity), color.a);
+  }
+`;
+
+// 虚拟美妆通道 - 口红、腮红、眼影、眼线各用一个通道，共用此着色器
+// 遮罩纹理由 makeup.js 根据人脸关键点光栅化并羽化（红色通道为覆盖度，已乘上每张人脸的强度），
+// 按所选混合模式把妆容颜色叠加到画面上，保留皮肤原有的明暗和纹理
+export const makeupShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 妆容遮罩
+  uniform sampler2D u_mask;
+  // 妆容颜色 (RGB, 0-1)
+  uniform vec3 u_color;
+  // 不透明度 (0-1)
+  uniform float u_opacity;
+  // 混合模式：0 正片叠底，1 柔光，2 叠加
+  uniform float u_blendMode;
+  // 高光强度（口红的光泽感），0 表示不加高光
+  uniform float u_gloss;
+
+  varying vec2 v_texCoord;
+
+  ${colorFunctionsSrc}
+
+  // 正片叠底：只会变暗，适合眼影、眼线
+  vec3 blendMultiply(vec3 base, vec3 blend) {
+    return base * blend;
+  }
+
+  // 叠加：按底色明暗分别做正片叠底或滤色，对比度较强
+  vec3 blendOverlay(vec3 base, vec3 blend) {
+    vec3 dark = 2.0 * base * blend;
+    vec3 light = 1.0 - 2.0 * (1.0 - base) * (1.0 - blend);
+    return mix(dark, light, step(0.5, base));
+  }
+
+  // 柔光（W3C 合成规范中的公式）：效果最柔和，适合口红、腮红
+  vec3 blendSoftLight(vec3 base, vec3 blend) {
+    vec3 d = mix(
+      ((16.0 * base - 12.0) * base + 4.0) * base,
+      sqrt(base),
+      step(0.25, base)
+    );
+    vec3 darken = base - (1.0 - 2.0 * blend) * base * (1.0 - base);
+    vec3 lighten = base + (2.0 * blend - 1.0) * (d - base);
+    return mix(darken, lighten, step(0.5, blend));
+  }
+
+  void main() {
+    vec4 base = texture2D(u_texture, v_texCoord);
+    float mask = texture2D(u_mask, v_texCoord).r * u_opacity;
+
+    vec3 blended;
+    if (u_blendMode < 0.5) blended = blendMultiply(base.rgb, u_color);
+    else if (u_blendMode < 1.5) blended = blendSoftLight(base.rgb, u_color);
+    else blended = blendOverlay(base.rgb, u_color);
+
+    vec3 color = mix(base.rgb, blended, mask);
+    // 高光：只提亮原本就较亮的部分，形成随光照变化的光泽
+    float highlight = smoothstep(0.55, 0.95, luminance(base.rgb));
+    color += vec3(highlight * u_gloss * mask * 0.5);
+
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), base.a);
+  }
+`;
+
+// 动态贴纸 - 顶点着色器
+// 把全屏矩形变换为贴在人脸上的旋转矩形：四个角由贴纸中心和两条边向量决定（归一化图像坐标，左上角为原点）
+// 输出到画布或离屏纹理时的翻转规则与 vertexShaderSrc 相同
+export const stickerVertexShaderSrc = `
+  attribute vec4 a_position;
+  attribute vec2 a_texCoord;
+  uniform float u_flipY;
+  uniform float u_flipX;
+  // 贴纸中心
+  uniform vec2 u_center;
+  // 贴纸的宽度方向和高度方向边向量（包含旋转和缩放）
+  uniform vec2 u_axisX;
+  uniform vec2 u_axisY;
+  // 当前动画帧在贴纸纹理中的区域：(x, y, 宽, 高)，静态贴纸为 (0, 0, 1, 1)
+  uniform vec4 u_frameRect;
+  varying vec2 v_texCoord;
+
+  void main() {
+    // 全屏矩形的顶点 (-1,1)~(1,-1) 换算为相对贴纸中心的位置 (-0.5,-0.5)~(0.5,0.5)，y 向下
+    vec2 corner = vec2(a_position.x, -a_position.y) * 0.5;
+    vec2 p = u_center + u_axisX * corner.x + u_axisY * corner.y;
+    gl_Position = vec4((p.x * 2.0 - 1.0) * u_flipX, (1.0 - p.y * 2.0) * u_flipY, 0.0, 1.0);
+    v_texCoord = u_frameRect.xy + a_texCoord * u_frameRect.zw;
+  }
+`;
+
+// 动态贴纸 - 片元着色器
+// 贴纸纹理上传时已预乘 alpha，配合 (ONE, ONE_MINUS_SRC_ALPHA) 混合，边缘过滤后不会出现黑边
+export const stickerShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 贴纸不透明度（随人脸可见度淡入淡出）
+  uniform float u_opacity;
+
+  varying vec2 v_texCoord;
+
+  void main() {
+    gl_FragColor = texture2D(u_texture, v_texCoord) * u_opacity;
+  }
+`;
+
+// 人像遮罩细化 - 背景通道的第一步
+// 分割模型输出的遮罩分辨率低、边缘粗糙且逐帧跳动，这里做两件事：
+//   1. 联合双边滤波：以原始视频帧为引导，只对颜色相近的邻域取平均，遮罩边缘贴合头发、肩膀等实际轮廓
+//   2. 时间平滑：与上一帧细化后的遮罩按系数混合，抑制边缘闪烁
+// 输出的红色通道为人像遮罩值
+export const segmentationRefineShaderSrc = `
+  precision mediump float;
+
+  // 分割模型输出的原始遮罩（alpha 通道为人像置信度）
+  uniform sampler2D u_mask;
+  // 引导图像：原始视频帧
+  uniform sampler2D u_guide;
+  // 上一帧细化后的遮罩（红色通道）
+  uniform sampler2D u_previous;
+  // 时间平滑系数：0 不平滑，越接近1越稳定但跟随越慢
+  uniform float u_temporal;
+  // 相邻采样点之间的纹理坐标步长
+  uniform vec2 u_texelStep;
+  // 遮罩的纹理坐标变换：xy 为偏移，zw 为缩放（分块渲染时遮罩覆盖整个画面，只取本块的范围）
+  uniform vec4 u_maskRect;
+
+  varying vec2 v_texCoord;
+
+  const int RADIUS = 3;
+  // 引导图像的颜色差异标准差，颜色差异越大权重越小
+  const float COLOR_SIGMA = 0.1;
+
+  void main() {
+    vec3 centerColor = texture2D(u_guide, v_texCoord).rgb;
+    float spatialSigma = float(RADIUS) * 0.7;
+    float sum = 0.0;
+    float weightSum = 0.0;
+    for (int y = -RADIUS; y <= RADIUS; y++) {
+      for (int x = -RADIUS; x <= RADIUS; x++) {
+        vec2 offset = vec2(float(x), float(y));
+        vec2 coord = v_texCoord + offset * u_texelStep;
+        vec3 diff = texture2D(u_guide, coord).rgb - centerColor;
+        float weight =
+          exp(-dot(offset, offset) / (2.0 * spatialSigma * spatialSigma)) *
+          exp(-dot(diff, diff) / (2.0 * COLOR_SIGMA * COLOR_SIGMA));
+        vec2 maskCoord = u_maskRect.xy + coord * u_maskRect.zw;
+        sum += texture2D(u_mask, maskCoord).a * weight;
+        weightSum += weight;
+      }
+    }
+    float refined = sum / weightSum;
+    float previous = texture2D(u_previous, v_texCoord).r;
+    gl_FragColor = vec4(vec3(mix(refined, previous, u_temporal)), 1.0);
+  }
+`;
+
+// 背景虚化的准备步骤：按背景权重（1 - 遮罩）预乘颜色，alpha 通道保存权重
+// 模糊后再除以权重，人像的颜色不会扩散到背景里形成光晕
+export const backgroundPrepareShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 细化后的人像遮罩（红色通道）
+  uniform sampler2D u_mask;
+
+  varying vec2 v_texCoord;
+
+  void main() {
+    float weight = 1.0 - texture2D(u_mask, v_texCoord).r;
+    vec3 color = texture2D(u_texture, v_texCoord).rgb;
+    gl_FragColor = vec4(color * weight, weight);
+  }
+`;
+
+// 背景合成通道 - 按人像遮罩把前景（处理后的画面）与新背景混合
+// 模式（u_mode）：
+//   0 - 虚化：u_background 为按背景权重预乘后模糊的画面
+//   1 - 纯色：u_color
+//   2 - 图片/视频：u_background 为背景图像，按 u_backgroundRect 等比裁剪铺满画面
+export const backgroundShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 细化后的人像遮罩（红色通道）
+  uniform sampler2D u_mask;
+  uniform sampler2D u_background;
+  uniform float u_mode;
+  uniform vec3 u_color;
+  // 背景图像的纹理坐标变换：xy 为偏移，zw 为缩放
+  uniform vec4 u_backgroundRect;
+  // 镜像显示时背景图像反向采样，保证屏幕上的背景图像不被镜像
+  uniform float u_mirrored;
+  // 遮罩边缘过渡宽度（遮罩值 0.5 附近的过渡区间）
+  uniform float u_edge;
+
+  varying vec2 v_texCoord;
+
+  void main() {
+    vec4 foreground = texture2D(u_texture, v_texCoord);
+    float mask = texture2D(u_mask, v_texCoord).r;
+    float halfEdge = max(u_edge, 0.02) * 0.5;
+    float alpha = smoothstep(0.5 - halfEdge, 0.5 + halfEdge, mask);
+
+    vec3 background;
+    if (u_mode < 0.5) {
+      vec4 blurred = texture2D(u_background, v_texCoord);
+      // 周围全是人像、没有背景样本时退回前景颜色
+      background = blurred.a > 0.01 ? blurred.rgb / blurred.a : foreground.rgb;
+    } else if (u_mode < 1.5) {
+      background = u_color;
     } else {
-      // 模糊模式：使用简单的盒式模糊
-      // 模糊系数：将0.0-0.5范围映射到1.0-0.0
-      float blurFactor = 1.0 - (sharpness * 2.0);
-      
-      vec4 result = vec4(0.0);
-      float weightSum = 0.0;
-      
-      // 应用5x5模糊核（更大的范围）
-      for (int x = -2; x <= 2; x++) {
-        for (int y = -2; y <= 2; y++) {
-          // 根据距离计算权重
-          float weight = 1.0 - (length(vec2(float(x), float(y))) / 3.0);
-          vec2 offset = vec2(float(x), float(y)) / u_resolution * 2.0;
-          vec4 sampleColor = texture2D(u_texture, uv + offset);
-          result += sampleColor * weight;
-          weightSum += weight;
-        }
+      vec2 uv = v_texCoord;
+      if (u_mirrored > 0.5) uv.x = 1.0 - uv.x;
+      background = texture2D(
+        u_background, u_backgroundRect.xy + uv * u_backgroundRect.zw
+      ).rgb;
+    }
+    gl_FragColor = vec4(mix(background, foreground.rgb, alpha), foreground.a);
+  }
+`;
+
+// 美颜前后对比通道 - 放在管线最后，把原始画面和处理结果合成到同一画面中
+// 位置计算都在屏幕空间进行（镜像显示时先换算），分割线和左右位置与用户看到的一致
+// 模式（u_mode）：
+//   0 - 分屏：分割线左侧为原图，右侧为处理结果
+//   1 - 并排：左半边原图、右半边处理结果，各自完整缩小显示，上下留黑边
+//   2 - 原图：整个画面显示原图（按住查看原图）
+export const compareShaderSrc = `
+  precision mediump float;
+
+  // 处理结果
+  uniform sampler2D u_texture;
+  // 原始视频帧
+  uniform sampler2D u_original;
+  uniform vec2 u_resolution;
+  uniform float u_mode;
+  // 分割线位置（屏幕空间，0 为左边缘，1 为右边缘）
+  uniform float u_split;
+  // 输出是否水平镜像：1.0 镜像，0.0 不镜像
+  uniform float u_mirrored;
+
+  varying vec2 v_texCoord;
+
+  // 屏幕坐标与纹理坐标互相换算（镜像时水平翻转）
+  vec2 mirrorCoord(vec2 coord) {
+    return vec2(mix(coord.x, 1.0 - coord.x, u_mirrored), coord.y);
+  }
+
+  void main() {
+    vec2 screen = mirrorCoord(v_texCoord);
+
+    if (u_mode < 0.5) {
+      vec4 color = screen.x < u_split
+        ? texture2D(u_original, v_texCoord)
+        : texture2D(u_texture, v_texCoord);
+      // 分割线：宽度随分辨率缩放，约为画面宽度的 1/400，至少 2 个像素
+      float halfWidth = max(1.0, u_resolution.x / 800.0) / u_resolution.x;
+      if (abs(screen.x - u_split) < halfWidth) color = vec4(1.0);
+      gl_FragColor = color;
+    } else if (u_mode < 1.5) {
+      float right = step(0.5, screen.x);
+      vec2 local = vec2(screen.x * 2.0 - right, (screen.y - 0.25) * 2.0);
+      if (local.y < 0.0 || local.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
       }
-      
-      // 混合原始图像和模糊结果
-      return mix(centerColor, result / weightSum, blurFactor);
+      vec2 coord = mirrorCoord(local);
+      gl_FragColor = right > 0.5
+        ? texture2D(u_texture, coord)
+        : texture2D(u_original, coord);
+    } else {
+      gl_FragColor = texture2D(u_original, v_texCoord);
     }
   }
+`;
+
+// 一维高斯模糊 - 用于人脸遮罩边缘羽化
+// 固定采样 2*MAX_RADIUS+1 个点，通过调整采样步长 u_texelStep 控制模糊宽度，
+// 这样任意羽化宽度的开销都相同
+export const gaussianBlurShaderSrc = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  // 相邻采样点之间的纹理坐标步长（同时决定方向和模糊宽度）
+  uniform vec2 u_texelStep;
+
+  varying vec2 v_texCoord;
+
+  const int MAX_RADIUS = 8;
 
-  // 片元着色器主函数 - 每个像素都会执行一次
   void main() {
-    // 获取当前像素的纹理坐标（已从顶点着色器插值）
-    vec2 uv = v_texCoord;
-    
-    // 计算当前像素到人脸中心的距离
-    // 这个距离用于确定是否对该像素应用美颜处理
+    // 标准差取半径的一半，核边缘的权重约为 exp(-2)
+    float sigma = float(MAX_RADIUS) * 0.5;
+    vec4 result = vec4(0.0);
+    float weightSum = 0.0;
+    for (int i = -MAX_RADIUS; i <= MAX_RADIUS; i++) {
+      float offset = float(i);
+      float weight = exp(-(offset * offset) / (2.0 * sigma * sigma));
+      result += texture2D(u_texture, v_texCoord + u_texelStep * offset) * weight;
+      weightSum += weight;
+    }
+    gl_FragColor = result / weightSum;
+  }
+`;
+
+// 人脸区域合成通道 - 按人脸遮罩把处理结果与原始画面混合
+// 支持两种遮罩模式：
+//   - 轮廓遮罩（默认）：由人脸轮廓关键点多边形光栅化得到的遮罩纹理，已挖去眼睛、眉毛和嘴唇
+//   - 椭圆遮罩（低开销备用）：直接在着色器中根据每张人脸的椭圆方程计算
+// 最多同时处理 MAX_FACES 张人脸（与 faceMask.js 中的 MAX_FACES 保持一致）
+export const faceMaskShaderSrc = `
+  precision mediump float;
+
+  const int MAX_FACES = 4;
+
+  // 前面各通道处理后的结果
+  uniform sampler2D u_texture;
+  // 管线的原始输入（未处理的视频帧）
+  uniform sampler2D u_original;
+  // 轮廓遮罩纹理（红色通道为遮罩值，已羽化，并已乘上每张人脸的强度）
+  uniform sampler2D u_mask;
+  // 遮罩模式：0.0 为椭圆遮罩，1.0 为轮廓遮罩纹理
+  uniform float u_maskMode;
+  // 当前有效的人脸数量
+  uniform int u_faceCount;
+  // 每张人脸的中心点 - 从人脸检测结果获得
+  uniform vec2 u_faceCenters[MAX_FACES];
+  // 每张人脸的椭圆半径：x 为沿人脸左右方向的半径（相对画面宽度），y 为沿人脸上下方向的半径（相对画面高度）
+  uniform vec2 u_faceRadii[MAX_FACES];
+  // 每张人脸椭圆的旋转角度（弧度，画面上顺时针为正），跟随头部翻滚角
+  uniform float u_faceAngles[MAX_FACES];
+  // 每张人脸的椭圆边缘羽化宽度（相对于椭圆半径的比例）
+  uniform float u_faceFeathers[MAX_FACES];
+  // 每张人脸单独的效果强度 (0-1)
+  uniform float u_faceStrengths[MAX_FACES];
+  // 整体效果强度 (0-1)，在原始画面和处理结果之间混合
+  uniform float u_strength;
+  // 画面尺寸（像素），旋转需要在等比例的像素坐标中进行
+  uniform vec2 u_resolution;
+
+  varying vec2 v_texCoord;
+
+  // 单个椭圆遮罩：椭圆内为1，椭圆外为0，边缘按羽化宽度平滑过渡
+  float ellipseMask(vec2 uv, vec2 center, vec2 radii, float angle, float feather) {
+    // 先把像素偏移反向旋转到人脸自身的坐标系（左右为 x，上下为 y）
+    vec2 offset = (uv - center) * u_resolution;
+    float c = cos(angle);
+    float s = sin(angle);
+    vec2 local = vec2(c * offset.x + s * offset.y, -s * offset.x + c * offset.y);
     // 计算椭圆距离 - 使用标准椭圆方程判断点是否在椭圆内
-    // 椭圆方程: ((x-centerX)/a)^2 + ((y-centerY)/b)^2 <= 1
-    // 其中a是长轴半径，b是短轴半径
-    // 计算到人脸中心的距离，使用预计算的椭圆参数
-    // 由于main.js中已经根据人脸比例计算了合适的椭圆参数，这里直接使用即可
-    // 椭圆参数只与人脸特征相关，不受视频比例影响
-    vec2 diff = uv - u_faceCenter;
-    float ellipseDist = pow(diff.x / u_faceRadiusMajor, 2.0) + pow(diff.y / u_faceRadiusMinor, 2.0);
-    
-    // 当椭圆距离小于1时，点在椭圆内
-
-    // 从视频纹理中采样原始颜色
-    vec4 color = texture2D(u_texture, uv);
-
-    // 关键步骤：只有当像素在人脸区域内时才应用美颜处理
-    // 这实现了局部美颜的效果，只处理面部区域
-    if (ellipseDist < 1.0) {
-      // 步骤1：应用锐化或模糊处理
-      vec4 processedColor = sharpenFilter(uv, u_sharpness);
-
-      // 步骤2：亮度提升
-      // 直接在RGB空间增加每个通道的值
-      processedColor.rgb += vec3(u_brightness);
-
-      // 步骤3：对比度调整
-      // 对比度公式：output = (input - 0.5) * contrast + 0.5
-      processedColor.rgb = (processedColor.rgb - 0.5) * u_contrast + 0.5;
-      processedColor.rgb = clamp(processedColor.rgb, 0.0, 1.0); // 确保结果在有效范围内
-      
-      // 步骤4：饱和度和色调调整
-      // 1. 先转换到HSV颜色空间
-      vec3 hsv = rgb2hsv(processedColor.rgb);
-      // 2. 调整饱和度分量（乘以系数）
-      hsv.y = clamp(hsv.y * u_saturation, 0.0, 1.0); // 确保结果在有效范围内
-      // 3. 调整色调分量（增加角度）
-      hsv.x = mod(hsv.x + u_hue, 360.0); // 确保色相值在0-360度范围内
-      // 4. 转回RGB颜色空间
-      processedColor.rgb = hsv2rgb(hsv);
-
-      // 步骤5：使用锐化处理后的颜色直接替换，因为锐化/模糊效果已经内置在processedColor中
-      color = processedColor;
+    // 椭圆方程: (x/a)^2 + (y/b)^2 <= 1
+    // 其中a是左右方向半径，b是上下方向半径（均换算为像素）
+    vec2 diff = local / (radii * u_resolution);
+    float ellipseDist = length(diff);
+    // 羽化宽度为0时退化为硬边界
+    return 1.0 - smoothstep(1.0 - max(feather, 0.0001), 1.0, ellipseDist);
+  }
+
+  // 所有人脸椭圆遮罩的并集（取最大值）
+  float ellipsesMask(vec2 uv) {
+    float mask = 0.0;
+    for (int i = 0; i < MAX_FACES; i++) {
+      if (i >= u_faceCount) break;
+      float faceMask = ellipseMask(
+        uv, u_faceCenters[i], u_faceRadii[i], u_faceAngles[i], u_faceFeathers[i]
+      );
+      mask = max(mask, faceMask * u_faceStrengths[i]);
     }
+    return mask;
+  }
+
+  void main() {
+    vec2 uv = v_texCoord;
+
+    float mask = u_maskMode > 0.5 ? texture2D(u_mask, uv).r : ellipsesMask(uv);
 
-    // 输出最终像素颜色
-    // gl_FragColor是片元着色器的内置输出变量
-    gl_FragColor = color;
+    // 关键步骤：按遮罩值混合处理结果和原始画面
+    // 这实现了局部美颜的效果，只处理面部区域，且边缘没有明显接缝
+    vec4 original = texture2D(u_original, uv);
+    vec4 processed = texture2D(u_texture, uv);
+    gl_FragColor = mix(original, processed, clamp(mask * u_strength, 0.0, 1.0));
   }
 `;
@@ -0,0 +1,98 @@
+/**
+ * 保边平滑（磨皮）通道
+ *
+ * 功能：
+ * - 在降低分辨率的纹理上执行可分离双边滤波（先水平、后竖直）
+ * - 按磨皮强度把平滑结果混合回全分辨率画面
+ * - 空间半径、值域标准差、强度均可独立调整
+ *
+ * 处理流程（一个通道内部的四次绘制）：
+ *   输入 --缩小--> down --水平双边--> horizontal --竖直双边--> vertical
+ *   输入 + vertical --按强度混合--> 输出
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  vertexShaderSrc,
+  copyShaderSrc,
+  bilateralShaderSrc,
+  smoothBlendShaderSrc,
+} from "./shaders.js";
+import { createProgramInfo, deleteProgramInfo } from "./webgl.js";
+
+// 创建保边平滑通道
+// 参数：
+//   - name: 通道名称
+//   - scale: 平滑处理的分辨率缩放比例，0.5 表示在一半分辨率上滤波
+// 通道从 frame.params 读取：
+//   - smoothStrength: 磨皮强度 (0-1)，0 时整个通道直接透传
+//   - smoothRadius: 空间半径（以缩小后的像素为单位，1-8）
+//   - smoothRangeSigma: 值域标准差（颜色差异阈值）
+export function createSmoothingPass(gl, { name = "smooth", scale = 0.5 } = {}) {
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+  const bilateralProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    bilateralShaderSrc
+  );
+  const blendProgram = createProgramInfo(
+    gl,
+    vertexShaderSrc,
+    smoothBlendShaderSrc
+  );
+
+  const pass = {
+    name,
+    enabled: true,
+    scale,
+    draw(ctx, input, output) {
+      const { smoothStrength, smoothRadius, smoothRangeSigma } =
+        ctx.frame.params;
+
+      // 强度为0时跳过滤波，只做一次直通绘制
+      if (smoothStrength <= 0) {
+        ctx.drawQuad(copyProgram, output, (u, bindTexture) => {
+          bindTexture("u_texture", input);
+        });
+        return;
+      }
+
+      const width = Math.max(1, Math.round(ctx.width * pass.scale));
+      const height = Math.max(1, Math.round(ctx.height * pass.scale));
+      const down = ctx.getTarget(`${name}.down`, width, height);
+      const horizontal = ctx.getTarget(`${name}.horizontal`, width, height);
+      const vertical = ctx.getTarget(`${name}.vertical`, width, height);
+
+      // 步骤1：缩小到处理分辨率（线性过滤完成下采样）
+      ctx.drawQuad(copyProgram, down, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+      });
+
+      // 步骤2、3：水平 + 竖直两次一维双边滤波
+      const bilateral = (source, target, stepX, stepY) => {
+        ctx.drawQuad(bilateralProgram, target, (u, bindTexture) => {
+          bindTexture("u_texture", source);
+          gl.uniform2f(u.u_texelStep, stepX, stepY);
+          gl.uniform1f(u.u_radius, smoothRadius);
+          gl.uniform1f(u.u_rangeSigma, smoothRangeSigma);
+        });
+      };
+      bilateral(down.texture, horizontal, 1 / width, 0);
+      bilateral(horizontal.texture, vertical, 0, 1 / height);
+
+      // 步骤4：按强度混合回全分辨率
+      ctx.drawQuad(blendProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+        bindTexture("u_smoothed", vertical.texture);
+        gl.uniform1f(u.u_strength, smoothStrength);
+      });
+    },
+    destroy() {
+      deleteProgramInfo(gl, copyProgram);
+      deleteProgramInfo(gl, bilateralProgram);
+      deleteProgramInfo(gl, blendProgram);
+    },
+  };
+  return pass;
+}
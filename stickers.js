@@ -0,0 +1,358 @@
+/**
+ * 动态贴纸
+ *
+ * 功能：
+ * - 加载 PNG 图片或序列帧（sprite sheet）动画作为贴纸
+ * - 贴纸锚定在人脸关键点上（额头、鼻尖、眼睛、下巴），位置、大小和旋转角度跟随人脸，
+ *   有头部姿态（见 headPose.js）时旋转角度取姿态的翻滚角
+ * - 通过 JSON 清单配置每个贴纸的锚点、偏移、缩放、旋转和层级
+ * - 多张人脸、多个贴纸同时显示时按深度排序：离镜头远（人脸较小）的先画，同一张脸按层级从低到高
+ * - 动画按视频时间播放，离线逐帧处理时结果与实时预览一致
+ *
+ * 清单格式（JSON）：
+ *   {
+ *     "stickers": [
+ *       {
+ *         "name": "猫耳朵",
+ *         "image": "ears.png",          // 相对于清单文件的路径
+ *         "anchor": "forehead",         // 锚点，见 STICKER_ANCHORS
+ *         "offset": [0, -0.35],         // 偏移（以人脸宽度为单位，沿人脸方向，y 向下为正）
+ *         "scale": 1.3,                 // 贴纸宽度 = scale × 人脸宽度
+ *         "rotation": 0,                // 在人脸角度之上额外旋转（度）
+ *         "zIndex": 0,                  // 同一张人脸上的层级，大的在上
+ *         "frames": { "columns": 4, "rows": 2, "count": 8, "fps": 12 } // 可选，序列帧动画
+ *       }
+ *     ]
+ *   }
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import {
+  stickerVertexShaderSrc,
+  stickerShaderSrc,
+  vertexShaderSrc,
+  copyShaderSrc,
+} from "./shaders.js";
+import {
+  createProgramInfo,
+  deleteProgramInfo,
+  createTexture,
+  deleteTexture,
+} from "./webgl.js";
+import { LEFT_EYE, RIGHT_EYE } from "./faceMask.js";
+
+// 锚点：名称 -> { label, indices }，锚点位置取这些关键点的平均值
+export const STICKER_ANCHORS = {
+  forehead: { label: "额头", indices: [10] },
+  noseTip: { label: "鼻尖", indices: [1] },
+  eyes: { label: "双眼", indices: [...LEFT_EYE, ...RIGHT_EYE] },
+  leftEye: { label: "左眼", indices: LEFT_EYE },
+  rightEye: { label: "右眼", indices: RIGHT_EYE },
+  chin: { label: "下巴", indices: [152] },
+};
+
+// 人脸方向和大小：两眼外角确定倾斜角度，两侧脸颊边缘确定人脸宽度
+const RIGHT_EYE_OUTER = 33;
+const LEFT_EYE_OUTER = 263;
+const FACE_LEFT_EDGE = 234;
+const FACE_RIGHT_EDGE = 454;
+
+// 校验并补全单个贴纸配置，错误时抛出带贴纸名称的错误
+export function normalizeStickerConfig(config) {
+  if (!config || typeof config !== "object") {
+    throw new Error("贴纸配置必须是对象");
+  }
+  const name = String(config.name || config.image || "贴纸");
+  const fail = (message) => {
+    throw new Error(`贴纸「${name}」：${message}`);
+  };
+  const anchor = config.anchor || "forehead";
+  if (!STICKER_ANCHORS[anchor]) fail(`未知的锚点 ${anchor}`);
+  const offset = config.offset || [0, 0];
+  if (
+    !Array.isArray(offset) ||
+    offset.length !== 2 ||
+    !offset.every(Number.isFinite)
+  ) {
+    fail("offset 应为两个数字");
+  }
+  const numberField = (key, fallback) => {
+    const value = config[key] === undefined ? fallback : config[key];
+    if (!Number.isFinite(value)) fail(`${key} 应为数字`);
+    return value;
+  };
+  let frames = null;
+  if (config.frames) {
+    const { columns, rows, count = columns * rows, fps = 12 } = config.frames;
+    if (
+      ![columns, rows, count, fps].every(Number.isFinite) ||
+      columns < 1 ||
+      rows < 1 ||
+      count < 1 ||
+      count > columns * rows ||
+      fps <= 0
+    ) {
+      fail("frames 配置无效");
+    }
+    frames = { columns, rows, count, fps };
+  }
+  return {
+    name,
+    image: config.image,
+    anchor,
+    offset: [offset[0], offset[1]],
+    scale: numberField("scale", 1),
+    rotation: numberField("rotation", 0),
+    zIndex: numberField("zIndex", 0),
+    frames,
+  };
+}
+
+// 加载贴纸图片（支持跨域图片，服务器需允许 CORS）
+export function loadStickerImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`贴纸图片加载失败：${src}`));
+    image.src = src;
+  });
+}
+
+// 按清单内容加载全部贴纸图片
+// 参数：
+//   - manifest: 清单对象（{ stickers: [...] }）
+//   - resolveImageUrl(path): 把清单中的图片路径转换为可加载的地址
+// 返回：贴纸列表，可直接传给 BeautyRenderer.setStickers()
+export async function loadStickersFromManifest(manifest, resolveImageUrl) {
+  if (!manifest || !Array.isArray(manifest.stickers)) {
+    throw new Error("贴纸清单缺少 stickers 数组");
+  }
+  return Promise.all(
+    manifest.stickers.map(async (config) => {
+      const sticker = normalizeStickerConfig(config);
+      if (typeof sticker.image !== "string") {
+        throw new Error(`贴纸「${sticker.name}」缺少图片路径`);
+      }
+      sticker.image = await loadStickerImage(resolveImageUrl(sticker.image));
+      return sticker;
+    })
+  );
+}
+
+// 从地址加载贴纸清单，图片路径相对于清单地址解析
+export async function loadStickerManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`贴纸清单加载失败：${response.status} ${url}`);
+  }
+  const manifest = await response.json();
+  const baseUrl = new URL(url, document.baseURI);
+  return loadStickersFromManifest(
+    manifest,
+    (path) => new URL(path, baseUrl).href
+  );
+}
+
+// 关键点平均位置（像素）
+function averagePoint(landmarks, indices, width, height) {
+  let x = 0;
+  let y = 0;
+  indices.forEach((index) => {
+    x += landmarks[index].x;
+    y += landmarks[index].y;
+  });
+  return { x: (x / indices.length) * width, y: (y / indices.length) * height };
+}
+
+// 计算一张人脸的坐标系：倾斜角度（弧度）和人脸宽度（像素）
+// 在像素空间中计算，画面宽高比不会影响角度
+// pose 为 estimateHeadPose 的结果（可选），有姿态时使用其翻滚角，转头时比两眼连线更稳定
+export function computeFaceFrame(landmarks, width, height, pose) {
+  const rightEye = landmarks[RIGHT_EYE_OUTER];
+  const leftEye = landmarks[LEFT_EYE_OUTER];
+  const angle = pose
+    ? (pose.roll * Math.PI) / 180
+    : Math.atan2(
+        (leftEye.y - rightEye.y) * height,
+        (leftEye.x - rightEye.x) * width
+      );
+  const faceWidth = Math.hypot(
+    (landmarks[FACE_RIGHT_EDGE].x - landmarks[FACE_LEFT_EDGE].x) * width,
+    (landmarks[FACE_RIGHT_EDGE].y - landmarks[FACE_LEFT_EDGE].y) * height
+  );
+  return { angle, faceWidth };
+}
+
+// 计算贴纸在画面上的位置：返回归一化坐标下的中心和两条边向量
+// 参数：
+//   - sticker: 贴纸配置（需包含 image）
+//   - landmarks: 人脸关键点
+//   - width/height: 画面尺寸（像素）
+//   - frame: computeFaceFrame 的结果
+export function computeStickerPlacement(
+  sticker,
+  landmarks,
+  width,
+  height,
+  { angle, faceWidth }
+) {
+  const anchor = averagePoint(
+    landmarks,
+    STICKER_ANCHORS[sticker.anchor].indices,
+    width,
+    height
+  );
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // 偏移沿人脸方向旋转
+  const offsetX = sticker.offset[0] * faceWidth;
+  const offsetY = sticker.offset[1] * faceWidth;
+  const centerX = anchor.x + offsetX * cos - offsetY * sin;
+  const centerY = anchor.y + offsetX * sin + offsetY * cos;
+
+  // 贴纸宽高比取单帧的宽高比
+  const { columns = 1, rows = 1 } = sticker.frames || {};
+  const imageWidth = sticker.image.naturalWidth || sticker.image.width;
+  const imageHeight = sticker.image.naturalHeight || sticker.image.height;
+  const aspect = imageHeight / rows / (imageWidth / columns);
+  const stickerWidth = sticker.scale * faceWidth;
+  const stickerHeight = stickerWidth * aspect;
+
+  const rotation = angle + (sticker.rotation * Math.PI) / 180;
+  const rotCos = Math.cos(rotation);
+  const rotSin = Math.sin(rotation);
+  return {
+    center: [centerX / width, centerY / height],
+    axisX: [(rotCos * stickerWidth) / width, (rotSin * stickerWidth) / height],
+    axisY: [
+      (-rotSin * stickerHeight) / width,
+      (rotCos * stickerHeight) / height,
+    ],
+  };
+}
+
+// 序列帧动画在指定时间（秒）的帧区域：[x, y, 宽, 高]（纹理坐标）
+export function getStickerFrameRect(sticker, time) {
+  if (!sticker.frames) return [0, 0, 1, 1];
+  const { columns, rows, count, fps } = sticker.frames;
+  const index = Math.floor(Math.max(0, time) * fps) % count;
+  const column = index % columns;
+  const row = Math.floor(index / columns);
+  return [column / columns, row / rows, 1 / columns, 1 / rows];
+}
+
+// 创建贴纸通道
+// 参数：
+//   - name: 通道名称
+// 通道方法：
+//   - setStickers(stickers): 设置当前贴纸列表（normalizeStickerConfig 的结果，image 为已加载的图片）
+//   - getStickers(): 当前贴纸列表
+// 通道从 frame 读取：faces（需要 landmarks）、time（动画时间，秒）、params.stickerOpacity
+export function createStickerPass(gl, { name = "stickers" } = {}) {
+  const stickerProgram = createProgramInfo(
+    gl,
+    stickerVertexShaderSrc,
+    stickerShaderSrc
+  );
+  const copyProgram = createProgramInfo(gl, vertexShaderSrc, copyShaderSrc);
+  // 当前贴纸及其纹理：[{ sticker, texture }]
+  let entries = [];
+
+  function uploadImage(texture, image) {
+    gl.bindTexture(gl.TEXTURE_2D, texture.handle);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+  }
+
+  function clearStickers() {
+    entries.forEach(({ texture }) => deleteTexture(gl, texture));
+    entries = [];
+  }
+
+  return {
+    name,
+    enabled: true,
+    setStickers(stickers) {
+      clearStickers();
+      entries = (stickers || []).map((sticker) => {
+        const texture = createTexture(gl);
+        uploadImage(texture, sticker.image);
+        return { sticker, texture };
+      });
+    },
+    getStickers() {
+      return entries.map(({ sticker }) => sticker);
+    },
+    draw(ctx, input, output) {
+      // 先把输入原样画到输出，再在上面叠加贴纸
+      ctx.drawQuad(copyProgram, output, (u, bindTexture) => {
+        bindTexture("u_texture", input);
+      });
+      const opacity = ctx.frame.params.stickerOpacity;
+      if (entries.length === 0 || !(opacity > 0)) return;
+
+      // 收集所有人脸上的贴纸，按深度排序：人脸越大离镜头越近，越晚绘制
+      const items = [];
+      ctx.frame.faces.forEach((face) => {
+        if (!face.landmarks) return;
+        const faceFrame = computeFaceFrame(
+          face.landmarks,
+          ctx.width,
+          ctx.height,
+          face.pose
+        );
+        entries.forEach((entry, order) => {
+          items.push({ face, faceFrame, entry, order });
+        });
+      });
+      items.sort(
+        (a, b) =>
+          a.faceFrame.faceWidth - b.faceFrame.faceWidth ||
+          a.entry.sticker.zIndex - b.entry.sticker.zIndex ||
+          a.order - b.order
+      );
+
+      gl.enable(gl.BLEND);
+      // 颜色按预乘 alpha 混合，目标 alpha 保持不变
+      gl.blendFuncSeparate(gl.ONE, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+      items.forEach(({ face, faceFrame, entry }) => {
+        const { sticker, texture } = entry;
+        const placement = computeStickerPlacement(
+          sticker,
+          face.landmarks,
+          ctx.width,
+          ctx.height,
+          faceFrame
+        );
+        const visibility =
+          face.visibility === undefined ? 1.0 : face.visibility;
+        ctx.drawQuad(stickerProgram, output, (u, bindTexture) => {
+          bindTexture("u_texture", texture);
+          gl.uniform2fv(u.u_center, placement.center);
+          gl.uniform2fv(u.u_axisX, placement.axisX);
+          gl.uniform2fv(u.u_axisY, placement.axisY);
+          gl.uniform4fv(
+            u.u_frameRect,
+            getStickerFrameRect(sticker, ctx.frame.time)
+          );
+          gl.uniform1f(u.u_opacity, opacity * visibility);
+        });
+      });
+      gl.disable(gl.BLEND);
+    },
+    // 上下文恢复后重新上传贴纸图片
+    restore() {
+      entries.forEach(({ sticker, texture }) => {
+        uploadImage(texture, sticker.image);
+      });
+    },
+    destroy() {
+      clearStickers();
+      deleteProgramInfo(gl, stickerProgram);
+      deleteProgramInfo(gl, copyProgram);
+    },
+  };
+}
@@ -0,0 +1,336 @@
+/**
+ * 美颜滤镜的金图测试
+ *
+ * 功能：
+ * - 固定像素值：在合成的小图（纯色、竖条纹）上按给定参数处理，关键像素的期望值由着色器公式手工推导
+ *   （推导过程写在用例旁），CPU 参考实现（cpuFilters.js）和 headless-gl 中运行的渲染器着色器
+ *   分别与期望值比较，不依赖任何一条路径自己的输出
+ * - 金图：把缩小后的 me.jpeg 按几组参数和固定人脸区域处理，两条路径都与 test/golden 中的 PNG 比较；
+ *   金图只由 WebGL 渲染结果生成（UPDATE_GOLDEN=1，即 npm run test:update-golden，需要 headless-gl），
+ *   CPU 参考实现不能生成金图，仅在有意修改滤镜效果时更新，生成后检查图片再提交
+ * - 超出容差时把实际结果和逐像素差异图写入 test/output（差异图中超出容差的像素为红色）
+ * - headless-gl（可选依赖 gl）不可用时跳过 WebGL 部分并说明原因；GOLDEN_SKIP_GPU=1 强制跳过
+ *
+ * 运行：npm test（Linux 无显示器时：xvfb-run -a npm test）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_PARAMS } from "../beautyRenderer.js";
+import {
+  createImageBuffer,
+  resizeImage,
+  runReferencePipeline,
+  compareImages,
+} from "../cpuFilters.js";
+import { computeFaceEllipse } from "../faceMask.js";
+import { estimateHeadPose } from "../headPose.js";
+import { createSyntheticFaceLandmarks } from "../mockFaceDetector.js";
+import { readJpeg, readPng, writePng } from "./imageIO.js";
+import { loadHeadlessGL, renderWithShaders } from "./headlessRenderer.js";
+
+const resolve = (path) => fileURLToPath(new URL(path, import.meta.url));
+
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === "1";
+const SKIP_GPU = process.env.GOLDEN_SKIP_GPU === "1" && "GOLDEN_SKIP_GPU=1";
+
+// 测试图片缩小到的尺寸：足够覆盖磨皮核、锐化间隔和遮罩羽化，CPU 实现也能很快跑完
+const FIXTURE_SIZE = 256;
+
+// 固定像素值的容差（每个通道，0-255）：期望值都是整数，只为 8 位量化和 GPU 的 mediump 精度留余地
+const PIXEL_TOLERANCE = { cpu: 1, webgl: 2 };
+
+// 金图比较容差：
+//   - tolerance: 每个通道允许的最大差值（0-255）
+//   - maxMismatchRatio: 允许超出容差的像素比例
+// 金图来自 GPU，CPU 参考实现与之相比有 mediump 精度和驱动差异带来的少量误差，
+// 色相接近 0/360 度等边界处偶尔更大
+const GOLDEN_TOLERANCE = { tolerance: 3, maxMismatchRatio: 0.002 };
+
+// 关闭磨皮、锐化和颜色调整，各用例只打开要检查的部分；
+// maskFeather 为 0：整帧区域在小图上的羽化宽度会超过画面，遮罩必须在整个画面内为 1
+const NEUTRAL = {
+  smoothStrength: 0,
+  sharpness: 0,
+  brightness: 0,
+  contrast: 1,
+  saturation: 1,
+  hue: 0,
+  maskFeather: 0,
+  effectStrength: 1,
+  faceDetectionEnabled: false,
+};
+
+// 灰度竖条纹图：columns 为每一列的灰度值（0-255），不透明
+function createColumnsImage(columns, height) {
+  const image = createImageBuffer(columns.length, height);
+  for (let y = 0; y < height; y++) {
+    columns.forEach((value, x) => {
+      image.data.set([value, value, value, 255], (y * columns.length + x) * 4);
+    });
+  }
+  return image;
+}
+
+// 纯色图
+function createSolidImage(width, height, [r, g, b]) {
+  const image = createImageBuffer(width, height);
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data.set([r, g, b, 255], i);
+  }
+  return image;
+}
+
+// 固定像素值用例：expected 为 [x, y, [r, g, b]]，由着色器公式推导，推导中的数值均为 0-255
+const PIXEL_CASES = [
+  {
+    // 亮度 → 对比度 → HSV 中调整饱和度和色相（colorAdjustShaderSrc），纯色图上磨皮和锐化不改变颜色：
+    //   (204, 102, 51) + 0.1*255 = (229.5, 127.5, 76.5)
+    //   对比度 1.5：(v - 127.5) * 1.5 + 127.5 = (280.5→255, 127.5, 51)
+    //   HSV：V = 1，S = (255 - 51) / 255 = 0.8，H = 60 * (127.5 - 51) / 204 = 22.5°
+    //   饱和度 0.5 → S = 0.4；色相 +90° → H = 112.5°（60°-120° 区间，绿色最大）
+    //   RGB：G = 255，B = 255 * (1 - 0.4) = 153，R = B + 255 * 0.4 * (120 - 112.5) / 60 = 165.75
+    name: "color-adjust",
+    image: () => createSolidImage(8, 8, [204, 102, 51]),
+    params: {
+      smoothStrength: 1,
+      sharpness: 0.5,
+      brightness: 0.1,
+      contrast: 1.5,
+      saturation: 0.5,
+      hue: 90,
+    },
+    expected: [
+      [0, 0, [166, 255, 153]],
+      [4, 4, [166, 255, 153]],
+      [7, 7, [166, 255, 153]],
+    ],
+  },
+  {
+    // 锐化（sharpenShaderSrc）：result = 5c - 上下左右间隔 2 像素的四个邻点，与原图按强度 0.5 混合，
+    // 竖条纹的上下邻点等于 c，因此 out = c + (2c - 左 - 右) * 0.5，超出边缘的邻点取边缘像素：
+    //   x=0、1：100 + (200 - 100 - 100) / 2 = 100
+    //   x=2、3：100 + (200 - 100 - 160) / 2 = 70
+    //   x=4、5：160 + (320 - 100 - 160) / 2 = 190
+    //   x=6、7：160 + (320 - 160 - 160) / 2 = 160
+    name: "sharpen-edge",
+    image: () =>
+      createColumnsImage([100, 100, 100, 100, 160, 160, 160, 160], 8),
+    params: { sharpness: 0.5 },
+    expected: [100, 100, 70, 70, 190, 190, 160, 160].map((value, x) => [
+      x,
+      4,
+      [value, value, value],
+    ]),
+  },
+  {
+    // 磨皮（smoothing.js）：缩小一半 → 双边滤波 → 线性插值放大，强度 1 时完全取放大结果
+    //   缩小：低分辨率像素 i 取原图 2i、2i+1 的平均，得到 (100, 100, 160, 160)
+    //   双边滤波：边缘两侧相差 60，值域 sigma 0.05 下权重为 exp(-33)，边缘不被抹平，四个像素不变
+    //   放大：原图像素 x 对应低分辨率坐标 (x + 0.5) / 2 - 0.5，
+    //     x=3 → 1.25：100 * 0.75 + 160 * 0.25 = 115；x=4 → 1.75：100 * 0.25 + 160 * 0.75 = 145
+    //     其余像素落在同侧两个低分辨率像素之间，保持原值
+    name: "smooth-edge",
+    image: () =>
+      createColumnsImage([100, 100, 100, 100, 160, 160, 160, 160], 8),
+    params: { smoothStrength: 1, smoothRadius: 4, smoothRangeSigma: 0.05 },
+    expected: [100, 100, 100, 115, 145, 160, 160, 160].map((value, x) => [
+      x,
+      4,
+      [value, value, value],
+    ]),
+  },
+  {
+    // 椭圆人脸区域（faceMaskShaderSrc）：区域内提亮 0.2 * 255 = 51（灰色的 HSV 往返不改变数值），
+    // 区域外保持原图：中心 100 + 51 = 151，四角远离人脸为 100
+    name: "face-region",
+    image: () => createSolidImage(64, 64, [100, 100, 100]),
+    params: {
+      faceDetectionEnabled: true,
+      maskMode: "ellipse",
+      brightness: 0.2,
+      maskFeather: 4,
+    },
+    face: { centerX: 0.5, centerY: 0.5, size: 0.4 },
+    expected: [
+      [32, 32, [151, 151, 151]],
+      [0, 0, [100, 100, 100]],
+      [63, 63, [100, 100, 100]],
+    ],
+  },
+];
+
+// 金图用例：参数覆盖 DEFAULT_PARAMS；face 为固定人脸的合成关键点参数（见 mockFaceDetector.js），
+// 省略时关闭人脸识别，效果作用于整个画面
+const GOLDEN_CASES = [
+  {
+    name: "me-default",
+    params: { faceDetectionEnabled: false },
+  },
+  {
+    name: "me-strong",
+    params: {
+      faceDetectionEnabled: false,
+      smoothStrength: 1,
+      smoothRadius: 6,
+      smoothRangeSigma: 0.15,
+      sharpness: 0.5,
+      brightness: 0.06,
+      contrast: 1.25,
+      saturation: 1.4,
+      hue: 30,
+    },
+  },
+  {
+    name: "me-face-region",
+    params: {
+      faceDetectionEnabled: true,
+      maskMode: "ellipse",
+      smoothStrength: 1,
+      sharpness: 0.4,
+      brightness: 0.1,
+      saturation: 0.6,
+      maskFeather: 24,
+      effectStrength: 1,
+    },
+    face: { centerX: 0.5, centerY: 0.45, size: 0.45, roll: 10 },
+  },
+];
+
+// 固定人脸的关键点：渲染器的关键点防抖以 Float32Array 保存坐标，这里预先取单精度，
+// 两条路径得到的人脸椭圆完全一致
+function createFixedLandmarks(face) {
+  return createSyntheticFaceLandmarks({ aspect: 1, ...face }).map(
+    ({ x, y, z }) => ({
+      x: Math.fround(x),
+      y: Math.fround(y),
+      z: Math.fround(z),
+    })
+  );
+}
+
+// 用 CPU 参考实现处理，人脸椭圆按与渲染器相同的方式计算（一张人脸，强度为1）
+function renderWithReference(image, params, landmarks) {
+  if (!landmarks) return runReferencePipeline(image, params, null);
+  const { width, height } = image;
+  const pose = estimateHeadPose(landmarks, width, height);
+  const faces = [
+    { ...computeFaceEllipse(landmarks, width, height, pose), strength: 1 },
+  ];
+  return runReferencePipeline(image, params, faces);
+}
+
+// 加载 headless-gl，不可用时跳过当前测试并返回 null；更新金图时必须可用
+async function loadHeadlessGLOrSkip(t) {
+  const createGL = await loadHeadlessGL();
+  if (createGL) return createGL;
+  const reason = "headless-gl（可选依赖 gl）不可用：安装失败或当前平台不支持";
+  assert.ok(!UPDATE_GOLDEN, `${reason}，无法生成金图`);
+  t.skip(reason);
+  return null;
+}
+
+// 检查关键像素与期望值的差值不超过容差
+function assertPixels(actual, expected, tolerance, label) {
+  expected.forEach(([x, y, rgb]) => {
+    const offset = (y * actual.width + x) * 4;
+    const pixel = Array.from(actual.data.subarray(offset, offset + 3));
+    const difference = Math.max(
+      ...pixel.map((value, c) => Math.abs(value - rgb[c]))
+    );
+    assert.ok(
+      difference <= tolerance,
+      `${label}：像素 (${x}, ${y}) 为 ${pixel.join(", ")}，期望 ${rgb.join(
+        ", "
+      )}（容差 ${tolerance}）`
+    );
+  });
+}
+
+// 与金图比较，超出容差时写出实际结果和差异图并使断言失败
+function assertMatchesGolden(
+  actual,
+  expected,
+  name,
+  label,
+  { tolerance, maxMismatchRatio }
+) {
+  const { maxDifference, mismatchedPixels, diff } = compareImages(
+    actual,
+    expected,
+    { tolerance }
+  );
+  const allowed = Math.floor(actual.width * actual.height * maxMismatchRatio);
+  if (mismatchedPixels <= allowed) return;
+  const actualPath = resolve(`output/${name}-${label}-actual.png`);
+  const diffPath = resolve(`output/${name}-${label}-diff.png`);
+  writePng(actualPath, actual);
+  writePng(diffPath, diff);
+  assert.fail(
+    `${name}（${label}）与金图不一致：${mismatchedPixels} 个像素超出容差 ${tolerance}` +
+      `（允许 ${allowed} 个），最大差值 ${maxDifference}\n` +
+      `  实际结果：${actualPath}\n  差异图：${diffPath}`
+  );
+}
+
+PIXEL_CASES.forEach(({ name, image, params: caseParams, face, expected }) => {
+  const params = { ...DEFAULT_PARAMS, ...NEUTRAL, ...caseParams };
+  const landmarks = face ? createFixedLandmarks(face) : null;
+
+  test(`固定像素值 ${name}：CPU 参考实现`, () => {
+    const actual = renderWithReference(image(), params, landmarks);
+    assertPixels(actual, expected, PIXEL_TOLERANCE.cpu, `${name}（cpu）`);
+  });
+
+  test(`固定像素值 ${name}：WebGL 着色器`, { skip: SKIP_GPU }, async (t) => {
+    const createGL = await loadHeadlessGLOrSkip(t);
+    if (!createGL) return;
+    const actual = await renderWithShaders(createGL, image(), {
+      params,
+      landmarks,
+    });
+    assertPixels(actual, expected, PIXEL_TOLERANCE.webgl, `${name}（webgl）`);
+  });
+});
+
+const source = readJpeg(resolve("../me.jpeg"));
+const fixture = resizeImage(source, FIXTURE_SIZE, FIXTURE_SIZE);
+
+GOLDEN_CASES.forEach(({ name, params: caseParams, face }) => {
+  const params = { ...DEFAULT_PARAMS, ...caseParams };
+  const landmarks = face ? createFixedLandmarks(face) : null;
+  const goldenPath = resolve(`golden/${name}.png`);
+  const missingReason = `缺少金图 ${goldenPath}：在 headless-gl 可用的机器上运行 npm run test:update-golden 生成`;
+
+  test(`金图 ${name}：CPU 参考实现`, { skip: UPDATE_GOLDEN }, (t) => {
+    const expected = readPng(goldenPath);
+    if (!expected) {
+      t.skip(missingReason);
+      return;
+    }
+    const actual = renderWithReference(fixture, params, landmarks);
+    assertMatchesGolden(actual, expected, name, "cpu", GOLDEN_TOLERANCE);
+  });
+
+  test(`金图 ${name}：WebGL 着色器`, { skip: SKIP_GPU }, async (t) => {
+    const createGL = await loadHeadlessGLOrSkip(t);
+    if (!createGL) return;
+    const actual = await renderWithShaders(createGL, fixture, {
+      params,
+      landmarks,
+    });
+    if (UPDATE_GOLDEN) {
+      writePng(goldenPath, actual);
+      return;
+    }
+    const expected = readPng(goldenPath);
+    if (!expected) {
+      t.skip(missingReason);
+      return;
+    }
+    assertMatchesGolden(actual, expected, name, "webgl", GOLDEN_TOLERANCE);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * 在 headless-gl 中运行渲染器
+ *
+ * 功能：
+ * - 用 headless-gl（npm 包 gl，WebGL1，软件或系统 OpenGL 驱动）创建离屏上下文，
+ *   交给 BeautyRenderer 渲染一张图片并读回结果像素，走的是页面上实际使用的着色器和管线
+ * - 人脸区域由返回固定关键点的检测器提供，结果不依赖真实的人脸检测
+ * - 只补齐构造渲染器所需的最少浏览器接口：遮罩通道在构造时创建的 2D 画布（轮廓遮罩光栅化用），
+ *   测试只使用椭圆遮罩，不会用到它的内容
+ *
+ * 注意：Linux 上 headless-gl 需要 X 显示，没有显示器的机器上用 xvfb-run 运行测试
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { BeautyRenderer } from "../beautyRenderer.js";
+
+// 不做任何绘制的 2D 画布
+class StubCanvas {
+  constructor(width = 1, height = 1) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return new Proxy({}, { get: () => () => {}, set: () => true });
+  }
+}
+
+let headlessGL = null;
+
+// 加载 headless-gl 的上下文工厂，没有安装（可选依赖编译失败）时返回 null
+export async function loadHeadlessGL() {
+  if (!headlessGL) {
+    headlessGL = import("gl").then(
+      (module) => module.default,
+      () => null
+    );
+  }
+  return headlessGL;
+}
+
+// 用渲染器的着色器处理一张图片
+// 参数：
+//   - createGL: loadHeadlessGL() 的返回值
+//   - image: 输入图像 { width, height, data }
+//   - params: 渲染器参数
+//   - landmarks: 固定的人脸关键点，省略时不设置检测器
+// 返回：Promise<{ width, height, data }>，从上到下的 RGBA 像素
+export async function renderWithShaders(
+  createGL,
+  image,
+  { params, landmarks = null }
+) {
+  const { width, height } = image;
+  const gl = createGL(width, height, {
+    antialias: false,
+    preserveDrawingBuffer: true,
+  });
+  if (!gl) {
+    throw new Error(
+      "headless-gl 无法创建 WebGL 上下文（Linux 上需要 X 显示，可用 xvfb-run 运行）"
+    );
+  }
+  if (typeof globalThis.OffscreenCanvas === "undefined") {
+    globalThis.OffscreenCanvas = StubCanvas;
+  }
+  const canvas = {
+    width,
+    height,
+    getContext: (type) => (type === "webgl" ? gl : null),
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  const renderer = new BeautyRenderer(canvas, image, {
+    faceDetector: landmarks ? { detect: async () => [landmarks] } : null,
+    params,
+    preferWebGL2: false,
+  });
+  try {
+    await renderer.renderFrame({ waitForDetection: true });
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    // readPixels 的第一行是画面底部，翻转为从上到下
+    const output = {
+      width,
+      height,
+      data: new Uint8ClampedArray(width * height * 4),
+    };
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+      const row = (height - 1 - y) * rowSize;
+      output.data.set(pixels.subarray(row, row + rowSize), y * rowSize);
+    }
+    return output;
+  } finally {
+    renderer.destroy();
+    const destroyContext = gl.getExtension("STACKGL_destroy_context");
+    if (destroyContext) destroyContext.destroy();
+  }
+}
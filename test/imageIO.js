@@ -0,0 +1,53 @@
+/**
+ * 测试用的图片读写
+ *
+ * 功能：
+ * - 在 Node 中解码 JPEG / PNG 为与 ImageData 相同格式的 { width, height, data }（RGBA）
+ * - 把图像编码为 PNG 文件（金图、实际结果和差异图）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+function toImage({ width, height, data }) {
+  return {
+    width,
+    height,
+    data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+  };
+}
+
+// 读取 JPEG 文件
+export function readJpeg(path) {
+  return toImage(
+    jpeg.decode(readFileSync(path), { useTArray: true, formatAsRGBA: true })
+  );
+}
+
+// 读取 PNG 文件，文件不存在时返回 null
+export function readPng(path) {
+  let buffer;
+  try {
+    buffer = readFileSync(path);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return toImage(PNG.sync.read(buffer));
+}
+
+// 把图像写入 PNG 文件，目录不存在时自动创建
+export function writePng(path, image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  png.data = Buffer.from(
+    image.data.buffer,
+    image.data.byteOffset,
+    image.data.length
+  );
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, PNG.sync.write(png));
+}
@@ -0,0 +1,192 @@
+/**
+ * 视频源管理
+ *
+ * 功能：
+ * - 在本地视频文件和摄像头之间切换，切换时干净地停止旧的媒体轨道
+ * - 枚举可用的摄像头设备，按设备、分辨率和帧率打开 getUserMedia 流
+ * - 接受任意 MediaStream（例如 canvas.captureStream() 生成的流），便于在没有真实摄像头时测试
+ * - 记录是否需要镜像显示（自拍视角）
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 创建视频源管理器
+// 参数：
+//   - video: 用作解码/播放的 <video> 元素
+// 返回：视频源对象
+//   - useFile(fileOrUrl): 播放本地文件（File/Blob）或 URL
+//   - useCamera(options): 打开摄像头，options 见下方说明
+//   - useStream(stream, { kind, mirrored }): 播放任意 MediaStream
+//   - listCameras(): 列出可用的摄像头
+//   - stop(): 停止当前视频源
+//   - kind: 当前视频源类型，"file" | "camera" | "stream" | null
+//   - stream: 当前的 MediaStream（文件源为 null）
+//   - mirrored: 是否需要镜像显示
+export function createVideoSource(video) {
+  // 当前文件源对应的对象URL，切换时释放
+  let objectURL = null;
+  // 取消正在等待的加载（useFile/useStream），切换视频源时调用
+  let cancelPending = null;
+
+  const source = {
+    kind: null,
+    stream: null,
+    mirrored: false,
+    useFile,
+    useCamera,
+    useStream,
+    listCameras,
+    stop,
+  };
+
+  // 停止当前视频源：停止全部媒体轨道（关闭摄像头指示灯）并释放对象URL
+  function stop() {
+    if (cancelPending) cancelPending();
+    video.pause();
+    if (source.stream) {
+      source.stream.getTracks().forEach((track) => track.stop());
+      source.stream = null;
+    }
+    video.srcObject = null;
+    if (objectURL) {
+      URL.revokeObjectURL(objectURL);
+      objectURL = null;
+    }
+    video.removeAttribute("src");
+    source.kind = null;
+    source.mirrored = false;
+  }
+
+  // 开始播放，自动播放被浏览器拦截时只记录错误（需要用户交互后再播放）
+  function play() {
+    return video.play().catch((err) => {
+      console.error("自动播放失败，需要用户交互:", err);
+    });
+  }
+
+  // 等待 <video> 触发 readyEvent；触发 error 或视频源被切换时失败
+  // 任一情况发生后立即移除全部监听，避免残留的监听作用到之后的视频源上
+  function waitForVideo(readyEvent, errorMessage) {
+    return new Promise((resolve, reject) => {
+      function cleanup() {
+        video.removeEventListener(readyEvent, onReady);
+        video.removeEventListener("error", onError);
+        cancelPending = null;
+      }
+      function onReady() {
+        cleanup();
+        resolve();
+      }
+      function onError() {
+        cleanup();
+        reject(new Error(errorMessage));
+      }
+      video.addEventListener(readyEvent, onReady);
+      video.addEventListener("error", onError);
+      cancelPending = () => {
+        cleanup();
+        reject(new Error("视频源已切换"));
+      };
+    });
+  }
+
+  // 播放本地视频文件或URL
+  async function useFile(fileOrUrl) {
+    stop();
+    if (typeof fileOrUrl === "string") {
+      video.src = fileOrUrl;
+    } else {
+      objectURL = URL.createObjectURL(fileOrUrl);
+      video.src = objectURL;
+    }
+    // 文件源循环播放，有声音
+    video.loop = true;
+    video.muted = false;
+    source.kind = "file";
+    await waitForVideo("loadeddata", "视频加载失败");
+    return play();
+  }
+
+  // 播放任意 MediaStream
+  // 参数：
+  //   - stream: MediaStream 对象
+  //   - kind: 视频源类型标记，默认 "stream"
+  //   - mirrored: 是否镜像显示
+  // 流中没有视频轨道或加载失败时抛出错误
+  async function useStream(stream, { kind = "stream", mirrored = false } = {}) {
+    if (stream.getVideoTracks().length === 0) {
+      throw new Error("媒体流中没有视频轨道");
+    }
+    stop();
+    source.stream = stream;
+    source.kind = kind;
+    source.mirrored = mirrored;
+    video.srcObject = stream;
+    video.loop = false;
+    // 实时流静音播放，避免麦克风声音回放产生啸叫
+    video.muted = true;
+    if (video.readyState < 1) {
+      await waitForVideo("loadedmetadata", "视频流加载失败");
+    }
+    await play();
+    return stream;
+  }
+
+  // 打开摄像头
+  // 参数：
+  //   - deviceId: 摄像头设备ID，省略时由浏览器选择
+  //   - width / height: 期望的分辨率
+  //   - frameRate: 期望的帧率
+  //   - audio: 是否同时采集麦克风（用于录制/推流）
+  //   - mirrored: 是否镜像显示，默认开启（自拍视角）
+  async function useCamera({
+    deviceId,
+    width = 1280,
+    height = 720,
+    frameRate = 30,
+    audio = false,
+    mirrored = true,
+  } = {}) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error("当前浏览器不支持摄像头采集");
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        width: { ideal: width },
+        height: { ideal: height },
+        frameRate: { ideal: frameRate },
+      },
+      audio,
+    });
+    const settings = stream.getVideoTracks()[0].getSettings();
+    console.log(
+      "摄像头已打开:",
+      settings.width,
+      "x",
+      settings.height,
+      "@",
+      settings.frameRate,
+      "fps"
+    );
+    return useStream(stream, { kind: "camera", mirrored });
+  }
+
+  // 列出可用的摄像头
+  // 注意：在用户授权摄像头之前，浏览器返回的设备名称（label）可能为空
+  async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === "videoinput")
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        label: device.label || `摄像头 ${i + 1}`,
+      }));
+  }
+
+  return source;
+}
@@ -0,0 +1,237 @@
+/**
+ * WebGL 基础工具函数
+ *
+ * 功能：
+ * - 编译着色器、链接着色器程序
+ * - 自动收集程序中的 attribute / uniform 位置
+ * - 创建纹理、顶点缓冲区和离屏渲染目标（帧缓冲 + 颜色纹理）
+ * - 资源管理：记录每个上下文通过本模块创建的全部 GPU 资源，
+ *   上下文丢失并恢复后由 restoreResources() 原地重新创建（对象引用保持不变）
+ *
+ * 资源对象：
+ *   - 程序：{ handle, attributes, uniforms }
+ *   - 纹理：{ handle }
+ *   - 缓冲区：{ handle }
+ *   - 渲染目标：{ texture, framebuffer, width, height }，texture 为纹理对象
+ * 恢复后 handle 会被替换为新的 WebGL 对象，因此使用时应每次从资源对象上读取，不要缓存 handle。
+ * 纹理内容不会自动恢复，保存了纹理数据的使用者需要在恢复后重新上传
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 资源表：上下文 -> Map(资源对象 -> 重新创建函数)，按创建顺序恢复
+const resourceRegistries = new WeakMap();
+
+function trackResource(gl, resource, recreate) {
+  let registry = resourceRegistries.get(gl);
+  if (!registry) {
+    registry = new Map();
+    resourceRegistries.set(gl, registry);
+  }
+  registry.set(resource, recreate);
+  return resource;
+}
+
+function untrackResource(gl, resource) {
+  const registry = resourceRegistries.get(gl);
+  if (registry) registry.delete(resource);
+}
+
+// 上下文恢复（webglcontextrestored）后调用：重新创建该上下文记录的全部资源
+// 渲染目标保持原来的尺寸，纹理内容为空
+export function restoreResources(gl) {
+  const registry = resourceRegistries.get(gl);
+  if (!registry) return;
+  registry.forEach((recreate) => recreate());
+}
+
+// 核心函数1：创建着色器 - WebGL渲染管线构建步骤之一
+export function createShader(gl, type, source) {
+  // 创建着色器对象 - 可以是顶点着色器(gl.VERTEX_SHADER)或片元着色器(gl.FRAGMENT_SHADER)
+  const shader = gl.createShader(type);
+  // 设置着色器源码
+  gl.shaderSource(shader, source);
+  // 编译着色器
+  gl.compileShader(shader);
+  // 检查编译是否成功
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    console.error("Shader编译失败:", gl.getShaderInfoLog(shader));
+    gl.deleteShader(shader);
+    return null;
+  }
+  return shader;
+}
+
+// 核心函数2：创建着色器程序 - WebGL渲染管线构建步骤之二
+export function createProgram(gl, vShader, fShader) {
+  // 创建着色器程序对象 - 着色器程序是连接顶点着色器和片元着色器的容器
+  const program = gl.createProgram();
+  // 附加顶点着色器到程序
+  gl.attachShader(program, vShader);
+  // 附加片元着色器到程序
+  gl.attachShader(program, fShader);
+  // 链接着色器程序，使其成为可执行的渲染管线
+  gl.linkProgram(program);
+  // 检查链接是否成功
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("Program链接失败:", gl.getProgramInfoLog(program));
+    gl.deleteProgram(program);
+    return null;
+  }
+  return program;
+}
+
+// 由着色器源码直接构建程序，并收集全部 attribute 和 uniform 的位置
+// 返回：{ handle, attributes, uniforms }
+//   - uniforms 以去掉 "[0]" 后缀的名字为键，数组 uniform 可直接用 uniform*v 整体赋值
+export function createProgramInfo(gl, vertexSrc, fragmentSrc) {
+  const info = buildProgramInfo(gl, vertexSrc, fragmentSrc);
+  return trackResource(gl, info, () => {
+    Object.assign(info, buildProgramInfo(gl, vertexSrc, fragmentSrc));
+  });
+}
+
+// 释放程序
+export function deleteProgramInfo(gl, info) {
+  untrackResource(gl, info);
+  gl.deleteProgram(info.handle);
+}
+
+function buildProgramInfo(gl, vertexSrc, fragmentSrc) {
+  const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexSrc);
+  const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSrc);
+  if (!vertexShader || !fragmentShader) {
+    throw new Error("着色器编译失败");
+  }
+  const handle = createProgram(gl, vertexShader, fragmentShader);
+  // 程序链接后着色器对象即可删除，程序本身仍然有效
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+  if (!handle) {
+    throw new Error("着色器程序链接失败");
+  }
+
+  const attributes = {};
+  const attributeCount = gl.getProgramParameter(handle, gl.ACTIVE_ATTRIBUTES);
+  for (let i = 0; i < attributeCount; i++) {
+    const info = gl.getActiveAttrib(handle, i);
+    attributes[info.name] = gl.getAttribLocation(handle, info.name);
+  }
+
+  const uniforms = {};
+  const uniformCount = gl.getProgramParameter(handle, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < uniformCount; i++) {
+    const info = gl.getActiveUniform(handle, i);
+    const name = info.name.replace(/\[0\]$/, "");
+    uniforms[name] = gl.getUniformLocation(handle, info.name);
+  }
+
+  return { handle, attributes, uniforms };
+}
+
+// 创建一个适合视频帧/离屏渲染的纹理，返回 { handle }
+// CLAMP_TO_EDGE + LINEAR 是非2次幂纹理在WebGL1中唯一合法的组合
+// 创建后该纹理保持绑定在 TEXTURE_2D 上，可以直接上传数据
+export function createTexture(gl, filter = gl.LINEAR) {
+  const texture = { handle: createTextureHandle(gl, filter) };
+  return trackResource(gl, texture, () => {
+    texture.handle = createTextureHandle(gl, filter);
+  });
+}
+
+function createTextureHandle(gl, filter) {
+  const handle = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, handle);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  return handle;
+}
+
+// 释放纹理
+export function deleteTexture(gl, texture) {
+  untrackResource(gl, texture);
+  gl.deleteTexture(texture.handle);
+}
+
+// 创建静态顶点缓冲区，返回 { handle }
+// 参数：data - Float32Array 顶点数据（保留引用，用于上下文恢复后重新上传）
+export function createBuffer(gl, data) {
+  const buffer = { handle: createBufferHandle(gl, data) };
+  return trackResource(gl, buffer, () => {
+    buffer.handle = createBufferHandle(gl, data);
+  });
+}
+
+function createBufferHandle(gl, data) {
+  const handle = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, handle);
+  gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+  return handle;
+}
+
+// 释放缓冲区
+export function deleteBuffer(gl, buffer) {
+  untrackResource(gl, buffer);
+  gl.deleteBuffer(buffer.handle);
+}
+
+// 创建离屏渲染目标：一张颜色纹理挂载到一个帧缓冲上
+// 渲染到该帧缓冲的结果可以作为下一个处理步骤的输入纹理
+export function createRenderTarget(gl, width, height) {
+  const target = {
+    texture: createTexture(gl),
+    framebuffer: gl.createFramebuffer(),
+    width: 0,
+    height: 0,
+  };
+  resizeRenderTarget(gl, target, width, height);
+  // 纹理先于渲染目标记录，恢复时已经重新创建，这里只需重建帧缓冲并按原尺寸分配存储
+  return trackResource(gl, target, () => {
+    const { width: lastWidth, height: lastHeight } = target;
+    target.framebuffer = gl.createFramebuffer();
+    target.width = 0;
+    target.height = 0;
+    resizeRenderTarget(gl, target, lastWidth, lastHeight);
+  });
+}
+
+// 调整渲染目标尺寸（尺寸未变化时不做任何操作）
+export function resizeRenderTarget(gl, target, width, height) {
+  if (target.width === width && target.height === height) return;
+  target.width = width;
+  target.height = height;
+
+  gl.bindTexture(gl.TEXTURE_2D, target.texture.handle);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    gl.RGBA,
+    width,
+    height,
+    0,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    null
+  );
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+  gl.framebufferTexture2D(
+    gl.FRAMEBUFFER,
+    gl.COLOR_ATTACHMENT0,
+    gl.TEXTURE_2D,
+    target.texture.handle,
+    0
+  );
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+// 释放渲染目标占用的显存
+export function deleteRenderTarget(gl, target) {
+  untrackResource(gl, target);
+  gl.deleteFramebuffer(target.framebuffer);
+  deleteTexture(gl, target.texture);
+  target.width = 0;
+  target.height = 0;
+}
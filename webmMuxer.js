@@ -0,0 +1,232 @@
+/**
+ * 最小 WebM 封装器
+ *
+ * 功能：
+ * - 把 WebCodecs VideoEncoder 输出的 VP8/VP9 编码块封装为单视频轨道的 WebM 文件
+ * - 每个关键帧开始一个新的 Cluster，时间戳精确到毫秒
+ * - 写入总时长，浏览器播放时可以正常显示进度和拖动
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 用到的 EBML / Matroska 元素ID
+const EBML_ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+// SimpleBlock 中的相对时间戳为 16 位有符号整数（毫秒），Cluster 不能超过这个跨度
+const MAX_CLUSTER_DURATION = 32767;
+
+// 元素ID按其自然长度写出（ID本身已包含长度标记位）
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xff);
+  }
+  return bytes;
+}
+
+// 变长整数（VINT）编码的元素大小，使用能容纳该值的最短长度
+function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+// 无符号整数，大端序，最短长度
+function encodeUint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining % 256);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+  return bytes;
+}
+
+// 64 位浮点数，大端序
+function encodeFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+// 把若干字节片段拼接为一个 Uint8Array
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// 构造一个 EBML 元素
+// data 可以是字节数组、Uint8Array，或子元素（Uint8Array）组成的数组
+function element(id, data) {
+  const body =
+    Array.isArray(data) && data[0] instanceof Uint8Array
+      ? concat(data)
+      : Uint8Array.from(data);
+  return concat([
+    Uint8Array.from(encodeId(id)),
+    Uint8Array.from(encodeSize(body.length)),
+    body,
+  ]);
+}
+
+function uintElement(id, value) {
+  return element(id, encodeUint(value));
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+// 创建 WebM 封装器
+// 参数：
+//   - codec: Matroska 编码ID，"V_VP8" 或 "V_VP9"
+//   - width / height: 视频尺寸
+//   - frameRate: 帧率，写入默认帧时长
+// 返回：
+//   - addChunk(data, timestamp, isKeyFrame): 添加一个编码块，timestamp 单位为微秒
+//   - finalize(duration): 生成 WebM 文件 Blob，duration 单位为秒
+export function createWebMMuxer({ codec = "V_VP8", width, height, frameRate }) {
+  // 已完成的 Cluster
+  const clusters = [];
+  // 当前 Cluster 的起始时间（毫秒）和其中的 SimpleBlock
+  let clusterTime = 0;
+  let blocks = [];
+  let lastTimestamp = 0;
+
+  function flushCluster() {
+    if (blocks.length === 0) return;
+    clusters.push(
+      element(EBML_ID.Cluster, [
+        uintElement(EBML_ID.Timecode, clusterTime),
+        ...blocks,
+      ])
+    );
+    blocks = [];
+  }
+
+  function addChunk(data, timestamp, isKeyFrame) {
+    const time = Math.round(timestamp / 1000);
+    lastTimestamp = Math.max(lastTimestamp, time);
+    // 关键帧开始新的 Cluster，播放器可以从 Cluster 起点直接解码
+    if (
+      blocks.length === 0 ||
+      isKeyFrame ||
+      time - clusterTime > MAX_CLUSTER_DURATION
+    ) {
+      flushCluster();
+      clusterTime = time;
+    }
+    const relative = time - clusterTime;
+    const header = Uint8Array.from([
+      0x81, // 轨道号 1（VINT 编码）
+      (relative >> 8) & 0xff,
+      relative & 0xff,
+      isKeyFrame ? 0x80 : 0x00,
+    ]);
+    blocks.push(element(EBML_ID.SimpleBlock, [header, data]));
+  }
+
+  function finalize(duration) {
+    flushCluster();
+    const durationMs =
+      duration !== undefined
+        ? duration * 1000
+        : lastTimestamp + (frameRate ? 1000 / frameRate : 0);
+
+    const header = element(EBML_ID.EBML, [
+      uintElement(EBML_ID.EBMLVersion, 1),
+      uintElement(EBML_ID.EBMLReadVersion, 1),
+      uintElement(EBML_ID.EBMLMaxIDLength, 4),
+      uintElement(EBML_ID.EBMLMaxSizeLength, 8),
+      stringElement(EBML_ID.DocType, "webm"),
+      uintElement(EBML_ID.DocTypeVersion, 2),
+      uintElement(EBML_ID.DocTypeReadVersion, 2),
+    ]);
+    const info = element(EBML_ID.Info, [
+      // 时间单位为 1 毫秒
+      uintElement(EBML_ID.TimecodeScale, 1000000),
+      element(EBML_ID.Duration, encodeFloat(durationMs)),
+      stringElement(EBML_ID.MuxingApp, "webgl-beauty-demo"),
+      stringElement(EBML_ID.WritingApp, "webgl-beauty-demo"),
+    ]);
+    const trackEntry = [
+      uintElement(EBML_ID.TrackNumber, 1),
+      uintElement(EBML_ID.TrackUID, 1),
+      uintElement(EBML_ID.TrackType, 1), // 1 = 视频
+      uintElement(EBML_ID.FlagLacing, 0),
+      stringElement(EBML_ID.CodecID, codec),
+    ];
+    if (frameRate) {
+      trackEntry.push(
+        uintElement(EBML_ID.DefaultDuration, Math.round(1e9 / frameRate))
+      );
+    }
+    trackEntry.push(
+      element(EBML_ID.Video, [
+        uintElement(EBML_ID.PixelWidth, width),
+        uintElement(EBML_ID.PixelHeight, height),
+      ])
+    );
+    const tracks = element(EBML_ID.Tracks, [
+      element(EBML_ID.TrackEntry, trackEntry),
+    ]);
+
+    // Segment 内容较大，直接交给 Blob 拼接，避免再复制一份
+    const segmentSize = [info, tracks, ...clusters].reduce(
+      (sum, part) => sum + part.length,
+      0
+    );
+    const segmentHeader = concat([
+      Uint8Array.from(encodeId(EBML_ID.Segment)),
+      Uint8Array.from(encodeSize(segmentSize)),
+    ]);
+    return new Blob([header, segmentHeader, info, tracks, ...clusters], {
+      type: "video/webm",
+    });
+  }
+
+  return { addChunk, finalize };
+}
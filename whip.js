@@ -0,0 +1,321 @@
+/**
+ * WebRTC 推流（WHIP）
+ *
+ * 功能：
+ * - 把处理后的画布视频流（canvas.captureStream）和视频源音频通过 RTCPeerConnection 推送到 WHIP 服务器
+ * - WHIP 流程：POST SDP offer（application/sdp）→ 服务器返回 201、SDP answer 和会话地址（Location），
+ *   结束推流时对会话地址发送 DELETE；可选 Bearer 令牌鉴权
+ * - 候选地址在发送 offer 之前收集完毕（不使用 trickle ICE），兼容只支持完整 offer 的服务器
+ * - 推流中可以调整视频码率上限和分辨率上限（RTCRtpSender.setParameters，不需要重新协商）
+ * - 每秒统计一次发送码率、丢包率、帧率、分辨率和往返时延
+ * - fetch 和 RTCPeerConnection 的创建都可以注入，便于对接本地 WHIP 替身服务器或测试；
+ *   createLoopbackWhipFetch 提供页面内的回环接收端，不需要任何服务器即可验证完整流程
+ *
+ * 作者：WebGL 技术团队
+ * 日期：2023
+ */
+
+// 推流状态
+//   - idle: 未推流
+//   - connecting: 正在与服务器协商或建立连接
+//   - connected: 媒体已连通
+//   - disconnected: 连接暂时中断（网络切换等），浏览器会自动尝试恢复
+//   - failed: 连接失败，需要重新开始推流
+export const PUBLISH_STATES = [
+  "idle",
+  "connecting",
+  "connected",
+  "disconnected",
+  "failed",
+];
+
+// 等待 ICE 候选地址收集完成，超时后使用已收集到的候选地址继续
+function waitForIceGathering(pc, timeout) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, timeout);
+    function done() {
+      clearTimeout(timer);
+      pc.removeEventListener("icegatheringstatechange", onChange);
+      resolve();
+    }
+    function onChange() {
+      if (pc.iceGatheringState === "complete") done();
+    }
+    pc.addEventListener("icegatheringstatechange", onChange);
+  });
+}
+
+// 按最大高度计算分辨率缩小倍数（不放大）
+function getResolutionScale(track, maxHeight) {
+  if (!maxHeight) return 1;
+  const settings = track.getSettings ? track.getSettings() : {};
+  const height = settings.height || 0;
+  return height > maxHeight ? height / maxHeight : 1;
+}
+
+// 创建 WHIP 推流器
+// 参数：
+//   - endpoint: WHIP 服务器地址
+//   - token: 可选的 Bearer 令牌
+//   - iceServers: RTCPeerConnection 的 ICE 服务器配置
+//   - fetch: 发送 HTTP 请求的函数，默认使用全局 fetch
+//   - createPeerConnection(config): 创建 RTCPeerConnection 的函数
+//   - iceGatheringTimeout: 等待候选地址收集的最长时间（毫秒）
+//   - onStateChange(state): 推流状态变化时调用（见 PUBLISH_STATES）
+//   - onStats(stats): 推流中每秒调用一次，见 getStats()
+// 返回：
+//   - start(stream, { maxBitrate, maxHeight, maxFramerate }): 开始推流，媒体连通前即返回
+//   - stop(): 结束推流并通知服务器释放会话
+//   - setVideoEncoding({ maxBitrate, maxHeight, maxFramerate }): 推流中调整视频编码参数
+//   - getStats(): Promise<{ bitrate, packetLoss, fps, width, height, rtt }>，没有数据的字段为 null
+//   - getState()
+export function createWhipPublisher({
+  endpoint,
+  token = "",
+  iceServers = [],
+  fetch: fetchFn = (...args) => fetch(...args),
+  createPeerConnection = (config) => new RTCPeerConnection(config),
+  iceGatheringTimeout = 2000,
+  onStateChange = () => {},
+  onStats = () => {},
+} = {}) {
+  let pc = null;
+  let resourceUrl = null;
+  let state = "idle";
+  let statsTimer = null;
+  // 上一次统计的视频发送字节数和时间戳，用于计算码率
+  let lastVideoSample = null;
+  let videoEncoding = {};
+
+  function setState(newState) {
+    if (state === newState) return;
+    state = newState;
+    onStateChange(state);
+  }
+
+  function authHeaders() {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  function getVideoSender() {
+    if (!pc) return null;
+    return (
+      pc
+        .getSenders()
+        .find((sender) => sender.track && sender.track.kind === "video") || null
+    );
+  }
+
+  async function applyVideoEncoding() {
+    const sender = getVideoSender();
+    if (!sender) return;
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      parameters.encodings = [{}];
+    }
+    const { maxBitrate, maxHeight, maxFramerate } = videoEncoding;
+    parameters.encodings.forEach((encoding) => {
+      if (maxBitrate) encoding.maxBitrate = maxBitrate;
+      else delete encoding.maxBitrate;
+      if (maxFramerate) encoding.maxFramerate = maxFramerate;
+      else delete encoding.maxFramerate;
+      encoding.scaleResolutionDownBy = getResolutionScale(
+        sender.track,
+        maxHeight
+      );
+    });
+    await sender.setParameters(parameters);
+  }
+
+  async function start(stream, encoding = {}) {
+    if (pc) throw new Error("已经在推流中");
+    if (!endpoint) throw new Error("请填写 WHIP 服务器地址");
+    videoEncoding = { ...encoding };
+    lastVideoSample = null;
+    setState("connecting");
+
+    const connection = createPeerConnection({ iceServers });
+    pc = connection;
+    connection.addEventListener("connectionstatechange", () => {
+      if (pc !== connection) return;
+      const { connectionState } = connection;
+      if (connectionState === "connected") setState("connected");
+      else if (connectionState === "disconnected") setState("disconnected");
+      else if (connectionState === "failed") setState("failed");
+    });
+
+    try {
+      stream.getTracks().forEach((track) => {
+        connection.addTransceiver(track, {
+          direction: "sendonly",
+          streams: [stream],
+        });
+      });
+      await connection.setLocalDescription(await connection.createOffer());
+      await waitForIceGathering(connection, iceGatheringTimeout);
+
+      const response = await fetchFn(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/sdp", ...authHeaders() },
+        body: connection.localDescription.sdp,
+      });
+      if (!response.ok) {
+        throw new Error(`WHIP 服务器返回 ${response.status}`);
+      }
+      const location = response.headers.get("Location");
+      const resource = location ? new URL(location, endpoint).href : null;
+      // 协商期间推流已被停止：释放刚创建的会话，不覆盖之后新推流的会话地址
+      if (pc !== connection) {
+        await releaseResource(resource);
+        return;
+      }
+      resourceUrl = resource;
+      const answer = await response.text();
+      // 读取应答期间推流已被停止（stop 已释放会话）
+      if (pc !== connection) return;
+      await connection.setRemoteDescription({ type: "answer", sdp: answer });
+      await applyVideoEncoding();
+    } catch (err) {
+      if (pc === connection) {
+        await stop();
+        setState("failed");
+      }
+      throw err;
+    }
+
+    statsTimer = setInterval(() => {
+      getStats()
+        .then((stats) => {
+          if (pc === connection) onStats(stats);
+        })
+        .catch((err) => console.warn("推流统计失败:", err));
+    }, 1000);
+  }
+
+  async function stop() {
+    const connection = pc;
+    const resource = resourceUrl;
+    pc = null;
+    resourceUrl = null;
+    clearInterval(statsTimer);
+    statsTimer = null;
+    if (connection) connection.close();
+    setState("idle");
+    await releaseResource(resource);
+  }
+
+  // 通知服务器释放会话，失败不影响本地结束
+  async function releaseResource(resource) {
+    if (!resource) return;
+    try {
+      await fetchFn(resource, { method: "DELETE", headers: authHeaders() });
+    } catch (err) {
+      console.warn("WHIP 会话释放失败:", err);
+    }
+  }
+
+  async function setVideoEncoding(encoding) {
+    Object.assign(videoEncoding, encoding);
+    await applyVideoEncoding();
+  }
+
+  async function getStats() {
+    const stats = {
+      bitrate: null,
+      packetLoss: null,
+      fps: null,
+      width: null,
+      height: null,
+      rtt: null,
+    };
+    if (!pc) return stats;
+    const report = await pc.getStats();
+    let outbound = null;
+    let remoteInbound = null;
+    report.forEach((entry) => {
+      if (entry.kind !== "video") return;
+      if (entry.type === "outbound-rtp") outbound = entry;
+      if (entry.type === "remote-inbound-rtp") remoteInbound = entry;
+    });
+    if (outbound) {
+      if (lastVideoSample && outbound.timestamp > lastVideoSample.timestamp) {
+        const seconds = (outbound.timestamp - lastVideoSample.timestamp) / 1000;
+        stats.bitrate =
+          ((outbound.bytesSent - lastVideoSample.bytesSent) * 8) / seconds;
+      }
+      lastVideoSample = {
+        timestamp: outbound.timestamp,
+        bytesSent: outbound.bytesSent,
+      };
+      stats.fps = outbound.framesPerSecond || null;
+      stats.width = outbound.frameWidth || null;
+      stats.height = outbound.frameHeight || null;
+    }
+    // 丢包率来自接收端的 RTCP 报告，没有报告时为 null
+    if (remoteInbound) {
+      if (typeof remoteInbound.fractionLost === "number") {
+        stats.packetLoss = remoteInbound.fractionLost;
+      } else if (outbound && outbound.packetsSent > 0) {
+        stats.packetLoss =
+          remoteInbound.packetsLost /
+          (outbound.packetsSent + remoteInbound.packetsLost);
+      }
+      if (typeof remoteInbound.roundTripTime === "number") {
+        stats.rtt = remoteInbound.roundTripTime;
+      }
+    }
+    return stats;
+  }
+
+  return {
+    start,
+    stop,
+    setVideoEncoding,
+    getStats,
+    getState: () => state,
+  };
+}
+
+// 创建页面内的回环 WHIP 接收端，返回可以传给 createWhipPublisher 的 fetch 函数
+// 每次 POST 在页面内创建一个接收用的 RTCPeerConnection 并返回 SDP answer，DELETE 关闭它
+// 参数：
+//   - onStream(stream): 接收端收到媒体流时调用（可以显示在 <video> 中核对推流画面）
+//   - createPeerConnection(config): 创建 RTCPeerConnection 的函数
+export function createLoopbackWhipFetch({
+  onStream = () => {},
+  createPeerConnection = (config) => new RTCPeerConnection(config),
+} = {}) {
+  // 会话地址 -> 接收端
+  const sessions = new Map();
+  let nextId = 1;
+
+  return async function loopbackFetch(url, { method = "GET", body } = {}) {
+    if (method === "POST") {
+      const receiver = createPeerConnection({ iceServers: [] });
+      let stream = null;
+      receiver.addEventListener("track", (event) => {
+        const received = event.streams[0] || new MediaStream([event.track]);
+        if (received !== stream) {
+          stream = received;
+          onStream(stream);
+        }
+      });
+      await receiver.setRemoteDescription({ type: "offer", sdp: body });
+      await receiver.setLocalDescription(await receiver.createAnswer());
+      await waitForIceGathering(receiver, 2000);
+      const location = `${url.replace(/\/$/, "")}/session-${nextId++}`;
+      sessions.set(location, receiver);
+      return new Response(receiver.localDescription.sdp, {
+        status: 201,
+        headers: { "Content-Type": "application/sdp", Location: location },
+      });
+    }
+    if (method === "DELETE" && sessions.has(url)) {
+      sessions.get(url).close();
+      sessions.delete(url);
+      return new Response(null, { status: 200 });
+    }
+    return new Response(null, { status: 404 });
+  };
+}